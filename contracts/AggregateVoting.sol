@@ -2,8 +2,12 @@
 pragma solidity ^0.6.0;
 pragma experimental ABIEncoderV2;
 
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/drafts/EIP712.sol";
+import "@openzeppelin/contracts/math/SafeMath.sol";
 import "./BN256Adapter.sol";
 import "./CommitmentToken.sol";
+import "./PolynomialCommitment.sol";
 
 /**
  * A voting contract that uses Polynomial Commitments to record the user balances and
@@ -12,32 +16,714 @@ import "./CommitmentToken.sol";
  * anyone to compute the final tally and prove that it matches the committed votes.
  *
  * This contract implements the simplest version of the scheme, where:
- * - all users are represented by the BLS Keys Commitment. If desired, the mechanism can be generalized
- *   to allow some users to provide ECDSA (regular Ethereum address-based) authentication without aggregation,
- *   while the users with BLS keys can utilize the aggregation benefits
+ * - the users with BLS keys are represented by the BLS Keys Commitment and utilize the aggregation benefits.
+ *   The other users (including contracts and existing wallets) can vote individually with ECDSA (regular
+ *   Ethereum address-based) authentication, either directly (see castVote) or by signing an EIP-712 ballot
+ *   that anyone can submit (see castVoteBySig). These votes are counted with the voter's balance at the snapshot
+ *   block (see CommitmentToken.balanceOfAt)
  * - votes are not hidden during the voting procedure. If hidden votes are required, the BlindedAggregateVoting
  *   contract in this repository supports that use case.
+ * - users either support or oppose the topic. If more options are required, the MultiChoiceVoting contract in this
+ *   repository supports single choice, approval and ranked ballots.
+ *
+ * The aggregation follows the "Treat SelectedKeysCommitment as a public key" mechanism described in the README:
+ * - the vote message is represented by a known scalar 𝛿 (see voteDigest). The message binds the chain id, this
+ *   contract, the proposal, the option and a nonce (see voteMessage), so a signature cannot be replayed on another
+ *   voting contract, token or chain
+ * - the voter at position i signs the point (𝛿)(s^i)⋅[P1] (see votingArtifact) to produce (k𝛿)(s^i)⋅[P1],
+ *   where k is their private key
+ * - the aggregator sums the signatures, as well as the encoded keys of all users that are not in the selection
+ *   (the ComplementCommitment). The contract subtracts the ComplementCommitment from the KeysCommitment to
+ *   obtain the SelectedKeysCommitment, which is used as the public key for the aggregate signature
+ *
+ * This is the "Subtract out the unwanted components of KeysCommitment" partial solution from the README, combined
+ * with the hardened (bα) registration in CommitmentToken. The contract cannot validate the ComplementCommitment
+ * directly. Instead, it relies on the aggregate signature:
+ * - if the complement eliminates too few terms, the SelectedKeysCommitment contains a key from someone outside
+ *   the selection, and the aggregator cannot produce the corresponding signature
+ * - if the complement modifies a term without eliminating it, the SelectedKeysCommitment depends on an unknown
+ *   private key in the same way
+ * - if the complement modifies a term in the selection, the voter would have to adjust their signature. This is
+ *   harmless because they are still the only one who can produce it
+ * - the registration never reveals s^(MAX_DEGREE)⋅[PUBLIC_KEY], so the published keys cannot be combined into
+ *   a complement that eliminates the higher degree terms of a crafted key
+ * - a complement that eliminates every key is rejected, since any selection would be accepted with an empty signature
+ *
+ * An aggregate vote can be extended with voters that sign later. Each submission lists the indices of the new
+ * voters, and the contract checks that the selections represent exactly those indices. The selections and
+ * signatures are added to the recorded aggregate, so it only grows and a smaller aggregate cannot replace a larger
+ * one. Every index can only be aggregated once (on either side), so a voter cannot be counted twice.
+ *
+ * When the token has several shards, every shard is validated:
+ * - the votes are aggregated across all shards. The voting artifact only depends on the position of the voter
+ *   within their shard, so the KeysCommitments of all shards can be added together and treated as a single
+ *   KeysCommitment. The complement is also a single point, which contains the encoded keys of every
+ *   unselected user in every shard. Therefore, the aggregate signature is still validated with a single equation
+ * - the selection is recorded for each shard separately, since each shard has its own DelegatedWeightsCommitment.
+ *   The tally includes a weight and a dot product proof for each shard, and the final weight is their sum
+ *
+ * The tally uses the voting weights rather than the balances (see CommitmentToken.delegate). A selected key votes
+ * with its own balance (unless it was delegated) and every balance that was delegated to its index, while a
+ * registered user that delegated their balance contributes no weight, even if they sign the vote themselves.
+ * Therefore, each token is only counted once. Without any delegations, the weights are the balances.
+ *
+ * An individual vote is only accepted from an address that is not represented in the copied commitments: it must not
+ * have a BLS key or a delegate at the snapshot block (see CommitmentToken.votingIndexAt), or when it votes.
+ * Otherwise, its tokens could be counted in both the aggregate and the individual votes. The individual votes are
+ * weighted with the balances at the snapshot block, like the commitments, so tokens that move after the snapshot
+ * cannot be counted again by their new holder. The final tally adds the individual votes to the aggregate votes.
+ *
+ * WARNING: as described in the README, the scheme does not prevent the complement from eliminating too many terms.
+ * If a user in the selection is removed from the SelectedKeysCommitment (possibly replacing their key with one
+ * that the aggregator controls), the remaining voters can sign on their behalf. Nothing links the
+ * SelectedKeysCommitment to the selection, so this version illustrates the mechanics of the scheme
+ * and should not be used to decide anything of consequence.
  */
-contract AggregateVoting {
+contract AggregateVoting is PolynomialCommitment, EIP712 {
+    using BN256Adapter for BN256Adapter.PointG1;
+    using BN256Adapter for BN256Adapter.PointG2;
+    using SafeMath for uint256;
+
+    /**
+     * @notice Emitted when the final tally is accepted
+     * @param yesWeight the token weight that supports the topic
+     * @param noWeight the token weight that opposes the topic
+     */
+    event TallySubmitted(uint256 yesWeight, uint256 noWeight);
+
+    /**
+     * @notice Emitted when an address votes individually
+     * @param voter the address that voted
+     * @param support whether the vote supports the topic
+     * @param weight the balance of the voter at the snapshot block
+     */
+    event IndividualVoteCast(address indexed voter, bool support, uint256 weight);
+
+    // The components of an aggregate vote, as passed to submitAggregate
+    struct Aggregate {
+        BN256Adapter.PointG2[] selections;
+        BN256Adapter.PointG2 complement;
+        BN256Adapter.PointG1 signature;
+    }
+
+    // The EIP-712 type of a signed individual vote (see castVoteBySig)
+    bytes32 public constant BALLOT_TYPEHASH = keccak256("Ballot(bool support)");
 
-    // The Kate commitment representing an ordered list of user balances
-    BN256Adapter.PointG1 public BalancesCommitment;
+    // The type of the messages that are signed by the BLS keys (see voteMessage). It separates the vote
+    // messages from any other data that a BLS wallet might sign
+    bytes32 public constant VOTE_MESSAGE_TYPEHASH = keccak256(
+        "VoteMessage(uint256 chainId,address voting,bytes32 proposalId,uint256 option,uint256 nonce)"
+    );
 
-    // The Kate commitment representing an ordered list of user BLS public keys.
-    // The key at position i is authorized to vote with the tokens at position i in BalancesCommitment
-    BN256Adapter.PointG2 public KeysCommitment;
+    // The options of the vote messages that oppose and support the topic
+    uint256 public constant NO_OPTION = 0;
+    uint256 public constant YES_OPTION = 1;
+
+    // The token that tracks the balances and BLS keys of the voters
+    CommitmentToken public token;
+
+    // The block before the one in which this contract was deployed. The commitments are copied from the token
+    // checkpoints at the end of this block
+    uint256 public snapshotBlock;
+
+    // The number of shards in the token when this contract was deployed
+    uint256 public shardCount;
+
+    // The Kate commitments representing ordered lists of user balances, by shard
+    BN256Adapter.PointG1[] internal _balancesCommitments;
+
+    // The Kate commitments representing ordered lists of voting weights, by shard (see
+    // CommitmentToken.DelegatedWeightsCommitment). The tally is validated against these weights
+    BN256Adapter.PointG1[] internal _weightsCommitments;
+
+    // The Kate commitments representing ordered lists of user BLS public keys, by shard.
+    // The key at position i of a shard is authorized to vote with the weight at position i of the
+    // same shard in the DelegatedWeightsCommitment
+    BN256Adapter.PointG2[] internal _keysCommitments;
+
+    // The sum of the KeysCommitments of every shard
+    BN256Adapter.PointG2 internal _combinedKeysCommitment;
 
     // The question that users are voting on
     string public topic;
-    constructor(CommitmentToken _token, string memory _topic) public {
 
+    // Identifies the proposal by its content: keccak256(abi.encode(token, keccak256(topic))).
+    // This is unrelated to the sequential ids assigned by VotingFactory
+    bytes32 public proposalId;
+
+    // The hash of the block before the one in which this contract was deployed. This ensures the vote messages
+    // cannot be known before the proposal is created, and that they change if the deployment is reorganized
+    // into another chain history
+    uint256 public nonce;
+
+    // The last block in which aggregate votes can be submitted
+    uint256 public votingDeadline;
+
+    // The aggregate votes that support and oppose the topic: the (reversed) selection commitments of the voters
+    // by shard, the complement of the combined selection and the combined signature
+    mapping(bool => Aggregate) internal _aggregates;
+
+    // Whether an aggregate vote has been submitted to support or oppose the topic
+    mapping(bool => bool) public isAggregated;
+
+    // Whether the voter at each index is in the aggregate vote of either side
+    mapping(uint256 => bool) public isAggregatedVoter;
+
+    // The token weight that supports or opposes the topic. This is only meaningful after the tally is submitted
+    mapping(bool => uint256) public weightOf;
+
+    // The token weight of the individual votes that support or oppose the topic
+    mapping(bool => uint256) public individualWeightOf;
+
+    // Whether an address has already voted individually
+    mapping(address => bool) public hasVoted;
+
+    // Whether the final tally has been submitted
+    bool public isTallied;
+
+    /**
+     * @param _token the token that tracks the balances and BLS keys of the voters
+     * @param _topic the question that users are voting on
+     * @param _votingPeriod the number of blocks (after this one) in which aggregate votes can be submitted
+     */
+    constructor(
+        CommitmentToken _token,
+        string memory _topic,
+        uint256 _votingPeriod
+    ) public PolynomialCommitment(_token.trustedSetup(), _token.setupVersion()) EIP712("AggregateVoting", "1") {
         // Copy the commitments from the token. This effectively snapshots the balances since subsequent
         // token transfers will not update these commitments. The voter aggregator will need to know the
         // values associated with these commitments, even if the token updates its internal balances.
         // It is assumed they have a mechanism.
-        BalancesCommitment = _token.BalancesCommitment();
-        KeysCommitment = _token.KeysCommitment();
+        // The snapshot is the end of the previous block rather than the middle of this one, so it matches the
+        // balances and voting indices that the individual votes read at the same block
+        snapshotBlock = block.number - 1;
+        shardCount = _token.shardCount();
+        BN256Adapter.PointG2[] memory keyComms = new BN256Adapter.PointG2[](shardCount);
+        for (uint256 shard = 0; shard < shardCount; shard++) {
+            _balancesCommitments.push(_token.balancesCommitmentAt(shard, snapshotBlock));
+            _weightsCommitments.push(_token.delegatedWeightsCommitmentAt(shard, snapshotBlock));
+            keyComms[shard] = _token.keysCommitmentAt(shard, snapshotBlock);
+            _keysCommitments.push(keyComms[shard]);
+        }
+        _combinedKeysCommitment = BN256Adapter.sum(keyComms);
+        token = _token;
 
         topic = _topic;
+        proposalId = keccak256(abi.encode(_token, keccak256(bytes(_topic))));
+        nonce = uint256(blockhash(block.number - 1));
+        votingDeadline = block.number + _votingPeriod;
+    }
+
+    /**
+     * @notice Returns the snapshot of the Kate commitment that tracks the user balances in a shard
+     * @dev Instead of making _balancesCommitments public with a default getter, this function
+     * allows contracts to treat the return value as a PointG1 struct
+     * @param shard the shard index
+     * @return the balances commitment
+     */
+    function BalancesCommitment(uint256 shard) public view returns (BN256Adapter.PointG1 memory) {
+        require(shard < shardCount, "Invalid shard");
+        return _balancesCommitments[shard];
+    }
+
+    /**
+     * @notice Returns the snapshot of the Kate commitment that tracks the voting weights in a shard
+     * @dev this is the commitment that the tally is validated against. It includes the delegated balances
+     * @param shard the shard index
+     * @return the delegated weights commitment
+     */
+    function WeightsCommitment(uint256 shard) public view returns (BN256Adapter.PointG1 memory) {
+        require(shard < shardCount, "Invalid shard");
+        return _weightsCommitments[shard];
+    }
+
+    /**
+     * @notice Returns the snapshot of the Kate commitment that tracks the user BLS keys in a shard
+     * @dev Instead of making _keysCommitments public with a default getter, this function
+     * allows contracts to treat the return value as a PointG2 struct
+     * @param shard the shard index
+     * @return the keys commitment
+     */
+    function KeysCommitment(uint256 shard) public view returns (BN256Adapter.PointG2 memory) {
+        require(shard < shardCount, "Invalid shard");
+        return _keysCommitments[shard];
+    }
+
+    /**
+     * @notice Returns the (reversed) selection commitments of the aggregate vote that supports or opposes the topic
+     * @dev Instead of making _aggregates public with a default getter, this function
+     * allows contracts to treat the return value as a list of PointG2 structs
+     * @param support whether to return the selection that supports the topic
+     * @return the selection commitment of each shard (or an empty list if no aggregate has been submitted)
+     */
+    function selectionOf(bool support) public view returns (BN256Adapter.PointG2[] memory) {
+        return _aggregates[support].selections;
+    }
+
+    /**
+     * @notice Returns the canonical message that represents a vote for an option
+     * @dev this is the ABI encoding of (VOTE_MESSAGE_TYPEHASH, chainId, address(this), proposalId, option, nonce).
+     * The chain id is read when the function is called, so the messages also change after a chain split.
+     * See lib/vote-messages.js for the equivalent JavaScript encoder
+     * @param option the option (NO_OPTION or YES_OPTION, unless a derived contract defines others)
+     * @return the vote message
+     */
+    function voteMessage(uint256 option) public view returns (bytes memory) {
+        return abi.encode(VOTE_MESSAGE_TYPEHASH, _chainId(), address(this), proposalId, option, nonce);
+    }
+
+    /**
+     * @notice Returns the scalar 𝛿 that represents a vote on the topic
+     * @dev in the README, the message hash is a scalar rather than a point, so that voters can
+     * scale it by the powers of s in the trusted setup
+     * @param support whether the vote supports the topic
+     * @return the vote digest
+     */
+    function voteDigest(bool support) public view returns (uint256) {
+        return _messageDigest(support ? YES_OPTION : NO_OPTION);
+    }
+
+    /**
+     * @notice Generates the artifact that a voter should sign to vote on the topic
+     * @dev The artifact is (𝛿)(s^position)⋅[P1], where 𝛿 is the vote digest and position is the
+     * position of the voter's index within their shard.
+     * This point should be signed by the user's wallet to become (PRIVATE_KEY)(𝛿)(s^position)⋅[P1]
+     * @param index the voter's index in the commitments
+     * @param support whether the vote supports the topic
+     * @return the voting artifact
+     */
+    function votingArtifact(uint256 index, bool support)
+        public
+        view
+        returns (BN256Adapter.PointG1 memory)
+    {
+        return _commitSingleValueG1(voteDigest(support), positionOf(index));
+    }
+
+    /**
+     * @notice Submit an aggregate vote that supports or opposes the topic
+     * @dev The aggregate signature must satisfy
+     *   e(𝛿⋅[P1], SelectedKeysCommitment) == e(signature, [P2])
+     * where SelectedKeysCommitment = (the sum of the KeysCommitments of every shard) - complement.
+     * A subsequent submission for the same side extends the recorded aggregate: its indices, selections and
+     * signature only cover the additional voters, and the signature is validated in combination with the recorded
+     * one. A voter that is already in the aggregate of either side cannot be added again.
+     * @param support whether the votes support the topic
+     * @param indices the indices of the voters in the selection
+     * @param selections the reversed selection commitment of each shard: the sum of s^(n-i)⋅[P2] for every
+     * selected position i in the shard, where n is the last position in the data array
+     * @param complement the sum of the encoded keys of every registered user (in every shard) that is not in the
+     * combined selection
+     * @param signature the sum of the signed voting artifacts of every user in the selection
+     */
+    function submitAggregate(
+        bool support,
+        uint256[] memory indices,
+        BN256Adapter.PointG2[] memory selections,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature
+    ) public virtual {
+        require(block.number <= votingDeadline, "Voting period has ended");
+        require(selections.length == shardCount, "A selection is required for every shard");
+        _requireValidAggregate(selections, complement, signature);
+        _recordVoters(isAggregatedVoter, indices);
+        require(
+            _extendAggregate(_aggregates[support], voteDigest(support), indices, selections, complement, signature),
+            "Invalid aggregate signature"
+        );
+        isAggregated[support] = true;
+    }
+
+    /**
+     * @notice Vote individually with the message sender's balance
+     * @dev this is intended for contracts and existing wallets that do not have a BLS key.
+     * The message sender must not be represented in the copied commitments (see the contract description)
+     * @param support whether the vote supports the topic
+     */
+    function castVote(bool support) public {
+        _castIndividualVote(msg.sender, support);
+    }
+
+    /**
+     * @notice Submit an individual vote that was signed (with EIP-712) by the voter
+     * @dev the signed message is Ballot(support) in the domain of this contract, so it cannot be replayed in
+     * another voting contract. The voter is recovered from the signature. Anyone can submit the vote
+     * @param support whether the vote supports the topic
+     * @param v the recovery id of the signature
+     * @param r the r value of the signature
+     * @param s the s value of the signature
+     */
+    function castVoteBySig(
+        bool support,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public {
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(BALLOT_TYPEHASH, support)));
+        _castIndividualVote(ECDSA.recover(digest, v, r, s), support);
+    }
+
+    /**
+     * @notice Checks whether the users in the aggregate vote that supports or opposes the topic
+     * hold exactly weight tokens
+     * @dev this lets aggregators validate a proof before submitting the tally. It uses the same
+     * constant number of pairing checks as submitTally
+     * @param support whether to check the selection that supports the topic
+     * @param weights the claimed token weight in each shard
+     * @param proofs the proof that each weight is the dot product of the balances and the selection of its shard
+     * @return whether the proof is valid. This is false if no aggregate has been submitted for that side
+     */
+    function isValidTally(
+        bool support,
+        uint256[] memory weights,
+        DotProductProof[] memory proofs
+    ) public view returns (bool) {
+        if (!isAggregated[support] || !_isWellFormedTally(weights, proofs)) {
+            return false;
+        }
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](3 * shardCount);
+        _addTallyEquations(equations, 0, _aggregates[support].selections, weights, proofs);
+        return BN256Adapter.verifyPairingEquations(equations);
+    }
+
+    /**
+     * @notice Submit the token weights that support and oppose the topic, along with
+     * proofs that they correspond to the submitted aggregate votes
+     * @dev the weights are validated against the DelegatedWeightsCommitments with a constant number of
+     * pairing checks per shard, regardless of the number of voters. If no aggregate vote was submitted for a side,
+     * its weights must be zero (or empty) and the corresponding proofs are ignored.
+     * The final weights (in weightOf and the TallySubmitted event) also include the individual votes.
+     * @param yesWeights the token weight in each shard that supports the topic
+     * @param yesProofs the proof that each yesWeight is the dot product of the balances and the supporting selection
+     * of its shard
+     * @param noWeights the token weight in each shard that opposes the topic
+     * @param noProofs the proof that each noWeight is the dot product of the balances and the opposing selection
+     * of its shard
+     */
+    function submitTally(
+        uint256[] memory yesWeights,
+        DotProductProof[] memory yesProofs,
+        uint256[] memory noWeights,
+        DotProductProof[] memory noProofs
+    ) public virtual {
+        require(block.number > votingDeadline, "Voting period has not ended");
+        require(!isTallied, "Tally already submitted");
+        uint256 yesWeight = _totalWeight(yesWeights);
+        uint256 noWeight = _totalWeight(noWeights);
+        require(isAggregated[true] || yesWeight == 0, "No supporting votes were submitted");
+        require(isAggregated[false] || noWeight == 0, "No opposing votes were submitted");
+
+        uint256 count = (isAggregated[true] ? 3 * shardCount : 0) + (isAggregated[false] ? 3 * shardCount : 0);
+        uint256 individualWeight = individualWeightOf[true].add(individualWeightOf[false]);
+        require(count > 0 || individualWeight > 0, "No votes were submitted");
+
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](count);
+        uint256 idx = 0;
+        if (isAggregated[true]) {
+            require(_isWellFormedTally(yesWeights, yesProofs), "A tally is required for every shard");
+            idx = _addTallyEquations(equations, idx, _aggregates[true].selections, yesWeights, yesProofs);
+        }
+        if (isAggregated[false]) {
+            require(_isWellFormedTally(noWeights, noProofs), "A tally is required for every shard");
+            idx = _addTallyEquations(equations, idx, _aggregates[false].selections, noWeights, noProofs);
+        }
+        require(count == 0 || BN256Adapter.verifyPairingEquations(equations), "Invalid tally proof");
+
+        // the individual voters are not in the commitments, so they cannot be counted twice
+        weightOf[true] = yesWeight.add(individualWeightOf[true]);
+        weightOf[false] = noWeight.add(individualWeightOf[false]);
+        isTallied = true;
+
+        emit TallySubmitted(weightOf[true], weightOf[false]);
+    }
+
+    /**
+     * @notice Record an individual vote with the voter's balance at the snapshot block
+     * @param voter the address that voted
+     * @param support whether the vote supports the topic
+     */
+    function _castIndividualVote(address voter, bool support) internal virtual {
+        require(block.number <= votingDeadline, "Voting period has ended");
+        require(!hasVoted[voter], "Already voted");
+        require(
+            token.votingIndexOf(voter) == 0 && token.votingIndexAt(voter, snapshotBlock) == 0,
+            "Voter is represented by a BLS key"
+        );
+        uint256 weight = token.balanceOfAt(voter, snapshotBlock);
+        require(weight > 0, "No tokens to vote with");
+
+        hasVoted[voter] = true;
+        individualWeightOf[support] = individualWeightOf[support].add(weight);
+        emit IndividualVoteCast(voter, support, weight);
+    }
+
+    /**
+     * @notice Returns the scalar that represents the vote message for an option
+     * @param option the option
+     * @return keccak256(voteMessage(option)) reduced modulo the group order
+     */
+    function _messageDigest(uint256 option) internal view returns (uint256) {
+        return uint256(keccak256(voteMessage(option))) % BN256Adapter.GROUP_ORDER;
+    }
+
+    /**
+     * @notice Returns the id of the current chain
+     * @return chainId the chain id
+     */
+    function _chainId() internal pure returns (uint256 chainId) {
+        assembly {
+            chainId := chainid()
+        }
+    }
+
+    /**
+     * @notice Reverts unless every point of an aggregate vote is in its group
+     * @dev the selections are stored until the tally, so a point outside G2 would prevent the tally from
+     * being verified
+     * @param selections the reversed selection commitment of each shard
+     * @param complement the sum of the encoded keys of every registered user that is not in the selection
+     * @param signature the sum of the signed artifacts of every user in the selection
+     */
+    function _requireValidAggregate(
+        BN256Adapter.PointG2[] memory selections,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature
+    ) internal view {
+        BN256Adapter.requireValid(selections);
+        BN256Adapter.requireValid(complement);
+        BN256Adapter.requireValid(signature);
+    }
+
+    /**
+     * @notice Constructs a pairing equation to test whether the signature is an aggregate signature
+     * over the digest by the users whose keys are not in the complement
+     * @dev the check is
+     *   e(digest⋅[P1], SelectedKeysCommitment) == e(signature, [P2])
+     * where SelectedKeysCommitment = (the sum of the KeysCommitments of every shard) - complement
+     * @param digest the scalar that represents the signed message
+     * @param complement the sum of the encoded keys of every registered user that is not in the selection
+     * @param signature the sum of the signed artifacts of every user in the selection
+     * @return the pairing equation
+     */
+    function _isAggregateEquation(
+        uint256 digest,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature
+    ) internal view returns (BN256Adapter.PairingEquation memory) {
+        // otherwise the SelectedKeysCommitment is empty and the infinity point is a valid signature
+        require(!complement.equals(_combinedKeysCommitment), "Complement eliminates every key");
+
+        BN256Adapter.PointG2[] memory keyComms = new BN256Adapter.PointG2[](2);
+        keyComms[0] = _combinedKeysCommitment;
+        keyComms[1] = complement.neg();
+
+        // the pairing check is transformed as follows
+        //    e(digest⋅[P1], SelectedKeysCommitment) == e(signature, [P2])
+        // => e(digest⋅[P1], SelectedKeysCommitment) * e(signature, -1⋅[P2]) == 1
+        return
+            BN256Adapter.PairingEquation({
+                A: BN256Adapter.P1().multiply(digest),
+                B: BN256Adapter.sum(keyComms),
+                C: signature,
+                D: BN256Adapter.negP2()
+            });
+    }
+
+    /**
+     * @notice Records the voters of an aggregate, reverting if any of them was already recorded
+     * @dev the caller chooses the scope: AggregateVoting records every aggregated voter once, regardless of the side
+     * @param isRecorded whether each index has been recorded
+     * @param indices the indices of the voters to record
+     */
+    function _recordVoters(mapping(uint256 => bool) storage isRecorded, uint256[] memory indices) internal {
+        require(indices.length > 0, "The aggregate does not add any voters");
+        for (uint256 i = 0; i < indices.length; i++) {
+            require(!isRecorded[indices[i]], "Voter already aggregated");
+            isRecorded[indices[i]] = true;
+        }
+    }
+
+    /**
+     * @notice Adds voters to an aggregate, if the selections match their indices and the combined signature is valid
+     * @dev the first submission is validated on its own. Each extension is validated as
+     *   e(digest⋅[P1], SelectedKeysCommitment) == e(aggregate.signature + signature, [P2])
+     * where SelectedKeysCommitment uses the new complement. The aggregate is unchanged if the signature is invalid.
+     * The caller should ensure the indices are not already in the aggregate (see _recordVoters)
+     * @param aggregate the recorded aggregate to extend
+     * @param digest the scalar that represents the signed message
+     * @param indices the indices of the additional voters
+     * @param selections the reversed selection commitment of each shard, for the additional voters
+     * @param complement the sum of the encoded keys of every registered user that is not in the combined selection
+     * @param signature the sum of the signed artifacts of the additional voters
+     * @return whether the combined signature is valid
+     */
+    function _extendAggregate(
+        Aggregate storage aggregate,
+        uint256 digest,
+        uint256[] memory indices,
+        BN256Adapter.PointG2[] memory selections,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature
+    ) internal returns (bool) {
+        bool isFirst = aggregate.selections.length == 0;
+
+        BN256Adapter.PointG1[] memory signatures = new BN256Adapter.PointG1[](2);
+        signatures[0] = aggregate.signature;
+        signatures[1] = signature;
+        BN256Adapter.PointG1 memory combined = BN256Adapter.sum(signatures);
+
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](1 + shardCount);
+        equations[0] = _isAggregateEquation(digest, complement, combined);
+        _addSelectionEquations(equations, 1, indices, selections);
+        if (!BN256Adapter.verifyPairingEquations(equations)) {
+            return false;
+        }
+
+        BN256Adapter.PointG2[] memory terms = new BN256Adapter.PointG2[](2);
+        for (uint256 shard = 0; shard < selections.length; shard++) {
+            if (isFirst) {
+                aggregate.selections.push(selections[shard]);
+            } else {
+                terms[0] = aggregate.selections[shard];
+                terms[1] = selections[shard];
+                aggregate.selections[shard] = BN256Adapter.sum(terms);
+            }
+        }
+        aggregate.complement = complement;
+        aggregate.signature = combined;
+        return true;
+    }
+
+    /**
+     * @notice Adds the equations that test whether the selection of each shard represents exactly the voters
+     * at the specified indices to a list of pairing equations
+     * @dev the contract builds each selection in group 1 from the indices, and compares it to the one supplied in
+     * group 2 (like _isMultiOpeningEquations). The list must have space for shardCount equations after the offset
+     * @param equations the list of pairing equations to extend
+     * @param offset the position of the first equation to add
+     * @param indices the indices of the selected voters
+     * @param selections the reversed selection commitment of each shard
+     * @return the position after the last added equation
+     */
+    function _addSelectionEquations(
+        BN256Adapter.PairingEquation[] memory equations,
+        uint256 offset,
+        uint256[] memory indices,
+        BN256Adapter.PointG2[] memory selections
+    ) internal view returns (uint256) {
+        uint256 n = DATA_ARRAY_SIZE - 1;
+
+        // the selection of a shard without any voters is the point at infinity
+        BN256Adapter.PointG1[] memory expected = new BN256Adapter.PointG1[](shardCount);
+        BN256Adapter.PointG1[] memory terms = new BN256Adapter.PointG1[](2);
+        for (uint256 i = 0; i < indices.length; i++) {
+            uint256 shard = shardOf(indices[i]);
+            require(shard < shardCount, "Invalid index");
+            terms[0] = expected[shard];
+            terms[1] = _S1(n - positionOf(indices[i]));
+            expected[shard] = BN256Adapter.sum(terms);
+        }
+
+        // the check is
+        //    e(expected, [P2]) * e(-1⋅[P1], selection) = 1
+        for (uint256 shard = 0; shard < shardCount; shard++) {
+            equations[offset++] = BN256Adapter.PairingEquation({
+                A: expected[shard],
+                B: BN256Adapter.P2(),
+                C: BN256Adapter.negP1(),
+                D: selections[shard]
+            });
+        }
+        return offset;
+    }
+
+    /**
+     * @notice Adds the dot product equations of every shard to a list of pairing equations
+     * @dev the list must have space for 3 * shardCount equations after the offset
+     * @param equations the list of pairing equations to extend
+     * @param offset the position of the first equation to add
+     * @param selections the (reversed) selection commitment of each shard
+     * @param weights the claimed token weight in each shard
+     * @param proofs the proof that each weight is the dot product of the balances and the selection of its shard
+     * @return the position after the last added equation
+     */
+    function _addTallyEquations(
+        BN256Adapter.PairingEquation[] memory equations,
+        uint256 offset,
+        BN256Adapter.PointG2[] memory selections,
+        uint256[] memory weights,
+        DotProductProof[] memory proofs
+    ) internal view returns (uint256) {
+        BN256Adapter.PairingEquation[3] memory tallyEqns;
+        for (uint256 shard = 0; shard < shardCount; shard++) {
+            tallyEqns = _isDotProductEquations(
+                _weightsCommitments[shard],
+                selections[shard],
+                weights[shard],
+                proofs[shard]
+            );
+            equations[offset++] = tallyEqns[0];
+            equations[offset++] = tallyEqns[1];
+            equations[offset++] = tallyEqns[2];
+        }
+        return offset;
+    }
+
+    /**
+     * @notice Checks whether a tally has a weight and a proof for every shard
+     * @dev the weights must also be below the group order, since the proofs only validate them modulo the group order
+     * @param weights the claimed token weight in each shard
+     * @param proofs the dot product proof of each shard
+     * @return whether the tally can be validated
+     */
+    function _isWellFormedTally(uint256[] memory weights, DotProductProof[] memory proofs)
+        internal
+        view
+        returns (bool)
+    {
+        if (weights.length != shardCount || proofs.length != shardCount) {
+            return false;
+        }
+        for (uint256 shard = 0; shard < shardCount; shard++) {
+            if (weights[shard] >= BN256Adapter.GROUP_ORDER) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @notice Returns the sum of the weights of every shard
+     * @param weights the token weight in each shard
+     * @return the total weight
+     */
+    function _totalWeight(uint256[] memory weights) internal pure returns (uint256) {
+        uint256 total = 0;
+        for (uint256 i = 0; i < weights.length; i++) {
+            total = total.add(weights[i]);
+        }
+        return total;
+    }
+
+    /**
+     * @notice Replaces a list of selection commitments in storage
+     * @dev memory arrays of structs cannot be copied to storage directly
+     * @param target the storage list to replace
+     * @param selections the new selection commitments
+     */
+    function _setSelections(BN256Adapter.PointG2[] storage target, BN256Adapter.PointG2[] memory selections)
+        internal
+    {
+        while (target.length > selections.length) {
+            target.pop();
+        }
+        for (uint256 i = 0; i < selections.length; i++) {
+            if (i < target.length) {
+                target[i] = selections[i];
+            } else {
+                target.push(selections[i]);
+            }
+        }
     }
-}
\ No newline at end of file
+}
@@ -25,6 +25,9 @@ library BN256Adapter {
     uint256
         internal constant GROUP_ORDER = 21888242871839275222246405745257275088548364400416034343698204186575808495617;
 
+    // the cost of a pairing check with two pairs (see EIP-1108)
+    uint256 internal constant PAIRING_GAS = 45000 + 2 * 34000;
+
     struct PointG1 {
         uint256 x;
         uint256 y;
@@ -88,18 +91,26 @@ library BN256Adapter {
     /**
      * @dev Due to the curve's symmetry, -(x, y) = (x, -y) so we can simply negate the y value,
      * which is equivalent to (p - y) when working modulo p
+     * The point at infinity, represented as (0, 0), is its own negative
      * @return the negative of the point
      */
     function neg(PointG1 memory Point) public pure returns (PointG1 memory) {
+        if (Point.x == 0 && Point.y == 0) {
+            return Point;
+        }
         return PointG1({x: Point.x, y: BN256G1.PP - Point.y});
     }
 
     /**
      * @dev Due to the curve's symmetry, -(x, y) = (x, -y) so we can simply negate the y value,
      * which is equivalent to (p - yc) for each component yc of y when working modulo p
+     * The point at infinity, represented with all components set to zero, is its own negative
      * @return the negative of the point
      */
     function neg(PointG2 memory Point) public pure returns (PointG2 memory) {
+        if (Point.x_imag == 0 && Point.x_real == 0 && Point.y_imag == 0 && Point.y_real == 0) {
+            return Point;
+        }
         return
             PointG2({
                 x_imag: Point.x_imag,
@@ -109,6 +120,133 @@ library BN256Adapter {
             });
     }
 
+    /**
+     * @notice checks whether two G1 points are identical
+     * @dev this compares the coordinates directly. The precompiles always return coordinates
+     * below the field modulus, so this is reliable for any points that they produce
+     * @return whether the points are equal
+     */
+    function equals(PointG1 memory a, PointG1 memory b) public pure returns (bool) {
+        return a.x == b.x && a.y == b.y;
+    }
+
+    /**
+     * @notice checks whether two G2 points are identical
+     * @dev this compares the coordinates directly. The BN256G2 library always returns coordinate
+     * components below the field modulus, so this is reliable for any points that it produces
+     * @return whether the points are equal
+     */
+    function equals(PointG2 memory a, PointG2 memory b) public pure returns (bool) {
+        return a.x_imag == b.x_imag && a.x_real == b.x_real && a.y_imag == b.y_imag && a.y_real == b.y_real;
+    }
+
+    /**
+     * @return whether the G1 point is the point at infinity, represented as (0, 0)
+     */
+    function isInfinity(PointG1 memory Point) public pure returns (bool) {
+        return Point.x == 0 && Point.y == 0;
+    }
+
+    /**
+     * @return whether the G2 point is the point at infinity, represented with all components set to zero
+     */
+    function isInfinity(PointG2 memory Point) public pure returns (bool) {
+        return Point.x_imag == 0 && Point.x_real == 0 && Point.y_imag == 0 && Point.y_real == 0;
+    }
+
+    /**
+     * @notice checks whether a G1 point is a valid input for the BN256Adapter functions
+     * @dev the coordinates must be below the field modulus and satisfy y^2 = x^3 + 3.
+     * The curve has a cofactor of 1, so every point on the curve is in G1. The point at infinity is valid
+     * @return whether the point is in G1
+     */
+    function isValid(PointG1 memory Point) public pure returns (bool) {
+        if (isInfinity(Point)) {
+            return true;
+        }
+        return Point.x < BN256G1.PP && Point.y < BN256G1.PP && BN256G1.isOnCurve([Point.x, Point.y]);
+    }
+
+    /**
+     * @notice checks whether a G2 point is on the twisted curve
+     * @dev the coordinate components must be below the field modulus. The point at infinity is on the curve.
+     * Unlike G1, most points on the twisted curve are not in G2 (see isInSubgroup)
+     * @return whether the point is on the twisted curve
+     */
+    function isOnCurve(PointG2 memory Point) public pure returns (bool) {
+        if (isInfinity(Point)) {
+            return true;
+        }
+        uint256 p = BN256G2.FIELD_MODULUS;
+        return
+            Point.x_imag < p &&
+            Point.x_real < p &&
+            Point.y_imag < p &&
+            Point.y_real < p &&
+            BN256G2._isOnCurve(Point.x_real, Point.x_imag, Point.y_real, Point.y_imag);
+    }
+
+    /**
+     * @notice checks whether a point on the twisted curve is in G2
+     * @dev the twisted curve has a large cofactor (with small factors like 10069), so points on the curve
+     * may belong to small subgroups. A point is in G2 if and only if GROUP_ORDER⋅Point is the point at infinity,
+     * but computing that with BN256G2 costs almost 3 million gas. Instead, this relies on the pairing precompile,
+     * which rejects G2 points outside the subgroup (see EIP-197). The product e(P1, Point) * e(-P1, Point) is
+     * always 1, so the precompile only fails if the point is invalid.
+     * A failing precompile consumes all the gas that it is given, so the call is limited to the cost of two pairs
+     * @return whether the point is in G2
+     */
+    function isInSubgroup(PointG2 memory Point) public view returns (bool) {
+        if (isInfinity(Point)) {
+            return true;
+        }
+        uint256[12] memory input = abi.decode(abi.encode(P1(), Point, negP1(), Point), (uint256[12]));
+        uint256[1] memory result;
+        uint256 gasLimit = PAIRING_GAS;
+        bool success;
+        assembly {
+            success := staticcall(gasLimit, 0x08, input, 384, result, 32)
+        }
+        return success && result[0] == 1;
+    }
+
+    /**
+     * @notice reverts unless the G1 point is a valid input (see isValid)
+     * @dev contracts should call this for every G1 point that users supply. The precompiles reject invalid
+     * points as well, but they revert without a reason
+     */
+    function requireValid(PointG1 memory Point) public pure {
+        require(isValid(Point), "G1 point is not on the curve");
+    }
+
+    /**
+     * @notice reverts unless the G2 point is on the twisted curve and in G2
+     * @dev contracts should call this for every G2 point that users supply. The BN256G2 library only checks
+     * whether the inputs are on the curve, so it would otherwise accept points outside of G2
+     */
+    function requireValid(PointG2 memory Point) public view {
+        require(isOnCurve(Point), "G2 point is not on the curve");
+        require(isInSubgroup(Point), "G2 point is not in the subgroup");
+    }
+
+    /**
+     * @notice reverts unless every G1 point in the list is valid (see isValid)
+     */
+    function requireValid(PointG1[] memory Points) public pure {
+        for (uint256 i = 0; i < Points.length; i++) {
+            requireValid(Points[i]);
+        }
+    }
+
+    /**
+     * @notice reverts unless every G2 point in the list is on the twisted curve and in G2
+     */
+    function requireValid(PointG2[] memory Points) public view {
+        for (uint256 i = 0; i < Points.length; i++) {
+            requireValid(Points[i]);
+        }
+    }
+
     /**
      * @notice computes scalar * Point
      * @param Point the elliptic curve point (in G1) to multiply
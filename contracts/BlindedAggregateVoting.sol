@@ -1,3 +1,267 @@
-// This contract is not implemented yet. 
-// This file just exists to ensure that the contract will be named BlindedAggregateVoting when it is implemented,
-// so it matches the comment on the AggregateVoting contract.
\ No newline at end of file
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.6.0;
+pragma experimental ABIEncoderV2;
+
+import "./BN256Adapter.sol";
+import "./CommitmentToken.sol";
+import "./AggregateVoting.sol";
+
+/**
+ * A version of the AggregateVoting contract where the votes are hidden until the voting period ends.
+ * It uses a commit-reveal scheme that retains the constant cost of validating the aggregate votes on-chain.
+ *
+ * During the commit phase:
+ * - each voter at position i produces their vote signature (k𝛿)(s^i)⋅[P1], exactly as in AggregateVoting, and
+ *   blinds it with a random scalar ρ to produce the blinded ballot (k𝛿)(s^i)⋅[P1] + ρ⋅[P1]
+ * - each voter also signs the commit artifact (see commitArtifact) to show that they participated
+ * - the voter gives both values to an aggregator, who submits the sum of the blinded ballots along with
+ *   an aggregate participation signature (see submitCommitment)
+ * Since the blinding factors are random, the blinded commitment reveals nothing about the votes.
+ *
+ * During the reveal phase:
+ * - each voter gives their vote signature and blinding factor to the aggregator
+ * - the aggregator builds the supporting and opposing aggregates as in AggregateVoting, and submits them with
+ *   the sum of the blinding factors (see reveal)
+ * - the contract checks that the aggregate signatures are valid, that the aggregates account for every participant,
+ *   and that they open the blinded commitment. This requires a constant number of pairings (and one additional
+ *   G1 multiplication) regardless of the number of voters.
+ *
+ * Once the reveal phase ends, the tally is computed and validated exactly as in AggregateVoting.
+ *
+ * Voters who commit but never reveal are treated as abstaining. The aggregator lists them in a separate selection,
+ * and subtracts the sum of their blinded ballots from the commitment.
+ *
+ * Like the aggregate votes, the participants and the unrevealed voters are recorded as one selection per shard.
+ * The blinded commitment is a single point that covers every shard.
+ *
+ * WARNING: in addition to the limitations described in AggregateVoting:
+ * - the contract cannot validate the blinded ballots of the unrevealed voters. If any voter is listed as unrevealed,
+ *   the aggregator can use their portion of the commitment to absorb any difference. In that case, the commitment
+ *   only guarantees that the participants were fixed during the commit phase (so late voters cannot be added).
+ *   When every participant reveals, the commitment also guarantees that nobody changed their vote.
+ * - the aggregator learns each vote when it is revealed to them, and can choose to list a revealed voter as
+ *   unrevealed. The unrevealed selection is recorded on-chain, so voters can detect this.
+ */
+contract BlindedAggregateVoting is AggregateVoting {
+    using BN256Adapter for BN256Adapter.PointG1;
+    using BN256Adapter for BN256Adapter.PointG2;
+
+    // The option of the vote message that represents participation in the commit phase (see commitDigest)
+    uint256 public constant COMMIT_OPTION = 2;
+
+    // The last block in which the blinded commitment can be submitted.
+    // The reveal phase ends at the votingDeadline
+    uint256 public commitDeadline;
+
+    // The sum of the blinded ballots of every participant
+    BN256Adapter.PointG1 public BlindedCommitment;
+
+    // The participation aggregate: the (reversed) selection commitment of every participant by shard,
+    // the complement of the participants and the combined participation signature
+    Aggregate internal _participation;
+
+    // The (reversed) selection commitment of the participants that did not reveal their votes, by shard
+    BN256Adapter.PointG2[] internal _unrevealed;
+
+    // Whether a blinded commitment has been submitted
+    bool public isCommitted;
+
+    // Whether the votes have been revealed
+    bool public isRevealed;
+
+    /**
+     * @param _token the token that tracks the balances and BLS keys of the voters
+     * @param _topic the question that users are voting on
+     * @param _commitPeriod the number of blocks (after this one) in which the blinded commitment can be submitted
+     * @param _revealPeriod the number of blocks (after the commit period) in which the votes can be revealed
+     */
+    constructor(
+        CommitmentToken _token,
+        string memory _topic,
+        uint256 _commitPeriod,
+        uint256 _revealPeriod
+    ) public AggregateVoting(_token, _topic, _commitPeriod + _revealPeriod) {
+        commitDeadline = block.number + _commitPeriod;
+    }
+
+    /**
+     * @notice Returns the (reversed) selection commitments of every participant
+     * @return the selection commitment of each shard (or an empty list if no commitment has been submitted)
+     */
+    function participants() public view returns (BN256Adapter.PointG2[] memory) {
+        return _participation.selections;
+    }
+
+    /**
+     * @notice Returns the (reversed) selection commitments of the participants that did not reveal their votes
+     * @return the selection commitment of each shard (or an empty list if the votes have not been revealed)
+     */
+    function unrevealed() public view returns (BN256Adapter.PointG2[] memory) {
+        return _unrevealed;
+    }
+
+    /**
+     * @notice Returns the scalar that represents participation in the commit phase
+     * @dev this is the digest of the COMMIT_OPTION vote message. It is distinct from both vote digests, so a
+     * participation signature cannot be used as a vote
+     * @return the commit digest
+     */
+    function commitDigest() public view returns (uint256) {
+        return _messageDigest(COMMIT_OPTION);
+    }
+
+    /**
+     * @notice Generates the artifact that a voter should sign to participate in the commit phase
+     * @dev The artifact is (commitDigest)(s^position)⋅[P1], where position is the position of the voter's
+     * index within their shard
+     * @param index the voter's index in the commitments
+     * @return the commit artifact
+     */
+    function commitArtifact(uint256 index) public view returns (BN256Adapter.PointG1 memory) {
+        return _commitSingleValueG1(commitDigest(), positionOf(index));
+    }
+
+    /**
+     * @notice Votes cannot be submitted directly. Use submitCommitment and reveal instead
+     */
+    function submitAggregate(
+        bool,
+        uint256[] memory,
+        BN256Adapter.PointG2[] memory,
+        BN256Adapter.PointG2 memory,
+        BN256Adapter.PointG1 memory
+    ) public override {
+        revert("Votes must be committed and revealed");
+    }
+
+    /**
+     * @notice Individual votes are not supported in this version
+     */
+    function _castIndividualVote(address, bool) internal override {
+        revert("Votes must be committed and revealed");
+    }
+
+    /**
+     * @notice Submit the blinded ballots of a group of participants
+     * @dev The participation signature is validated like an aggregate vote over the commit digest.
+     * A subsequent submission extends the commitment with additional participants, exactly like an extension
+     * of an aggregate vote (see AggregateVoting.submitAggregate). Their blinded ballots are added to the
+     * BlindedCommitment. Every participant is recorded in isAggregatedVoter, so they can only commit once.
+     * @param indices the indices of the additional participants
+     * @param selections the reversed selection commitment of each shard, for the additional participants
+     * @param complement the sum of the encoded keys of every registered user (in every shard) that is not a participant
+     * @param signature the sum of the signed commit artifacts of the additional participants
+     * @param blindedBallots the sum of the blinded ballots of the additional participants
+     */
+    function submitCommitment(
+        uint256[] memory indices,
+        BN256Adapter.PointG2[] memory selections,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature,
+        BN256Adapter.PointG1 memory blindedBallots
+    ) public {
+        require(block.number <= commitDeadline, "Commit period has ended");
+        require(selections.length == shardCount, "A selection is required for every shard");
+        _requireValidAggregate(selections, complement, signature);
+        BN256Adapter.requireValid(blindedBallots);
+        _recordVoters(isAggregatedVoter, indices);
+        require(
+            _extendAggregate(_participation, commitDigest(), indices, selections, complement, signature),
+            "Invalid participation signature"
+        );
+
+        BN256Adapter.PointG1[] memory ballots = new BN256Adapter.PointG1[](2);
+        ballots[0] = BlindedCommitment;
+        ballots[1] = blindedBallots;
+        BlindedCommitment = BN256Adapter.sum(ballots);
+        isCommitted = true;
+    }
+
+    /**
+     * @notice Reveal the aggregate votes that open the blinded commitment
+     * @dev If nobody voted on one side, its selections and signature should be the point at infinity
+     * (the complement is ignored). The openings must satisfy, in every shard,
+     *   participants == yes.selection + no.selection + unrevealedSelection
+     * as well as
+     *   BlindedCommitment == yes.signature + no.signature + unrevealedBallots + (blinding)⋅[P1]
+     * and each aggregate signature must be valid for its side.
+     * @param yes the aggregate of the votes that support the topic
+     * @param no the aggregate of the votes that oppose the topic
+     * @param unrevealedSelections the reversed selection commitment of each shard, for the participants that
+     * did not reveal their votes
+     * @param unrevealedBallots the sum of the blinded ballots of the participants that did not reveal their votes
+     * @param blinding the sum of the blinding factors of the participants that revealed their votes
+     */
+    function reveal(
+        Aggregate memory yes,
+        Aggregate memory no,
+        BN256Adapter.PointG2[] memory unrevealedSelections,
+        BN256Adapter.PointG1 memory unrevealedBallots,
+        uint256 blinding
+    ) public {
+        require(block.number > commitDeadline, "Commit period has not ended");
+        require(block.number <= votingDeadline, "Reveal period has ended");
+        require(isCommitted, "No commitment was submitted");
+        require(!isRevealed, "Votes already revealed");
+
+        require(
+            yes.selections.length == shardCount &&
+                no.selections.length == shardCount &&
+                unrevealedSelections.length == shardCount,
+            "A selection is required for every shard"
+        );
+        _requireValidAggregate(yes.selections, yes.complement, yes.signature);
+        _requireValidAggregate(no.selections, no.complement, no.signature);
+        BN256Adapter.requireValid(unrevealedSelections);
+        BN256Adapter.requireValid(unrevealedBallots);
+
+        bool hasYes = false;
+        bool hasNo = false;
+        BN256Adapter.PointG2[] memory selections = new BN256Adapter.PointG2[](3);
+        for (uint256 shard = 0; shard < shardCount; shard++) {
+            selections[0] = yes.selections[shard];
+            selections[1] = no.selections[shard];
+            selections[2] = unrevealedSelections[shard];
+            require(
+                BN256Adapter.sum(selections).equals(_participation.selections[shard]),
+                "Openings do not match the participants"
+            );
+            hasYes = hasYes || !yes.selections[shard].isInfinity();
+            hasNo = hasNo || !no.selections[shard].isInfinity();
+        }
+
+        BN256Adapter.PointG1[] memory openings = new BN256Adapter.PointG1[](4);
+        openings[0] = yes.signature;
+        openings[1] = no.signature;
+        openings[2] = unrevealedBallots;
+        openings[3] = BN256Adapter.P1().multiply(blinding);
+        require(
+            BN256Adapter.sum(openings).equals(BlindedCommitment),
+            "Openings do not match the commitment"
+        );
+
+        uint256 count = (hasYes ? 1 : 0) + (hasNo ? 1 : 0);
+        if (count > 0) {
+            BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](count);
+            uint256 idx = 0;
+            if (hasYes) {
+                equations[idx++] = _isAggregateEquation(voteDigest(true), yes.complement, yes.signature);
+            }
+            if (hasNo) {
+                equations[idx++] = _isAggregateEquation(voteDigest(false), no.complement, no.signature);
+            }
+            require(BN256Adapter.verifyPairingEquations(equations), "Invalid aggregate signature");
+        }
+
+        // the signatures are included in the commitment check, so an empty side must have an empty signature
+        require(hasYes || yes.signature.isInfinity(), "Invalid aggregate signature");
+        require(hasNo || no.signature.isInfinity(), "Invalid aggregate signature");
+
+        _setSelections(_aggregates[true].selections, yes.selections);
+        _setSelections(_aggregates[false].selections, no.selections);
+        isAggregated[true] = hasYes;
+        isAggregated[false] = hasNo;
+        _setSelections(_unrevealed, unrevealedSelections);
+        isRevealed = true;
+    }
+}
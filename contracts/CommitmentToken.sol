@@ -22,9 +22,9 @@ import "./PolynomialCommitment.sol";
  * update the tally at the same time).
  *
  * However, to support the maximum number of use cases, it should be noted that:
- * - the voting contract could allow some users to vote with Ethereum addresses, to support contracts
- *   and existing wallets. In such a scenario, the subset of balances held by BLS public keys could aggregate
- *   their votes off-chain, while the Ethereum addresses would still vote individually.
+ * - the voting contract can allow some users to vote with Ethereum addresses, to support contracts
+ *   and existing wallets. In such a scenario, the subset of balances held by BLS public keys can aggregate
+ *   their votes off-chain, while the Ethereum addresses still vote individually (see AggregateVoting.castVote).
  * - in this version, the BLS keys are used for voting while Ethereum addresses are used for token transfers.
  *   This is partly to ensure it still follows the ERC20 specification and partly to clearly separate the two
  *   features so they can be understood in isolation. This may also be useful for differential security,
@@ -35,10 +35,35 @@ import "./PolynomialCommitment.sol";
  * Additionally, it should be noted that the commitments allow the contract to eliminate most contract storage.
  * Users can reconstruct the data by tracking events or querying a data provider that watches the contract.
  * Users can then provide the relevant data as need to the contract, along with corresponding inclusion proofs.
- * The contract can efficiently validate the proofs against the commitments. This behavior is not implemented
- * because individual operations (like token transfers) that only access a few storage locations are still
- * cheaper than verifying the data against a commitment. Nevertheless, it's worth noting this possibility for
- * use cases that involve accessing large amounts of storage.
+ * The contract can efficiently validate the proofs against the commitments. The token still uses ERC20 storage,
+ * because individual operations (like token transfers) that only access a few storage locations are
+ * cheaper than verifying the data against a commitment. However, contracts that need many balances can use
+ * verifyBalances (or provenBalanceOf) to validate the balances of a whole shard, supplied by the caller with an
+ * opening proof (see lib/balance-oracle.js), instead of reading balanceOf for every user. The verification has a
+ * constant cost plus a small cost for each balance, so it is cheaper once enough balances are read. When only a few
+ * balances are needed, verifyBalancesAt opens an arbitrary set of positions with a single constant-size proof.
+ *
+ * Token holders that do not want to run a BLS wallet can delegate their voting weight to a registered index (see
+ * delegate). The contract maintains a third commitment per shard, the DelegatedWeightsCommitment, alongside the
+ * BalancesCommitment: the weight at position i is the balance of the user at position i (unless they delegated it)
+ * plus the balances that were delegated to index i. The voting contracts tally the votes against these weights,
+ * so the key at position i votes with every token that it represents. Without any delegations, the
+ * DelegatedWeightsCommitment is identical to the BalancesCommitment.
+ *
+ * The contract also keeps block-numbered checkpoints of every commitment (see balancesCommitmentAt,
+ * delegatedWeightsCommitmentAt and keysCommitmentAt), much like the snapshots of ERC20Votes-style tokens. This
+ * lets a voting round reference the commitments at any past block instead of copying them when it is deployed.
+ * The balance of every holder is checkpointed in the same way (see balanceOfAt), so the holders without a BLS key
+ * can vote with their balance at the same block. Each checkpoint costs a few additional storage writes per
+ * transfer or registration.
+ *
+ * A single pair of commitments can only hold DATA_ARRAY_SIZE - 1 users, which is limited by the size of the
+ * trusted setup. To support more users, the registrations fill several pairs of commitments (shards) in order:
+ * once every position in a shard is used, the next user starts a new one (see PolynomialCommitment.shardOf).
+ * Each shard is an independent pair of commitments that only uses the positions of a single data array,
+ * so the registration proofs are unchanged. The voting contracts validate every shard, so the cost of an
+ * aggregate vote or a tally grows with the number of shards (but not with the number of users in each shard).
+ * The maximum number of shards is chosen when the token is deployed.
  *
  * Lastly, in the interests of focussing on the core mechanism, this contract does not handle send/receive hooks,
  * flash mints or any other features. Like regular tokens, these can be added as desired.
@@ -51,34 +76,115 @@ import "./PolynomialCommitment.sol";
 contract CommitmentToken is PolynomialCommitment, ERC20 {
     using Counters for Counters.Counter;
 
+    /**
+     * @notice Emitted when a token holder changes the index that votes with their balance
+     * @param delegator the token holder
+     * @param fromIndex the previous delegate (zero if the balance was not delegated)
+     * @param toIndex the new delegate (zero if the balance is no longer delegated)
+     */
+    event DelegateChanged(address indexed delegator, uint256 indexed fromIndex, uint256 indexed toIndex);
+
+    /**
+     * @notice Emitted when a user registers or rotates their BLS key
+     * @dev this lets off-chain services discover every registered user, including those without a balance
+     * @param user the key owner
+     * @param index the user's index
+     * @param encodedKey the BLS public key encoded for inclusion in KeysCommitment
+     */
+    event KeyRegistered(address indexed user, uint256 indexed index, BN256Adapter.PointG2 encodedKey);
+
     uint256 public constant INITIAL_SUPPLY = 1000e18;
 
-    // The Kate commitment representing an ordered list of user balances
-    BN256Adapter.PointG1 internal _balancesCommitment;
+    // The type of the message that users sign with their BLS key when they register it (see possessionMessage)
+    bytes32 public constant POSSESSION_TYPEHASH =
+        keccak256("ProofOfPossession(uint256 chainId,address token,address user,uint256[4] key)");
+
+    // The maximum number of shards (pairs of commitments) that the registered users can fill
+    uint256 public maxShards;
+
+    // The Kate commitments representing ordered lists of user balances, by shard
+    mapping(uint256 => BN256Adapter.PointG1) internal _balancesCommitments;
 
-    // The Kate commitment representing an ordered list of user BLS public keys.
-    // The key at position i is authorized to vote with the tokens at position i in BalancesCommitment
-    BN256Adapter.PointG2 internal _keysCommitment;
+    // The Kate commitments representing ordered lists of user BLS public keys, by shard.
+    // The key at position i of a shard is authorized to vote with the tokens at position i of the
+    // same shard in the BalancesCommitment
+    mapping(uint256 => BN256Adapter.PointG2) internal _keysCommitments;
 
-    // The first free position in both commitments. It is initialized to 1.
-    // We avoid position 0 to ensure indexOf[address] is non-zero for all known addresses
+    // The Kate commitments representing ordered lists of voting weights, by shard. The weight at position i of a shard
+    // is the balance at position i of the BalancesCommitment (unless it was delegated) plus the delegated balances
+    mapping(uint256 => BN256Adapter.PointG1) internal _delegatedWeightsCommitments;
+
+    // A mapping from a token holder address to the index that votes with their balance
+    // The default (zero) value implies the balance is not delegated, so it belongs to the holder's own index (if any)
+    mapping(address => uint256) public delegateOf;
+
+    // The first free index across all shards. It is initialized to 1.
+    // We avoid index 0 to ensure indexOf[address] is non-zero for all known addresses
     Counters.Counter internal nextFreeIndex;
 
     // A mapping from a token holder address to the corresponding index in the commitments
+    // The index determines both the shard and the position within the shard (see PolynomialCommitment.shardOf)
     // The default (zero) value implies the address/balance combination is not in the commitments
     mapping(address => uint256) public indexOf;
 
+    // A mapping from a token holder address to their encoded BLS key (the term they contribute to the KeysCommitment)
+    // This is required to remove the key when it is rotated or deregistered
+    mapping(address => BN256Adapter.PointG2) internal _encodedKeys;
+
+    // The blocks in which the BalancesCommitment of each shard changed, in ascending order
+    mapping(uint256 => uint256[]) internal _balancesCheckpointBlocks;
+
+    // The BalancesCommitment of each shard at the end of each block in _balancesCheckpointBlocks
+    // (by shard, then by position in the list)
+    mapping(uint256 => mapping(uint256 => BN256Adapter.PointG1)) internal _balancesCheckpoints;
+
+    // The blocks in which the DelegatedWeightsCommitment of each shard changed, in ascending order
+    mapping(uint256 => uint256[]) internal _weightsCheckpointBlocks;
+
+    // The DelegatedWeightsCommitment of each shard at the end of each block in _weightsCheckpointBlocks
+    // (by shard, then by position in the list)
+    mapping(uint256 => mapping(uint256 => BN256Adapter.PointG1)) internal _weightsCheckpoints;
+
+    // The blocks in which the KeysCommitment of each shard changed, in ascending order
+    mapping(uint256 => uint256[]) internal _keysCheckpointBlocks;
+
+    // The KeysCommitment of each shard at the end of each block in _keysCheckpointBlocks
+    // (by shard, then by position in the list)
+    mapping(uint256 => mapping(uint256 => BN256Adapter.PointG2)) internal _keysCheckpoints;
+
+    // The blocks in which the voting index of each user changed, in ascending order
+    mapping(address => uint256[]) internal _votingIndexCheckpointBlocks;
+
+    // The voting index of each user at the end of each block in _votingIndexCheckpointBlocks
+    // (by user, then by position in the list)
+    mapping(address => mapping(uint256 => uint256)) internal _votingIndexCheckpoints;
+
+    // The blocks in which the balance of each holder changed, in ascending order
+    mapping(address => uint256[]) internal _balanceCheckpointBlocks;
+
+    // The balance of each holder at the end of each block in _balanceCheckpointBlocks
+    // (by holder, then by position in the list)
+    mapping(address => mapping(uint256 => uint256)) internal _balanceCheckpoints;
+
     /**
      * @param name the name of the token (display purposes only)
      * @param symbol the token symbol (display purposes only)
+     * @param _trustedSetup the TrustedSetup contract used to build the commitments
+     * @param _setupVersion the published version of the trusted setup to use
+     * @param _maxShards the maximum number of shards. Use 1 for a single pair of commitments
      * @dev mint INITIAL_SUPPLY tokens for the message sender
      * the decimals values is implicitly set to 18
      */
     constructor(
         string memory name,
         string memory symbol,
-        TrustedSetup _trustedSetup
-    ) public ERC20(name, symbol) PolynomialCommitment(_trustedSetup) {
+        TrustedSetup _trustedSetup,
+        uint256 _setupVersion,
+        uint256 _maxShards
+    ) public ERC20(name, symbol) PolynomialCommitment(_trustedSetup, _setupVersion) {
+        require(_maxShards > 0, "At least one shard is required");
+        maxShards = _maxShards;
+
         _mint(msg.sender, INITIAL_SUPPLY);
 
         // start at 1 so 0 can indicate an address/balance combination that is not in the commitments
@@ -95,118 +201,481 @@ contract CommitmentToken is PolynomialCommitment, ERC20 {
     }
 
     /**
-     * @notice Returns the Kate commitment that tracks user balances
-     * @dev Instead of making _balancesCommitment public with a default getter, this function
+     * @notice Returns the number of shards that contain registered positions
+     * @dev positions are never reused, so this includes shards where every user has deregistered.
+     * There is always at least one shard, even before anyone registers
+     * @return the number of shards in use
+     */
+    function shardCount() public view returns (uint256) {
+        uint256 assigned = nextFreeIndex.current() - 1;
+        return assigned == 0 ? 1 : shardOf(assigned) + 1;
+    }
+
+    /**
+     * @notice Returns the Kate commitment that tracks the user balances in a shard
+     * @dev Instead of making _balancesCommitments public with a default getter, this function
      * allows contracts to treat the return value as a PointG1 struct
-     * @return the balances commitment
+     * @param shard the shard index
+     * @return the balances commitment (the zero point if the shard is not in use)
      */
-    function BalancesCommitment() public view returns (BN256Adapter.PointG1 memory) {
-        return _balancesCommitment;
+    function BalancesCommitment(uint256 shard) public view returns (BN256Adapter.PointG1 memory) {
+        require(shard < maxShards, "Invalid shard");
+        return _balancesCommitments[shard];
     }
 
     /**
-     * @notice Returns the Kate commitment that tracks user BLS keys
-     * @dev Instead of making _keysCommitment public with a default getter, this function
+     * @notice Returns the Kate commitment that tracks the user BLS keys in a shard
+     * @dev Instead of making _keysCommitments public with a default getter, this function
      * allows contracts to treat the return value as a PointG2 struct
-     * @return the balances commitment
+     * @param shard the shard index
+     * @return the keys commitment (the zero point if the shard is not in use)
+     */
+    function KeysCommitment(uint256 shard) public view returns (BN256Adapter.PointG2 memory) {
+        require(shard < maxShards, "Invalid shard");
+        return _keysCommitments[shard];
+    }
+
+    /**
+     * @notice Returns the Kate commitment that tracks the voting weights in a shard
+     * @dev Instead of making _delegatedWeightsCommitments public with a default getter, this function
+     * allows contracts to treat the return value as a PointG1 struct
+     * @param shard the shard index
+     * @return the delegated weights commitment (the zero point if the shard is not in use)
+     */
+    function DelegatedWeightsCommitment(uint256 shard) public view returns (BN256Adapter.PointG1 memory) {
+        require(shard < maxShards, "Invalid shard");
+        return _delegatedWeightsCommitments[shard];
+    }
+
+    /**
+     * @notice Returns the index that votes with the balance of a token holder
+     * @param user the token holder address
+     * @return the delegate, or the user's own index if they did not delegate (zero if neither exists)
      */
-    function KeysCommitment() public view returns (BN256Adapter.PointG2 memory) {
-        return _keysCommitment;
+    function votingIndexOf(address user) public view returns (uint256) {
+        return delegateOf[user] != 0 ? delegateOf[user] : indexOf[user];
+    }
+
+    /**
+     * @notice Returns the index that voted with the balance of a token holder at the end of a past block
+     * @dev This lets voting contracts determine whether a user was represented in the commitments that they copied.
+     * The voting index changes when the user registers, deregisters, delegates or undelegates (but not when they
+     * transfer tokens)
+     * @param user the token holder address
+     * @param blockNumber the block number. It must already be mined
+     * @return the voting index (see votingIndexOf) at the end of the block
+     */
+    function votingIndexAt(address user, uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        uint256 count = _checkpointsUntil(_votingIndexCheckpointBlocks[user], blockNumber);
+        if (count == 0) {
+            return 0;
+        }
+        return _votingIndexCheckpoints[user][count - 1];
+    }
+
+    /**
+     * @notice Returns the balance of a token holder at the end of a past block
+     * @dev This lets voting contracts count the tokens of holders without a BLS key at the same block as the
+     * commitments that they copied
+     * @param user the token holder address
+     * @param blockNumber the block number. It must already be mined
+     * @return the balance at the end of the block
+     */
+    function balanceOfAt(address user, uint256 blockNumber) public view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        uint256 count = _checkpointsUntil(_balanceCheckpointBlocks[user], blockNumber);
+        if (count == 0) {
+            return 0;
+        }
+        return _balanceCheckpoints[user][count - 1];
+    }
+
+    /**
+     * @notice Returns the encoded BLS key of a user
+     * @dev this is the term that the user contributes to the KeysCommitment of their shard:
+     * s^(positionOf(indexOf[user]))⋅[PUBLIC_KEY]
+     * @param user the token holder address
+     * @return the encoded key (the zero point if the user does not have a BLS key)
+     */
+    function encodedKeyOf(address user) public view returns (BN256Adapter.PointG2 memory) {
+        return _encodedKeys[user];
+    }
+
+    /**
+     * @notice Returns the message that a user signs to prove they know the secret key of a BLS key
+     * @dev the message includes the chain id, this contract and the user, so a proof of possession cannot be
+     * replayed by another user, on another token or on another chain
+     * @param user the token holder address that registers the key
+     * @param key the BLS public key
+     * @return abi.encode(POSSESSION_TYPEHASH, chainId, address(this), user, key)
+     */
+    function possessionMessage(address user, BN256Adapter.PointG2 memory key) public view returns (bytes memory) {
+        return abi.encode(POSSESSION_TYPEHASH, _chainId(), address(this), user, key);
+    }
+
+    /**
+     * @notice Returns the BalancesCommitment of a shard at the end of a past block
+     * @dev This lets voting contracts reference a snapshot of the balances without copying the commitment
+     * when the snapshot is taken. The lookup is a binary search over the checkpoints of the shard.
+     * @param shard the shard index
+     * @param blockNumber the block number. It must already be mined
+     * @return the balances commitment (the zero point if no balances were committed by then)
+     */
+    function balancesCommitmentAt(uint256 shard, uint256 blockNumber)
+        public
+        view
+        returns (BN256Adapter.PointG1 memory)
+    {
+        require(shard < maxShards, "Invalid shard");
+        require(blockNumber < block.number, "Block not yet mined");
+        uint256 count = _checkpointsUntil(_balancesCheckpointBlocks[shard], blockNumber);
+        if (count == 0) {
+            return BN256Adapter.PointG1(0, 0);
+        }
+        return _balancesCheckpoints[shard][count - 1];
+    }
+
+    /**
+     * @notice Returns the DelegatedWeightsCommitment of a shard at the end of a past block
+     * @dev This is the DelegatedWeightsCommitment version of balancesCommitmentAt
+     * @param shard the shard index
+     * @param blockNumber the block number. It must already be mined
+     * @return the delegated weights commitment (the zero point if no balances were committed by then)
+     */
+    function delegatedWeightsCommitmentAt(uint256 shard, uint256 blockNumber)
+        public
+        view
+        returns (BN256Adapter.PointG1 memory)
+    {
+        require(shard < maxShards, "Invalid shard");
+        require(blockNumber < block.number, "Block not yet mined");
+        uint256 count = _checkpointsUntil(_weightsCheckpointBlocks[shard], blockNumber);
+        if (count == 0) {
+            return BN256Adapter.PointG1(0, 0);
+        }
+        return _weightsCheckpoints[shard][count - 1];
+    }
+
+    /**
+     * @notice Returns the KeysCommitment of a shard at the end of a past block
+     * @dev This is the KeysCommitment version of balancesCommitmentAt
+     * @param shard the shard index
+     * @param blockNumber the block number. It must already be mined
+     * @return the keys commitment (the zero point if no keys were registered by then)
+     */
+    function keysCommitmentAt(uint256 shard, uint256 blockNumber)
+        public
+        view
+        returns (BN256Adapter.PointG2 memory)
+    {
+        require(shard < maxShards, "Invalid shard");
+        require(blockNumber < block.number, "Block not yet mined");
+        uint256 count = _checkpointsUntil(_keysCheckpointBlocks[shard], blockNumber);
+        if (count == 0) {
+            return BN256Adapter.PointG2(0, 0, 0, 0);
+        }
+        return _keysCheckpoints[shard][count - 1];
+    }
+
+    /**
+     * @notice Returns whether the claimed balances match the BalancesCommitment of a shard
+     * @dev this is the off-chain alternative to reading balanceOf for every user in the shard.
+     * The balances and the proof can be produced with lib/balance-oracle.js
+     * @param shard the shard index
+     * @param balances the claimed balance at every position in the shard, starting at position 0 (which is never
+     * used, so it should be zero). Trailing zeros can be omitted
+     * @param proof the opening proof for the balances (see PolynomialCommitment._isOpeningEquation)
+     * @return whether the balances are the committed balances
+     */
+    function verifyBalances(
+        uint256 shard,
+        uint256[] memory balances,
+        BN256Adapter.PointG1 memory proof
+    ) public view returns (bool) {
+        require(shard < maxShards, "Invalid shard");
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](1);
+        equations[0] = _isOpeningEquation(_balancesCommitments[shard], balances, proof);
+        return BN256Adapter.verifyPairingEquations(equations);
+    }
+
+    /**
+     * @notice Returns whether the claimed balances are committed at the specified positions of a shard
+     * @dev this is the alternative to verifyBalances when only a few positions are needed: the proof has a constant
+     * size and the cost grows with the number of opened positions instead of the size of the shard.
+     * The proof can be produced with lib/multi-opening.js
+     * @param shard the shard index
+     * @param positions the opened positions within the shard (see PolynomialCommitment.positionOf)
+     * @param balances the claimed balance at each opened position
+     * @param proof the multi-opening proof (see PolynomialCommitment._isMultiOpeningEquations)
+     * @return whether the balances are the committed balances at those positions
+     */
+    function verifyBalancesAt(
+        uint256 shard,
+        uint256[] memory positions,
+        uint256[] memory balances,
+        MultiOpeningProof memory proof
+    ) public view returns (bool) {
+        require(shard < maxShards, "Invalid shard");
+        BN256Adapter.PairingEquation[5] memory opening = _isMultiOpeningEquations(
+            _balancesCommitments[shard],
+            positions,
+            balances,
+            proof
+        );
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](5);
+        for (uint256 i = 0; i < 5; i++) {
+            equations[i] = opening[i];
+        }
+        return BN256Adapter.verifyPairingEquations(equations);
+    }
+
+    /**
+     * @notice Returns the balance of a registered user from the claimed balances of their shard
+     * @dev this reverts unless the balances are validated by verifyBalances
+     * @param user the token holder address. They must have a BLS key
+     * @param balances the claimed balance at every position in the user's shard
+     * @param proof the opening proof for the balances
+     * @return the balance of the user
+     */
+    function provenBalanceOf(
+        address user,
+        uint256[] memory balances,
+        BN256Adapter.PointG1 memory proof
+    ) public view returns (uint256) {
+        uint256 index = indexOf[user];
+        require(index != 0, "User does not have a BLS key");
+        require(verifyBalances(shardOf(index), balances, proof), "Invalid balances proof");
+        uint256 position = positionOf(index);
+        return position < balances.length ? balances[position] : 0;
     }
 
     /**
      * @notice Register a new BLS public key
      * @dev the key is associated with the message sender (in indexOf) and added
-     * to the KeysCommitment. If the message sender's balance is non-zero, the
-     * BalancesCommitment is updated accordingly.
-     * This function reverts if the message sender already has a BLS key.
-     * It also reverts if the commitments are full (all positions are used).
-     * In a production deployment, it could start another Commitment instead.
-     * The parameters are [PUBLIC_KEY], s^(index)⋅[PUBLIC_KEY] and s^(MAX_DEGREE)⋅[PUBLIC_KEY]
+     * to the KeysCommitment of the corresponding shard. If the message sender's balance is non-zero, the
+     * BalancesCommitment of the shard is updated accordingly.
+     * This function reverts if the message sender already has a BLS key (use rotateKey to replace it).
+     * It also reverts if every position in all maxShards shards is used.
+     * This uses the hardened (bα) registration described in the README. Instead of revealing
+     * s^(MAX_DEGREE)⋅[PUBLIC_KEY], which could be combined with the other published keys to craft
+     * a ComplementCommitment, the user chooses a random secret α and proves that:
+     * - the encodedKey is the key shifted to the registration index
+     * - α⋅[P1] and (α)(s^MAX_DEGREE)⋅[P1] are consistent, so α⋅[P1] only has a constant term
+     * - the encodingArtifact is the key scaled by (α)(s^MAX_DEGREE), so the key only has a constant term
+     * Together, these imply the encodedKey only affects the record at the specified index
+     * The parameters are [PUBLIC_KEY], s^(position)⋅[PUBLIC_KEY], α⋅[P1], (α)(s^MAX_DEGREE)⋅[P1]
+     * and (α)(s^MAX_DEGREE)⋅[PUBLIC_KEY], where position is the position of the index within its shard
      *  Note: s and MAX_DEGREE are properties of the trusted setup
-     * In practice, the last two parameters would be obtained by signing the points
-     * returned by registrationArtifacts()
+     * In practice, the group 2 parameters would be obtained by signing the points returned by
+     * registrationArtifacts() (after scaling the boundaryArtifact by α)
+     * The encoding proofs do not show that the user knows the secret key of the (encoded) key. A rogue key, chosen
+     * so that the sum of their encoded key and another user's encoded key has a known secret, would let them forge
+     * aggregate votes that include the other user. Producing a rogue key that passes the encoding proofs requires
+     * the secret of the trusted setup, so as defence in depth (in case that secret leaks), the user must also sign
+     * possessionMessage(msg.sender, key) with the key (a proof of possession)
      * @param key the BLS public key to register
      * @param encodedKey the BLS public key encoded for inclusion in KeysCommitment
+     * @param blinding the point α⋅[P1] for the user's secret α
+     * @param blindedBoundary the point (α)(s^MAX_DEGREE)⋅[P1]
      * @param encodingArtifact an artifact used to validate consistency of the encoding
+     * @param possessionProof the BLS signature of possessionMessage(msg.sender, key)
      */
     function register(
         BN256Adapter.PointG2 memory key,
         BN256Adapter.PointG2 memory encodedKey,
-        BN256Adapter.PointG2 memory encodingArtifact
+        BN256Adapter.PointG1 memory blinding,
+        BN256Adapter.PointG1 memory blindedBoundary,
+        BN256Adapter.PointG2 memory encodingArtifact,
+        BN256Adapter.PointG1 memory possessionProof
     ) public {
-        // It would be more natural to replace the BLS key instead of reverting
-        // However, this would require knowing the key, which means the contract
-        // would need to save it in storage or validate a key provided by the user
-        // Since this code base is intended to be informational, and replacing keys
-        // offers minimal explanatory value, we just prohibit the use case
         require(indexOf[msg.sender] == 0, "User already has a BLS key");
+        _requireValidPoints(key, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof);
+        _requireProofOfPossession(key, possessionProof);
 
         uint256 index = nextFreeIndex.current();
         nextFreeIndex.increment();
 
-        // In a production deployment, we could start another Commitment instead
-        require(index < DATA_ARRAY_SIZE, "Too many registered users");
+        require(shardOf(index) < maxShards, "Too many registered users");
         indexOf[msg.sender] = index;
 
         // before adding the encoded key to the KeysCommitment, we should ensure
-        // that it only affects the record at the specified index
-        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](2);
-        BN256Adapter.PairingEquation[2] memory keysEqns = _isSingleValueEquations(
-            encodedKey,
-            index,
-            key,
-            encodingArtifact
-        );
-        equations[0] = keysEqns[0];
-        equations[1] = keysEqns[1];
-        require(
-            BN256Adapter.verifyPairingEquations(equations),
-            "Cannot register key. Invalid proof provided"
-        );
+        // that it only affects the record at the specified position
+        _requireValidEncoding(positionOf(index), key, encodedKey, blinding, blindedBoundary, encodingArtifact);
 
         // add the encoded key to the keys commitment
+        _addToKeys(shardOf(index), encodedKey);
+        _encodedKeys[msg.sender] = encodedKey;
+
+        // add the user's balance to the balances commitment
+        uint256 balance = balanceOf(msg.sender);
+        if (balance != 0) {
+            _addToBalances(shardOf(index), _balanceTerm(index, balance));
+        }
+
+        // the user's own index now votes with their balance, unless they delegated it
+        if (delegateOf[msg.sender] == 0) {
+            _moveWeight(0, index, balance);
+        }
+        _checkpointVotingIndex(msg.sender);
+        emit KeyRegistered(msg.sender, index, encodedKey);
+    }
+
+    /**
+     * @notice Replace the message sender's BLS public key
+     * @dev the old encoded key is subtracted from the KeysCommitment and the new one is added in its place.
+     * The new key is validated exactly like a registration, at the user's existing position,
+     * so the artifacts should be obtained from rotationArtifacts(msg.sender), and it requires a proof of possession
+     * of the new key.
+     * The balances are not affected.
+     * Voting contracts that already copied the KeysCommitment still use the old key.
+     * @param key the new BLS public key
+     * @param encodedKey the new BLS public key encoded for inclusion in KeysCommitment
+     * @param blinding the point α⋅[P1] for the user's secret α
+     * @param blindedBoundary the point (α)(s^MAX_DEGREE)⋅[P1]
+     * @param encodingArtifact an artifact used to validate consistency of the encoding
+     * @param possessionProof the BLS signature of possessionMessage(msg.sender, key)
+     */
+    function rotateKey(
+        BN256Adapter.PointG2 memory key,
+        BN256Adapter.PointG2 memory encodedKey,
+        BN256Adapter.PointG1 memory blinding,
+        BN256Adapter.PointG1 memory blindedBoundary,
+        BN256Adapter.PointG2 memory encodingArtifact,
+        BN256Adapter.PointG1 memory possessionProof
+    ) public {
+        uint256 index = indexOf[msg.sender];
+        require(index != 0, "User does not have a BLS key");
+        _requireValidPoints(key, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof);
+        _requireProofOfPossession(key, possessionProof);
+
+        _requireValidEncoding(positionOf(index), key, encodedKey, blinding, blindedBoundary, encodingArtifact);
+
+        // replace the old encoded key in the keys commitment
         BN256Adapter.PointG2[] memory keyComms = new BN256Adapter.PointG2[](2);
-        keyComms[0] = _keysCommitment;
+        keyComms[0] = BN256Adapter.neg(_encodedKeys[msg.sender]);
         keyComms[1] = encodedKey;
-        _keysCommitment = BN256Adapter.sum(keyComms);
+        _addToKeys(shardOf(index), BN256Adapter.sum(keyComms));
+        _encodedKeys[msg.sender] = encodedKey;
+        emit KeyRegistered(msg.sender, index, encodedKey);
+    }
 
-        // add the user's balance to the balances commitment
+    /**
+     * @notice Remove the message sender's BLS public key
+     * @dev the encoded key is subtracted from the KeysCommitment and the user's balance is subtracted
+     * from the BalancesCommitment, so their position in both commitments becomes zero.
+     * The position is not reused. If the user registers again, they are assigned the next free index.
+     * Voting contracts that already copied the commitments still include the user.
+     */
+    function deregister() public {
+        uint256 index = indexOf[msg.sender];
+        require(index != 0, "User does not have a BLS key");
+
+        // remove the encoded key from the keys commitment
+        _addToKeys(shardOf(index), BN256Adapter.neg(_encodedKeys[msg.sender]));
+        delete _encodedKeys[msg.sender];
+
+        // remove the user's balance from the balances commitment
         uint256 balance = balanceOf(msg.sender);
         if (balance != 0) {
-            BN256Adapter.PointG1[] memory balanceComms = new BN256Adapter.PointG1[](2);
-            balanceComms[0] = _balancesCommitment;
-            balanceComms[1] = BN256Adapter.multiply(trustedSetup.S1(index), balance);
-            _balancesCommitment = BN256Adapter.sum(balanceComms);
+            _addToBalances(shardOf(index), BN256Adapter.neg(_balanceTerm(index, balance)));
+        }
+
+        // remove the user's own weight. Any balances delegated to the index remain there until they are re-delegated
+        if (delegateOf[msg.sender] == 0) {
+            _moveWeight(index, 0, balance);
         }
+
+        // subsequent transfers should not affect the commitments
+        indexOf[msg.sender] = 0;
+        _checkpointVotingIndex(msg.sender);
+    }
+
+    /**
+     * @notice Delegate the message sender's voting weight to a registered index
+     * @dev the message sender's balance is moved from their current voting index (see votingIndexOf) to the
+     * delegate in the DelegatedWeightsCommitment, and subsequent transfers update the delegate's weight.
+     * The BalancesCommitment is not affected. The message sender does not need a BLS key, and they can
+     * re-delegate at any time. Delegations are not transitive: the delegate's own balance is unaffected.
+     * If the delegate deregisters, the delegated weight stays at their (unused) position until it is re-delegated.
+     * Voting contracts that already copied the commitments still use the previous delegation.
+     * @param index the index of the delegate (a registered index in any shard)
+     */
+    function delegate(uint256 index) public {
+        require(index != 0 && index < nextFreeIndex.current(), "Unknown delegate");
+        _setDelegate(index);
+    }
+
+    /**
+     * @notice Return the message sender's voting weight to their own index
+     * @dev if the message sender does not have a BLS key, their balance no longer counts as voting weight
+     */
+    function undelegate() public {
+        require(delegateOf[msg.sender] != 0, "Voting weight is not delegated");
+        _setDelegate(0);
     }
 
     /**
      * @notice Generates the artifacts required to register a new BLS key
-     * @dev The artifacts are s^(index)⋅[P2] and s^(MAX_DEGREE)⋅[P2]
+     * @dev The artifacts are s^(position)⋅[P2], s^(MAX_DEGREE)⋅[P2] and s^(MAX_DEGREE)⋅[P1], where position
+     * is the position of the next free index within its shard
      *  Note: s and MAX_DEGREE are properties of the trusted setup
-     * These points should be signed by the user's wallet, to become
-     * PRIVATE_KEY⋅s^(index)⋅[P2] and PRIVATE_KEY⋅s^(MAX_DEGREE)⋅[P2] or, equivalently
-     * s^(index)⋅[PUBLIC_KEY] and s^(MAX_DEGREE)⋅[PUBLIC_KEY], which can be passed to the register function
+     * The user should choose a random secret α and scale the last two artifacts by it.
+     * The group 2 points should then be signed by the user's wallet, to become
+     * s^(position)⋅[PUBLIC_KEY] and (α)(s^MAX_DEGREE)⋅[PUBLIC_KEY], which can be passed to the register function
+     * along with α⋅[P1] and (α)(s^MAX_DEGREE)⋅[P1]
      * This does not handle race conditions where someone else registers their key in the
      * same position. If that occurs, this function will need to be called again to generate
      * new artifacts.
      * @return the positionArtifact, which will become the encodedKey for the register function when signed
-     * @return the boundaryArtifact, which will become the encodingArtifact for the register function when signed
+     * @return the boundaryArtifact, which will become the encodingArtifact for the register function when scaled and signed
+     * @return the blindingArtifact, which will become the blindedBoundary for the register function when scaled
      */
     function registrationArtifacts()
         public
         view
-        returns (BN256Adapter.PointG2 memory, BN256Adapter.PointG2 memory)
+        returns (
+            BN256Adapter.PointG2 memory,
+            BN256Adapter.PointG2 memory,
+            BN256Adapter.PointG1 memory
+        )
     {
         return (
-            trustedSetup.S2(nextFreeIndex.current()),
-            trustedSetup.S2(trustedSetup.MAX_DEGREE())
+            _S2(positionOf(nextFreeIndex.current())),
+            _S2(trustedSetup.MAX_DEGREE()),
+            _S1(trustedSetup.MAX_DEGREE())
         );
     }
 
     /**
-     * @notice update the BalancesCommitment whenever token balances change
+     * @notice Generates the artifacts required to rotate a user's BLS key
+     * @dev These are the same as the registrationArtifacts, except the positionArtifact uses the
+     * position of the user's existing index: s^(positionOf(indexOf[user]))⋅[P2]
+     * @param user the token holder address
+     * @return the positionArtifact, which will become the encodedKey for the rotateKey function when signed
+     * @return the boundaryArtifact, which will become the encodingArtifact for the rotateKey function when scaled and signed
+     * @return the blindingArtifact, which will become the blindedBoundary for the rotateKey function when scaled
+     */
+    function rotationArtifacts(address user)
+        public
+        view
+        returns (
+            BN256Adapter.PointG2 memory,
+            BN256Adapter.PointG2 memory,
+            BN256Adapter.PointG1 memory
+        )
+    {
+        require(indexOf[user] != 0, "User does not have a BLS key");
+        return (
+            _S2(positionOf(indexOf[user])),
+            _S2(trustedSetup.MAX_DEGREE()),
+            _S1(trustedSetup.MAX_DEGREE())
+        );
+    }
+
+    /**
+     * @notice update the BalancesCommitment, the DelegatedWeightsCommitment and the balance checkpoints
+     * whenever token balances change
      * @dev this is called before every transfer, mint or burn operation
      * @param from the source address (zero for minting)
      * @param to the recipient address (zero for burning)
@@ -221,21 +690,304 @@ contract CommitmentToken is PolynomialCommitment, ERC20 {
             return;
         }
 
-        BN256Adapter.PointG1[] memory balanceComms = new BN256Adapter.PointG1[](2);
+        // the balances are only updated after this hook. An amount that exceeds the sender's balance makes the
+        // transfer revert afterwards, which discards the (wrapped) checkpoint
+        if (from != address(0)) {
+            _checkpointBalance(from, balanceOf(from) - amount);
+        }
+        if (to != address(0)) {
+            _checkpointBalance(to, to == from ? balanceOf(to) : balanceOf(to) + amount);
+        }
+
         if (indexOf[from] != 0) {
-            // reduce the corresponding entry in the Balances commitment
-            balanceComms[0] = _balancesCommitment;
-            balanceComms[1] = BN256Adapter.neg(
-                BN256Adapter.multiply(trustedSetup.S1(indexOf[from]), amount)
-            );
-            _balancesCommitment = BN256Adapter.sum(balanceComms);
+            // reduce the corresponding entry in the Balances commitment of the sender's shard
+            _addToBalances(shardOf(indexOf[from]), BN256Adapter.neg(_balanceTerm(indexOf[from], amount)));
         }
 
         if (indexOf[to] != 0) {
-            // increase the corresponding entry in the Balances commitment
-            balanceComms[0] = _balancesCommitment;
-            balanceComms[1] = BN256Adapter.multiply(trustedSetup.S1(indexOf[to]), amount);
-            _balancesCommitment = BN256Adapter.sum(balanceComms);
+            // increase the corresponding entry in the Balances commitment of the recipient's shard
+            _addToBalances(shardOf(indexOf[to]), _balanceTerm(indexOf[to], amount));
+        }
+
+        // the tokens also move between the voting indices of the sender and the recipient
+        _moveWeight(votingIndexOf(from), votingIndexOf(to), amount);
+    }
+
+    /**
+     * @notice Change the message sender's delegate and move their balance accordingly
+     * @param index the new delegate (zero to remove the delegation)
+     */
+    function _setDelegate(uint256 index) internal {
+        uint256 previous = delegateOf[msg.sender];
+        uint256 fromIndex = votingIndexOf(msg.sender);
+        delegateOf[msg.sender] = index;
+        _moveWeight(fromIndex, votingIndexOf(msg.sender), balanceOf(msg.sender));
+        _checkpointVotingIndex(msg.sender);
+        emit DelegateChanged(msg.sender, previous, index);
+    }
+
+    /**
+     * @notice Move voting weight between two indices in the DelegatedWeightsCommitments
+     * @param fromIndex the index that loses the weight (zero if the weight was not counted)
+     * @param toIndex the index that gains the weight (zero if the weight should no longer be counted)
+     * @param amount the amount of tokens
+     */
+    function _moveWeight(
+        uint256 fromIndex,
+        uint256 toIndex,
+        uint256 amount
+    ) internal {
+        if (amount == 0 || fromIndex == toIndex) {
+            return;
+        }
+        if (fromIndex != 0) {
+            _addToWeights(shardOf(fromIndex), BN256Adapter.neg(_balanceTerm(fromIndex, amount)));
+        }
+        if (toIndex != 0) {
+            _addToWeights(shardOf(toIndex), _balanceTerm(toIndex, amount));
+        }
+    }
+
+    /**
+     * @notice Returns the contribution of an amount of tokens at the specified index to its BalancesCommitment
+     * @param index the index of the token holder
+     * @param amount the amount of tokens
+     * @return the point (amount)(s^position)⋅[P1], where position is the position of the index within its shard
+     */
+    function _balanceTerm(uint256 index, uint256 amount) internal view returns (BN256Adapter.PointG1 memory) {
+        return _commitSingleValueG1(amount, positionOf(index));
+    }
+
+    /**
+     * @notice Add a term to the BalancesCommitment of a shard, and checkpoint the result
+     * @param shard the shard index
+     * @param term the point to add
+     */
+    function _addToBalances(uint256 shard, BN256Adapter.PointG1 memory term) internal {
+        BN256Adapter.PointG1[] memory balanceComms = new BN256Adapter.PointG1[](2);
+        balanceComms[0] = _balancesCommitments[shard];
+        balanceComms[1] = term;
+        _balancesCommitments[shard] = BN256Adapter.sum(balanceComms);
+        _checkpointBalances(shard);
+    }
+
+    /**
+     * @notice Add a term to the DelegatedWeightsCommitment of a shard, and checkpoint the result
+     * @param shard the shard index
+     * @param term the point to add
+     */
+    function _addToWeights(uint256 shard, BN256Adapter.PointG1 memory term) internal {
+        BN256Adapter.PointG1[] memory weightComms = new BN256Adapter.PointG1[](2);
+        weightComms[0] = _delegatedWeightsCommitments[shard];
+        weightComms[1] = term;
+        _delegatedWeightsCommitments[shard] = BN256Adapter.sum(weightComms);
+        _checkpointWeights(shard);
+    }
+
+    /**
+     * @notice Add a term to the KeysCommitment of a shard, and checkpoint the result
+     * @param shard the shard index
+     * @param term the point to add
+     */
+    function _addToKeys(uint256 shard, BN256Adapter.PointG2 memory term) internal {
+        BN256Adapter.PointG2[] memory keyComms = new BN256Adapter.PointG2[](2);
+        keyComms[0] = _keysCommitments[shard];
+        keyComms[1] = term;
+        _keysCommitments[shard] = BN256Adapter.sum(keyComms);
+        _checkpointKeys(shard);
+    }
+
+    /**
+     * @notice Reverts unless every point supplied to register or rotateKey is in its group
+     * @dev the encoded key is added to the KeysCommitment, so a point outside G2 would corrupt it for every user
+     * @param key the BLS public key
+     * @param encodedKey the BLS public key encoded for inclusion in KeysCommitment
+     * @param blinding the point α⋅[P1] for the user's secret α
+     * @param blindedBoundary the point (α)(s^MAX_DEGREE)⋅[P1]
+     * @param encodingArtifact the point (α)(s^MAX_DEGREE)⋅[PUBLIC_KEY]
+     * @param possessionProof the BLS signature of possessionMessage(msg.sender, key)
+     */
+    function _requireValidPoints(
+        BN256Adapter.PointG2 memory key,
+        BN256Adapter.PointG2 memory encodedKey,
+        BN256Adapter.PointG1 memory blinding,
+        BN256Adapter.PointG1 memory blindedBoundary,
+        BN256Adapter.PointG2 memory encodingArtifact,
+        BN256Adapter.PointG1 memory possessionProof
+    ) internal view {
+        BN256Adapter.requireValid(key);
+        BN256Adapter.requireValid(encodedKey);
+        BN256Adapter.requireValid(blinding);
+        BN256Adapter.requireValid(blindedBoundary);
+        BN256Adapter.requireValid(encodingArtifact);
+        BN256Adapter.requireValid(possessionProof);
+    }
+
+    /**
+     * @notice Reverts unless the proof of possession is a valid BLS signature of possessionMessage(msg.sender, key)
+     * @dev the point at infinity is rejected, since it would verify with a signature at infinity
+     * @param key the BLS public key
+     * @param possessionProof the BLS signature
+     */
+    function _requireProofOfPossession(BN256Adapter.PointG2 memory key, BN256Adapter.PointG1 memory possessionProof)
+        internal
+        view
+        virtual
+    {
+        require(
+            !BN256Adapter.isInfinity(key) &&
+                BN256Adapter.verify(possessionMessage(msg.sender, key), possessionProof, key),
+            "Invalid proof of possession"
+        );
+    }
+
+    /**
+     * @notice Reverts unless the encoded key only affects the record at the specified index
+     * @dev this uses the hardened (bα) proof described in register
+     * @param position the position of the key in the KeysCommitment of its shard
+     * @param key the BLS public key
+     * @param encodedKey the BLS public key encoded for inclusion in KeysCommitment
+     * @param blinding the point α⋅[P1] for the user's secret α
+     * @param blindedBoundary the point (α)(s^MAX_DEGREE)⋅[P1]
+     * @param encodingArtifact the point (α)(s^MAX_DEGREE)⋅[PUBLIC_KEY]
+     */
+    function _requireValidEncoding(
+        uint256 position,
+        BN256Adapter.PointG2 memory key,
+        BN256Adapter.PointG2 memory encodedKey,
+        BN256Adapter.PointG1 memory blinding,
+        BN256Adapter.PointG1 memory blindedBoundary,
+        BN256Adapter.PointG2 memory encodingArtifact
+    ) internal view {
+        // α = 0 would satisfy the boundary equations for any key
+        require(!BN256Adapter.isInfinity(blinding), "Cannot register key. Invalid proof provided");
+
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](3);
+        equations[0] = _isShiftEquation(key, encodedKey, position);
+        equations[1] = _isShiftEquation(blinding, blindedBoundary, trustedSetup.MAX_DEGREE());
+        // the pairing check is transformed as follows
+        //    e((α)(s^MAX_DEGREE)⋅[P1], [PUBLIC_KEY]) == e([P1], encodingArtifact)
+        // => e((α)(s^MAX_DEGREE)⋅[P1], [PUBLIC_KEY]) * e(-1⋅[P1], encodingArtifact) == 1
+        equations[2] = BN256Adapter.PairingEquation({
+            A: blindedBoundary,
+            B: key,
+            C: BN256Adapter.negP1(),
+            D: encodingArtifact
+        });
+        require(
+            BN256Adapter.verifyPairingEquations(equations),
+            "Cannot register key. Invalid proof provided"
+        );
+    }
+
+    /**
+     * @notice Returns the id of the current chain
+     * @return chainId the chain id
+     */
+    function _chainId() internal pure returns (uint256 chainId) {
+        assembly {
+            chainId := chainid()
+        }
+    }
+
+    /**
+     * @notice Record the current BalancesCommitment of a shard as the value at the end of this block
+     * @dev If the commitment already changed in this block, the existing checkpoint is overwritten
+     * @param shard the shard index
+     */
+    function _checkpointBalances(uint256 shard) internal {
+        uint256[] storage blocks = _balancesCheckpointBlocks[shard];
+        uint256 count = blocks.length;
+        if (count == 0 || blocks[count - 1] != block.number) {
+            blocks.push(block.number);
+            count++;
+        }
+        _balancesCheckpoints[shard][count - 1] = _balancesCommitments[shard];
+    }
+
+    /**
+     * @notice Record the current DelegatedWeightsCommitment of a shard as the value at the end of this block
+     * @dev If the commitment already changed in this block, the existing checkpoint is overwritten
+     * @param shard the shard index
+     */
+    function _checkpointWeights(uint256 shard) internal {
+        uint256[] storage blocks = _weightsCheckpointBlocks[shard];
+        uint256 count = blocks.length;
+        if (count == 0 || blocks[count - 1] != block.number) {
+            blocks.push(block.number);
+            count++;
+        }
+        _weightsCheckpoints[shard][count - 1] = _delegatedWeightsCommitments[shard];
+    }
+
+    /**
+     * @notice Record the current KeysCommitment of a shard as the value at the end of this block
+     * @dev If the commitment already changed in this block, the existing checkpoint is overwritten
+     * @param shard the shard index
+     */
+    function _checkpointKeys(uint256 shard) internal {
+        uint256[] storage blocks = _keysCheckpointBlocks[shard];
+        uint256 count = blocks.length;
+        if (count == 0 || blocks[count - 1] != block.number) {
+            blocks.push(block.number);
+            count++;
+        }
+        _keysCheckpoints[shard][count - 1] = _keysCommitments[shard];
+    }
+
+    /**
+     * @notice Record the current voting index of a user as the value at the end of this block
+     * @dev If the voting index already changed in this block, the existing checkpoint is overwritten
+     * @param user the token holder address
+     */
+    function _checkpointVotingIndex(address user) internal {
+        uint256[] storage blocks = _votingIndexCheckpointBlocks[user];
+        uint256 count = blocks.length;
+        if (count == 0 || blocks[count - 1] != block.number) {
+            blocks.push(block.number);
+            count++;
+        }
+        _votingIndexCheckpoints[user][count - 1] = votingIndexOf(user);
+    }
+
+    /**
+     * @notice Record the balance of a token holder as the value at the end of this block
+     * @dev If the balance already changed in this block, the existing checkpoint is overwritten
+     * @param user the token holder address
+     * @param balance the balance after the current transfer
+     */
+    function _checkpointBalance(address user, uint256 balance) internal {
+        uint256[] storage blocks = _balanceCheckpointBlocks[user];
+        uint256 count = blocks.length;
+        if (count == 0 || blocks[count - 1] != block.number) {
+            blocks.push(block.number);
+            count++;
+        }
+        _balanceCheckpoints[user][count - 1] = balance;
+    }
+
+    /**
+     * @notice Returns the number of checkpoints that were recorded at or before the specified block
+     * @dev this is a binary search, so it only reads a logarithmic number of storage slots
+     * @param blocks the (ascending) checkpoint block numbers
+     * @param blockNumber the block number
+     * @return the number of checkpoints. The relevant checkpoint is at position (count - 1)
+     */
+    function _checkpointsUntil(uint256[] storage blocks, uint256 blockNumber)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 low = 0;
+        uint256 high = blocks.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (blocks[mid] > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
         }
+        return low;
     }
 }
@@ -0,0 +1,362 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.6.0;
+pragma experimental ABIEncoderV2;
+
+import "./BN256Adapter.sol";
+import "./CommitmentToken.sol";
+import "./AggregateVoting.sol";
+
+/**
+ * A version of the AggregateVoting contract where users choose between a list of options instead of
+ * supporting or opposing the topic.
+ *
+ * Each vote is a (option, rank) pair, which is represented by its own digest (see optionDigest). This means
+ * every signature is bound to the chosen option index, and the votes for each pair are aggregated, submitted
+ * and tallied exactly like one side of an AggregateVoting round:
+ * - Single ballots: each voter chooses one option (with rank 0)
+ * - Approval ballots: each voter chooses any number of options (with rank 0)
+ * - Ranked ballots: each voter orders some of the options. The option at rank r receives (rankCount - r) points
+ *   per token, so the score of an option is the sum of the points it receives (a Borda count)
+ * The tally of each option is validated against the DelegatedWeightsCommitments with a constant number of pairings
+ * per rank and shard, regardless of the number of voters.
+ *
+ * The aggregates list the indices of their voters, so the contract enforces the ballot type: each voter can choose
+ * one option (Single ballots), each option once (Approval ballots), or each option and each rank once (Ranked
+ * ballots). A voter that signs more choices than the ballot type allows is only counted for the first one submitted.
+ */
+contract MultiChoiceVoting is AggregateVoting {
+    using BN256Adapter for BN256Adapter.PointG1;
+    using BN256Adapter for BN256Adapter.PointG2;
+
+    enum BallotType {Single, Approval, Ranked}
+
+    // The names of the options that users are voting on
+    string[] public options;
+
+    // The way voters may choose between the options
+    BallotType public ballotType;
+
+    // The aggregate vote for each (option, rank) pair: the (reversed) selection commitments of the users that chose
+    // the pair by shard, the complement of the combined selection and the combined signature
+    mapping(uint256 => Aggregate) internal _optionAggregates;
+
+    // Whether an aggregate vote has been submitted for each (option, rank) pair
+    mapping(uint256 => bool) internal _isOptionAggregated;
+
+    // Whether the voter at each index has chosen each option (at any rank), by option.
+    // Single ballots record every voter in isAggregatedVoter instead
+    mapping(uint256 => mapping(uint256 => bool)) internal _optionVoters;
+
+    // Whether the voter at each index has used each rank (on any option), by rank. This is only used by Ranked ballots
+    mapping(uint256 => mapping(uint256 => bool)) internal _rankVoters;
+
+    // The token weight that chose each (option, rank) pair. This is only meaningful after the option is tallied
+    mapping(uint256 => uint256) internal _optionWeights;
+
+    // The sum of the points received by each option. This is only meaningful after the option is tallied
+    mapping(uint256 => uint256) public scoreOf;
+
+    // Whether the tally of each option has been submitted
+    mapping(uint256 => bool) public isOptionTallied;
+
+    /**
+     * @param _token the token that tracks the balances and BLS keys of the voters
+     * @param _topic the question that users are voting on
+     * @param _options the names of the options
+     * @param _ballotType the way voters may choose between the options
+     * @param _votingPeriod the number of blocks (after this one) in which aggregate votes can be submitted
+     */
+    constructor(
+        CommitmentToken _token,
+        string memory _topic,
+        string[] memory _options,
+        BallotType _ballotType,
+        uint256 _votingPeriod
+    ) public AggregateVoting(_token, _topic, _votingPeriod) {
+        require(_options.length >= 2, "At least two options are required");
+        options = _options;
+        ballotType = _ballotType;
+    }
+
+    /**
+     * @notice Returns the number of options
+     * @return the number of options
+     */
+    function optionCount() public view returns (uint256) {
+        return options.length;
+    }
+
+    /**
+     * @notice Returns the names of all the options
+     * @return the options
+     */
+    function getOptions() public view returns (string[] memory) {
+        return options;
+    }
+
+    /**
+     * @notice Returns the number of ranks a voter can assign
+     * @dev Ranked ballots can rank every option. Single and Approval ballots only use rank 0
+     * @return the number of ranks
+     */
+    function rankCount() public view returns (uint256) {
+        return ballotType == BallotType.Ranked ? options.length : 1;
+    }
+
+    /**
+     * @notice Returns the points per token that an option receives when it is chosen at the specified rank
+     * @param rank the rank (0 is the most preferred)
+     * @return the points
+     */
+    function pointsOf(uint256 rank) public view returns (uint256) {
+        require(rank < rankCount(), "Invalid rank");
+        return rankCount() - rank;
+    }
+
+    /**
+     * @notice Returns the scalar 𝛿 that represents choosing an option at the specified rank
+     * @dev this is distinct for every (option, rank) pair, so a signature cannot be used for another option.
+     * The option of the vote message (see voteMessage) is the pair's choice id: option * rankCount() + rank.
+     * The yes/no interface is disabled, so these messages cannot be confused with the YES_OPTION and NO_OPTION votes
+     * @param option the index of the option
+     * @param rank the rank (always 0 for Single and Approval ballots)
+     * @return the vote digest
+     */
+    function optionDigest(uint256 option, uint256 rank) public view returns (uint256) {
+        return _messageDigest(_choiceId(option, rank));
+    }
+
+    /**
+     * @notice Generates the artifact that a voter should sign to choose an option at the specified rank
+     * @dev The artifact is (𝛿)(s^position)⋅[P1], where 𝛿 is the option digest and position is the
+     * position of the voter's index within their shard.
+     * This point should be signed by the user's wallet to become (PRIVATE_KEY)(𝛿)(s^position)⋅[P1]
+     * @param index the voter's index in the commitments
+     * @param option the index of the option
+     * @param rank the rank (always 0 for Single and Approval ballots)
+     * @return the voting artifact
+     */
+    function optionArtifact(
+        uint256 index,
+        uint256 option,
+        uint256 rank
+    ) public view returns (BN256Adapter.PointG1 memory) {
+        return _commitSingleValueG1(optionDigest(option, rank), positionOf(index));
+    }
+
+    /**
+     * @notice Returns the (reversed) selection commitments of the aggregate vote for an (option, rank) pair
+     * @param option the index of the option
+     * @param rank the rank
+     * @return the selection commitment of each shard (or an empty list if no aggregate has been submitted)
+     */
+    function optionSelectionOf(uint256 option, uint256 rank)
+        public
+        view
+        returns (BN256Adapter.PointG2[] memory)
+    {
+        return _optionAggregates[_choiceId(option, rank)].selections;
+    }
+
+    /**
+     * @notice Returns whether an aggregate vote has been submitted for an (option, rank) pair
+     * @param option the index of the option
+     * @param rank the rank
+     * @return whether the pair has an aggregate vote
+     */
+    function isOptionAggregated(uint256 option, uint256 rank) public view returns (bool) {
+        return _isOptionAggregated[_choiceId(option, rank)];
+    }
+
+    /**
+     * @notice Returns the token weight that chose an (option, rank) pair
+     * @param option the index of the option
+     * @param rank the rank
+     * @return the weight. This is only meaningful after the option is tallied
+     */
+    function optionWeightOf(uint256 option, uint256 rank) public view returns (uint256) {
+        return _optionWeights[_choiceId(option, rank)];
+    }
+
+    /**
+     * @notice Votes must choose an option. Use submitOptionAggregate instead
+     */
+    function submitAggregate(
+        bool,
+        uint256[] memory,
+        BN256Adapter.PointG2[] memory,
+        BN256Adapter.PointG2 memory,
+        BN256Adapter.PointG1 memory
+    ) public override {
+        revert("Votes must choose an option");
+    }
+
+    /**
+     * @notice Tallies must specify an option. Use submitOptionTally instead
+     */
+    function submitTally(
+        uint256[] memory,
+        DotProductProof[] memory,
+        uint256[] memory,
+        DotProductProof[] memory
+    ) public override {
+        revert("Tallies must specify an option");
+    }
+
+    /**
+     * @notice Individual votes are not supported in this version
+     */
+    function _castIndividualVote(address, bool) internal override {
+        revert("Votes must choose an option");
+    }
+
+    /**
+     * @notice Submit an aggregate vote for an (option, rank) pair
+     * @dev This is validated like AggregateVoting.submitAggregate, using the option digest.
+     * A subsequent submission for the same pair extends the recorded aggregate with additional voters.
+     * The submission is rejected if any of the voters already made a choice that the ballot type does not allow
+     * in combination with this one.
+     * @param option the index of the option
+     * @param rank the rank (always 0 for Single and Approval ballots)
+     * @param indices the indices of the voters that chose the pair
+     * @param selections the reversed selection commitment of each shard, for the voters that chose the pair
+     * @param complement the sum of the encoded keys of every registered user (in every shard) that is not in the
+     * combined selection
+     * @param signature the sum of the signed option artifacts of every user in the selection
+     */
+    function submitOptionAggregate(
+        uint256 option,
+        uint256 rank,
+        uint256[] memory indices,
+        BN256Adapter.PointG2[] memory selections,
+        BN256Adapter.PointG2 memory complement,
+        BN256Adapter.PointG1 memory signature
+    ) public {
+        require(block.number <= votingDeadline, "Voting period has ended");
+        require(selections.length == shardCount, "A selection is required for every shard");
+        _requireValidAggregate(selections, complement, signature);
+
+        uint256 id = _choiceId(option, rank);
+        if (ballotType == BallotType.Single) {
+            _recordVoters(isAggregatedVoter, indices);
+        } else {
+            _recordVoters(_optionVoters[option], indices);
+            if (ballotType == BallotType.Ranked) {
+                _recordVoters(_rankVoters[rank], indices);
+            }
+        }
+        require(
+            _extendAggregate(
+                _optionAggregates[id],
+                optionDigest(option, rank),
+                indices,
+                selections,
+                complement,
+                signature
+            ),
+            "Invalid aggregate signature"
+        );
+        _isOptionAggregated[id] = true;
+    }
+
+    /**
+     * @notice Checks whether the users in the aggregate vote for an (option, rank) pair hold exactly weight tokens
+     * @dev this lets aggregators validate a proof before submitting the tally
+     * @param option the index of the option
+     * @param rank the rank
+     * @param weights the claimed token weight in each shard
+     * @param proofs the proof that each weight is the dot product of the balances and the selection of its shard
+     * @return whether the proof is valid. This is false if no aggregate has been submitted for that pair
+     */
+    function isValidOptionTally(
+        uint256 option,
+        uint256 rank,
+        uint256[] memory weights,
+        DotProductProof[] memory proofs
+    ) public view returns (bool) {
+        uint256 id = _choiceId(option, rank);
+        if (!_isOptionAggregated[id] || !_isWellFormedTally(weights, proofs)) {
+            return false;
+        }
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](3 * shardCount);
+        _addTallyEquations(equations, 0, _optionAggregates[id].selections, weights, proofs);
+        return BN256Adapter.verifyPairingEquations(equations);
+    }
+
+    /**
+     * @notice Submit the token weight that chose an option at every rank, along with proofs that
+     * they correspond to the submitted aggregate votes
+     * @dev the weights are validated against the DelegatedWeightsCommitments with a constant number of
+     * pairing checks per rank and shard. If no aggregate vote was submitted for a rank, its weights must be zero
+     * (or empty) and the corresponding proofs are ignored. The option's score is the sum of the weights, scaled by
+     * the points of each rank.
+     * @param option the index of the option
+     * @param weights the token weight in each shard that chose the option at each rank (indexed by rank, then shard)
+     * @param proofs the proofs that each weight is the dot product of the balances and the corresponding selection
+     * (indexed by rank, then shard)
+     */
+    function submitOptionTally(
+        uint256 option,
+        uint256[][] memory weights,
+        DotProductProof[][] memory proofs
+    ) public {
+        require(block.number > votingDeadline, "Voting period has not ended");
+        require(option < options.length, "Invalid option");
+        require(!isOptionTallied[option], "Tally already submitted");
+        uint256 ranks = rankCount();
+        require(weights.length == ranks && proofs.length == ranks, "A tally is required for every rank");
+
+        uint256[] memory rankWeights = new uint256[](ranks);
+        uint256 count = 0;
+        for (uint256 rank = 0; rank < ranks; rank++) {
+            rankWeights[rank] = _totalWeight(weights[rank]);
+            if (_isOptionAggregated[_choiceId(option, rank)]) {
+                require(_isWellFormedTally(weights[rank], proofs[rank]), "A tally is required for every shard");
+                count += 3 * shardCount;
+            } else {
+                require(rankWeights[rank] == 0, "No votes were submitted for the rank");
+            }
+        }
+
+        if (count > 0) {
+            BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](count);
+            uint256 idx = 0;
+            for (uint256 rank = 0; rank < ranks; rank++) {
+                uint256 id = _choiceId(option, rank);
+                if (_isOptionAggregated[id]) {
+                    idx = _addTallyEquations(equations, idx, _optionAggregates[id].selections, weights[rank], proofs[rank]);
+                }
+            }
+            require(BN256Adapter.verifyPairingEquations(equations), "Invalid tally proof");
+        }
+
+        uint256 score = 0;
+        for (uint256 rank = 0; rank < ranks; rank++) {
+            _optionWeights[_choiceId(option, rank)] = rankWeights[rank];
+            score += rankWeights[rank] * pointsOf(rank);
+        }
+        scoreOf[option] = score;
+        isOptionTallied[option] = true;
+    }
+
+    /**
+     * @notice Reverts unless the (option, rank) pair is valid for this ballot
+     * @param option the index of the option
+     * @param rank the rank
+     */
+    function _requireChoice(uint256 option, uint256 rank) internal view {
+        require(option < options.length, "Invalid option");
+        require(rank < rankCount(), "Invalid rank");
+    }
+
+    /**
+     * @notice Returns the key used to store the values of an (option, rank) pair
+     * @param option the index of the option
+     * @param rank the rank
+     * @return the storage key
+     */
+    function _choiceId(uint256 option, uint256 rank) internal view returns (uint256) {
+        _requireChoice(option, rank);
+        return option * rankCount() + rank;
+    }
+}
@@ -29,17 +29,62 @@ contract PolynomialCommitment {
     using BN256Adapter for BN256Adapter.PointG1;
     using BN256Adapter for BN256Adapter.PointG2;
 
+    // A proof that a claimed value is the dot product between a commitment (in group 1) and a reversed selection
+    // commitment (in group 2), where the selected position i is represented by s^(n-i) and n is the last position
+    // in the data array. In this case, the product polynomial has the dot product as its coefficient of s^n.
+    // The proof splits the rest of the product into:
+    // - lower: a commitment to the terms below s^n
+    // - lowerArtifact: the same commitment shifted right by (MAX_DEGREE - n + 1), to prove it has no terms above s^(n-1)
+    // - upper: a commitment to the terms above s^n
+    // - upperArtifact: the same commitment shifted left by (n + 1), to prove it has no terms below s^(n+1)
+    struct DotProductProof {
+        BN256Adapter.PointG1 lower;
+        BN256Adapter.PointG1 lowerArtifact;
+        BN256Adapter.PointG1 upper;
+        BN256Adapter.PointG1 upperArtifact;
+    }
+
+    // A proof that a commitment (in group 1) holds claimed values at a set of positions. With N = DATA_ARRAY_SIZE,
+    // the product of the data array and the weighted (reversed) selection is divided by the vanishing polynomial
+    // X^N - 1. The claimed values determine the constant term of the remainder, and the proof contains:
+    // - selection: the selection commitment in group 2, which the contract compares to its group 1 counterpart
+    // - quotient: a commitment to the quotient by X^N - 1
+    // - quotientArtifact: the same commitment shifted right by N, to compute (X^N - 1) times the quotient
+    // - remainder: a commitment to the rest of the remainder, divided by X
+    // - shiftedRemainder: the same commitment shifted right by 1 (so it has no constant term)
+    // - remainderArtifact: the same commitment shifted right by (MAX_DEGREE - N + 2), to prove that the remainder
+    //   has no terms above s^(N-1)
+    struct MultiOpeningProof {
+        BN256Adapter.PointG2 selection;
+        BN256Adapter.PointG1 quotient;
+        BN256Adapter.PointG1 quotientArtifact;
+        BN256Adapter.PointG1 remainder;
+        BN256Adapter.PointG1 shiftedRemainder;
+        BN256Adapter.PointG1 remainderArtifact;
+    }
+
     uint256 public DATA_ARRAY_SIZE;
 
     // This provides the powers of s, for a secret value s, in both groups
     // These values are used to construct the commitments
-    TrustedSetup internal trustedSetup;
+    TrustedSetup public trustedSetup;
+
+    // The published version of the trusted setup. The powers of a version never change,
+    // so subsequent updates to the trusted setup cannot invalidate existing commitments
+    uint256 public setupVersion;
 
     /**
      * @notice set the TrustedSetup contract that will be used to generate commitments
+     * @param _trustedSetup the TrustedSetup contract
+     * @param _setupVersion the published version of the trusted setup to use (see TrustedSetup.publishVersion)
      */
-    constructor(TrustedSetup _trustedSetup) public {
+    constructor(TrustedSetup _trustedSetup, uint256 _setupVersion) public {
+        require(
+            _setupVersion > 0 && _setupVersion <= _trustedSetup.latestVersion(),
+            "Unknown trusted setup version"
+        );
         trustedSetup = _trustedSetup;
+        setupVersion = _setupVersion;
 
         // During the aggregate vote operation the aggregator will need to
         // multiply two commitments together. Each commitment can be thought of as
@@ -53,6 +98,49 @@ contract PolynomialCommitment {
         DATA_ARRAY_SIZE = _trustedSetup.MAX_DEGREE() / 2 + 1;
     }
 
+    /**
+     * @notice Returns the shard (ie. the commitment) that contains the specified index
+     * @dev When there are more records than a single commitment can hold, they are split across several
+     * commitments (shards) of the same size. Each shard uses positions 1 to DATA_ARRAY_SIZE - 1, so
+     * indices 1, 2, ..., DATA_ARRAY_SIZE - 1 are in shard 0, the next DATA_ARRAY_SIZE - 1 indices are in shard 1, etc.
+     * Position 0 is never used, which ensures that a selection or a key never has a constant term.
+     * @param index the (non-zero) index of the record across all shards
+     * @return the shard that contains the record
+     */
+    function shardOf(uint256 index) public view returns (uint256) {
+        require(index != 0, "Index 0 is not a valid position");
+        return (index - 1) / (DATA_ARRAY_SIZE - 1);
+    }
+
+    /**
+     * @notice Returns the position of the specified index within its shard
+     * @dev see shardOf
+     * @param index the (non-zero) index of the record across all shards
+     * @return the position of the record within its shard (between 1 and DATA_ARRAY_SIZE - 1)
+     */
+    function positionOf(uint256 index) public view returns (uint256) {
+        require(index != 0, "Index 0 is not a valid position");
+        return (index - 1) % (DATA_ARRAY_SIZE - 1) + 1;
+    }
+
+    /**
+     * @notice Returns a power of s in group 1 from the pinned version of the trusted setup
+     * @param index the power of s
+     * @return (s^index)⋅[P1]
+     */
+    function _S1(uint256 index) internal view returns (BN256Adapter.PointG1 memory) {
+        return trustedSetup.versionS1(setupVersion, index);
+    }
+
+    /**
+     * @notice Returns a power of s in group 2 from the pinned version of the trusted setup
+     * @param index the power of s
+     * @return (s^index)⋅[P2]
+     */
+    function _S2(uint256 index) internal view returns (BN256Adapter.PointG2 memory) {
+        return trustedSetup.versionS2(setupVersion, index);
+    }
+
     /**
      * @notice Create a polynomial commitment in group 1 to a data array with a single non-zero value
      * @dev the commitment is equal to (value)(s^index)⋅[P1]
@@ -65,12 +153,10 @@ contract PolynomialCommitment {
         view
         returns (BN256Adapter.PointG1 memory)
     {
-        // In a production system, the contract could create more commitments
-        // to accomodate more keys. If there are K commitments, every
-        // BN256Adapter.PairingEquation in this codebase would correspond to K
-        // PairingEquations in the generalized version
+        // Larger data sets are split across several commitments (see shardOf),
+        // so the index is always a position within a single commitment
         require(index < DATA_ARRAY_SIZE);
-        return trustedSetup.S1(index).multiply(value);
+        return _S1(index).multiply(value);
     }
 
     /**
@@ -85,12 +171,10 @@ contract PolynomialCommitment {
         view
         returns (BN256Adapter.PointG2 memory)
     {
-        // In a production system, the contract could create more commitments
-        // to accomodate more keys. If there are K commitments, every
-        // BN256Adapter.PairingEquation in this codebase would correspond to K
-        // PairingEquations in the generalized version
+        // Larger data sets are split across several commitments (see shardOf),
+        // so the index is always a position within a single commitment
         require(index < DATA_ARRAY_SIZE);
-        return trustedSetup.S2(index).multiply(value);
+        return _S2(index).multiply(value);
     }
 
     /**
@@ -154,10 +238,239 @@ contract PolynomialCommitment {
         // => r = (s^delta)(l)
         return
             BN256Adapter.PairingEquation({
-                A: trustedSetup.S1(delta),
+                A: _S1(delta),
                 B: left,
                 C: BN256Adapter.negP1(),
                 D: right
             });
     }
+
+    /**
+     * @notice Constructs a pairing equation that tests whether the right commitment corresponds to the same
+     * data array (R) as the left one (L) after shifting the array right by delta positions.
+     * The equation will succeed if every L[i] corresponds to R[i+delta] and unmatched elements (at the start
+     * of R and the end of L) are zero.
+     * @dev this is the group 1 version of the previous function. The reasoning is identical, except the
+     * powers of s are taken from group 2
+     * @param left a polynomial commitment of some data array
+     * @param right a claimed polynomial commitment to a right-shifted version of the same data array
+     * @param delta the size of the shift
+     */
+    function _isShiftEquation(
+        BN256Adapter.PointG1 memory left,
+        BN256Adapter.PointG1 memory right,
+        uint256 delta
+    ) internal view returns (BN256Adapter.PairingEquation memory) {
+        require(delta <= trustedSetup.MAX_DEGREE(), "array shift too large for trusted setup");
+
+        // the pairing equation is
+        //    e(left, (s^delta)⋅[P2])*e(right, -1⋅[P2]) = 1
+        // => e(l⋅[P1], (s^delta)⋅[P2])*e(r⋅[P1], -1⋅[P2]) = 1
+        // this should be interpreted as
+        //    (l)(s^delta) + (r)(-1) = 0
+        // => r = (s^delta)(l)
+        return
+            BN256Adapter.PairingEquation({
+                A: left,
+                B: _S2(delta),
+                C: right,
+                D: BN256Adapter.negP2()
+            });
+    }
+
+    /**
+     * @notice Constructs a pairing equation that tests whether the data array committed in valueCommitment is
+     * exactly the claimed values (followed by zeros). This allows the data to be stored off-chain and supplied
+     * when needed, instead of reading it from contract storage.
+     * @dev the values are the coefficients of the polynomial
+     *   Values(X) = sum of (v_i)(X^i)
+     * and the commitment is Values(s)⋅[P1]. The contract evaluates the claimed polynomial at a challenge point z,
+     * derived from the commitment and the claimed values, to obtain y = Values(z). The proof is a commitment to the
+     * quotient polynomial
+     *   Quotient(X) = (Values(X) - y) / (X - z)
+     * which only exists (as a polynomial) if the committed data array evaluates to y at z. Since z is unpredictable,
+     * a different committed data array would only evaluate to y with negligible probability.
+     * Evaluating the claimed values costs a few field operations per value, while the pairing check is constant.
+     * @param valueCommitment a polynomial commitment (in group 1) to the data array
+     * @param values the claimed data array, where values[i] is the value at position i. Trailing zeros can be omitted
+     * @param proof the commitment to the quotient polynomial, Quotient(s)⋅[P1]
+     * @return a pairing equation that validates the claimed values
+     */
+    function _isOpeningEquation(
+        BN256Adapter.PointG1 memory valueCommitment,
+        uint256[] memory values,
+        BN256Adapter.PointG1 memory proof
+    ) internal view returns (BN256Adapter.PairingEquation memory) {
+        require(values.length <= DATA_ARRAY_SIZE, "Data array too large for trusted setup");
+        // the proof is supplied by the caller, unlike the commitment
+        BN256Adapter.requireValid(proof);
+
+        uint256 z = uint256(keccak256(abi.encodePacked(valueCommitment.x, valueCommitment.y, values))) %
+            BN256Adapter.GROUP_ORDER;
+        // evaluate Values(z) with Horner's method
+        uint256 y = 0;
+        for (uint256 i = values.length; i > 0; i--) {
+            y = addmod(mulmod(y, z, BN256Adapter.GROUP_ORDER), values[i - 1], BN256Adapter.GROUP_ORDER);
+        }
+
+        // the opening check is
+        //    Quotient(s)(s - z) = Values(s) - y
+        // => Quotient(s)(s) + (-1)(Values(s) - y + (z)Quotient(s)) = 0
+        // which corresponds to
+        //    e(proof, s⋅[P2]) * e(valueCommitment - y⋅[P1] + z⋅proof, -1⋅[P2]) = 1
+        BN256Adapter.PointG1[] memory terms = new BN256Adapter.PointG1[](3);
+        terms[0] = valueCommitment;
+        terms[1] = BN256Adapter.negP1().multiply(y);
+        terms[2] = proof.multiply(z);
+        return
+            BN256Adapter.PairingEquation({
+                A: proof,
+                B: _S2(1),
+                C: BN256Adapter.sum(terms),
+                D: BN256Adapter.negP2()
+            });
+    }
+
+    /**
+     * @notice Constructs pairing equations to test whether the product is the dot product between the data array
+     * committed in valueCommitment and the (reversed) selection. For example, if valueCommitment represents the
+     * user balances, this tests whether the selected users hold exactly product tokens.
+     * @dev if n is the last position in the data array, the selection is a polynomial of the form
+     *   Selection = sum of s^(n-i) for every selected position i
+     * and the values are a polynomial of the form
+     *   Values = sum of (v_j)(s^j) for every position j
+     * In their product, the terms where i == j have degree n. The remaining terms are split into the lower
+     * and upper commitments of the proof. Therefore, we need to prove that
+     *   Values * Selection = lower + (product)(s^n) + upper
+     * and that lower and upper only contain terms below and above s^n respectively.
+     * The selection does not need to be a simple sum. If position i is represented by (w_i)(s^(n-i)), the product
+     * is the weighted sum of the values.
+     * @param valueCommitment a polynomial commitment (in group 1) to the data array
+     * @param selection the (reversed) selection commitment
+     * @param product the claimed dot product
+     * @param proof the proof components
+     * @return three pairing equations that validate the consistency of these conditions
+     */
+    function _isDotProductEquations(
+        BN256Adapter.PointG1 memory valueCommitment,
+        BN256Adapter.PointG2 memory selection,
+        uint256 product,
+        DotProductProof memory proof
+    ) internal view returns (BN256Adapter.PairingEquation[3] memory) {
+        uint256 n = DATA_ARRAY_SIZE - 1;
+
+        // the proof is supplied by the caller, unlike the commitment and the selection
+        BN256Adapter.requireValid(proof.lower);
+        BN256Adapter.requireValid(proof.lowerArtifact);
+        BN256Adapter.requireValid(proof.upper);
+        BN256Adapter.requireValid(proof.upperArtifact);
+
+        BN256Adapter.PointG1[] memory productComms = new BN256Adapter.PointG1[](3);
+        productComms[0] = proof.lower;
+        productComms[1] = _S1(n).multiply(product);
+        productComms[2] = proof.upper;
+
+        // the product check is
+        //    e(valueCommitment, selection) * e(lower + (product)(s^n)⋅[P1] + upper, -1⋅[P2]) = 1
+        // which should be interpreted as
+        //    (Values)(Selection) + (-1)(lower + (product)(s^n) + upper) = 0
+        return [
+            BN256Adapter.PairingEquation({
+                A: valueCommitment,
+                B: selection,
+                C: BN256Adapter.sum(productComms),
+                D: BN256Adapter.negP2()
+            }),
+            // if lower has a term of degree n or higher, it cannot be shifted this far
+            _isShiftEquation(proof.lower, proof.lowerArtifact, trustedSetup.MAX_DEGREE() - n + 1),
+            // if upper has a term of degree n or lower, it cannot be constructed from a left-shifted version
+            _isShiftEquation(proof.upperArtifact, proof.upper, n + 1)
+        ];
+    }
+
+    /**
+     * @notice Constructs pairing equations to test whether the data array committed in valueCommitment holds the
+     * claimed values at the specified positions. A single constant-size proof opens any number of positions.
+     * @dev with N = DATA_ARRAY_SIZE, the contract derives a challenge b from the commitment, the positions and the
+     * values, and builds the weighted selection
+     *   Selection(X) = sum of (b^j)(X^(N-i_j)) for the j-th position i_j
+     * Every selected position is between 1 and N - 1, so the product Values(X) * Selection(X) has degree at most
+     * 2N - 2 and its coefficient of X^N is the weighted sum y = sum of (b^j)(v_j). Reducing the product modulo the
+     * vanishing polynomial X^N - 1 folds the coefficient of X^N onto the constant term, while every other
+     * coefficient of the product (from X^1 to X^(2N-2), except X^N) lands on X^1 to X^(N-1). Therefore
+     *   Values(X) * Selection(X) = (X^N - 1) * Quotient(X) + X * Remainder(X) + y
+     * where Remainder has degree at most N - 2. The proof commits to the quotient and the remainder, and the
+     * contract checks the identity at s. Since b is unpredictable, a claim with an incorrect value only satisfies
+     * the identity with negligible probability, and the weights bind each value to its position.
+     * This only supports commitments in group 1 (like the BalancesCommitment). A KeysCommitment holds group 2 points
+     * with unknown discrete logarithms, so nobody but the key holders could compute the quotient of a key array.
+     * @param valueCommitment a polynomial commitment (in group 1) to the data array
+     * @param positions the opened positions, between 1 and DATA_ARRAY_SIZE - 1
+     * @param values the claimed value at each opened position
+     * @param proof the proof components
+     * @return five pairing equations that validate the consistency of these conditions
+     */
+    function _isMultiOpeningEquations(
+        BN256Adapter.PointG1 memory valueCommitment,
+        uint256[] memory positions,
+        uint256[] memory values,
+        MultiOpeningProof memory proof
+    ) internal view returns (BN256Adapter.PairingEquation[5] memory) {
+        require(positions.length > 0, "At least one position is required");
+        require(positions.length == values.length, "Every position requires a value");
+        uint256 N = DATA_ARRAY_SIZE;
+
+        // the proof is supplied by the caller, unlike the commitment
+        BN256Adapter.requireValid(proof.selection);
+        BN256Adapter.requireValid(proof.quotient);
+        BN256Adapter.requireValid(proof.quotientArtifact);
+        BN256Adapter.requireValid(proof.remainder);
+        BN256Adapter.requireValid(proof.shiftedRemainder);
+        BN256Adapter.requireValid(proof.remainderArtifact);
+
+        uint256 b = uint256(
+            keccak256(abi.encodePacked(valueCommitment.x, valueCommitment.y, positions, values))
+        ) % BN256Adapter.GROUP_ORDER;
+
+        // build the selection in group 1 and the weighted sum of the claimed values
+        BN256Adapter.PointG1[] memory selectionTerms = new BN256Adapter.PointG1[](positions.length);
+        uint256 weight = 1;
+        uint256 y = 0;
+        for (uint256 j = 0; j < positions.length; j++) {
+            require(positions[j] > 0 && positions[j] < N, "Invalid position");
+            selectionTerms[j] = _S1(N - positions[j]).multiply(weight);
+            y = addmod(y, mulmod(weight, values[j], BN256Adapter.GROUP_ORDER), BN256Adapter.GROUP_ORDER);
+            weight = mulmod(weight, b, BN256Adapter.GROUP_ORDER);
+        }
+
+        BN256Adapter.PointG1[] memory productComms = new BN256Adapter.PointG1[](4);
+        productComms[0] = proof.quotientArtifact;
+        productComms[1] = BN256Adapter.neg(proof.quotient);
+        productComms[2] = proof.shiftedRemainder;
+        productComms[3] = BN256Adapter.P1().multiply(y);
+
+        // the product check is
+        //    e(valueCommitment, selection) * e((s^N)Quotient - Quotient + (s)Remainder + y⋅[P1], -1⋅[P2]) = 1
+        // which should be interpreted as
+        //    (Values)(Selection) + (-1)((s^N - 1)(Quotient) + (s)(Remainder) + y) = 0
+        return [
+            BN256Adapter.PairingEquation({
+                A: valueCommitment,
+                B: proof.selection,
+                C: BN256Adapter.sum(productComms),
+                D: BN256Adapter.negP2()
+            }),
+            // the selection supplied in group 2 must match the one built by the contract
+            BN256Adapter.PairingEquation({
+                A: BN256Adapter.sum(selectionTerms),
+                B: BN256Adapter.P2(),
+                C: BN256Adapter.negP1(),
+                D: proof.selection
+            }),
+            _isShiftEquation(proof.quotient, proof.quotientArtifact, N),
+            _isShiftEquation(proof.remainder, proof.shiftedRemainder, 1),
+            // if the remainder has a term of degree N - 1 or higher, it cannot be shifted this far
+            _isShiftEquation(proof.remainder, proof.remainderArtifact, trustedSetup.MAX_DEGREE() - N + 2)
+        ];
+    }
 }
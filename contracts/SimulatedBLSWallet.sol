@@ -72,4 +72,21 @@ contract SimulatedBLSWallet {
     {
         return p.multiply(PRIVATE_KEY);
     }
+
+    /**
+     * @notice scale the specified group 1 point by the PRIVATE_KEY
+     * @dev this is the group 1 version of signPoint. In this code base we use it to sign
+     * voting artifacts, which are already scaled by the vote digest and a power of s
+     * The point can be thought of as P = a⋅[P1] for some a
+     * The result would then be PRIVATE_KEY⋅a⋅[P1]
+     * @param p the point to be scaled
+     * @return the scaled point
+     */
+    function signPointG1(BN256Adapter.PointG1 memory p)
+        public
+        view
+        returns (BN256Adapter.PointG1 memory)
+    {
+        return p.multiply(PRIVATE_KEY);
+    }
 }
@@ -30,31 +30,101 @@ import "./BN256G1.sol";
  * it can change between different instances of the protocol (eg. for different votes).
  * This means that the setup can be refreshed every few months (for example) to continuously
  * allow new contributors to provide entropy.
+ *
+ * To support this, the current powers can be published as a numbered version, which never changes.
+ * Contracts that build commitments (see PolynomialCommitment) pin a version, so subsequent updates
+ * only affect contracts that are deployed after the next version is published.
+ * Alternatively, the coordinator (the account that deployed the setup) can finalize it, which
+ * publishes the last version and rejects any further updates.
  */
 
 contract TrustedSetup {
     using BN256Adapter for BN256Adapter.PointG1;
     using BN256Adapter for BN256Adapter.PointG2;
 
-    // in a real system, this could be in the millions
-    uint256 constant public MAX_DEGREE = 10;
+    // The record of an accepted update. The first powers are enough to replay the update proofs:
+    // each proof links the S2One value of the previous contribution (or [P2] initially) to the next one
+    struct Contribution {
+        address contributor;
+        uint256 blockNumber;
+        BN256Adapter.PointG1 proof; // k⋅[P1]
+        BN256Adapter.PointG1 S1One; // the resulting s'⋅[P1]
+        BN256Adapter.PointG2 S2One; // the resulting s'⋅[P2]
+    }
+
+    /**
+     * @notice Emitted whenever an update is accepted
+     * @param index the position of the contribution in the history (starting at 0)
+     * @param contributor the address that submitted the update
+     * @param proof the update proof k⋅[P1]
+     * @param S1One the resulting degree one S1 value
+     * @param S2One the resulting degree one S2 value
+     */
+    event Contributed(
+        uint256 indexed index,
+        address indexed contributor,
+        BN256Adapter.PointG1 proof,
+        BN256Adapter.PointG1 S1One,
+        BN256Adapter.PointG2 S2One
+    );
+
+    /**
+     * @notice Emitted whenever the current powers are published as a new version
+     * @param version the version number (starting at 1)
+     * @param contributionCount the number of contributions that the version includes
+     * @param isFinal whether the version was published by finalizing the setup
+     */
+    event VersionPublished(uint256 indexed version, uint256 contributionCount, bool isFinal);
+
+    // the highest power of s in the setup. In a real system, this could be in the millions
+    uint256 public MAX_DEGREE;
 
     // the powers of the secret value s in group G1
     // S1[i] = (s^i)⋅[P1]
-    BN256Adapter.PointG1[MAX_DEGREE + 1] internal S1Powers;
+    BN256Adapter.PointG1[] internal S1Powers;
 
     // the powers of the secret value s in group G2
     // S2[i] = (s^i)⋅[P2]
-    BN256Adapter.PointG2[MAX_DEGREE + 1] internal S2Powers;
+    BN256Adapter.PointG2[] internal S2Powers;
+
+    // every accepted update, in order
+    Contribution[] internal _contributions;
+
+    // the account that deployed the setup. It is the only account that can finalize it
+    address public coordinator;
+
+    // whether the setup has been finalized. A finalized setup cannot be updated
+    bool public isFinalized;
+
+    // the number of published versions. Versions are numbered from 1, so 0 means none have been published
+    uint256 public latestVersion;
+
+    // the powers of each published version (by version, then by degree)
+    mapping(uint256 => BN256Adapter.PointG1[]) internal _versionS1;
+    mapping(uint256 => BN256Adapter.PointG2[]) internal _versionS2;
+
+    // the number of contributions that each published version includes
+    mapping(uint256 => uint256) internal _versionContributions;
+
+    // the powers of each contributor's staged update (see stageUpdate)
+    mapping(address => BN256Adapter.PointG1[]) internal _stagedS1;
+    mapping(address => BN256Adapter.PointG2[]) internal _stagedS2;
 
     /**
      * @notice Initialize all S1 values to P1 and all S2 values to P2,
      * which implicitly sets the secret s to 1.
+     * @dev the size of the setup determines how many values fit in a polynomial commitment
+     * (see PolynomialCommitment.DATA_ARRAY_SIZE). Larger setups are more expensive to update
+     * because every power is validated on-chain.
+     * @param maxDegree the highest power of s in the setup. It must be at least 2
      */
-    constructor() public {
+    constructor(uint256 maxDegree) public {
+        require(maxDegree >= 2, "Trusted setup is too small");
+        MAX_DEGREE = maxDegree;
+        coordinator = msg.sender;
         for(uint256 i = 0; i <= MAX_DEGREE; i++) {
-            S1Powers[i] = BN256Adapter.P1();
-            S2Powers[i] = BN256Adapter.P2();
+            S1Powers.push(BN256Adapter.P1());
+            S2Powers.push(BN256Adapter.P2());
         }
     }
 
@@ -99,9 +169,9 @@ contract TrustedSetup {
      * @return the proof PointG1 k⋅[P1], which is used to prove that the update is valid
      */
     function generateUpdateProof(uint256 k) public view
-        returns (BN256Adapter.PointG1[MAX_DEGREE+1] memory , BN256Adapter.PointG2[MAX_DEGREE+1] memory, BN256Adapter.PointG1 memory){
-        BN256Adapter.PointG1[MAX_DEGREE+1] memory updatedS1;
-        BN256Adapter.PointG2[MAX_DEGREE+1] memory updatedS2;
+        returns (BN256Adapter.PointG1[] memory , BN256Adapter.PointG2[] memory, BN256Adapter.PointG1 memory){
+        BN256Adapter.PointG1[] memory updatedS1 = new BN256Adapter.PointG1[](MAX_DEGREE + 1);
+        BN256Adapter.PointG2[] memory updatedS2 = new BN256Adapter.PointG2[](MAX_DEGREE + 1);
 
         uint256 powerOfK;
         for (uint256 degree = 0; degree <= MAX_DEGREE; degree++) {
@@ -118,82 +188,38 @@ contract TrustedSetup {
      * @dev The parameters can be obtained directly from the `generateUpdateProof` function.
      * However, as noted in its function comments, it should be called in a separate transaction
      * to avoid revealing k.
-     * @param updatedS1 the updated S1 values. updatedS1[i] should be (s'^i)⋅[P1]
-     * @param updatedS2 the updated S2 values. updatedS2[i] should be (s'^i)⋅[P2]
+     * @param updatedS1 the updated S1 values. updatedS1[i] should be (s'^i)⋅[P1] (for i from 0 to MAX_DEGREE)
+     * @param updatedS2 the updated S2 values. updatedS2[i] should be (s'^i)⋅[P2] (for i from 0 to MAX_DEGREE)
      * @param proof the value k⋅[P1]. This is used to demonstrate the new secret s' is sk (ie. the original entropy has not been discarded)
      */
     function update(
-        BN256Adapter.PointG1[MAX_DEGREE+1] memory updatedS1,
-        BN256Adapter.PointG2[MAX_DEGREE+1] memory updatedS2,
+        BN256Adapter.PointG1[] memory updatedS1,
+        BN256Adapter.PointG2[] memory updatedS2,
         BN256Adapter.PointG1 memory proof
     ) public {
+        require(!isFinalized, "The trusted setup has been finalized");
+        require(
+            updatedS1.length == MAX_DEGREE + 1 && updatedS2.length == MAX_DEGREE + 1,
+            "Update does not match the trusted setup size"
+        );
+        BN256Adapter.requireValid(updatedS1);
+        BN256Adapter.requireValid(updatedS2);
+        _requireValidProof(proof);
+
         BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](2 * MAX_DEGREE);
 
-        // prove that updatedS2[1] is (ks)⋅[P2] for some k (ie. the original s has not been discarded)
-        // we're checking the equation
-        //    e(proof, s⋅[P2])*e(-1⋅[P1], updatedS2[1]) = 1
-        // using k and x as the unknown coefficients, this becomes
-        //    e(k⋅[P1], s⋅[P2])*e(-1⋅[P1], x⋅[P2]) = 1
-        // this  should be interpreted as
-        //   (k)(s) + (-1)(x) = 0
-        // => x = ks
-        equations[0] = BN256Adapter.PairingEquation({
-            A: proof, // claimed to be k⋅[P1]
-            B: S2(1), // known to be s⋅[P2]
-            C: BN256Adapter.negP1(), // known to be -1⋅[P1]
-            D: updatedS2[1] // claimed to be (ks)⋅[P2]
-        });
+        equations[0] = _proofEquation(proof, updatedS2[1]);
 
         // the first terms in S1 and S2 are redundant because they never change
         // they're included anyway to simplify the interface
-        require(
-            updatedS1[0].x == BN256Adapter.P1().x &&
-            updatedS1[0].y == BN256Adapter.P1().y,
-            "Invalid degree zero term for updatedS1. It should be P1"
-        );
-        require(
-            updatedS2[0].x_imag == BN256Adapter.P2().x_imag &&
-            updatedS2[0].x_real == BN256Adapter.P2().x_real &&
-            updatedS2[0].y_imag == BN256Adapter.P2().y_imag &&
-            updatedS2[0].y_real == BN256Adapter.P2().y_real,
-            "Invalid degree zero term for updatedS2. It should be P2"
-        );
+        _requireGenerators(updatedS1[0], updatedS2[0]);
 
         for(uint256 degree = 1; degree <= MAX_DEGREE; degree++) {
-            // we want to demonstrate that updatedS1[degree] = ((ks)^degree)⋅[P1]
-            // we can build this from the previous term by proving that
-            // updatedS1[degree] = (ks)*updatedS1[degree - 1]
-            // we're checking the equation
-            //    e(((ks)^(degree-1))⋅[P1], (ks)⋅[P2])*e(updatedS1[degree], -1⋅[P2]) = 1
-            // using x as the unknown coefficient, this becomes
-            //    e(((ks)^(degree-1))⋅[P1], (ks)⋅[P2])*e(x⋅[P1], -1⋅[P2]) = 1
-            // this should be interpreted as
-            //    (ks)^(degree-1)(ks) + (x)(-1) = 0
-            // => x = (ks)^degree
-            equations[degree] = BN256Adapter.PairingEquation({
-                A: updatedS1[degree - 1], // known to be ((ks)^(degree-1))⋅[P1] (assuming equations[degree - 1] holds)
-                B: updatedS2[1], // known to be (ks)⋅[P2] (assuming equations[0] holds)
-                C: updatedS1[degree], // claimed to be ((ks)^degree)⋅[P1]
-                D: BN256Adapter.negP2() // known to be -1⋅[P2]
-            });
+            equations[degree] = _nextPowerEquation(updatedS1[degree - 1], updatedS2[1], updatedS1[degree]);
         }
         // start at degree 2 because we alreay checked updatedS2[1] in equations[0]
         for(uint256 degree = 2; degree <= MAX_DEGREE; degree++){
-            // we want to demonstrate that updatedS2[degree] = ((ks)^degree)⋅[P2]
-            // we can simply compare it to ((ks)^degree)⋅[P1]
-            // we're checking the equation
-            //   e(((ks)^degree)⋅[P1], -1⋅[P2])*e(1⋅[P1], updatedS2[degree]) = 1
-            // using x as the unknown coefficient, this becomes
-            //   e(((ks)^degree)⋅[P1], -1⋅[P2])*e(1⋅[P1], x⋅[P2]) = 1
-            // this should be interpreted as
-            //   ((ks)^degree)(-1) + (1)(x) = 0
-            // => x = (ks)^degree
-            equations[MAX_DEGREE + degree - 1] = BN256Adapter.PairingEquation({
-                A: updatedS1[degree], // known to be ((ks)^degree)⋅[P1] (assuming equations[degree] holds)
-                B: BN256Adapter.negP2(), // known to be -1⋅[P2]
-                C: BN256Adapter.P1(), // known to be 1⋅[P1]
-                D: updatedS2[degree] // claimed to be ((ks)^degree)⋅[P2]
-            });
+            equations[MAX_DEGREE + degree - 1] = _matchingPowerEquation(updatedS1[degree], updatedS2[degree]);
         }
 
         require(BN256Adapter.verifyPairingEquations(equations), "Cannot update S. Invalid proofs provided");
@@ -202,6 +228,341 @@ contract TrustedSetup {
             S1Powers[i] = updatedS1[i];
             S2Powers[i] = updatedS2[i];
         }
+        _recordContribution(proof);
+    }
+
+    /**
+     * @notice Discards any powers that the caller has staged, so they can start a new staged update
+     * @dev A staged update is equivalent to `update`, but the powers are uploaded in several transactions.
+     * This allows large setups (eg. imported from an external powers-of-tau ceremony) to be validated
+     * without exceeding the block gas limit. Each contributor has their own staging area.
+     */
+    function beginStagedUpdate() public {
+        require(!isFinalized, "The trusted setup has been finalized");
+        delete _stagedS1[msg.sender];
+        delete _stagedS2[msg.sender];
+    }
+
+    /**
+     * @notice Validates the next powers of a staged update and appends them to the caller's staging area
+     * @dev This checks the same equations as `update` for every power in the chunk. The equation that
+     * links the update to the current setup is checked when the update is completed.
+     * The first chunk must contain at least the degree zero and degree one terms.
+     * @param updatedS1 the next updated S1 values. updatedS1[i] should be (s'^(offset + i))⋅[P1],
+     * where offset is the number of powers that have already been staged
+     * @param updatedS2 the next updated S2 values. updatedS2[i] should be (s'^(offset + i))⋅[P2]
+     */
+    function stageUpdate(
+        BN256Adapter.PointG1[] memory updatedS1,
+        BN256Adapter.PointG2[] memory updatedS2
+    ) public {
+        BN256Adapter.PointG1[] storage stagedS1 = _stagedS1[msg.sender];
+        BN256Adapter.PointG2[] storage stagedS2 = _stagedS2[msg.sender];
+        uint256 offset = stagedS1.length;
+        uint256 count = updatedS1.length;
+
+        require(!isFinalized, "The trusted setup has been finalized");
+        require(count > 0 && updatedS2.length == count, "The chunk must contain matching S1 and S2 values");
+        require(offset + count <= MAX_DEGREE + 1, "Update does not match the trusted setup size");
+        BN256Adapter.requireValid(updatedS1);
+        BN256Adapter.requireValid(updatedS2);
+
+        uint256 numEquations = 2 * count;
+        BN256Adapter.PointG2 memory updatedS2One;
+        if (offset == 0) {
+            require(count >= 2, "The first chunk must include the degree one term");
+            _requireGenerators(updatedS1[0], updatedS2[0]);
+            updatedS2One = updatedS2[1];
+            // the degree zero term does not need any equations and the degree one term only needs one
+            numEquations -= 3;
+        } else {
+            updatedS2One = stagedS2[1];
+        }
+
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](numEquations);
+        uint256 idx = 0;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 degree = offset + i;
+            if (degree == 0) {
+                continue;
+            }
+            BN256Adapter.PointG1 memory previousS1 = i == 0 ? stagedS1[offset - 1] : updatedS1[i - 1];
+            equations[idx++] = _nextPowerEquation(previousS1, updatedS2One, updatedS1[i]);
+            if (degree >= 2) {
+                equations[idx++] = _matchingPowerEquation(updatedS1[i], updatedS2[i]);
+            }
+        }
+
+        require(BN256Adapter.verifyPairingEquations(equations), "Cannot update S. Invalid proofs provided");
+
+        for (uint256 i = 0; i < count; i++) {
+            stagedS1.push(updatedS1[i]);
+            stagedS2.push(updatedS2[i]);
+        }
+    }
+
+    /**
+     * @notice Replaces S1 and S2 with the caller's staged powers after verifying the update proof
+     * @param proof the value k⋅[P1], where the staged secret s' is ks (see `update`)
+     */
+    function completeStagedUpdate(BN256Adapter.PointG1 memory proof) public {
+        BN256Adapter.PointG1[] storage stagedS1 = _stagedS1[msg.sender];
+        BN256Adapter.PointG2[] storage stagedS2 = _stagedS2[msg.sender];
+        require(!isFinalized, "The trusted setup has been finalized");
+        require(stagedS1.length == MAX_DEGREE + 1, "The staged update is incomplete");
+        _requireValidProof(proof);
+
+        BN256Adapter.PairingEquation[] memory equations = new BN256Adapter.PairingEquation[](1);
+        equations[0] = _proofEquation(proof, stagedS2[1]);
+        require(BN256Adapter.verifyPairingEquations(equations), "Cannot update S. Invalid proofs provided");
+
+        for(uint256 i = 0; i <= MAX_DEGREE; i++) {
+            S1Powers[i] = stagedS1[i];
+            S2Powers[i] = stagedS2[i];
+        }
+        delete _stagedS1[msg.sender];
+        delete _stagedS2[msg.sender];
+        _recordContribution(proof);
+    }
+
+    /**
+     * @notice Returns the number of powers that a contributor has staged
+     * @param contributor the address that is staging an update
+     * @return the number of staged powers in each group
+     */
+    function stagedPowers(address contributor) public view returns (uint256) {
+        return _stagedS1[contributor].length;
+    }
+
+    /**
+     * @notice Returns the number of accepted updates
+     * @return the number of contributions. Their indices range from 0 to this value (exclusive)
+     */
+    function contributionCount() public view returns (uint256) {
+        return _contributions.length;
+    }
+
+    /**
+     * @notice Returns the record of an accepted update
+     * @param index the position of the contribution in the history (starting at 0)
+     * @return the contribution record
+     */
+    function contributionAt(uint256 index) public view returns (Contribution memory) {
+        require(index < _contributions.length, "Unknown contribution");
+        return _contributions[index];
+    }
+
+    /**
+     * @notice Publishes the current powers as a new version, which never changes
+     * @dev anyone can publish a version. Consumers should only pin a version after auditing the
+     * contributions that it includes (see versionContributions)
+     * @return the new version number
+     */
+    function publishVersion() public returns (uint256) {
+        require(!isFinalized, "The trusted setup has been finalized");
+        return _publishVersion(false);
+    }
+
+    /**
+     * @notice Publishes the current powers as the final version and rejects any further updates
+     * @return the final version number
+     */
+    function finalize() public returns (uint256) {
+        require(msg.sender == coordinator, "Only the coordinator can finalize the trusted setup");
+        require(!isFinalized, "The trusted setup has been finalized");
+        isFinalized = true;
+        return _publishVersion(true);
+    }
+
+    /**
+     * @notice Returns the power of s at the specified index in a published version
+     * @param version the version number
+     * @param index the index of the power to retrieve
+     * @return the corresponding power in group 1, (s^index)⋅[P1]
+     */
+    function versionS1(uint256 version, uint256 index) public view returns (BN256Adapter.PointG1 memory) {
+        _requirePublished(version);
+        require(index <= MAX_DEGREE, "Index exceeds trusted setup size");
+        return _versionS1[version][index];
+    }
+
+    /**
+     * @notice Returns the power of s at the specified index in a published version
+     * @param version the version number
+     * @param index the index of the power to retrieve
+     * @return the corresponding power in group 2, (s^index)⋅[P2]
+     */
+    function versionS2(uint256 version, uint256 index) public view returns (BN256Adapter.PointG2 memory) {
+        _requirePublished(version);
+        require(index <= MAX_DEGREE, "Index exceeds trusted setup size");
+        return _versionS2[version][index];
+    }
+
+    /**
+     * @notice Returns the number of contributions included in a published version
+     * @dev the version was produced by contributions 0 to this value (exclusive). See contributionAt
+     * @param version the version number
+     * @return the number of contributions
+     */
+    function versionContributions(uint256 version) public view returns (uint256) {
+        _requirePublished(version);
+        return _versionContributions[version];
+    }
+
+    /**
+     * @notice Reverts unless the version has been published
+     * @param version the version number
+     */
+    function _requirePublished(uint256 version) internal view {
+        require(version > 0 && version <= latestVersion, "Unknown trusted setup version");
+    }
+
+    /**
+     * @notice Copies the current powers into a new version and emits the VersionPublished event
+     * @param isFinal whether the version is published by finalizing the setup
+     * @return the new version number
+     */
+    function _publishVersion(bool isFinal) internal returns (uint256) {
+        uint256 version = ++latestVersion;
+        for(uint256 i = 0; i <= MAX_DEGREE; i++) {
+            _versionS1[version].push(S1Powers[i]);
+            _versionS2[version].push(S2Powers[i]);
+        }
+        _versionContributions[version] = _contributions.length;
+        emit VersionPublished(version, _contributions.length, isFinal);
+        return version;
+    }
+
+    /**
+     * @notice Saves the record of the update that was just applied and emits the Contributed event
+     * @param proof the update proof k⋅[P1]
+     */
+    function _recordContribution(BN256Adapter.PointG1 memory proof) internal {
+        _contributions.push(Contribution({
+            contributor: msg.sender,
+            blockNumber: block.number,
+            proof: proof,
+            S1One: S1Powers[1],
+            S2One: S2Powers[1]
+        }));
+        emit Contributed(_contributions.length - 1, msg.sender, proof, S1Powers[1], S2Powers[1]);
+    }
+
+    /**
+     * @notice Reverts unless the degree zero terms of an update are the generators
+     * @param updatedS1Zero the degree zero term of the updated S1 values
+     * @param updatedS2Zero the degree zero term of the updated S2 values
+     */
+    function _requireGenerators(
+        BN256Adapter.PointG1 memory updatedS1Zero,
+        BN256Adapter.PointG2 memory updatedS2Zero
+    ) internal pure {
+        require(
+            updatedS1Zero.x == BN256Adapter.P1().x &&
+            updatedS1Zero.y == BN256Adapter.P1().y,
+            "Invalid degree zero term for updatedS1. It should be P1"
+        );
+        require(
+            updatedS2Zero.x_imag == BN256Adapter.P2().x_imag &&
+            updatedS2Zero.x_real == BN256Adapter.P2().x_real &&
+            updatedS2Zero.y_imag == BN256Adapter.P2().y_imag &&
+            updatedS2Zero.y_real == BN256Adapter.P2().y_real,
+            "Invalid degree zero term for updatedS2. It should be P2"
+        );
+    }
+
+    /**
+     * @notice Reverts unless the update proof is in G1 and is not the point at infinity
+     * @dev a proof at infinity corresponds to k = 0. Every updated power would also be the point at infinity,
+     * so all the equations would hold, but the setup would be destroyed
+     * @param proof the value k⋅[P1]
+     */
+    function _requireValidProof(BN256Adapter.PointG1 memory proof) internal pure {
+        BN256Adapter.requireValid(proof);
+        require(!proof.isInfinity(), "The update proof cannot be the point at infinity");
+    }
+
+    /**
+     * @notice Builds the equation that proves the updated secret is a multiple of the current one
+     * @param proof the value k⋅[P1]
+     * @param updatedS2One the updated S2 value at degree one
+     * @return the pairing equation
+     */
+    function _proofEquation(
+        BN256Adapter.PointG1 memory proof,
+        BN256Adapter.PointG2 memory updatedS2One
+    ) internal view returns (BN256Adapter.PairingEquation memory) {
+        // prove that updatedS2[1] is (ks)⋅[P2] for some k (ie. the original s has not been discarded)
+        // we're checking the equation
+        //    e(proof, s⋅[P2])*e(-1⋅[P1], updatedS2[1]) = 1
+        // using k and x as the unknown coefficients, this becomes
+        //    e(k⋅[P1], s⋅[P2])*e(-1⋅[P1], x⋅[P2]) = 1
+        // this  should be interpreted as
+        //   (k)(s) + (-1)(x) = 0
+        // => x = ks
+        return BN256Adapter.PairingEquation({
+            A: proof, // claimed to be k⋅[P1]
+            B: S2(1), // known to be s⋅[P2]
+            C: BN256Adapter.negP1(), // known to be -1⋅[P1]
+            D: updatedS2One // claimed to be (ks)⋅[P2]
+        });
+    }
+
+    /**
+     * @notice Builds the equation that proves an updated S1 value is the next power of the updated secret
+     * @param previousS1 the updated S1 value at (degree - 1)
+     * @param updatedS2One the updated S2 value at degree one
+     * @param updatedS1 the updated S1 value at degree
+     * @return the pairing equation
+     */
+    function _nextPowerEquation(
+        BN256Adapter.PointG1 memory previousS1,
+        BN256Adapter.PointG2 memory updatedS2One,
+        BN256Adapter.PointG1 memory updatedS1
+    ) internal pure returns (BN256Adapter.PairingEquation memory) {
+        // we want to demonstrate that updatedS1[degree] = ((ks)^degree)⋅[P1]
+        // we can build this from the previous term by proving that
+        // updatedS1[degree] = (ks)*updatedS1[degree - 1]
+        // we're checking the equation
+        //    e(((ks)^(degree-1))⋅[P1], (ks)⋅[P2])*e(updatedS1[degree], -1⋅[P2]) = 1
+        // using x as the unknown coefficient, this becomes
+        //    e(((ks)^(degree-1))⋅[P1], (ks)⋅[P2])*e(x⋅[P1], -1⋅[P2]) = 1
+        // this should be interpreted as
+        //    (ks)^(degree-1)(ks) + (x)(-1) = 0
+        // => x = (ks)^degree
+        return BN256Adapter.PairingEquation({
+            A: previousS1, // known to be ((ks)^(degree-1))⋅[P1] (assuming the previous equation holds)
+            B: updatedS2One, // known to be (ks)⋅[P2] (assuming the proof equation holds)
+            C: updatedS1, // claimed to be ((ks)^degree)⋅[P1]
+            D: BN256Adapter.negP2() // known to be -1⋅[P2]
+        });
+    }
+
+    /**
+     * @notice Builds the equation that proves an updated S2 value matches the updated S1 value of the same degree
+     * @param updatedS1 the updated S1 value at degree
+     * @param updatedS2 the updated S2 value at degree
+     * @return the pairing equation
+     */
+    function _matchingPowerEquation(
+        BN256Adapter.PointG1 memory updatedS1,
+        BN256Adapter.PointG2 memory updatedS2
+    ) internal pure returns (BN256Adapter.PairingEquation memory) {
+        // we want to demonstrate that updatedS2[degree] = ((ks)^degree)⋅[P2]
+        // we can simply compare it to ((ks)^degree)⋅[P1]
+        // we're checking the equation
+        //   e(((ks)^degree)⋅[P1], -1⋅[P2])*e(1⋅[P1], updatedS2[degree]) = 1
+        // using x as the unknown coefficient, this becomes
+        //   e(((ks)^degree)⋅[P1], -1⋅[P2])*e(1⋅[P1], x⋅[P2]) = 1
+        // this should be interpreted as
+        //   ((ks)^degree)(-1) + (1)(x) = 0
+        // => x = (ks)^degree
+        return BN256Adapter.PairingEquation({
+            A: updatedS1, // known to be ((ks)^degree)⋅[P1] (assuming the next power equation holds)
+            B: BN256Adapter.negP2(), // known to be -1⋅[P2]
+            C: BN256Adapter.P1(), // known to be 1⋅[P1]
+            D: updatedS2 // claimed to be ((ks)^degree)⋅[P2]
+        });
     }
 
     function _modExp(uint256 base, uint256 exponent, uint256 modulus) private view returns (uint256) {
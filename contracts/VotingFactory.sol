@@ -0,0 +1,135 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.6.0;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "./CommitmentToken.sol";
+import "./AggregateVoting.sol";
+
+/**
+ * A registry of AggregateVoting rounds (proposals) for a single CommitmentToken.
+ *
+ * Anyone can create a proposal. Each one is deployed as a new AggregateVoting contract, which snapshots the
+ * token's commitments when it is created. The factory assigns each proposal an id and records its creator
+ * and voting window. It emits a ProposalCreated event for every proposal, so off-chain tooling can list
+ * them without querying the factory storage (see lib/proposals.js).
+ *
+ * The status of a proposal is derived from its voting window and the state of its AggregateVoting contract,
+ * so it does not require any additional transactions to stay up to date.
+ */
+contract VotingFactory {
+    using Counters for Counters.Counter;
+
+    enum ProposalStatus {None, Open, Closed, Tallied}
+
+    struct Proposal {
+        AggregateVoting voting;
+        address creator;
+        uint256 startBlock;
+        uint256 endBlock;
+    }
+
+    /**
+     * @notice Emitted whenever a proposal is created
+     * @param id the proposal id
+     * @param voting the AggregateVoting contract for the proposal
+     * @param creator the address that created the proposal
+     * @param topic the question that users are voting on
+     * @param startBlock the block in which the proposal was created (and the token commitments were copied)
+     * @param endBlock the last block in which aggregate votes can be submitted
+     */
+    event ProposalCreated(
+        uint256 indexed id,
+        address indexed voting,
+        address indexed creator,
+        string topic,
+        uint256 startBlock,
+        uint256 endBlock
+    );
+
+    // The token whose holders vote on the proposals
+    CommitmentToken public token;
+
+    // The id that will be assigned to the next proposal. It is initialized to 1.
+    // We avoid id 0 to ensure idOf[voting] is non-zero for all known proposals
+    Counters.Counter internal nextProposalId;
+
+    // A mapping from a proposal id to the corresponding record
+    mapping(uint256 => Proposal) internal _proposals;
+
+    // A mapping from an AggregateVoting contract to the corresponding proposal id
+    // The default (zero) value implies the contract was not created by this factory
+    mapping(address => uint256) public idOf;
+
+    /**
+     * @param _token the token whose holders vote on the proposals
+     */
+    constructor(CommitmentToken _token) public {
+        token = _token;
+
+        // start at 1 so 0 can indicate an unknown proposal
+        nextProposalId.increment();
+    }
+
+    /**
+     * @notice Returns the number of proposals that have been created
+     * @return the number of proposals. The ids range from 1 to this value (inclusive)
+     */
+    function proposalCount() public view returns (uint256) {
+        return nextProposalId.current() - 1;
+    }
+
+    /**
+     * @notice Creates a new proposal
+     * @dev the new AggregateVoting contract snapshots the token commitments in this block
+     * @param topic the question that users are voting on
+     * @param votingPeriod the number of blocks (after this one) in which aggregate votes can be submitted
+     * @return the id of the new proposal
+     */
+    function createProposal(string memory topic, uint256 votingPeriod) public returns (uint256) {
+        uint256 id = nextProposalId.current();
+        nextProposalId.increment();
+
+        AggregateVoting voting = new AggregateVoting(token, topic, votingPeriod);
+        _proposals[id] = Proposal({
+            voting: voting,
+            creator: msg.sender,
+            startBlock: block.number,
+            endBlock: voting.votingDeadline()
+        });
+        idOf[address(voting)] = id;
+
+        emit ProposalCreated(id, address(voting), msg.sender, topic, block.number, voting.votingDeadline());
+        return id;
+    }
+
+    /**
+     * @notice Returns the record of a proposal
+     * @param id the proposal id
+     * @return the proposal record (with zero values if the id is unknown)
+     */
+    function proposalOf(uint256 id) public view returns (Proposal memory) {
+        return _proposals[id];
+    }
+
+    /**
+     * @notice Returns the status of a proposal
+     * @dev a proposal is Open until its endBlock, Closed while it waits for the tally, and Tallied
+     * once the AggregateVoting contract accepts the tally
+     * @param id the proposal id
+     * @return the status (None if the id is unknown)
+     */
+    function statusOf(uint256 id) public view returns (ProposalStatus) {
+        Proposal storage proposal = _proposals[id];
+        if (address(proposal.voting) == address(0)) {
+            return ProposalStatus.None;
+        }
+        if (proposal.voting.isTallied()) {
+            return ProposalStatus.Tallied;
+        }
+        if (block.number <= proposal.endBlock) {
+            return ProposalStatus.Open;
+        }
+        return ProposalStatus.Closed;
+    }
+}
@@ -3,7 +3,9 @@ pragma solidity ^0.6.0;
 pragma experimental ABIEncoderV2;
 
 
+import "../AggregateVoting.sol";
 import "../BN256Adapter.sol";
+import "../CommitmentToken.sol";
 
 /**
  * This contract provides helper functions to support unit tests
@@ -39,4 +41,71 @@ contract TestHelper {
      function multiplyG2(BN256Adapter.PointG2 memory Point, uint256 scalar) public view returns (BN256Adapter.PointG2 memory) {
          return BN256Adapter.multiply(Point, scalar);
      }
+     /**
+     * Pass-through functions for BN256Adapter.neg (both versions)
+     */
+     function negG1(BN256Adapter.PointG1 memory Point) public pure returns (BN256Adapter.PointG1 memory) {
+         return BN256Adapter.neg(Point);
+     }
+     function negG2(BN256Adapter.PointG2 memory Point) public pure returns (BN256Adapter.PointG2 memory) {
+         return BN256Adapter.neg(Point);
+     }
+     /**
+     * Pass-through function for BN256Adapter.hashToG1
+     */
+     function hashToG1(bytes memory _message) public pure returns (BN256Adapter.PointG1 memory) {
+         return BN256Adapter.hashToG1(_message);
+     }
+     /**
+     * Pass-through function for BN256Adapter.verifyPairingEquations
+     */
+     function verifyPairingEquations(BN256Adapter.PairingEquation[] memory equations) public view returns (bool) {
+         return BN256Adapter.verifyPairingEquations(equations);
+     }
+     /**
+     * Pass-through functions for the BN256Adapter point validation functions
+     */
+     function isValidG1(BN256Adapter.PointG1 memory Point) public pure returns (bool) {
+         return BN256Adapter.isValid(Point);
+     }
+     function isOnCurveG2(BN256Adapter.PointG2 memory Point) public pure returns (bool) {
+         return BN256Adapter.isOnCurve(Point);
+     }
+     function isInSubgroup(BN256Adapter.PointG2 memory Point) public view returns (bool) {
+         return BN256Adapter.isInSubgroup(Point);
+     }
+     function requireValidG1(BN256Adapter.PointG1 memory Point) public pure {
+         BN256Adapter.requireValid(Point);
+     }
+     function requireValidG2(BN256Adapter.PointG2 memory Point) public view {
+         BN256Adapter.requireValid(Point);
+     }
+     /**
+     * Sums the balances of several users by reading balanceOf from the token's storage
+     */
+     function sumStoredBalances(CommitmentToken token, address[] memory users) public view returns (uint256 total) {
+         for (uint256 i = 0; i < users.length; i++) {
+             total += token.balanceOf(users[i]);
+         }
+     }
+     /**
+     * Sums the claimed balances of a shard after validating them against the token's BalancesCommitment
+     */
+     function sumProvenBalances(
+         CommitmentToken token,
+         uint256 shard,
+         uint256[] memory balances,
+         BN256Adapter.PointG1 memory proof
+        ) public view returns (uint256 total) {
+         require(token.verifyBalances(shard, balances, proof), "Invalid balances proof");
+         for (uint256 i = 0; i < balances.length; i++) {
+             total += balances[i];
+         }
+     }
+     /**
+     * Votes individually with the helper's own token balance, like a contract that holds tokens
+     */
+     function castVote(AggregateVoting voting, bool support) public {
+         voting.castVote(support);
+     }
 }
@@ -0,0 +1,30 @@
+//SPDX-License-Identifier: MIT
+pragma solidity ^0.6.0;
+pragma experimental ABIEncoderV2;
+
+import "../CommitmentToken.sol";
+
+/**
+ * A CommitmentToken that does not check the proof of possession of registered keys
+ * It is used to demonstrate the rogue key attack that the check prevents
+ *
+ * WARNING: this is insecure. Do not use this contract in production code
+ */
+contract UncheckedCommitmentToken is CommitmentToken {
+    constructor(
+        string memory name,
+        string memory symbol,
+        TrustedSetup _trustedSetup,
+        uint256 _setupVersion,
+        uint256 _maxShards
+    ) public CommitmentToken(name, symbol, _trustedSetup, _setupVersion, _maxShards) {}
+
+    /**
+     * @notice Accept any proof of possession
+     */
+    function _requireProofOfPossession(BN256Adapter.PointG2 memory, BN256Adapter.PointG1 memory)
+        internal
+        view
+        override
+    {}
+}
@@ -1,4 +1,7 @@
 require("@nomiclabs/hardhat-waffle");
+require("./tasks/ceremony");
+require("./tasks/deployment");
+require("./tasks/relay");
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -17,15 +20,23 @@ task("accounts", "Prints the list of accounts", async () => {
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
-  solidity: "0.6.12",
+  solidity: {
+    version: "0.6.12",
+    settings: {
+      // CommitmentToken exceeds the contract size limit without the optimizer
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   networks: {
     hardhat: {
       // generating an update proof for the Trusted Setup consumes too much gas
       // this is not a problem in practice because it's a `view` function
       // and a real-world trusted setup is not going to use the EVM
       // this increases the gas limit so the test suite can complete
-      blockGasLimit:10**8
-    }
-  }
+      blockGasLimit: 10 ** 8,
+    },
+  },
 };
-
@@ -0,0 +1,363 @@
+const { BigNumber } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { dotProductProof } = require("./dot-product");
+
+/**
+ * Off-chain tooling to aggregate votes for the AggregateVoting contract.
+ *
+ * All of the elliptic curve operations are performed in JavaScript, so building an aggregate only requires
+ * reading the trusted setup once. The contract still validates the result with a constant number of pairings.
+ *
+ * The inputs are:
+ *   - the trusted setup powers (see readTrustedSetup)
+ *   - the registered keys: a list of { index, encodedKey } records, where encodedKey is the
+ *     (s^position)⋅[PUBLIC_KEY] value that the user passed to CommitmentToken.register
+ *   - a pool of signed votes: a list of { index, support, signature } records, where signature is
+ *     the voter's signature over AggregateVoting.votingArtifact(index, support)
+ *   - when tallying, the registered balances: a list of { index, balance } records that match
+ *     the BalancesCommitment snapshot
+ *
+ * The indices are the CommitmentToken.indexOf values. When the token has several shards, they are split into a
+ * shard and a position within the shard (see shardOf and positionOf), and the selections and tally proofs are
+ * built for every shard.
+ */
+
+const INFINITY_G1 = adapter.toPointG1({ x: 0, y: 0 });
+const INFINITY_G2 = adapter.toPointG2({ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 });
+
+// the placeholder tally for a side without an aggregate vote. The contract ignores its (empty) proofs
+const EMPTY_TALLY = {
+  weight: 0,
+  weights: [],
+  proofs: [],
+};
+
+/**
+ * @notice Reads the powers of s of a published version from a deployed TrustedSetup contract
+ * @dev commitments must be built with the version that the token pinned (see CommitmentToken.setupVersion),
+ * which differs from the current powers if the setup has been updated since it was published. The version is
+ * therefore required
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance)
+ * @param version the published version to read, eg. await token.setupVersion()
+ * @return an object with the MAX_DEGREE and the S1 and S2 powers (as PointG1 and PointG2 structs)
+ */
+async function readTrustedSetup(trustedSetup, version) {
+  if (version === undefined || version === null) {
+    throw new Error("A trusted setup version is required (see CommitmentToken.setupVersion)");
+  }
+  return readPowers(
+    trustedSetup,
+    (i) => trustedSetup.versionS1(version, i),
+    (i) => trustedSetup.versionS2(version, i)
+  );
+}
+
+/**
+ * @notice Reads the current powers of s from a deployed TrustedSetup contract
+ * @dev these are the powers that a ceremony contribution updates (see lib/ceremony.js). They only match the
+ * commitments of a token if no update has been applied since the token's version was published
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance)
+ * @return an object with the MAX_DEGREE and the S1 and S2 powers (as PointG1 and PointG2 structs)
+ */
+async function readCurrentPowers(trustedSetup) {
+  return readPowers(
+    trustedSetup,
+    (i) => trustedSetup.S1(i),
+    (i) => trustedSetup.S2(i)
+  );
+}
+
+// reads every power of s with the specified getters
+async function readPowers(trustedSetup, readS1, readS2) {
+  const MAX_DEGREE = Number(await trustedSetup.MAX_DEGREE());
+  const S1 = [];
+  const S2 = [];
+  for (let i = 0; i <= MAX_DEGREE; i++) {
+    S1.push(adapter.toPointG1(await readS1(i)));
+    S2.push(adapter.toPointG2(await readS2(i)));
+  }
+  return { MAX_DEGREE, S1, S2 };
+}
+
+/**
+ * @notice Returns the number of positions in the commitments
+ * @dev this matches PolynomialCommitment.DATA_ARRAY_SIZE, which ensures the product
+ * of two commitments can be evaluated with the trusted setup
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @return the size of the data arrays
+ */
+function dataArraySize(setup) {
+  return Math.floor(setup.MAX_DEGREE / 2) + 1;
+}
+
+/**
+ * @notice Returns the shard that contains an index
+ * @dev this matches PolynomialCommitment.shardOf: each shard holds dataArraySize - 1 positions
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param index the (non-zero) index of the record across all shards
+ * @return the shard index
+ */
+function shardOf(setup, index) {
+  return Math.floor((Number(index) - 1) / (dataArraySize(setup) - 1));
+}
+
+/**
+ * @notice Returns the position of an index within its shard
+ * @dev this matches PolynomialCommitment.positionOf
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param index the (non-zero) index of the record across all shards
+ * @return the position within the shard (between 1 and dataArraySize - 1)
+ */
+function positionOf(setup, index) {
+  return ((Number(index) - 1) % (dataArraySize(setup) - 1)) + 1;
+}
+
+/**
+ * @notice Returns the number of shards required to hold a list of records
+ * @dev this matches CommitmentToken.shardCount as long as the records include the last registered user
+ * (which is not the case if they have since deregistered). There is always at least one shard
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param records a list of records with an index property (eg. the registered keys)
+ * @return the number of shards
+ */
+function shardCount(setup, records) {
+  return records.reduce((count, { index }) => Math.max(count, shardOf(setup, index) + 1), 1);
+}
+
+/**
+ * @notice Builds the (reversed) selection commitment of every shard
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param indices the selected indices
+ * @param count the number of shards
+ * @return a list with the selection of each shard: the sum of s^(n-i)⋅[P2] for every selected position i
+ * in the shard (or the point at infinity if the shard has no selected positions)
+ */
+function selectionCommitments(setup, indices, count) {
+  const n = dataArraySize(setup) - 1;
+  const selections = new Array(count).fill(null).map(() => [INFINITY_G2]);
+  for (const index of indices) {
+    const shard = shardOf(setup, index);
+    if (shard >= count) {
+      throw new Error(`Position ${index} is outside the ${count} shards`);
+    }
+    selections[shard].push(setup.S2[n - positionOf(setup, index)]);
+  }
+  return selections.map((terms) => adapter.sum(terms));
+}
+
+/**
+ * @notice Sums the encoded keys of the registered users that are not selected
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param indices the selected indices
+ * @return the complement commitment, which is the point at infinity when every registered user is selected
+ */
+function complementCommitment(keys, indices) {
+  const others = keys
+    .filter((key) => !indices.includes(Number(key.index)))
+    .map((key) => adapter.toPointG2(key.encodedKey));
+  return others.length > 0 ? adapter.sum(others) : INFINITY_G2;
+}
+
+/**
+ * @notice Returns the unique positions of the voters in the pool that voted on the specified side
+ * @dev if a voter appears multiple times, only their first vote is used
+ * @param votes the pool of signed votes
+ * @param support the side of the vote
+ * @return the selected votes, ordered by position
+ */
+function selectVotes(votes, support) {
+  const selected = new Map();
+  for (const vote of votes) {
+    if (vote.support === support && !selected.has(Number(vote.index))) {
+      selected.set(Number(vote.index), vote);
+    }
+  }
+  return [...selected.values()].sort((a, b) => Number(a.index) - Number(b.index));
+}
+
+/**
+ * @notice Builds an aggregate vote for the AggregateVoting contract
+ * @dev the votes are assumed to be valid. An invalid signature will cause the contract to reject the aggregate.
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param votes the pool of signed votes
+ * @param support the side of the vote to aggregate
+ * @param count (optional) the number of shards in the voting contract (AggregateVoting.shardCount).
+ * By default, it is derived from the registered keys
+ * @return the arguments to AggregateVoting.submitAggregate:
+ *   - support: the side of the vote
+ *   - added: the indices of the selected voters
+ *   - selections: the reversed selection commitment of each shard, which represents position i with s^(n-i)⋅[P2]
+ *   - complement: the sum of the encoded keys of the registered users (in every shard) that are not in the selection
+ *   - signature: the sum of the signatures of the users in the selection
+ *   It also includes the indices of the aggregate (which can be passed to buildTally). They are the added indices
+ */
+function buildAggregate(setup, keys, votes, support, count = shardCount(setup, keys)) {
+  const selected = selectVotes(votes, support);
+  if (selected.length === 0) {
+    throw new Error("No votes to aggregate");
+  }
+  const indices = selected.map((vote) => Number(vote.index));
+
+  const registered = new Set(keys.map((key) => Number(key.index)));
+  for (const index of indices) {
+    if (!registered.has(index)) {
+      throw new Error(`Voter at position ${index} is not registered`);
+    }
+  }
+
+  const selections = selectionCommitments(setup, indices, count);
+  const complement = complementCommitment(keys, indices);
+  const signature = adapter.sum(selected.map((vote) => adapter.toPointG1(vote.signature)));
+
+  return { support, added: indices, selections, complement, signature, indices };
+}
+
+/**
+ * @notice Builds an extension of an aggregate vote that was already submitted, with the votes of additional voters
+ * @dev the contract adds the selections and signature of the extension to the recorded aggregate, so it only covers
+ * the voters that are not in the previous aggregate. The contract rejects voters that are already aggregated
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param votes the pool of signed votes
+ * @param previous the submitted aggregate, as returned by buildAggregate (or a previous extendAggregate)
+ * @return the arguments to AggregateVoting.submitAggregate:
+ *   - support: the side of the previous aggregate
+ *   - added: the indices of the additional voters
+ *   - selections: the reversed selection commitment of each shard, for the additional voters
+ *   - complement: the sum of the encoded keys of the registered users that are in neither aggregate
+ *   - signature: the sum of the signatures of the additional voters
+ *   It also includes the indices of the combined aggregate (which can be passed to buildTally)
+ */
+function extendAggregate(setup, keys, votes, previous) {
+  const submitted = new Set(previous.indices.map(Number));
+  const additional = votes.filter((vote) => !submitted.has(Number(vote.index)));
+  if (selectVotes(additional, previous.support).length === 0) {
+    throw new Error("No votes to add");
+  }
+  const extension = buildAggregate(
+    setup,
+    keys,
+    additional,
+    previous.support,
+    previous.selections.length
+  );
+  const indices = [...submitted, ...extension.indices].sort((a, b) => a - b);
+
+  return {
+    support: previous.support,
+    added: extension.indices,
+    selections: extension.selections,
+    complement: complementCommitment(keys, indices),
+    signature: extension.signature,
+    indices,
+  };
+}
+
+/**
+ * @notice Encodes an aggregate as a transaction request that calls AggregateVoting.submitAggregate
+ * @param voting the AggregateVoting contract (an ethers Contract instance)
+ * @param aggregate the aggregate returned by buildAggregate or extendAggregate
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function aggregateTransaction(voting, aggregate) {
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("submitAggregate", [
+      aggregate.support,
+      aggregate.added,
+      aggregate.selections,
+      aggregate.complement,
+      aggregate.signature,
+    ]),
+  };
+}
+
+/**
+ * @notice Computes the voting weight of every index, as committed in CommitmentToken.DelegatedWeightsCommitment
+ * @param holders the token holders: { index, delegate, balance }, where index and delegate are zero if the holder
+ * does not have a BLS key or did not delegate their balance (see CommitmentToken.votingIndexOf)
+ * @return the weights in the same format as the registered balances: { index, balance }
+ */
+function delegatedWeights(holders) {
+  const weights = new Map();
+  for (const { index, delegate, balance } of holders) {
+    const votingIndex = Number(delegate) !== 0 ? Number(delegate) : Number(index);
+    if (votingIndex !== 0) {
+      weights.set(votingIndex, (weights.get(votingIndex) || BigNumber.from(0)).add(balance));
+    }
+  }
+  return [...weights].map(([index, balance]) => ({ index, balance }));
+}
+
+/**
+ * @notice Computes the token weight of an aggregate vote, along with the proofs required by AggregateVoting.submitTally
+ * @param setup the trusted setup returned by readTrustedSetup
+ * @param balances the voting weights of the registered users (see delegatedWeights). Without any delegations,
+ * these are the registered balances (every user in the BalancesCommitment snapshot)
+ * @param aggregate the aggregate returned by buildAggregate (or the last extendAggregate)
+ * @return an object with the side of the vote (support), the total weight of the selected users (weight),
+ * and the weight and dot product proof of each shard (weights, proofs)
+ */
+function buildTally(setup, balances, aggregate) {
+  const count = aggregate.selections.length;
+  const values = new Array(count).fill(null).map(() => new Array(dataArraySize(setup)).fill(0));
+  for (const { index, balance } of balances) {
+    if (shardOf(setup, index) < count) {
+      values[shardOf(setup, index)][positionOf(setup, index)] = balance;
+    }
+  }
+  const positions = new Array(count).fill(null).map(() => []);
+  for (const index of aggregate.indices) {
+    positions[shardOf(setup, index)].push(positionOf(setup, index));
+  }
+
+  const weights = [];
+  const proofs = [];
+  for (let shard = 0; shard < count; shard++) {
+    const { product, proof } = dotProductProof(setup, values[shard], positions[shard]);
+    weights.push(product);
+    proofs.push(proof);
+  }
+  const weight = weights.reduce((total, w) => total.add(w), BigNumber.from(0));
+  return { support: aggregate.support, weight, weights, proofs };
+}
+
+/**
+ * @notice Encodes the tallies as a transaction request that calls AggregateVoting.submitTally
+ * @param voting the AggregateVoting contract (an ethers Contract instance)
+ * @param yesTally the tally of the supporting aggregate returned by buildTally (or null if there is none)
+ * @param noTally the tally of the opposing aggregate returned by buildTally (or null if there is none)
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function tallyTransaction(voting, yesTally, noTally) {
+  const yes = yesTally || EMPTY_TALLY;
+  const no = noTally || EMPTY_TALLY;
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("submitTally", [
+      yes.weights,
+      yes.proofs,
+      no.weights,
+      no.proofs,
+    ]),
+  };
+}
+
+module.exports = {
+  EMPTY_TALLY,
+  readTrustedSetup,
+  readCurrentPowers,
+  dataArraySize,
+  shardOf,
+  positionOf,
+  shardCount,
+  selectionCommitments,
+  selectVotes,
+  buildAggregate,
+  extendAggregate,
+  aggregateTransaction,
+  delegatedWeights,
+  buildTally,
+  tallyTransaction,
+};
@@ -0,0 +1,118 @@
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { commitG1 } = require("./dot-product");
+const { dataArraySize, shardOf, positionOf } = require("./aggregator");
+
+/**
+ * Off-chain balance oracle for CommitmentToken.verifyBalances and CommitmentToken.provenBalanceOf.
+ *
+ * The oracle keeps the full balance vector of every shard: the balance at each position, in the same order as the
+ * BalancesCommitment. Instead of reading balanceOf for every user, a contract can accept the balances of a whole
+ * shard from the caller, along with an opening proof, and validate them against the commitment.
+ *
+ * The opening evaluates the claimed balances, as the coefficients of a polynomial Values(X), at a challenge point z
+ * that is derived from the commitment and the balances (see PolynomialCommitment._isOpeningEquation). The proof is
+ * the commitment to the quotient (Values(X) - Values(z)) / (X - z).
+ */
+
+/**
+ * @notice Derives the challenge point for an opening, exactly like the contract
+ * @param commitment the BalancesCommitment of the shard (a PointG1)
+ * @param balances the claimed balances
+ * @return keccak256(commitment.x, commitment.y, balances) reduced modulo the group order
+ */
+function balanceChallenge(commitment, balances) {
+  const hash = utils.solidityKeccak256(
+    ["uint256", "uint256", "uint256[]"],
+    [commitment.x, commitment.y, balances]
+  );
+  return BigNumber.from(hash).mod(adapter.GROUP_ORDER);
+}
+
+/**
+ * @notice Generates the opening proof for a data array
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param values the data array, where values[i] is the value at position i
+ * @param z the challenge point
+ * @return the commitment to the quotient polynomial (Values(X) - Values(z)) / (X - z)
+ */
+function openingProof(setup, values, z) {
+  // synthetic division: the quotient coefficients are computed from the highest degree down
+  const quotient = new Array(Math.max(values.length - 1, 0));
+  let carry = BigNumber.from(0);
+  for (let i = values.length - 1; i > 0; i--) {
+    carry = carry.mul(z).add(values[i]).mod(adapter.GROUP_ORDER);
+    quotient[i - 1] = carry;
+  }
+  return commitG1(setup, quotient);
+}
+
+/**
+ * @notice Builds the arguments to CommitmentToken.verifyBalances for a balance vector
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup (using the version that the token pinned)
+ * @param vector the balance at every position in the shard
+ * @return an object with:
+ *   - balances: the vector without trailing zeros
+ *   - commitment: the corresponding BalancesCommitment
+ *   - proof: the opening proof
+ */
+function openBalances(setup, vector) {
+  const balances = vector.map((balance) => BigNumber.from(balance));
+  while (balances.length > 0 && balances[balances.length - 1].isZero()) {
+    balances.pop();
+  }
+  const commitment = commitG1(setup, balances);
+  const proof = openingProof(setup, balances, balanceChallenge(commitment, balances));
+  return { balances, commitment, proof };
+}
+
+/**
+ * @notice Reconstructs the balance vector of every shard of a token
+ * @dev the token holders are discovered from the Transfer events. Only registered holders are included
+ * in the vectors, since they are the only ones in the BalancesCommitment
+ * @param token the CommitmentToken contract (an ethers Contract instance)
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup (using the version that the token pinned)
+ * @param blockTag (optional) the block to read the balances at
+ * @return a list with the balance vector of each shard (lists of DATA_ARRAY_SIZE BigNumbers)
+ */
+async function readBalanceVectors(token, setup, blockTag = "latest") {
+  const count = Number(await token.shardCount({ blockTag }));
+  const vectors = new Array(count)
+    .fill(null)
+    .map(() => new Array(dataArraySize(setup)).fill(BigNumber.from(0)));
+
+  const transfers = await token.queryFilter(token.filters.Transfer(), 0, blockTag);
+  const holders = new Set(transfers.map(({ args }) => args.to));
+  for (const holder of holders) {
+    const index = Number(await token.indexOf(holder, { blockTag }));
+    if (index !== 0) {
+      const balance = await token.balanceOf(holder, { blockTag });
+      vectors[shardOf(setup, index)][positionOf(setup, index)] = balance;
+    }
+  }
+  return vectors;
+}
+
+/**
+ * @notice Reads the balances of a shard and builds the arguments to CommitmentToken.verifyBalances
+ * @param token the CommitmentToken contract (an ethers Contract instance)
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup (using the version that the token pinned)
+ * @param shard the shard index
+ * @param blockTag (optional) the block to read the balances at
+ * @return the opening returned by openBalances
+ */
+async function openShard(token, setup, shard, blockTag = "latest") {
+  const vectors = await readBalanceVectors(token, setup, blockTag);
+  if (shard >= vectors.length) {
+    throw new Error(`Shard ${shard} is not in use`);
+  }
+  return openBalances(setup, vectors[shard]);
+}
+
+module.exports = {
+  balanceChallenge,
+  openingProof,
+  openBalances,
+  readBalanceVectors,
+  openShard,
+};
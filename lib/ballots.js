@@ -0,0 +1,80 @@
+const { utils } = require("ethers");
+
+/**
+ * Off-chain signing of the individual (ECDSA) votes that are accepted by AggregateVoting.castVoteBySig.
+ *
+ * Users without a BLS key sign an EIP-712 ballot in the domain of a specific voting contract, so the ballot
+ * cannot be replayed in another one. Anyone can submit the signed ballot, which lets a relayer pay for the
+ * transaction. The contract recovers the voter from the signature and counts their balance when the vote is cast.
+ */
+
+// matches AggregateVoting.BALLOT_TYPEHASH
+const BALLOT_TYPES = {
+  Ballot: [{ name: "support", type: "bool" }],
+};
+
+/**
+ * @notice Returns the EIP-712 domain of a voting contract
+ * @param voting the AggregateVoting contract (an ethers Contract instance connected to a provider)
+ * @return the domain: { name, version, chainId, verifyingContract }
+ */
+async function ballotDomain(voting) {
+  const { chainId } = await voting.provider.getNetwork();
+  return { name: "AggregateVoting", version: "1", chainId, verifyingContract: voting.address };
+}
+
+/**
+ * @notice Signs an individual vote
+ * @param signer the voter (an ethers Signer that supports EIP-712)
+ * @param voting the AggregateVoting contract
+ * @param support whether the vote supports the topic
+ * @return the signed ballot: { support, v, r, s }
+ */
+async function signBallot(signer, voting, support) {
+  const signature = await signer._signTypedData(await ballotDomain(voting), BALLOT_TYPES, {
+    support,
+  });
+  const { v, r, s } = utils.splitSignature(signature);
+  return { support, v, r, s };
+}
+
+/**
+ * @notice Recovers the voter of a signed ballot, exactly like the contract
+ * @param voting the AggregateVoting contract
+ * @param ballot the ballot returned by signBallot
+ * @return the address of the voter
+ */
+async function ballotSigner(voting, ballot) {
+  return utils.verifyTypedData(
+    await ballotDomain(voting),
+    BALLOT_TYPES,
+    { support: ballot.support },
+    { v: ballot.v, r: ballot.r, s: ballot.s }
+  );
+}
+
+/**
+ * @notice Encodes a signed ballot as a transaction request that calls AggregateVoting.castVoteBySig
+ * @param voting the AggregateVoting contract
+ * @param ballot the ballot returned by signBallot
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function ballotTransaction(voting, ballot) {
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("castVoteBySig", [
+      ballot.support,
+      ballot.v,
+      ballot.r,
+      ballot.s,
+    ]),
+  };
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  ballotDomain,
+  signBallot,
+  ballotSigner,
+  ballotTransaction,
+};
@@ -0,0 +1,276 @@
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const aggregator = require("./aggregator");
+
+/**
+ * Off-chain tooling for the commit-reveal scheme in the BlindedAggregateVoting contract.
+ *
+ * Voters use createBallot to produce two packages:
+ *   - a commit package ({ index, commitSignature, blindedBallot }), which is given to the aggregator
+ *     during the commit phase. It does not reveal the vote
+ *   - a reveal package ({ index, support, signature, blinding }), which is given to the aggregator
+ *     during the reveal phase
+ * The aggregator uses buildCommitment and buildReveal to produce the arguments to
+ * BlindedAggregateVoting.submitCommitment and BlindedAggregateVoting.reveal. Commit packages that arrive after the
+ * commitment is submitted can be added with extendCommitment.
+ */
+
+const INFINITY_G1 = adapter.toPointG1({ x: 0, y: 0 });
+const INFINITY_G2 = adapter.toPointG2({ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 });
+
+// the first commit package of each participant
+function uniqueCommits(commits) {
+  const unique = new Map();
+  for (const commit of commits) {
+    if (!unique.has(Number(commit.index))) {
+      unique.set(Number(commit.index), commit);
+    }
+  }
+  return [...unique.values()];
+}
+
+// the opening of a side without any revealed votes, in a contract with the specified number of shards
+function emptyOpening(count) {
+  return {
+    selections: new Array(count).fill(INFINITY_G2),
+    complement: INFINITY_G2,
+    signature: INFINITY_G1,
+  };
+}
+
+/**
+ * @notice Generates a random blinding factor
+ * @return a random scalar below the group order
+ */
+function randomBlinding() {
+  return BigNumber.from(utils.randomBytes(32)).mod(adapter.GROUP_ORDER);
+}
+
+/**
+ * @notice Blinds a vote signature
+ * @param signature the voter's signature over AggregateVoting.votingArtifact(index, support)
+ * @param blinding the blinding factor ρ
+ * @return the blinded ballot: signature + ρ⋅[P1]
+ */
+function blindBallot(signature, blinding) {
+  return adapter.sum([signature, adapter.multiply(adapter.P1(), blinding)]);
+}
+
+/**
+ * @notice Creates the commit and reveal packages for a vote
+ * @param index the voter's position in the commitments
+ * @param support whether the vote supports the topic
+ * @param signature the voter's signature over BlindedAggregateVoting.votingArtifact(index, support)
+ * @param commitSignature the voter's signature over BlindedAggregateVoting.commitArtifact(index)
+ * @param blinding (optional) the blinding factor. A random one is generated by default
+ * @return an object with the commit and reveal packages
+ */
+function createBallot(index, support, signature, commitSignature, blinding = randomBlinding()) {
+  return {
+    commit: {
+      index: Number(index),
+      commitSignature: adapter.toPointG1(commitSignature),
+      blindedBallot: blindBallot(signature, blinding),
+    },
+    reveal: {
+      index: Number(index),
+      support,
+      signature: adapter.toPointG1(signature),
+      blinding: BigNumber.from(blinding),
+    },
+  };
+}
+
+/**
+ * @notice Builds the blinded commitment for BlindedAggregateVoting.submitCommitment
+ * @dev if a voter submits multiple commit packages, only the first one is used
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param commits the commit packages
+ * @param count (optional) the number of shards in the voting contract (BlindedAggregateVoting.shardCount).
+ * By default, it is derived from the registered keys
+ * @return the arguments to submitCommitment (added, selections, complement, signature, blindedBallots),
+ * along with the participating indices and the commit packages that were used (commits)
+ */
+function buildCommitment(setup, keys, commits, count = aggregator.shardCount(setup, keys)) {
+  const used = uniqueCommits(commits);
+
+  // the participation signature is aggregated exactly like a vote
+  const participation = aggregator.buildAggregate(
+    setup,
+    keys,
+    used.map((commit) => ({ index: commit.index, support: true, signature: commit.commitSignature })),
+    true,
+    count
+  );
+
+  return {
+    added: participation.added,
+    selections: participation.selections,
+    complement: participation.complement,
+    signature: participation.signature,
+    blindedBallots: adapter.sum(used.map((commit) => adapter.toPointG1(commit.blindedBallot))),
+    indices: participation.indices,
+    commits: used.sort((a, b) => a.index - b.index),
+  };
+}
+
+/**
+ * @notice Builds an extension of a submitted commitment, with the commit packages of additional participants
+ * @dev the contract adds the extension to the recorded commitment, so it only covers the participants that are
+ * not in the previous commitment
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param commits the commit packages
+ * @param previous the submitted commitment, as returned by buildCommitment (or a previous extendCommitment)
+ * @return the arguments to submitCommitment (added, selections, complement, signature, blindedBallots) for the
+ * additional participants, along with the participating indices and the commit packages of the combined
+ * commitment, which can be passed to buildReveal
+ */
+function extendCommitment(setup, keys, commits, previous) {
+  const submitted = new Set(previous.indices.map(Number));
+  const added = uniqueCommits(commits).filter((commit) => !submitted.has(Number(commit.index)));
+  if (added.length === 0) {
+    throw new Error("No votes to add");
+  }
+
+  const participation = aggregator.extendAggregate(
+    setup,
+    keys,
+    added.map((commit) => ({ index: commit.index, support: true, signature: commit.commitSignature })),
+    { support: true, selections: previous.selections, indices: previous.indices }
+  );
+
+  return {
+    added: participation.added,
+    selections: participation.selections,
+    complement: participation.complement,
+    signature: participation.signature,
+    blindedBallots: adapter.sum(added.map((commit) => adapter.toPointG1(commit.blindedBallot))),
+    indices: participation.indices,
+    commits: previous.commits.concat(added).sort((a, b) => a.index - b.index),
+  };
+}
+
+/**
+ * @notice Builds the arguments to BlindedAggregateVoting.reveal
+ * @dev reveal packages that do not open the corresponding blinded ballot are ignored, so those voters
+ * are treated as unrevealed. The vote signatures are assumed to be valid.
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param commitment the commitment returned by buildCommitment (or the last extendCommitment)
+ * @param reveals the reveal packages
+ * @return an object with:
+ *   - yes, no: the openings of each side ({ selections, complement, signature }), along with the revealed indices
+ *   - unrevealedSelections, unrevealedBallots: the selections and blinded ballots of the participants that did not reveal
+ *   - blinding: the sum of the revealed blinding factors
+ *   - unrevealed: the indices of the participants that did not reveal
+ */
+function buildReveal(setup, keys, commitment, reveals) {
+  const count = commitment.selections.length;
+  const byIndex = new Map();
+  for (const reveal of reveals) {
+    if (!byIndex.has(Number(reveal.index))) {
+      byIndex.set(Number(reveal.index), reveal);
+    }
+  }
+
+  const revealed = [];
+  const unrevealed = [];
+  for (const commit of commitment.commits) {
+    const reveal = byIndex.get(commit.index);
+    const opened =
+      reveal !== undefined &&
+      adapter.equals(blindBallot(reveal.signature, reveal.blinding), commit.blindedBallot);
+    if (opened) {
+      revealed.push(reveal);
+    } else {
+      unrevealed.push(commit);
+    }
+  }
+
+  const open = (support) => {
+    const votes = aggregator.selectVotes(revealed, support);
+    if (votes.length === 0) {
+      return { ...emptyOpening(count), indices: [] };
+    }
+    const { selections, complement, signature, indices } = aggregator.buildAggregate(
+      setup,
+      keys,
+      votes,
+      support,
+      count
+    );
+    return { selections, complement, signature, indices };
+  };
+
+  const blinding = revealed
+    .reduce((total, reveal) => total.add(reveal.blinding), BigNumber.from(0))
+    .mod(adapter.GROUP_ORDER);
+
+  return {
+    yes: open(true),
+    no: open(false),
+    unrevealedSelections: aggregator.selectionCommitments(
+      setup,
+      unrevealed.map((commit) => commit.index),
+      count
+    ),
+    unrevealedBallots:
+      unrevealed.length > 0
+        ? adapter.sum(unrevealed.map((commit) => commit.blindedBallot))
+        : INFINITY_G1,
+    blinding,
+    unrevealed: unrevealed.map((commit) => commit.index),
+  };
+}
+
+/**
+ * @notice Encodes a commitment as a transaction request that calls BlindedAggregateVoting.submitCommitment
+ * @param voting the BlindedAggregateVoting contract (an ethers Contract instance)
+ * @param commitment the commitment returned by buildCommitment or extendCommitment
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function commitTransaction(voting, commitment) {
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("submitCommitment", [
+      commitment.added,
+      commitment.selections,
+      commitment.complement,
+      commitment.signature,
+      commitment.blindedBallots,
+    ]),
+  };
+}
+
+/**
+ * @notice Encodes a reveal as a transaction request that calls BlindedAggregateVoting.reveal
+ * @param voting the BlindedAggregateVoting contract (an ethers Contract instance)
+ * @param reveal the reveal returned by buildReveal
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function revealTransaction(voting, reveal) {
+  const opening = ({ selections, complement, signature }) => ({ selections, complement, signature });
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("reveal", [
+      opening(reveal.yes),
+      opening(reveal.no),
+      reveal.unrevealedSelections,
+      reveal.unrevealedBallots,
+      reveal.blinding,
+    ]),
+  };
+}
+
+module.exports = {
+  randomBlinding,
+  blindBallot,
+  createBallot,
+  buildCommitment,
+  extendCommitment,
+  buildReveal,
+  commitTransaction,
+  revealTransaction,
+};
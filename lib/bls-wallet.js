@@ -0,0 +1,381 @@
+const crypto = require("crypto");
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { registrationArguments } = require("./registration");
+
+/**
+ * A BLS wallet that holds its secret key in JavaScript, as a replacement for the SimulatedBLSWallet contract.
+ *
+ * SimulatedBLSWallet derives its key from a public name and stores it in contract storage. This module instead:
+ *   - generates keys from a random seed, or derives them deterministically from a seed and a path, following
+ *     EIP-2333 (https://eips.ethereum.org/EIPS/eip-2333). The EIP targets BLS12-381, so the keys are reduced
+ *     modulo the BN254 group order instead (the derivation functions accept another group order, such as
+ *     BLS12_381_GROUP_ORDER), and the default path uses 254 as the purpose (EIP-2334 uses 12381) so that a seed
+ *     shared with a BLS12-381 wallet never produces related keys
+ *   - encrypts keys in a keystore with the format of EIP-2335 (https://eips.ethereum.org/EIPS/eip-2335):
+ *     scrypt or PBKDF2 key derivation, an AES-128-CTR cipher and a SHA-256 checksum
+ *
+ * Wallets have the same interface as a deployed SimulatedBLSWallet (PUBLIC_KEY, sign, signPoint, signPointG1 and
+ * deployed), and produce the same points for the same key. localWalletFactory can therefore replace the
+ * SimulatedBLSWallet contract factory.
+ */
+
+// the salt of the HKDF_mod_r function in EIP-2333
+const KEYGEN_SALT = "BLS-SIG-KEYGEN-SALT-";
+
+// the number of HKDF output bytes that are reduced modulo the group order: ceil((3 * ceil(log2(r))) / 16)
+const KEYGEN_LENGTH = 48;
+
+// the number of 32 byte chunks in a Lamport key of EIP-2333
+const LAMPORT_CHUNKS = 255;
+
+// the EIP-2334 signing key path, with the BN254 purpose
+const DEFAULT_PATH = "m/254/3600/0/0/0";
+
+// the order of the BLS12-381 groups, which EIP-2333 and EIP-2335 target
+const BLS12_381_GROUP_ORDER = BigNumber.from(
+  "0x73eda753299d7d483339d80809a1d80553bda402fffe5bfeffffffff00000001"
+);
+
+const KEYSTORE_VERSION = 4;
+
+// the EIP-2335 recommended parameters
+const DEFAULT_KDF_PARAMS = {
+  scrypt: { dklen: 32, n: 262144, r: 8, p: 1 },
+  pbkdf2: { dklen: 32, c: 262144, prf: "hmac-sha256" },
+};
+
+function i2osp(value, length) {
+  return utils.arrayify(utils.hexZeroPad(BigNumber.from(value).toHexString(), length));
+}
+
+function sha256(data) {
+  return utils.arrayify(utils.sha256(data));
+}
+
+/**
+ * @dev the HKDF_mod_r function of EIP-2333, which converts input key material into a secret key
+ */
+function hkdfModR(ikm, groupOrder, keyInfo = new Uint8Array(0)) {
+  let salt = utils.toUtf8Bytes(KEYGEN_SALT);
+  let secretKey = BigNumber.from(0);
+  while (secretKey.isZero()) {
+    salt = sha256(salt);
+    const okm = crypto.hkdfSync(
+      "sha256",
+      utils.concat([ikm, i2osp(0, 1)]),
+      salt,
+      utils.concat([keyInfo, i2osp(KEYGEN_LENGTH, 2)]),
+      KEYGEN_LENGTH
+    );
+    secretKey = BigNumber.from(new Uint8Array(okm)).mod(groupOrder);
+  }
+  return secretKey;
+}
+
+/**
+ * @dev the parent_SK_to_lamport_PK function of EIP-2333, which hides the parent key behind a hash
+ * of a Lamport public key
+ */
+function parentSecretKeyToLamportPublicKey(parentSecretKey, index) {
+  const salt = i2osp(index, 4);
+  const ikm = i2osp(parentSecretKey, 32);
+  const notIkm = ikm.map((byte) => byte ^ 0xff);
+  const chunks = [];
+  for (const material of [ikm, notIkm]) {
+    const lamportKey = new Uint8Array(
+      crypto.hkdfSync("sha256", material, salt, new Uint8Array(0), 32 * LAMPORT_CHUNKS)
+    );
+    for (let i = 0; i < LAMPORT_CHUNKS; i++) {
+      chunks.push(sha256(lamportKey.slice(32 * i, 32 * (i + 1))));
+    }
+  }
+  return sha256(utils.concat(chunks));
+}
+
+/**
+ * @notice Derives the master secret key from a seed
+ * @param seed the seed (any BytesLike value with at least 32 bytes)
+ * @param groupOrder (optional) the group order that the key is reduced by. Defaults to the BN254 group order
+ * @return the master secret key
+ */
+function deriveMasterSecretKey(seed, groupOrder = adapter.GROUP_ORDER) {
+  const bytes = utils.arrayify(seed);
+  if (bytes.length < 32) {
+    throw new Error("The seed must have at least 32 bytes");
+  }
+  return hkdfModR(bytes, groupOrder);
+}
+
+/**
+ * @notice Derives a child secret key
+ * @param parentSecretKey the parent secret key
+ * @param index the child index, below 2^32
+ * @param groupOrder (optional) the group order that the key is reduced by. Defaults to the BN254 group order
+ * @return the child secret key
+ */
+function deriveChildSecretKey(parentSecretKey, index, groupOrder = adapter.GROUP_ORDER) {
+  return hkdfModR(parentSecretKeyToLamportPublicKey(parentSecretKey, index), groupOrder);
+}
+
+/**
+ * @notice Parses a derivation path
+ * @param path a path like "m/254/3600/0/0/0"
+ * @return the list of child indices
+ */
+function parsePath(path) {
+  const [root, ...nodes] = path.split("/");
+  if (root !== "m" || nodes.some((node) => !/^\d+$/.test(node) || Number(node) >= 2 ** 32)) {
+    throw new Error(`Invalid derivation path: ${path}`);
+  }
+  return nodes.map(Number);
+}
+
+/**
+ * @notice Derives the secret key at a path from a seed
+ * @param seed the seed (any BytesLike value with at least 32 bytes)
+ * @param path (optional) the derivation path. Defaults to DEFAULT_PATH
+ * @param groupOrder (optional) the group order that the keys are reduced by. Defaults to the BN254 group order
+ * @return the secret key
+ */
+function deriveSecretKey(seed, path = DEFAULT_PATH, groupOrder = adapter.GROUP_ORDER) {
+  return parsePath(path).reduce(
+    (parent, index) => deriveChildSecretKey(parent, index, groupOrder),
+    deriveMasterSecretKey(seed, groupOrder)
+  );
+}
+
+/**
+ * @notice Encodes a public key as the 128 byte concatenation of its components, in struct order
+ * @param publicKey the public key (a PointG2)
+ * @return the hex encoding, without the 0x prefix (like the pubkey field of EIP-2335)
+ */
+function encodePublicKey(publicKey) {
+  const p = adapter.toPointG2(publicKey);
+  return utils
+    .hexConcat([p.x_imag, p.x_real, p.y_imag, p.y_real].map((v) => utils.hexZeroPad(v, 32)))
+    .slice(2);
+}
+
+/**
+ * @dev the EIP-2335 password normalization: NFKD, without the C0, C1 and Delete control codes
+ */
+function normalizePassword(password) {
+  const stripped = password.normalize("NFKD").replace(/[\u0000-\u001f\u007f-\u009f]/g, "");
+  return utils.toUtf8Bytes(stripped);
+}
+
+function deriveDecryptionKey(kdf, password) {
+  const { function: name, params } = kdf;
+  const salt = utils.arrayify("0x" + params.salt);
+  if (name === "scrypt") {
+    // scrypt needs 128 * n * r bytes, which exceeds the default Node limit with the recommended parameters
+    const maxmem = 256 * params.n * params.r;
+    const options = { N: params.n, r: params.r, p: params.p, maxmem };
+    return new Uint8Array(crypto.scryptSync(password, salt, params.dklen, options));
+  }
+  if (name === "pbkdf2" && params.prf === "hmac-sha256") {
+    return new Uint8Array(crypto.pbkdf2Sync(password, salt, params.c, params.dklen, "sha256"));
+  }
+  throw new Error(`Unsupported key derivation function: ${name}`);
+}
+
+function aes128Ctr(key, iv, data) {
+  const cipher = crypto.createCipheriv("aes-128-ctr", key, iv);
+  return new Uint8Array(Buffer.concat([cipher.update(data), cipher.final()]));
+}
+
+function checksum(decryptionKey, cipherMessage) {
+  return utils.sha256(utils.concat([decryptionKey.slice(16, 32), cipherMessage])).slice(2);
+}
+
+/**
+ * @notice Encrypts a secret key in an EIP-2335 keystore
+ * @param secretKey the secret key
+ * @param password the password that protects the keystore
+ * @param options (optional) { kdf, kdfParams, path, description }, where kdf is "scrypt" (the default) or
+ * "pbkdf2", kdfParams overrides the recommended parameters of the kdf, and path records how the key was derived
+ * @return the keystore (a JSON object)
+ */
+function encryptKeystore(secretKey, password, options = {}) {
+  const { kdf = "scrypt", kdfParams = {}, path = "", description = "" } = options;
+  if (DEFAULT_KDF_PARAMS[kdf] === undefined) {
+    throw new Error(`Unsupported key derivation function: ${kdf}`);
+  }
+  const params = {
+    ...DEFAULT_KDF_PARAMS[kdf],
+    ...kdfParams,
+    salt: utils.hexlify(utils.randomBytes(32)).slice(2),
+  };
+  const decryptionKey = deriveDecryptionKey({ function: kdf, params }, normalizePassword(password));
+  const iv = utils.randomBytes(16);
+  const cipherMessage = aes128Ctr(decryptionKey.slice(0, 16), iv, i2osp(secretKey, 32));
+
+  return {
+    crypto: {
+      kdf: { function: kdf, params, message: "" },
+      checksum: {
+        function: "sha256",
+        params: {},
+        message: checksum(decryptionKey, cipherMessage),
+      },
+      cipher: {
+        function: "aes-128-ctr",
+        params: { iv: utils.hexlify(iv).slice(2) },
+        message: utils.hexlify(cipherMessage).slice(2),
+      },
+    },
+    description,
+    pubkey: encodePublicKey(adapter.multiply(adapter.P2(), secretKey)),
+    path,
+    uuid: crypto.randomUUID(),
+    version: KEYSTORE_VERSION,
+  };
+}
+
+/**
+ * @notice Decrypts the secret key of an EIP-2335 keystore, without checking it against the public key
+ * @dev the pubkey field can only be checked for BN254 keys (see decryptKeystore). This also decrypts keystores of
+ * other curves, such as the BLS12-381 keystores of EIP-2335
+ * @param keystore the keystore (a JSON object, or its string encoding)
+ * @param password the password that protects the keystore
+ * @param groupOrder (optional) the group order that the secret key must be below. Defaults to the BN254 group order
+ * @return the secret key
+ */
+function decryptSecretKey(keystore, password, groupOrder = adapter.GROUP_ORDER) {
+  const { crypto: modules, version } =
+    typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  if (version !== KEYSTORE_VERSION) {
+    throw new Error(`Unsupported keystore version: ${version}`);
+  }
+  if (modules.checksum.function !== "sha256" || modules.cipher.function !== "aes-128-ctr") {
+    throw new Error("Unsupported keystore modules");
+  }
+  const decryptionKey = deriveDecryptionKey(modules.kdf, normalizePassword(password));
+  const cipherMessage = utils.arrayify("0x" + modules.cipher.message);
+  if (checksum(decryptionKey, cipherMessage) !== modules.checksum.message) {
+    throw new Error("Invalid keystore password");
+  }
+  const iv = utils.arrayify("0x" + modules.cipher.params.iv);
+  const secretKey = BigNumber.from(aes128Ctr(decryptionKey.slice(0, 16), iv, cipherMessage));
+  if (secretKey.isZero() || secretKey.gte(groupOrder)) {
+    throw new Error("The keystore secret key is out of range");
+  }
+  return secretKey;
+}
+
+/**
+ * @notice Decrypts the secret key of an EIP-2335 keystore
+ * @param keystore the keystore (a JSON object, or its string encoding)
+ * @param password the password that protects the keystore
+ * @return the secret key
+ */
+function decryptKeystore(keystore, password) {
+  const { pubkey } = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  const secretKey = decryptSecretKey(keystore, password);
+  if (pubkey && encodePublicKey(adapter.multiply(adapter.P2(), secretKey)) !== pubkey) {
+    throw new Error("The keystore public key does not match its secret key");
+  }
+  return secretKey;
+}
+
+/**
+ * @notice Creates a wallet that holds a secret key
+ * @param secretKey the secret key (any BigNumberish value). It is reduced modulo the group order
+ * @param path (optional) the derivation path of the key, which is recorded in its keystores
+ * @return the wallet. Its PUBLIC_KEY, sign, signPoint and signPointG1 functions match SimulatedBLSWallet
+ */
+function createWallet(secretKey, path = "") {
+  const sk = BigNumber.from(secretKey).mod(adapter.GROUP_ORDER);
+  if (sk.isZero()) {
+    throw new Error("The secret key must not be a multiple of the group order");
+  }
+  const publicKey = adapter.multiply(adapter.P2(), sk);
+
+  const wallet = {
+    PUBLIC_KEY: async () => publicKey,
+    sign: async (message) => adapter.multiply(adapter.hashToG1(message), sk),
+    signPoint: async (point) => adapter.multiply(adapter.toPointG2(point), sk),
+    signPointG1: async (point) => adapter.multiply(adapter.toPointG1(point), sk),
+
+    /**
+     * @notice Builds the arguments to CommitmentToken.register for the next free position
+     * @param token the CommitmentToken contract (an ethers Contract instance)
+     * @param user the address of the token holder that is registering the key
+     * @param alpha (optional) the registration secret α. A random one is generated by default
+     * @return the register arguments, including the proof of possession (see lib/registration.js)
+     */
+    registrationProof: (token, user, alpha) => registrationArguments(token, wallet, user, alpha),
+
+    /**
+     * @notice Encrypts the secret key in an EIP-2335 keystore (see encryptKeystore)
+     */
+    toKeystore: (password, options) => encryptKeystore(sk, password, { path, ...options }),
+
+    // contract wallets are awaited after deployment, so the local wallet supports the same call
+    deployed: async () => wallet,
+  };
+  return wallet;
+}
+
+/**
+ * @notice Creates a wallet with a new random key
+ * @return the wallet
+ */
+function generateWallet() {
+  return createWallet(deriveMasterSecretKey(utils.randomBytes(32)));
+}
+
+/**
+ * @notice Creates a wallet with the key derived from a seed
+ * @param seed the seed (any BytesLike value with at least 32 bytes)
+ * @param path (optional) the derivation path. Defaults to DEFAULT_PATH
+ * @return the wallet
+ */
+function walletFromSeed(seed, path = DEFAULT_PATH) {
+  return createWallet(deriveSecretKey(seed, path), path);
+}
+
+/**
+ * @notice Creates a wallet with the key of an EIP-2335 keystore
+ * @param keystore the keystore (a JSON object, or its string encoding)
+ * @param password the password that protects the keystore
+ * @return the wallet
+ */
+function walletFromKeystore(keystore, password) {
+  const { path } = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+  return createWallet(decryptKeystore(keystore, password), path);
+}
+
+/**
+ * @notice Creates a wallet with the same key as SimulatedBLSWallet.deploy(name)
+ * @dev WARNING: like the contract, the key is derived from a public value. It is only intended for tests
+ * @param name the wallet name
+ * @return the wallet
+ */
+function walletFromName(name) {
+  return createWallet(utils.keccak256(utils.toUtf8Bytes(name)));
+}
+
+// a drop-in replacement for the SimulatedBLSWallet contract factory. deploy(name) resolves to walletFromName(name)
+const localWalletFactory = {
+  deploy: async (name) => walletFromName(name),
+};
+
+module.exports = {
+  DEFAULT_PATH,
+  BLS12_381_GROUP_ORDER,
+  deriveMasterSecretKey,
+  deriveChildSecretKey,
+  deriveSecretKey,
+  encodePublicKey,
+  encryptKeystore,
+  decryptSecretKey,
+  decryptKeystore,
+  createWallet,
+  generateWallet,
+  walletFromSeed,
+  walletFromKeystore,
+  walletFromName,
+  localWalletFactory,
+};
@@ -0,0 +1,378 @@
+const { bn254 } = require("@noble/curves/bn254");
+const { BigNumber, utils } = require("ethers");
+
+/**
+ * A JavaScript version of the BN256Adapter library, so that off-chain tools can perform elliptic curve
+ * operations without calling into the EVM.
+ *
+ * Points use the same shapes as the Solidity structs, with ethers BigNumber components:
+ *   - PointG1 is { x, y }
+ *   - PointG2 is { x_imag, x_real, y_imag, y_real }
+ * This means they can be passed directly to contract functions, and compared against their return values.
+ * As in the EVM, the point at infinity is represented by zero components.
+ *
+ * Where the Solidity library overloads a function for both groups, the JavaScript version
+ * inspects the shape of the point to determine the group.
+ */
+
+const G1 = bn254.G1.ProjectivePoint;
+const G2 = bn254.G2.ProjectivePoint;
+
+// the q value in EIP-197 (https://eips.ethereum.org/EIPS/eip-197)
+const GROUP_ORDER = BigNumber.from(bn254.fields.Fr.ORDER.toString());
+
+// the prime modulus of the field that the point coordinates belong to
+const FIELD_MODULUS = BigNumber.from(bn254.fields.Fp.ORDER.toString());
+
+// BN256G1.LAST_MULTIPLE_OF_PP_LOWER_THAN_2_256
+const LAST_MULTIPLE_OF_PP_LOWER_THAN_2_256 = BigInt(
+  "0xf1f5883e65f820d099915c908786b9d3f58714d70a38f4c22ca2bc723a70f263"
+);
+
+// the ABI type of the BN256Adapter.PairingEquation struct
+const PAIRING_EQUATION_TYPE =
+  "tuple(tuple(uint256 x, uint256 y) A, " +
+  "tuple(uint256 x_imag, uint256 x_real, uint256 y_imag, uint256 y_real) B, " +
+  "tuple(uint256 x, uint256 y) C, " +
+  "tuple(uint256 x_imag, uint256 x_real, uint256 y_imag, uint256 y_real) D)";
+
+function isG2(point) {
+  return point.x_real !== undefined;
+}
+
+function toBigInt(value) {
+  return BigInt(BigNumber.from(value).toString());
+}
+
+function fromBigInt(value) {
+  return BigNumber.from(value.toString());
+}
+
+/**
+ * @notice converts a PointG1 struct (or a contract return value with the same fields) into a PointG1
+ * with BigNumber components
+ */
+function toPointG1(point) {
+  return { x: BigNumber.from(point.x), y: BigNumber.from(point.y) };
+}
+
+/**
+ * @notice converts a PointG2 struct (or a contract return value with the same fields) into a PointG2
+ * with BigNumber components
+ */
+function toPointG2(point) {
+  return {
+    x_imag: BigNumber.from(point.x_imag),
+    x_real: BigNumber.from(point.x_real),
+    y_imag: BigNumber.from(point.y_imag),
+    y_real: BigNumber.from(point.y_real),
+  };
+}
+
+/**
+ * @dev converts a PointG1 struct into a noble point. Like the precompiles, this rejects points that are not on the curve
+ */
+function toNobleG1(point) {
+  const x = toBigInt(point.x);
+  const y = toBigInt(point.y);
+  if (x === 0n && y === 0n) {
+    return G1.ZERO;
+  }
+  const p = G1.fromAffine({ x, y });
+  p.assertValidity();
+  return p;
+}
+
+/**
+ * @dev converts a PointG2 struct into a noble point. Like BN256Adapter.requireValid, this rejects points that are
+ * not on the curve or not in the subgroup
+ */
+function toNobleG2(point) {
+  const x = { c0: toBigInt(point.x_real), c1: toBigInt(point.x_imag) };
+  const y = { c0: toBigInt(point.y_real), c1: toBigInt(point.y_imag) };
+  if (x.c0 === 0n && x.c1 === 0n && y.c0 === 0n && y.c1 === 0n) {
+    return G2.ZERO;
+  }
+  const p = G2.fromAffine({ x, y });
+  p.assertValidity();
+  return p;
+}
+
+function fromNobleG1(p) {
+  if (p.is0()) {
+    return { x: BigNumber.from(0), y: BigNumber.from(0) };
+  }
+  const { x, y } = p.toAffine();
+  return { x: fromBigInt(x), y: fromBigInt(y) };
+}
+
+function fromNobleG2(p) {
+  if (p.is0()) {
+    return {
+      x_imag: BigNumber.from(0),
+      x_real: BigNumber.from(0),
+      y_imag: BigNumber.from(0),
+      y_real: BigNumber.from(0),
+    };
+  }
+  const { x, y } = p.toAffine();
+  return {
+    x_imag: fromBigInt(x.c1),
+    x_real: fromBigInt(x.c0),
+    y_imag: fromBigInt(y.c1),
+    y_real: fromBigInt(y.c0),
+  };
+}
+
+/**
+ * @return The group 1 (G1) generator
+ */
+function P1() {
+  return fromNobleG1(G1.BASE);
+}
+
+/**
+ * @return The negative of the group 1 (G1) generator
+ */
+function negP1() {
+  return neg(P1());
+}
+
+/**
+ * @return The group 2 (G2) generator
+ */
+function P2() {
+  return fromNobleG2(G2.BASE);
+}
+
+/**
+ * @return The negative of the group 2 (G2) generator
+ */
+function negP2() {
+  return neg(P2());
+}
+
+/**
+ * @dev Due to the curve's symmetry, -(x, y) = (x, -y) so we can simply negate the y value (or each of its components).
+ * The point at infinity is its own negative.
+ * @return the negative of the point
+ */
+function neg(point) {
+  if (isG2(point)) {
+    const p = toPointG2(point);
+    if (p.y_imag.isZero() && p.y_real.isZero() && p.x_imag.isZero() && p.x_real.isZero()) {
+      return p;
+    }
+    return {
+      x_imag: p.x_imag,
+      x_real: p.x_real,
+      y_imag: FIELD_MODULUS.sub(p.y_imag),
+      y_real: FIELD_MODULUS.sub(p.y_real),
+    };
+  }
+  const p = toPointG1(point);
+  if (p.x.isZero() && p.y.isZero()) {
+    return p;
+  }
+  return { x: p.x, y: FIELD_MODULUS.sub(p.y) };
+}
+
+/**
+ * @notice checks whether two points (in the same group) are identical
+ * @return whether the points are equal
+ */
+function equals(a, b) {
+  if (isG2(a)) {
+    const p = toPointG2(a);
+    const q = toPointG2(b);
+    return (
+      p.x_imag.eq(q.x_imag) && p.x_real.eq(q.x_real) && p.y_imag.eq(q.y_imag) && p.y_real.eq(q.y_real)
+    );
+  }
+  const p = toPointG1(a);
+  const q = toPointG1(b);
+  return p.x.eq(q.x) && p.y.eq(q.y);
+}
+
+/**
+ * @return whether the point (in G1 or G2) is the point at infinity, represented by zero components
+ */
+function isInfinity(point) {
+  if (isG2(point)) {
+    const p = toPointG2(point);
+    return p.x_imag.isZero() && p.x_real.isZero() && p.y_imag.isZero() && p.y_real.isZero();
+  }
+  const p = toPointG1(point);
+  return p.x.isZero() && p.y.isZero();
+}
+
+/**
+ * @notice checks whether the point is in its group, like BN256Adapter.requireValid
+ * @dev the coordinates must be below the field modulus and the point must be on the curve.
+ * G2 points must also be in the subgroup of order GROUP_ORDER. The point at infinity is valid
+ * @return whether the point (in G1 or G2) is valid
+ */
+function isValid(point) {
+  try {
+    if (isG2(point)) {
+      // noble reduces the G2 coordinate components, so they are checked explicitly
+      if (Object.values(toPointG2(point)).some((component) => component.gte(FIELD_MODULUS))) {
+        return false;
+      }
+      toNobleG2(point);
+    } else {
+      toNobleG1(point);
+    }
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * @notice computes scalar * point
+ * @param point the elliptic curve point (in G1 or G2) to multiply
+ * @param scalar the multiplier to use (any BigNumberish value)
+ * @return the point (scalar * point) in the same group
+ */
+function multiply(point, scalar) {
+  const k = toBigInt(BigNumber.from(scalar).mod(GROUP_ORDER));
+  if (isG2(point)) {
+    return fromNobleG2(toNobleG2(point).multiplyUnsafe(k));
+  }
+  return fromNobleG1(toNobleG1(point).multiplyUnsafe(k));
+}
+
+/**
+ * @notice computes the sum of all the points
+ * @dev points must have at least one item, and they must all be in the same group
+ * @param points the list of elliptic curve points to add
+ * @return the point corresponding to the sum of the input points
+ */
+function sum(points) {
+  if (points.length === 0) {
+    throw new Error("Cannot sum empty list");
+  }
+  if (isG2(points[0])) {
+    return fromNobleG2(points.map(toNobleG2).reduce((s, p) => s.add(p)));
+  }
+  return fromNobleG1(points.map(toNobleG1).reduce((s, p) => s.add(p)));
+}
+
+/**
+ * @notice uses the message as a seed to produce a psuedorandom point on G1
+ * @dev this reproduces BN256G1.hashToTryAndIncrement: it hashes the message with a one-byte counter
+ * and returns the first hash that corresponds to the x coordinate of a point on the curve.
+ * The y coordinate is derived the same way as EllipticCurve.deriveY with the 0x02 prefix.
+ * @param message the message to hash (any BytesLike value)
+ * @return a pseudorandom point in G1
+ */
+function hashToG1(message) {
+  const Fp = bn254.fields.Fp;
+  const p = Fp.ORDER;
+  for (let ctr = 0; ctr < 256; ctr++) {
+    const sha = BigInt(utils.sha256(utils.solidityPack(["bytes", "uint8"], [message, ctr])));
+    // Avoid hashes that are above the last multiple of p, otherwise odds are biased
+    if (sha >= LAST_MULTIPLE_OF_PP_LOWER_THAN_2_256) {
+      continue;
+    }
+    const x = sha % p;
+    // y = (x^3 + 3)^((p+1)/4), using the root with the same parity as the prefix
+    const y2 = Fp.pow(Fp.add(Fp.mul(x, Fp.mul(x, x)), 3n), (p + 1n) / 4n);
+    const y = (y2 + 2n) % 2n === 0n ? y2 : p - y2;
+    // the curve check rejects zero coordinates and values without a square root
+    if (x !== 0n && y !== 0n && Fp.eql(Fp.mul(y, y), Fp.add(Fp.mul(x, Fp.mul(x, x)), 3n))) {
+      return { x: fromBigInt(x), y: fromBigInt(y) };
+    }
+  }
+  throw new Error("No valid point was found");
+}
+
+/**
+ * @dev checks whether the product of the pairings of each { g1, g2 } pair is 1,
+ * like the pairing precompile. Pairs that contain the point at infinity do not contribute to the product.
+ */
+function checkPairing(pairs) {
+  const nonTrivial = pairs
+    .map(({ g1, g2 }) => ({ g1: toNobleG1(g1), g2: toNobleG2(g2) }))
+    .filter(({ g1, g2 }) => !g1.is0() && !g2.is0());
+  if (nonTrivial.length === 0) {
+    return true;
+  }
+  const Fp12 = bn254.fields.Fp12;
+  return Fp12.eql(bn254.pairingBatch(nonTrivial), Fp12.ONE);
+}
+
+/**
+ * @notice validates whether the inputs correspond to a valid BLS signature
+ * @dev this checks e(H, publicKey) * e(signature, -1⋅[P2]) == 1 where H = hashToG1(message)
+ * @param message the message that was signed
+ * @param signature the signature of the message
+ * @param publicKey the public key corresponding to the private key that signed the message
+ * @return whether the signature is valid
+ */
+function verify(message, signature, publicKey) {
+  return checkPairing([
+    { g1: hashToG1(message), g2: publicKey },
+    { g1: signature, g2: negP2() },
+  ]);
+}
+
+/**
+ * @notice returns the pseudorandom multiplier that verifyPairingEquations applies to an equation
+ * @dev this is the keccak256 hash of the ABI encoded BN256Adapter.PairingEquation struct
+ * @param equation the pairing equation ({ A, B, C, D })
+ * @return the multiplier
+ */
+function pairingEquationMultiplier(equation) {
+  const encoded = utils.defaultAbiCoder.encode([PAIRING_EQUATION_TYPE], [equation]);
+  return BigNumber.from(utils.keccak256(encoded));
+}
+
+/**
+ * @notice validates whether all the input equations are satisfied
+ * where each item i represents the equation 1 = e(eqns[i].A, eqns[i].B)*e(eqns[i].C, eqns[i].D)
+ * @dev like the Solidity version, every equation after the first is scaled by a pseudorandom multiplier
+ * so that all the equations can be checked with a single (batched) pairing.
+ * Unlike the Solidity version, the input equations are not modified.
+ * @param equations a list of pairing equations to validate
+ * @return whether all equations are satisfied
+ */
+function verifyPairingEquations(equations) {
+  if (equations.length === 0) {
+    throw new Error("Cannot verify empty list of pairing equations");
+  }
+
+  const pairs = [];
+  equations.forEach((equation, i) => {
+    let { A, B, C, D } = equation;
+    if (i > 0) {
+      const r = pairingEquationMultiplier(equation);
+      A = multiply(A, r);
+      C = multiply(C, r);
+    }
+    pairs.push({ g1: A, g2: B }, { g1: C, g2: D });
+  });
+  return checkPairing(pairs);
+}
+
+module.exports = {
+  GROUP_ORDER,
+  FIELD_MODULUS,
+  toPointG1,
+  toPointG2,
+  P1,
+  negP1,
+  P2,
+  negP2,
+  neg,
+  equals,
+  isInfinity,
+  isValid,
+  multiply,
+  sum,
+  hashToG1,
+  verify,
+  pairingEquationMultiplier,
+  verifyPairingEquations,
+};
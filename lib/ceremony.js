@@ -0,0 +1,246 @@
+const fs = require("fs");
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { readCurrentPowers } = require("./aggregator");
+const { DEFAULT_CHUNK_SIZE, isValidUpdate, submitStagedUpdate } = require("./powers-of-tau");
+
+/**
+ * Off-chain tooling to coordinate a trusted setup ceremony with the TrustedSetup contract.
+ *
+ * Each participant:
+ *   - reads the current powers of the setup and chooses a secret k
+ *   - computes the updated powers (ks)^i in JavaScript. Unlike TrustedSetup.generateUpdateProof, this does not
+ *     reveal k to a node and does not need a large gas limit
+ *   - writes a transcript to disk. It contains the updated powers, the proof k⋅[P1] and the s⋅[P2] value of the
+ *     setup it was computed from, but never k itself
+ *   - submits the transcript (possibly much later, or from another machine)
+ *
+ * A transcript can only be applied to the setup it was computed from. If another participant updates the setup
+ * first, the transcript is stale: submitting it would discard their contribution, so the contract rejects it.
+ * The coordinator detects this before sending any transactions, so the participant can recompute their update.
+ *
+ * The contract records the contributor, block, proof and resulting degree one powers of every accepted update.
+ * The history can be audited by replaying the chain of update proofs from the initial setup (where s = 1) and
+ * confirming that the last contribution produces the current powers.
+ */
+
+/**
+ * @notice Generates a random secret for a contribution
+ * @return a random non-zero scalar below the group order
+ */
+function randomEntropy() {
+  let k = BigNumber.from(0);
+  while (k.isZero()) {
+    k = BigNumber.from(utils.randomBytes(32)).mod(adapter.GROUP_ORDER);
+  }
+  return k;
+}
+
+/**
+ * @notice Derives the secret for a contribution from a phrase
+ * @dev this is less secure than randomEntropy, because the phrase may be guessed. It is intended for testing
+ * @param phrase any string
+ * @return the keccak256 hash of the phrase, reduced to a scalar below the group order
+ */
+function entropyFromPhrase(phrase) {
+  return BigNumber.from(utils.keccak256(utils.toUtf8Bytes(phrase))).mod(adapter.GROUP_ORDER);
+}
+
+/**
+ * @notice Computes an update to a trusted setup, which replaces its secret s with ks
+ * @dev this produces the same values as TrustedSetup.generateUpdateProof
+ * @param powers the current powers ({ S1, S2 }), eg. returned by aggregator.readCurrentPowers
+ * @param k the secret entropy to add
+ * @return the updated powers and the proof ({ S1, S2, proof })
+ */
+function computeUpdate(powers, k) {
+  const S1 = [];
+  const S2 = [];
+  let power = BigNumber.from(1);
+  for (let degree = 0; degree < powers.S1.length; degree++) {
+    S1.push(adapter.multiply(powers.S1[degree], power));
+    S2.push(adapter.multiply(powers.S2[degree], power));
+    power = power.mul(k).mod(adapter.GROUP_ORDER);
+  }
+  return { S1, S2, proof: adapter.multiply(adapter.P1(), k) };
+}
+
+/**
+ * @notice Computes a contribution to the current state of a TrustedSetup contract
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance)
+ * @param k (optional) the secret entropy to add. A random secret is generated by default
+ * @return the transcript ({ setup, base, S1, S2, proof }), where setup is the contract address
+ * and base is the s⋅[P2] value that the update was computed from
+ */
+async function contribute(trustedSetup, k = randomEntropy()) {
+  const current = await readCurrentPowers(trustedSetup);
+  const { S1, S2, proof } = computeUpdate(current, k);
+  return { setup: trustedSetup.address, base: current.S2[1], S1, S2, proof };
+}
+
+/**
+ * @notice Writes a transcript to disk as JSON
+ * @dev the S1 and S2 lists use the same format as the JSON files accepted by readPowersOfTau
+ * @param path the location of the file
+ * @param transcript a transcript returned by contribute
+ */
+function writeTranscript(path, transcript) {
+  const hex = (point) =>
+    Object.fromEntries(Object.entries(point).map(([k, v]) => [k, BigNumber.from(v).toHexString()]));
+  const json = {
+    setup: transcript.setup,
+    base: hex(transcript.base),
+    proof: hex(transcript.proof),
+    S1: transcript.S1.map(hex),
+    S2: transcript.S2.map(hex),
+  };
+  fs.writeFileSync(path, JSON.stringify(json, null, 2));
+}
+
+/**
+ * @notice Reads a transcript from disk
+ * @param path the location of the file
+ * @return the transcript ({ setup, base, S1, S2, proof }) with BigNumber components
+ */
+function readTranscript(path) {
+  const json = JSON.parse(fs.readFileSync(path, "utf8"));
+  return {
+    setup: json.setup,
+    base: adapter.toPointG2(json.base),
+    proof: adapter.toPointG1(json.proof),
+    S1: json.S1.map(adapter.toPointG1),
+    S2: json.S2.map(adapter.toPointG2),
+  };
+}
+
+/**
+ * @notice Reverts (throws) unless the transcript can be applied to the current state of the setup
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance)
+ * @param transcript a transcript returned by contribute or readTranscript
+ */
+async function checkTranscript(trustedSetup, transcript) {
+  if (utils.getAddress(transcript.setup) !== utils.getAddress(trustedSetup.address)) {
+    throw new Error("The transcript was computed for another trusted setup");
+  }
+  if (await trustedSetup.isFinalized()) {
+    throw new Error("The trusted setup has been finalized");
+  }
+  const MAX_DEGREE = Number(await trustedSetup.MAX_DEGREE());
+  if (transcript.S1.length !== MAX_DEGREE + 1 || transcript.S2.length !== MAX_DEGREE + 1) {
+    throw new Error("The transcript does not match the trusted setup size");
+  }
+  const current = adapter.toPointG2(await trustedSetup.S2(1));
+  if (!adapter.equals(current, transcript.base)) {
+    throw new Error(
+      "Stale transcript: the trusted setup has been updated since the contribution was computed"
+    );
+  }
+  if (!isValidUpdate(current, transcript, transcript.proof)) {
+    throw new Error("The transcript is not a valid update");
+  }
+}
+
+/**
+ * @notice Submits a transcript to a TrustedSetup contract, after confirming that it is not stale
+ * @dev the update is uploaded with the staged update functions, so it does not need a large gas limit
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance connected to a signer)
+ * @param transcript a transcript returned by contribute or readTranscript
+ * @param chunkSize (optional) the number of powers to upload in each transaction
+ * @return the receipts of every transaction
+ */
+async function submitTranscript(trustedSetup, transcript, chunkSize = DEFAULT_CHUNK_SIZE) {
+  await checkTranscript(trustedSetup, transcript);
+  return submitStagedUpdate(trustedSetup, transcript, transcript.proof, chunkSize);
+}
+
+/**
+ * @notice Reads the contribution history that a TrustedSetup contract records for every accepted update
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance connected to a provider)
+ * @return a list of { index, contributor, blockNumber, proof, S1One, S2One } records, in order
+ */
+async function readContributions(trustedSetup) {
+  const count = Number(await trustedSetup.contributionCount());
+  const contributions = [];
+  for (let index = 0; index < count; index++) {
+    const record = await trustedSetup.contributionAt(index);
+    contributions.push({
+      index,
+      contributor: record.contributor,
+      blockNumber: Number(record.blockNumber),
+      proof: adapter.toPointG1(record.proof),
+      S1One: adapter.toPointG1(record.S1One),
+      S2One: adapter.toPointG2(record.S2One),
+    });
+  }
+  return contributions;
+}
+
+/**
+ * @notice Replays the chain of update proofs from the initial setup and confirms that it produces a set of powers
+ * @dev contribution i is valid if its proof k⋅[P1] links the S2One value of contribution i - 1 (or [P2] for the
+ * first contribution) to its own S2One value, and its S1One value uses the same secret. The powers must then be
+ * a valid update of the second to last S2One value, using the proof of the last contribution
+ * @param contributions the list returned by readContributions
+ * @param current the powers ({ S1, S2 }) that the history should produce, eg. returned by aggregator.readCurrentPowers
+ * @return the audit ({ contributions, consistent }), where each contribution has an additional valid field and
+ * consistent is whether every contribution is valid and the last one produces the powers
+ */
+function verifyContributionHistory(contributions, current) {
+  // the constructor initializes the setup with s = 1
+  let previous = adapter.P2();
+  let base = previous;
+  const checked = contributions.map((contribution) => {
+    const { proof, S1One, S2One } = contribution;
+    let valid;
+    try {
+      valid = adapter.verifyPairingEquations([
+        { A: proof, B: previous, C: adapter.negP1(), D: S2One },
+        { A: S1One, B: adapter.negP2(), C: adapter.P1(), D: S2One },
+      ]);
+    } catch (err) {
+      // a point that is not on the curve cannot satisfy the equations
+      valid = false;
+    }
+    base = previous;
+    previous = S2One;
+    return { ...contribution, valid };
+  });
+
+  let matches;
+  if (checked.length === 0) {
+    matches =
+      current.S1.every((point) => adapter.equals(point, adapter.P1())) &&
+      current.S2.every((point) => adapter.equals(point, adapter.P2()));
+  } else {
+    const last = checked[checked.length - 1];
+    matches =
+      adapter.equals(current.S1[1], last.S1One) &&
+      adapter.equals(current.S2[1], last.S2One) &&
+      isValidUpdate(base, current, last.proof);
+  }
+  return { contributions: checked, consistent: matches && checked.every(({ valid }) => valid) };
+}
+
+/**
+ * @notice Replays the contribution history of a TrustedSetup contract and confirms that it produces the current powers
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance connected to a provider)
+ * @return the audit returned by verifyContributionHistory
+ */
+async function auditContributions(trustedSetup) {
+  const contributions = await readContributions(trustedSetup);
+  return verifyContributionHistory(contributions, await readCurrentPowers(trustedSetup));
+}
+
+module.exports = {
+  randomEntropy,
+  entropyFromPhrase,
+  computeUpdate,
+  contribute,
+  writeTranscript,
+  readTranscript,
+  checkTranscript,
+  submitTranscript,
+  readContributions,
+  verifyContributionHistory,
+  auditContributions,
+};
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const { BigNumber } = require("ethers");
+const adapter = require("./bn256-adapter");
+
+/**
+ * The deployment manifest used by the Hardhat deployment tasks (see tasks/deployment.js).
+ *
+ * The manifest is a JSON file that records every contract the tasks deploy, so that later tasks (and other tools)
+ * can find them. It also records the BLS wallets that registered through the tasks and the votes that were signed
+ * for each proposal, since the aggregator needs both. Points are stored as hex strings, like the ceremony
+ * transcripts (see lib/ceremony.js). The manifest has the following fields, which are filled in as the tasks run:
+ *   - network, chainId: where the contracts are deployed
+ *   - BN256Adapter: the address of the library, which is linked into every other contract
+ *   - TrustedSetup: { address, version }, where version is the published version that the token pins
+ *   - CommitmentToken, VotingFactory: the contract addresses
+ *   - wallets: by name, { wallet, owner, index, encodedKey }, where wallet is the SimulatedBLSWallet contract
+ *     and owner is the token holder that registered it
+ *   - proposals: by VotingFactory id, { voting, topic, votes, aggregated }, where votes are { index, support, signature }
+ *     and aggregated lists the indices of the votes in the submitted aggregates ({ yes, no })
+ */
+
+// the contracts that must be linked to the BN256Adapter library when they are deployed
+const LINKED_CONTRACTS = [
+  "TrustedSetup",
+  "CommitmentToken",
+  "SimulatedBLSWallet",
+  "AggregateVoting",
+  "VotingFactory",
+];
+
+/**
+ * @notice Returns the default location of the manifest for a network
+ * @param network the Hardhat network name
+ * @return deployments/<network>.json, relative to the current directory
+ */
+function defaultManifestPath(network) {
+  return path.join("deployments", `${network}.json`);
+}
+
+/**
+ * @notice Reads a manifest from disk
+ * @param file the location of the manifest
+ * @param network the Hardhat network that the tasks are running on
+ * @param chainId the chain id of the network
+ * @return the manifest, or an empty one ({ network, chainId, wallets: {}, proposals: {} }) if the file does not exist
+ */
+function readManifest(file, network, chainId) {
+  if (!fs.existsSync(file)) {
+    return { network, chainId, wallets: {}, proposals: {} };
+  }
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.chainId !== chainId) {
+    throw new Error(`The manifest describes chain ${manifest.chainId}, not chain ${chainId}`);
+  }
+  return manifest;
+}
+
+/**
+ * @notice Writes a manifest to disk, creating the directory if required
+ * @param file the location of the manifest
+ * @param manifest the manifest returned by readManifest
+ */
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(encodePoints(manifest), null, 2));
+}
+
+/**
+ * @notice Converts every BigNumber in a value (recursively) into a hex string
+ * @param value any value
+ * @return the value with every BigNumber replaced by its hex string
+ */
+function encodePoints(value) {
+  if (BigNumber.isBigNumber(value)) {
+    return value.toHexString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodePoints);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodePoints(v)]));
+  }
+  return value;
+}
+
+/**
+ * @notice Throws unless the manifest records the specified field
+ * @param manifest the manifest returned by readManifest
+ * @param field the field name (eg. "CommitmentToken")
+ * @param task the task that sets the field, to include in the error message
+ * @return the value of the field
+ */
+function requireDeployed(manifest, field, task) {
+  if (manifest[field] === undefined) {
+    throw new Error(`The manifest has no ${field}. Run the ${task} task first`);
+  }
+  return manifest[field];
+}
+
+/**
+ * @notice Returns the contract factory of a contract, linked to the deployed BN256Adapter if required
+ * @param ethers the ethers object of the Hardhat Runtime Environment
+ * @param manifest the manifest returned by readManifest
+ * @param name the contract name
+ * @param signer (optional) the signer that deploys the contract
+ * @return the ethers ContractFactory
+ */
+function linkedFactory(ethers, manifest, name, signer) {
+  if (!LINKED_CONTRACTS.includes(name)) {
+    return ethers.getContractFactory(name, signer);
+  }
+  const libraries = { BN256Adapter: requireDeployed(manifest, "BN256Adapter", "deploy-setup") };
+  return ethers.getContractFactory(name, { libraries, signer });
+}
+
+/**
+ * @notice Returns the registered keys of the wallets in the manifest, in the format used by lib/aggregator.js
+ * @param manifest the manifest returned by readManifest
+ * @return a list of { index, encodedKey } records
+ */
+function manifestKeys(manifest) {
+  return Object.values(manifest.wallets)
+    .map(({ index, encodedKey }) => ({ index, encodedKey: adapter.toPointG2(encodedKey) }))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * @notice Returns the votes of a proposal in the manifest, in the format used by lib/aggregator.js
+ * @param proposal a proposal record from the manifest
+ * @return a list of { index, support, signature } records
+ */
+function manifestVotes(proposal) {
+  return proposal.votes.map(({ index, support, signature }) => ({
+    index,
+    support,
+    signature: adapter.toPointG1(signature),
+  }));
+}
+
+module.exports = {
+  LINKED_CONTRACTS,
+  defaultManifestPath,
+  readManifest,
+  writeManifest,
+  encodePoints,
+  requireDeployed,
+  linkedFactory,
+  manifestKeys,
+  manifestVotes,
+};
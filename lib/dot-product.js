@@ -0,0 +1,87 @@
+const { BigNumber } = require("ethers");
+const adapter = require("./bn256-adapter");
+
+/**
+ * Off-chain generation of the dot product proofs that are validated by PolynomialCommitment._isDotProductEquations.
+ *
+ * A dot product proof demonstrates that a claimed value is the sum of the entries of a committed data array
+ * at a set of selected positions. For example, AggregateVoting uses it to prove that the users in an aggregate
+ * vote hold exactly W tokens.
+ *
+ * The selection is reversed: position i is represented by s^(n-i), where n is the last position in the
+ * data array. This means the product of the two polynomials has the dot product as its coefficient of s^n,
+ * and the proof commits to the remaining (lower and upper) terms.
+ */
+
+const INFINITY_G1 = adapter.toPointG1({ x: 0, y: 0 });
+
+/**
+ * @notice Computes the polynomial commitment (in group 1) to a data array
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param coefficients the data array (a list of BigNumberish values)
+ * @return the sum of (coefficients[i])(s^i)⋅[P1]. This is the point at infinity if every coefficient is zero
+ */
+function commitG1(setup, coefficients) {
+  if (coefficients.length > setup.MAX_DEGREE + 1) {
+    throw new Error("Data array too large for trusted setup");
+  }
+  const terms = [INFINITY_G1];
+  coefficients.forEach((coefficient, i) => {
+    const value = BigNumber.from(coefficient).mod(adapter.GROUP_ORDER);
+    if (!value.isZero()) {
+      terms.push(adapter.multiply(setup.S1[i], value));
+    }
+  });
+  return adapter.sum(terms);
+}
+
+/**
+ * @notice Generates a proof that the dot product of a data array and a selection is a particular value
+ * @dev all arithmetic is performed modulo the group order, so the sum of the selected values should not exceed it
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param values the committed data array, where values[i] is the value at position i
+ * @param selected the selected positions
+ * @return an object with:
+ *   - product: the sum of the values at the selected positions
+ *   - proof: the components of a PolynomialCommitment.DotProductProof
+ */
+function dotProductProof(setup, values, selected) {
+  const n = Math.floor(setup.MAX_DEGREE / 2);
+  if (values.length > n + 1) {
+    throw new Error("Data array too large for trusted setup");
+  }
+  const positions = [...new Set(selected.map(Number))];
+  for (const j of positions) {
+    if (j < 0 || j > n) {
+      throw new Error(`Position ${j} is outside the data array`);
+    }
+  }
+
+  // the product of Values = sum of (v_i)(s^i) and Selection = sum of s^(n-j)
+  const zero = BigNumber.from(0);
+  const product = new Array(setup.MAX_DEGREE + 1).fill(zero);
+  values.forEach((value, i) => {
+    for (const j of positions) {
+      product[i + n - j] = product[i + n - j].add(value).mod(adapter.GROUP_ORDER);
+    }
+  });
+
+  const lower = product.slice(0, n);
+  const upper = new Array(n + 1).fill(zero).concat(product.slice(n + 1));
+  return {
+    product: product[n],
+    proof: {
+      lower: commitG1(setup, lower),
+      // shifted right by (MAX_DEGREE - n + 1)
+      lowerArtifact: commitG1(setup, new Array(setup.MAX_DEGREE - n + 1).fill(zero).concat(lower)),
+      upper: commitG1(setup, upper),
+      // shifted left by (n + 1)
+      upperArtifact: commitG1(setup, product.slice(n + 1)),
+    },
+  };
+}
+
+module.exports = {
+  commitG1,
+  dotProductProof,
+};
@@ -0,0 +1,237 @@
+const { BigNumber } = require("ethers");
+const aggregator = require("./aggregator");
+
+/**
+ * Off-chain tooling for the MultiChoiceVoting contract.
+ *
+ * A ballot is converted into a list of (option, rank) choices, and the voter signs
+ * MultiChoiceVoting.optionArtifact(index, option, rank) for each of them. The aggregator groups the signed
+ * choices by (option, rank) and aggregates each group exactly like one side of an AggregateVoting round.
+ *
+ * The ballot formats are:
+ *   - Single: the index of the chosen option
+ *   - Approval: a list of the approved option indices
+ *   - Ranked: a list of option indices, ordered from most to least preferred. It may omit some options
+ */
+
+// matches MultiChoiceVoting.BallotType
+const BALLOT_TYPES = {
+  SINGLE: 0,
+  APPROVAL: 1,
+  RANKED: 2,
+};
+
+/**
+ * @notice Reads the option metadata from a deployed MultiChoiceVoting contract
+ * @param voting the MultiChoiceVoting contract (an ethers Contract instance)
+ * @return an object with the topic, the option names (options), the ballotType and the rankCount
+ */
+async function readOptions(voting) {
+  return {
+    topic: await voting.topic(),
+    options: await voting.getOptions(),
+    ballotType: Number(await voting.ballotType()),
+    rankCount: Number(await voting.rankCount()),
+  };
+}
+
+/**
+ * @notice Returns the points per token that an option receives when it is chosen at the specified rank
+ * @dev this matches MultiChoiceVoting.pointsOf
+ * @param rankCount the number of ranks (see readOptions)
+ * @param rank the rank (0 is the most preferred)
+ * @return the points
+ */
+function pointsOf(rankCount, rank) {
+  return rankCount - rank;
+}
+
+/**
+ * @notice Converts a ballot into the (option, rank) choices that the voter should sign
+ * @param metadata the option metadata returned by readOptions
+ * @param ballot the ballot, in the format for the ballot type
+ * @return a list of { option, rank } choices
+ */
+function ballotChoices(metadata, ballot) {
+  const optionCount = metadata.options.length;
+  const validate = (option) => {
+    if (!Number.isInteger(option) || option < 0 || option >= optionCount) {
+      throw new Error(`Invalid option ${option}`);
+    }
+    return option;
+  };
+  const unique = (list) => {
+    if (!Array.isArray(list)) {
+      throw new Error("Ballot must be a list of options");
+    }
+    if (new Set(list).size !== list.length) {
+      throw new Error("Ballot contains duplicate options");
+    }
+    return list.map(validate);
+  };
+
+  switch (metadata.ballotType) {
+    case BALLOT_TYPES.SINGLE:
+      return [{ option: validate(ballot), rank: 0 }];
+    case BALLOT_TYPES.APPROVAL:
+      return unique(ballot).map((option) => ({ option, rank: 0 }));
+    case BALLOT_TYPES.RANKED:
+      return unique(ballot).map((option, rank) => ({ option, rank }));
+    default:
+      throw new Error(`Unknown ballot type ${metadata.ballotType}`);
+  }
+}
+
+/**
+ * @notice Signs every choice in a ballot
+ * @param voting the MultiChoiceVoting contract (an ethers Contract instance)
+ * @param metadata the option metadata returned by readOptions
+ * @param wallet a BLS wallet that implements signPointG1(PointG1)
+ * @param index the voter's position in the commitments
+ * @param ballot the ballot, in the format for the ballot type
+ * @return a list of signed votes ({ index, option, rank, signature }) that can be given to an aggregator
+ */
+async function signBallot(voting, metadata, wallet, index, ballot) {
+  const votes = [];
+  for (const { option, rank } of ballotChoices(metadata, ballot)) {
+    const artifact = await voting.optionArtifact(index, option, rank);
+    votes.push({ index: Number(index), option, rank, signature: await wallet.signPointG1(artifact) });
+  }
+  return votes;
+}
+
+/**
+ * @notice Builds an aggregate vote for every (option, rank) pair that was chosen by at least one voter
+ * @dev the votes are assumed to be valid. If a voter submits multiple votes for the same pair, only the first is used
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param votes the pool of signed votes returned by signBallot
+ * @param count (optional) the number of shards in the voting contract (MultiChoiceVoting.shardCount).
+ * By default, it is derived from the registered keys
+ * @return a list of aggregates, each with the arguments to MultiChoiceVoting.submitOptionAggregate
+ * (option, rank, added, selections, complement, signature) and the selected indices
+ */
+function buildOptionAggregates(setup, keys, votes, count = aggregator.shardCount(setup, keys)) {
+  const groups = new Map();
+  for (const vote of votes) {
+    const key = `${vote.option}:${vote.rank}`;
+    if (!groups.has(key)) {
+      groups.set(key, { option: Number(vote.option), rank: Number(vote.rank), votes: [] });
+    }
+    groups.get(key).votes.push({ index: vote.index, support: true, signature: vote.signature });
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => a.option - b.option || a.rank - b.rank)
+    .map(({ option, rank, votes }) => {
+      const { added, selections, complement, signature, indices } = aggregator.buildAggregate(
+        setup,
+        keys,
+        votes,
+        true,
+        count
+      );
+      return { option, rank, added, selections, complement, signature, indices };
+    });
+}
+
+/**
+ * @notice Builds an extension of a submitted aggregate for an (option, rank) pair, with the votes of additional voters
+ * @dev see aggregator.extendAggregate. Only the votes for the same pair are used
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param keys the registered keys (every user in the KeysCommitment snapshot)
+ * @param votes the pool of signed votes returned by signBallot
+ * @param previous the submitted aggregate, as returned by buildOptionAggregates (or a previous extendOptionAggregate)
+ * @return the arguments to MultiChoiceVoting.submitOptionAggregate for the additional voters, along with the
+ * indices of the combined aggregate (which can replace the previous aggregate in buildOptionTally)
+ */
+function extendOptionAggregate(setup, keys, votes, previous) {
+  const { option, rank } = previous;
+  const { added, selections, complement, signature, indices } = aggregator.extendAggregate(
+    setup,
+    keys,
+    votes
+      .filter((vote) => Number(vote.option) === option && Number(vote.rank) === rank)
+      .map((vote) => ({ index: vote.index, support: true, signature: vote.signature })),
+    { support: true, selections: previous.selections, indices: previous.indices }
+  );
+  return { option, rank, added, selections, complement, signature, indices };
+}
+
+/**
+ * @notice Computes the tally of an option, along with the proofs required by MultiChoiceVoting.submitOptionTally
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param metadata the option metadata returned by readOptions
+ * @param balances the registered balances (every user in the BalancesCommitment snapshot)
+ * @param aggregates the aggregates returned by buildOptionAggregates
+ * @param option the index of the option to tally
+ * @return an object with the option, the weight and proof of every shard for every rank (weights[rank][shard]
+ * and proofs[rank][shard]), the total weight of every rank (rankWeights) and the option's score
+ */
+function buildOptionTally(setup, metadata, balances, aggregates, option) {
+  const weights = [];
+  const proofs = [];
+  const rankWeights = [];
+  let score = BigNumber.from(0);
+  for (let rank = 0; rank < metadata.rankCount; rank++) {
+    const aggregate = aggregates.find((a) => a.option === option && a.rank === rank);
+    const tally = aggregate
+      ? aggregator.buildTally(setup, balances, aggregate)
+      : aggregator.EMPTY_TALLY;
+    weights.push(tally.weights.map((weight) => BigNumber.from(weight)));
+    proofs.push(tally.proofs);
+    rankWeights.push(BigNumber.from(tally.weight));
+    score = score.add(BigNumber.from(tally.weight).mul(pointsOf(metadata.rankCount, rank)));
+  }
+  return { option, weights, proofs, rankWeights, score };
+}
+
+/**
+ * @notice Encodes an aggregate as a transaction request that calls MultiChoiceVoting.submitOptionAggregate
+ * @param voting the MultiChoiceVoting contract (an ethers Contract instance)
+ * @param aggregate an aggregate returned by buildOptionAggregates or extendOptionAggregate
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function optionAggregateTransaction(voting, aggregate) {
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("submitOptionAggregate", [
+      aggregate.option,
+      aggregate.rank,
+      aggregate.added,
+      aggregate.selections,
+      aggregate.complement,
+      aggregate.signature,
+    ]),
+  };
+}
+
+/**
+ * @notice Encodes a tally as a transaction request that calls MultiChoiceVoting.submitOptionTally
+ * @param voting the MultiChoiceVoting contract (an ethers Contract instance)
+ * @param tally a tally returned by buildOptionTally
+ * @return a transaction request ({ to, data }) that can be sent by any signer
+ */
+function optionTallyTransaction(voting, tally) {
+  return {
+    to: voting.address,
+    data: voting.interface.encodeFunctionData("submitOptionTally", [
+      tally.option,
+      tally.weights,
+      tally.proofs,
+    ]),
+  };
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  readOptions,
+  pointsOf,
+  ballotChoices,
+  signBallot,
+  buildOptionAggregates,
+  extendOptionAggregate,
+  buildOptionTally,
+  optionAggregateTransaction,
+  optionTallyTransaction,
+};
@@ -0,0 +1,135 @@
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { commitG1 } = require("./dot-product");
+const { dataArraySize } = require("./aggregator");
+
+/**
+ * Off-chain generation of the multi-opening proofs that are validated by
+ * PolynomialCommitment._isMultiOpeningEquations (and CommitmentToken.verifyBalancesAt).
+ *
+ * A multi-opening proves the values at an arbitrary set of positions of a committed data array with a single
+ * constant-size proof. With N = DATA_ARRAY_SIZE, the selected position i is represented by (b^j)(X^(N-i)), where
+ * b is a challenge derived from the commitment, the positions and the values. The product of the data array and
+ * the selection is divided by the vanishing polynomial X^N - 1, and the weighted sum of the opened values is the
+ * constant term of the remainder. The proof commits to the quotient and the rest of the remainder.
+ */
+
+const INFINITY_G2 = adapter.toPointG2({ x_real: 0, x_imag: 0, y_real: 0, y_imag: 0 });
+
+/**
+ * @notice Computes the polynomial commitment (in group 2) to a data array
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param coefficients the data array (a list of BigNumberish values)
+ * @return the sum of (coefficients[i])(s^i)⋅[P2]. This is the point at infinity if every coefficient is zero
+ */
+function commitG2(setup, coefficients) {
+  if (coefficients.length > setup.MAX_DEGREE + 1) {
+    throw new Error("Data array too large for trusted setup");
+  }
+  const terms = [INFINITY_G2];
+  coefficients.forEach((coefficient, i) => {
+    const value = BigNumber.from(coefficient).mod(adapter.GROUP_ORDER);
+    if (!value.isZero()) {
+      terms.push(adapter.multiply(setup.S2[i], value));
+    }
+  });
+  return adapter.sum(terms);
+}
+
+/**
+ * @notice Derives the challenge for a multi-opening, exactly like the contract
+ * @param commitment the commitment to the data array (a PointG1)
+ * @param positions the opened positions
+ * @param values the claimed value at each opened position
+ * @return keccak256(commitment.x, commitment.y, positions, values) reduced modulo the group order
+ */
+function multiOpeningChallenge(commitment, positions, values) {
+  const hash = utils.solidityKeccak256(
+    ["uint256", "uint256", "uint256[]", "uint256[]"],
+    [commitment.x, commitment.y, positions, values]
+  );
+  return BigNumber.from(hash).mod(adapter.GROUP_ORDER);
+}
+
+/**
+ * @notice Generates a proof that a data array holds its values at the specified positions
+ * @param setup the trusted setup returned by aggregator.readTrustedSetup
+ * @param vector the committed data array, where vector[i] is the value at position i
+ * @param positions the positions to open, between 1 and DATA_ARRAY_SIZE - 1 (in any order)
+ * @return an object with:
+ *   - positions: the opened positions
+ *   - values: the value at each opened position
+ *   - commitment: the commitment to the data array
+ *   - proof: the components of a PolynomialCommitment.MultiOpeningProof
+ */
+function multiOpeningProof(setup, vector, positions) {
+  const N = dataArraySize(setup);
+  if (vector.length > N) {
+    throw new Error("Data array too large for trusted setup");
+  }
+  for (const i of positions) {
+    if (i < 1 || i >= N) {
+      throw new Error(`Position ${i} is outside the data array`);
+    }
+  }
+
+  const zero = BigNumber.from(0);
+  const data = vector.map((value) => BigNumber.from(value).mod(adapter.GROUP_ORDER));
+  const values = positions.map((i) => (i < data.length ? data[i] : zero));
+  const commitment = commitG1(setup, data);
+  const b = multiOpeningChallenge(commitment, positions, values);
+
+  // the weighted (reversed) selection: sum of (b^j)(X^(N-i_j))
+  const selection = new Array(N).fill(zero);
+  let weight = BigNumber.from(1);
+  for (const i of positions) {
+    selection[N - i] = selection[N - i].add(weight).mod(adapter.GROUP_ORDER);
+    weight = weight.mul(b).mod(adapter.GROUP_ORDER);
+  }
+
+  // the product has degree at most 2N - 2
+  const product = new Array(2 * N - 1).fill(zero);
+  data.forEach((value, k) => {
+    selection.forEach((w, l) => {
+      if (!value.isZero() && !w.isZero()) {
+        product[k + l] = product[k + l].add(value.mul(w)).mod(adapter.GROUP_ORDER);
+      }
+    });
+  });
+
+  // divide by X^N - 1: every term of degree d >= N becomes a quotient term of degree d - N,
+  // and it is also folded onto the term of degree d - N
+  const quotient = new Array(N - 1).fill(zero);
+  for (let d = product.length - 1; d >= N; d--) {
+    quotient[d - N] = product[d];
+    product[d - N] = product[d - N].add(product[d]).mod(adapter.GROUP_ORDER);
+  }
+  // the remainder is y + (X)(Remainder), where y is the weighted sum of the opened values
+  const remainder = product.slice(1, N);
+
+  return {
+    positions,
+    values,
+    commitment,
+    proof: {
+      selection: commitG2(setup, selection),
+      quotient: commitG1(setup, quotient),
+      // shifted right by N
+      quotientArtifact: commitG1(setup, new Array(N).fill(zero).concat(quotient)),
+      remainder: commitG1(setup, remainder),
+      // shifted right by 1
+      shiftedRemainder: commitG1(setup, [zero].concat(remainder)),
+      // shifted right by (MAX_DEGREE - N + 2)
+      remainderArtifact: commitG1(
+        setup,
+        new Array(setup.MAX_DEGREE - N + 2).fill(zero).concat(remainder)
+      ),
+    },
+  };
+}
+
+module.exports = {
+  commitG2,
+  multiOpeningChallenge,
+  multiOpeningProof,
+};
@@ -0,0 +1,285 @@
+const fs = require("fs");
+const { bn254 } = require("@noble/curves/bn254");
+const { BigNumber } = require("ethers");
+const adapter = require("./bn256-adapter");
+
+/**
+ * Off-chain tooling to import the result of an external powers-of-tau ceremony into a TrustedSetup contract.
+ *
+ * The ceremony can be read from:
+ *   - a snarkjs .ptau file (https://github.com/iden3/snarkjs) for the bn128 curve. Only the tauG1 and tauG2
+ *     sections are used. They contain the powers (tau^i)⋅[P1] and (tau^i)⋅[P2], which are the S1 and S2
+ *     values of a TrustedSetup with secret tau
+ *   - a JSON file with the shape { S1: [PointG1, ...], S2: [PointG2, ...] }, where the points use the same
+ *     fields as the Solidity structs (see bn256-adapter)
+ *
+ * The powers are validated offline with the same pairing equations that TrustedSetup.update uses, and then
+ * uploaded with TrustedSetup.stageUpdate in chunks, so the contract repeats the validation without exceeding
+ * the block gas limit.
+ *
+ * An imported ceremony is unrelated to the secret of an existing setup, so it can only replace a setup that has
+ * never been updated (ie. one with s = 1). In that case, the update proof k⋅[P1] is simply tau⋅[P1].
+ */
+
+// the number of powers uploaded in each TrustedSetup.stageUpdate transaction
+const DEFAULT_CHUNK_SIZE = 8;
+
+// the section types of a .ptau file
+const PTAU_HEADER = 1;
+const PTAU_TAU_G1 = 2;
+const PTAU_TAU_G2 = 3;
+
+/**
+ * @dev reads a little-endian unsigned integer of any size from a buffer
+ */
+function readLE(buffer, offset, size) {
+  let value = 0n;
+  for (let i = size - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(buffer[offset + i]);
+  }
+  return value;
+}
+
+/**
+ * @dev returns the offset and size of the first section of each type in a snarkjs binary file
+ */
+function readSections(buffer) {
+  if (buffer.toString("ascii", 0, 4) !== "ptau") {
+    throw new Error("Not a .ptau file");
+  }
+  const count = buffer.readUInt32LE(8);
+  const sections = {};
+  let offset = 12;
+  for (let i = 0; i < count; i++) {
+    const type = buffer.readUInt32LE(offset);
+    const size = Number(buffer.readBigUInt64LE(offset + 4));
+    offset += 12;
+    if (sections[type] === undefined) {
+      sections[type] = { offset, size };
+    }
+    offset += size;
+  }
+  return sections;
+}
+
+/**
+ * @notice Parses the powers of tau from the contents of a snarkjs .ptau file
+ * @dev the coordinates are stored as little-endian field elements in Montgomery form
+ * @param buffer the contents of the file
+ * @param maxDegree (optional) the highest power to read. By default, every power with a G2 value is read
+ * @return the powers ({ S1, S2 }) as PointG1 and PointG2 structs
+ */
+function parsePtau(buffer, maxDegree) {
+  const sections = readSections(buffer);
+  for (const type of [PTAU_HEADER, PTAU_TAU_G1, PTAU_TAU_G2]) {
+    if (sections[type] === undefined) {
+      throw new Error(`The .ptau file is missing section ${type}`);
+    }
+  }
+
+  const header = sections[PTAU_HEADER].offset;
+  const n8 = buffer.readUInt32LE(header);
+  const q = readLE(buffer, header + 4, n8);
+  if (q.toString() !== adapter.FIELD_MODULUS.toString()) {
+    throw new Error("The ceremony does not use the bn128 curve");
+  }
+  const power = buffer.readUInt32LE(header + 4 + n8);
+
+  const available = 2 ** power;
+  const count = maxDegree === undefined ? available : maxDegree + 1;
+  if (count > available) {
+    throw new Error(`The ceremony only has ${available} powers`);
+  }
+
+  const Fp = bn254.fields.Fp;
+  const rInv = Fp.inv(Fp.create(1n << BigInt(8 * n8)));
+  const coordinate = (offset) =>
+    BigNumber.from(Fp.mul(readLE(buffer, offset, n8), rInv).toString());
+
+  const S1 = [];
+  const S2 = [];
+  for (let i = 0; i < count; i++) {
+    const g1 = sections[PTAU_TAU_G1].offset + i * 2 * n8;
+    S1.push({ x: coordinate(g1), y: coordinate(g1 + n8) });
+    const g2 = sections[PTAU_TAU_G2].offset + i * 4 * n8;
+    S2.push({
+      x_real: coordinate(g2),
+      x_imag: coordinate(g2 + n8),
+      y_real: coordinate(g2 + 2 * n8),
+      y_imag: coordinate(g2 + 3 * n8),
+    });
+  }
+  return { S1, S2 };
+}
+
+/**
+ * @notice Parses the powers of tau from a JSON object
+ * @param json an object with the shape { S1: [PointG1, ...], S2: [PointG2, ...] }
+ * @param maxDegree (optional) the highest power to read. By default, every power is read
+ * @return the powers ({ S1, S2 }) as PointG1 and PointG2 structs with BigNumber components
+ */
+function parsePowersJson(json, maxDegree) {
+  if (!Array.isArray(json.S1) || !Array.isArray(json.S2) || json.S1.length !== json.S2.length) {
+    throw new Error("The JSON file must contain matching S1 and S2 lists");
+  }
+  const available = json.S1.length;
+  const count = maxDegree === undefined ? available : maxDegree + 1;
+  if (count > available) {
+    throw new Error(`The ceremony only has ${available} powers`);
+  }
+  return {
+    S1: json.S1.slice(0, count).map(adapter.toPointG1),
+    S2: json.S2.slice(0, count).map(adapter.toPointG2),
+  };
+}
+
+/**
+ * @notice Reads the powers of tau from a .ptau or JSON file
+ * @param path the location of the file
+ * @param maxDegree (optional) the highest power to read
+ * @return the powers ({ S1, S2 }) as PointG1 and PointG2 structs
+ */
+function readPowersOfTau(path, maxDegree) {
+  const buffer = fs.readFileSync(path);
+  if (buffer.toString("ascii", 0, 4) === "ptau") {
+    return parsePtau(buffer, maxDegree);
+  }
+  return parsePowersJson(JSON.parse(buffer.toString("utf8")), maxDegree);
+}
+
+/**
+ * @notice Builds the pairing equations that TrustedSetup.update checks
+ * @dev this mirrors the contract: one equation links the update to the current setup, and two equations
+ * (one for degree one) link each power to the previous one
+ * @param currentS2One the degree one S2 value of the current setup, s⋅[P2]
+ * @param powers the updated powers ({ S1, S2 })
+ * @param proof the update proof k⋅[P1], where the updated secret is ks
+ * @return a list of pairing equations ({ A, B, C, D })
+ */
+function updateEquations(currentS2One, powers, proof) {
+  const { S1, S2 } = powers;
+  const maxDegree = S1.length - 1;
+  const equations = [{ A: proof, B: currentS2One, C: adapter.negP1(), D: S2[1] }];
+  for (let degree = 1; degree <= maxDegree; degree++) {
+    equations.push({ A: S1[degree - 1], B: S2[1], C: S1[degree], D: adapter.negP2() });
+  }
+  for (let degree = 2; degree <= maxDegree; degree++) {
+    equations.push({ A: S1[degree], B: adapter.negP2(), C: adapter.P1(), D: S2[degree] });
+  }
+  return equations;
+}
+
+/**
+ * @notice Checks whether a set of powers would be accepted as an update to a trusted setup
+ * @param currentS2One the degree one S2 value of the current setup, s⋅[P2]
+ * @param powers the updated powers ({ S1, S2 })
+ * @param proof the update proof k⋅[P1]
+ * @return whether the degree zero terms are the generators and every update equation holds
+ */
+function isValidUpdate(currentS2One, powers, proof) {
+  const { S1, S2 } = powers;
+  if (S1.length < 2 || S1.length !== S2.length) {
+    return false;
+  }
+  if (!adapter.equals(S1[0], adapter.P1()) || !adapter.equals(S2[0], adapter.P2())) {
+    return false;
+  }
+  try {
+    return adapter.verifyPairingEquations(updateEquations(currentS2One, powers, proof));
+  } catch (err) {
+    // a point that is not on the curve cannot satisfy the equations
+    return false;
+  }
+}
+
+/**
+ * @notice Checks the internal consistency of the powers of an external ceremony
+ * @dev this is the check that TrustedSetup performs when the powers replace a setup with s = 1
+ * @param powers the powers ({ S1, S2 })
+ * @return whether S1 and S2 are the powers of the same secret
+ */
+function verifyPowersOfTau(powers) {
+  return powers.S1.length >= 2 && isValidUpdate(adapter.P2(), powers, powers.S1[1]);
+}
+
+/**
+ * @notice Submits an update to a TrustedSetup in chunks, using its staged update functions
+ * @dev the update is not validated offline. The contract reverts if any chunk is invalid
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance connected to a signer)
+ * @param powers the updated powers ({ S1, S2 }), with exactly MAX_DEGREE + 1 powers in each group
+ * @param proof the update proof k⋅[P1]
+ * @param chunkSize (optional) the number of powers to upload in each transaction. It must be at least 2
+ * @return the receipts of every transaction
+ */
+async function submitStagedUpdate(trustedSetup, powers, proof, chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (chunkSize < 2) {
+    throw new Error("Every chunk must contain at least 2 powers");
+  }
+  const { S1, S2 } = powers;
+  const receipts = [];
+  const send = async (tx) => receipts.push(await (await tx).wait());
+  await send(trustedSetup.beginStagedUpdate());
+  for (let offset = 0; offset < S1.length; offset += chunkSize) {
+    const end = offset + chunkSize;
+    await send(trustedSetup.stageUpdate(S1.slice(offset, end), S2.slice(offset, end)));
+  }
+  await send(trustedSetup.completeStagedUpdate(proof));
+  return receipts;
+}
+
+/**
+ * @notice Replaces the powers of a new TrustedSetup with the powers of an external ceremony
+ * @dev the powers are validated offline before any transaction is sent. Additional powers are ignored
+ * @param trustedSetup the TrustedSetup contract (an ethers Contract instance connected to a signer)
+ * @param powers the powers ({ S1, S2 }) returned by readPowersOfTau
+ * @param chunkSize (optional) the number of powers to upload in each transaction
+ * @return the receipts of every transaction
+ */
+async function importPowersOfTau(trustedSetup, powers, chunkSize = DEFAULT_CHUNK_SIZE) {
+  const MAX_DEGREE = Number(await trustedSetup.MAX_DEGREE());
+  if (powers.S1.length <= MAX_DEGREE || powers.S2.length <= MAX_DEGREE) {
+    throw new Error(`The ceremony does not have ${MAX_DEGREE + 1} powers`);
+  }
+  const S1 = powers.S1.slice(0, MAX_DEGREE + 1);
+  const S2 = powers.S2.slice(0, MAX_DEGREE + 1);
+  if (!verifyPowersOfTau({ S1, S2 })) {
+    throw new Error("The powers are not consistent");
+  }
+  if (!adapter.equals(await trustedSetup.S2(1), adapter.P2())) {
+    throw new Error("An external ceremony can only be imported into a new trusted setup");
+  }
+  return submitStagedUpdate(trustedSetup, { S1, S2 }, S1[1], chunkSize);
+}
+
+/**
+ * @notice Deploys a TrustedSetup and imports the powers of an external ceremony
+ * @param TrustedSetup the TrustedSetup contract factory (linked to BN256Adapter and connected to a signer)
+ * @param powers the powers ({ S1, S2 }) returned by readPowersOfTau
+ * @param maxDegree (optional) the highest power of the setup. By default, every power is used
+ * @param chunkSize (optional) the number of powers to upload in each transaction
+ * @return the deployed TrustedSetup contract
+ */
+async function deployPowersOfTau(
+  TrustedSetup,
+  powers,
+  maxDegree = powers.S1.length - 1,
+  chunkSize = DEFAULT_CHUNK_SIZE
+) {
+  const trustedSetup = await TrustedSetup.deploy(maxDegree);
+  await trustedSetup.deployed();
+  await importPowersOfTau(trustedSetup, powers, chunkSize);
+  return trustedSetup;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  parsePtau,
+  parsePowersJson,
+  readPowersOfTau,
+  updateEquations,
+  isValidUpdate,
+  verifyPowersOfTau,
+  submitStagedUpdate,
+  importPowersOfTau,
+  deployPowersOfTau,
+};
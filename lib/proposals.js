@@ -0,0 +1,85 @@
+const { BigNumber, Contract } = require("ethers");
+
+/**
+ * A client for the proposals registered in a VotingFactory.
+ *
+ * The proposals are reconstructed from the factory's ProposalCreated events, and their results from the
+ * TallySubmitted events of each AggregateVoting contract. Apart from the current block number, the client
+ * does not read any contract storage, so it works equally well against an archive node or an event indexer.
+ */
+
+// matches VotingFactory.ProposalStatus
+const STATUS = {
+  NONE: 0,
+  OPEN: 1,
+  CLOSED: 2,
+  TALLIED: 3,
+};
+
+/**
+ * @notice Lists every proposal created by the factory
+ * @param factory the VotingFactory contract (an ethers Contract instance connected to a provider)
+ * @param fromBlock (optional) the first block to search for events
+ * @return a list of proposals ({ id, voting, creator, topic, startBlock, endBlock }), ordered by id
+ */
+async function listProposals(factory, fromBlock = 0) {
+  const events = await factory.queryFilter(factory.filters.ProposalCreated(), fromBlock);
+  return events
+    .map(({ args }) => ({
+      id: Number(args.id),
+      voting: args.voting,
+      creator: args.creator,
+      topic: args.topic,
+      startBlock: Number(args.startBlock),
+      endBlock: Number(args.endBlock),
+    }))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * @notice Lists the proposals that are still accepting aggregate votes
+ * @param factory the VotingFactory contract (an ethers Contract instance connected to a provider)
+ * @param fromBlock (optional) the first block to search for events
+ * @return the open proposals, in the format returned by listProposals
+ */
+async function openProposals(factory, fromBlock = 0) {
+  const blockNumber = await factory.provider.getBlockNumber();
+  const proposals = await listProposals(factory, fromBlock);
+  return proposals.filter((proposal) => blockNumber <= proposal.endBlock);
+}
+
+/**
+ * @notice Lists every proposal along with its status and result
+ * @dev the yes and no weights are null until the tally is submitted
+ * @param factory the VotingFactory contract (an ethers Contract instance connected to a provider)
+ * @param votingAbi the AggregateVoting ABI (or ethers Interface), used to read the TallySubmitted events
+ * @param fromBlock (optional) the first block to search for events
+ * @return a list of proposals in the format returned by listProposals, extended with status, yesWeight and noWeight
+ */
+async function proposalResults(factory, votingAbi, fromBlock = 0) {
+  const blockNumber = await factory.provider.getBlockNumber();
+  const proposals = await listProposals(factory, fromBlock);
+
+  const results = [];
+  for (const proposal of proposals) {
+    const voting = new Contract(proposal.voting, votingAbi, factory.provider);
+    const [tally] = await voting.queryFilter(voting.filters.TallySubmitted(), proposal.startBlock);
+    let status = blockNumber <= proposal.endBlock ? STATUS.OPEN : STATUS.CLOSED;
+    let yesWeight = null;
+    let noWeight = null;
+    if (tally) {
+      status = STATUS.TALLIED;
+      yesWeight = BigNumber.from(tally.args.yesWeight);
+      noWeight = BigNumber.from(tally.args.noWeight);
+    }
+    results.push({ ...proposal, status, yesWeight, noWeight });
+  }
+  return results;
+}
+
+module.exports = {
+  STATUS,
+  listProposals,
+  openProposals,
+  proposalResults,
+};
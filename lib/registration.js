@@ -0,0 +1,76 @@
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+
+/**
+ * Off-chain preparation of the arguments to CommitmentToken.register and CommitmentToken.rotateKey.
+ *
+ * The token uses the hardened (bα) registration described in the README, so the user never reveals
+ * s^(MAX_DEGREE)⋅[PUBLIC_KEY]. Instead, they choose a random secret α, scale the boundary artifacts by it,
+ * and sign the group 2 points with their wallet. They also sign the token's possessionMessage for their address and
+ * key with their wallet, to prove that they know the secret key (a proof of possession).
+ */
+
+/**
+ * @notice Generates a random registration secret
+ * @return a random non-zero scalar below the group order
+ */
+function randomAlpha() {
+  let alpha = BigNumber.from(0);
+  while (alpha.isZero()) {
+    alpha = BigNumber.from(utils.randomBytes(32)).mod(adapter.GROUP_ORDER);
+  }
+  return alpha;
+}
+
+/**
+ * @notice Signs the registration artifacts and the proof of possession
+ * @param token the CommitmentToken contract (an ethers Contract instance)
+ * @param artifacts the [positionArtifact, boundaryArtifact, blindingArtifact] returned by the token
+ * @param wallet a BLS wallet that implements PUBLIC_KEY(), sign(bytes) and signPoint(PointG2)
+ * @param user the address of the token holder that registers the key
+ * @param alpha the registration secret α
+ * @return the arguments: [key, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof]
+ */
+async function encodeKey(token, artifacts, wallet, user, alpha) {
+  const [positionArtifact, boundaryArtifact, blindingArtifact] = artifacts;
+  const key = await wallet.PUBLIC_KEY();
+  return [
+    key,
+    await wallet.signPoint(positionArtifact),
+    adapter.multiply(adapter.P1(), alpha),
+    adapter.multiply(blindingArtifact, alpha),
+    await wallet.signPoint(adapter.multiply(boundaryArtifact, alpha)),
+    await wallet.sign(await token.possessionMessage(user, key)),
+  ];
+}
+
+/**
+ * @notice Builds the arguments to CommitmentToken.register for the next free position
+ * @dev this does not handle race conditions where someone else registers in the same position
+ * @param token the CommitmentToken contract (an ethers Contract instance)
+ * @param wallet a BLS wallet that implements PUBLIC_KEY(), sign(bytes) and signPoint(PointG2)
+ * @param user the address of the token holder that is registering the key
+ * @param alpha (optional) the registration secret α. A random one is generated by default
+ * @return the register arguments: [key, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof]
+ */
+async function registrationArguments(token, wallet, user, alpha = randomAlpha()) {
+  return encodeKey(token, await token.registrationArtifacts(), wallet, user, alpha);
+}
+
+/**
+ * @notice Builds the arguments to CommitmentToken.rotateKey for a user's existing position
+ * @param token the CommitmentToken contract (an ethers Contract instance)
+ * @param wallet the new BLS wallet, which implements PUBLIC_KEY(), sign(bytes) and signPoint(PointG2)
+ * @param user the address of the token holder that is rotating their key
+ * @param alpha (optional) the registration secret α. A random one is generated by default
+ * @return the rotateKey arguments: [key, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof]
+ */
+async function rotationArguments(token, wallet, user, alpha = randomAlpha()) {
+  return encodeKey(token, await token.rotationArtifacts(user), wallet, user, alpha);
+}
+
+module.exports = {
+  randomAlpha,
+  registrationArguments,
+  rotationArguments,
+};
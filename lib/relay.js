@@ -0,0 +1,306 @@
+const http = require("http");
+const { BigNumber, Contract, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+const { readVoteDomain, supportOption, voteMessageDigest } = require("./vote-messages");
+
+/**
+ * A vote-collection relay: a small HTTP service where voters publish their signed BLS votes, so that anyone can
+ * download them and build the aggregates (see lib/aggregator.js).
+ *
+ * The relay keeps a vote pool for every AggregateVoting contract it is asked about. Each vote is checked before it
+ * is added to the pool:
+ *   - the voter must have a BLS key when the voting contract copied the token commitments (the snapshot block)
+ *   - the signature must be valid for the voting artifact of the voter's index, using the encoded key that the
+ *     voter registered (CommitmentToken.encodedKeyOf). Since the artifact is (𝛿)(s^position)⋅[P1] and the encoded
+ *     key is (s^position)⋅[PUBLIC_KEY], this checks e(signature, [P2]) = e((𝛿)⋅[P1], encodedKey)
+ *   - every index may only vote once (the contract cannot count an index twice either)
+ *
+ * JSON API (all points and numbers are encoded as decimal strings):
+ *   GET  /votings/<address>         the voting contract metadata and the number of votes in the pool
+ *   POST /votings/<address>/votes   submit a vote: { voter, support, signature: { x, y } }
+ *   GET  /votings/<address>/votes   the vote pool: { votes: [{ index, voter, support, signature }] }
+ *   GET  /votings/<address>/bundle  everything an aggregator needs: the metadata, the registered keys and the votes
+ * Errors are returned as { error } with a 4xx status code.
+ *
+ * The pools are kept in memory, so they are lost when the relay stops.
+ */
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// the largest request body that the relay accepts, in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * @notice Converts BigNumbers (recursively) into decimal strings, so the value can be encoded as JSON
+ * @param value any value
+ * @return the value with every BigNumber replaced by its decimal string
+ */
+function serialize(value) {
+  if (BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, serialize(v)]));
+  }
+  return value;
+}
+
+/**
+ * @notice Checks whether a vote signature matches the voter's encoded key
+ * @param digest the vote digest 𝛿 of the chosen side (see AggregateVoting.voteDigest)
+ * @param encodedKey the voter's encoded key: (s^position)⋅[PUBLIC_KEY]
+ * @param signature the signature over the voting artifact (a PointG1)
+ * @return whether the signature is valid
+ */
+function isValidVoteSignature(digest, encodedKey, signature) {
+  if (adapter.isInfinity(signature)) {
+    return false;
+  }
+  return adapter.verifyPairingEquations([
+    {
+      A: signature,
+      B: adapter.negP2(),
+      C: adapter.multiply(adapter.P1(), digest),
+      D: encodedKey,
+    },
+  ]);
+}
+
+/**
+ * @notice Creates a relay server. It does not listen until server.listen is called
+ * @param provider the ethers provider of the chain with the voting contracts (for example, a local Hardhat node)
+ * @param abis the contract ABIs: { voting, token } (the AggregateVoting and CommitmentToken ABIs)
+ * @return a Node http.Server
+ */
+function createRelay(provider, abis) {
+  // the state of every known voting contract, by (checksummed) address
+  const pools = new Map();
+
+  async function loadPool(address) {
+    if (!utils.isAddress(address)) {
+      throw new RelayError(400, "Invalid voting address");
+    }
+    const key = utils.getAddress(address);
+    if (!pools.has(key)) {
+      pools.set(key, readPool(key));
+    }
+    try {
+      return await pools.get(key);
+    } catch (err) {
+      pools.delete(key);
+      throw err;
+    }
+  }
+
+  async function readPool(address) {
+    const voting = new Contract(address, abis.voting, provider);
+    let tokenAddress;
+    try {
+      tokenAddress = await voting.token();
+    } catch (err) {
+      throw new RelayError(404, "Unknown voting contract");
+    }
+    const snapshotBlock = Number(await voting.snapshotBlock());
+    const domain = await readVoteDomain(voting);
+    return {
+      voting,
+      token: new Contract(tokenAddress, abis.token, provider),
+      topic: await voting.topic(),
+      snapshotBlock,
+      votingDeadline: Number(await voting.votingDeadline()),
+      shardCount: Number(await voting.shardCount()),
+      digests: {
+        true: voteMessageDigest(domain, supportOption(true)),
+        false: voteMessageDigest(domain, supportOption(false)),
+      },
+      // the accepted votes, by index
+      votes: new Map(),
+    };
+  }
+
+  function metadata(pool) {
+    return {
+      voting: pool.voting.address,
+      token: pool.token.address,
+      topic: pool.topic,
+      snapshotBlock: pool.snapshotBlock,
+      votingDeadline: pool.votingDeadline,
+      shardCount: pool.shardCount,
+    };
+  }
+
+  function listVotes(pool) {
+    return [...pool.votes.values()].sort((a, b) => a.index - b.index);
+  }
+
+  async function submitVote(pool, body) {
+    if (body === null || typeof body !== "object") {
+      throw new RelayError(400, "Invalid vote");
+    }
+    const { voter, support } = body;
+    if (!utils.isAddress(voter || "")) {
+      throw new RelayError(400, "Invalid voter address");
+    }
+    if (typeof support !== "boolean") {
+      throw new RelayError(400, "Support must be a boolean");
+    }
+    let signature;
+    try {
+      signature = adapter.toPointG1(body.signature);
+    } catch (err) {
+      throw new RelayError(400, "Invalid signature encoding");
+    }
+    if ((await provider.getBlockNumber()) >= pool.votingDeadline) {
+      // the aggregate must be submitted by the voting deadline, so a vote in the last block is too late
+      throw new RelayError(400, "Voting period has ended");
+    }
+
+    const blockTag = pool.snapshotBlock;
+    const index = Number(await pool.token.indexOf(voter, { blockTag }));
+    if (index === 0) {
+      throw new RelayError(400, "Voter was not registered at the snapshot");
+    }
+    const encodedKey = adapter.toPointG2(await pool.token.encodedKeyOf(voter, { blockTag }));
+
+    let valid;
+    try {
+      valid = isValidVoteSignature(pool.digests[support], encodedKey, signature);
+    } catch (err) {
+      // the signature is not a point on the curve
+      valid = false;
+    }
+    if (!valid) {
+      throw new RelayError(400, "Invalid vote signature");
+    }
+
+    // the pool is only modified after the last await, so concurrent submissions cannot both pass this check
+    if (pool.votes.has(index)) {
+      throw new RelayError(409, "Already voted");
+    }
+    const vote = { index, voter: utils.getAddress(voter), support, signature };
+    pool.votes.set(index, vote);
+    return vote;
+  }
+
+  async function readKeys(pool) {
+    // the registered users are discovered from the KeyRegistered events, so users without a balance are included.
+    // A user may have rotated or removed their key since the event, so the key is read at the snapshot block
+    const blockTag = pool.snapshotBlock;
+    const registrations = await pool.token.queryFilter(
+      pool.token.filters.KeyRegistered(),
+      0,
+      blockTag
+    );
+    const users = new Set(registrations.map(({ args }) => args.user));
+    const keys = [];
+    for (const user of users) {
+      const index = Number(await pool.token.indexOf(user, { blockTag }));
+      if (index !== 0) {
+        const encodedKey = adapter.toPointG2(await pool.token.encodedKeyOf(user, { blockTag }));
+        const shard = Number(await pool.voting.shardOf(index));
+        keys.push({ index, shard, encodedKey });
+      }
+    }
+    return keys.sort((a, b) => a.index - b.index);
+  }
+
+  // whether the keys sum to the KeysCommitment of every shard. Otherwise, a registered user was not discovered
+  // and the aggregates built from the bundle will be rejected
+  async function isComplete(pool, keys) {
+    for (let shard = 0; shard < pool.shardCount; shard++) {
+      const terms = keys.filter((key) => key.shard === shard).map((key) => key.encodedKey);
+      const commitment = adapter.toPointG2(await pool.voting.KeysCommitment(shard));
+      const expected = terms.length > 0 ? adapter.sum(terms) : null;
+      if (
+        expected === null ? !adapter.isInfinity(commitment) : !adapter.equals(expected, commitment)
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  async function bundle(pool) {
+    const keys = await readKeys(pool);
+    return {
+      ...metadata(pool),
+      keys,
+      votes: listVotes(pool),
+      complete: await isComplete(pool, keys),
+    };
+  }
+
+  async function route(method, path, readBody) {
+    const match = path.match(/^\/votings\/([^/]+)(\/votes|\/bundle)?\/?$/);
+    if (!match) {
+      throw new RelayError(404, "Not found");
+    }
+    const [, address, resource] = match;
+    const endpoint = `${method} ${resource || ""}`;
+    if (!["GET ", "GET /votes", "POST /votes", "GET /bundle"].includes(endpoint)) {
+      throw new RelayError(405, "Method not allowed");
+    }
+
+    const pool = await loadPool(address);
+    switch (endpoint) {
+      case "GET ":
+        return [200, { ...metadata(pool), voteCount: pool.votes.size }];
+      case "GET /votes":
+        return [200, { votes: listVotes(pool) }];
+      case "POST /votes":
+        return [201, await submitVote(pool, await readBody())];
+      default:
+        return [200, await bundle(pool)];
+    }
+  }
+
+  function readBody(request) {
+    return new Promise((resolve, reject) => {
+      let body = "";
+      request.setEncoding("utf8");
+      request.on("data", (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          reject(new RelayError(413, "Request body too large"));
+          request.destroy();
+        }
+      });
+      request.on("end", () => {
+        try {
+          resolve(JSON.parse(body));
+        } catch (err) {
+          reject(new RelayError(400, "Invalid JSON"));
+        }
+      });
+      request.on("error", reject);
+    });
+  }
+
+  return http.createServer(async (request, response) => {
+    let status, result;
+    try {
+      const { pathname } = new URL(request.url, "http://localhost");
+      [status, result] = await route(request.method, pathname, () => readBody(request));
+    } catch (err) {
+      status = err instanceof RelayError ? err.status : 500;
+      result = { error: err instanceof RelayError ? err.message : "Internal error" };
+    }
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(serialize(result)));
+  });
+}
+
+module.exports = {
+  RelayError,
+  serialize,
+  isValidVoteSignature,
+  createRelay,
+};
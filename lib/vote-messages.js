@@ -0,0 +1,106 @@
+const { BigNumber, utils } = require("ethers");
+const adapter = require("./bn256-adapter");
+
+/**
+ * Off-chain encoding of the vote messages that are signed by the BLS keys (see AggregateVoting.voteMessage).
+ *
+ * Every vote message binds the chain id, the voting contract, the proposal id, the option and the nonce of the
+ * voting contract, so a signature produced for one voting contract is rejected by every other one (even on another
+ * token or chain). The message is hashed to the scalar 𝛿 that scales the voting artifacts.
+ */
+
+// matches AggregateVoting.VOTE_MESSAGE_TYPEHASH
+const VOTE_MESSAGE_TYPE =
+  "VoteMessage(uint256 chainId,address voting,bytes32 proposalId,uint256 option,uint256 nonce)";
+const VOTE_MESSAGE_TYPEHASH = utils.id(VOTE_MESSAGE_TYPE);
+
+// matches AggregateVoting.NO_OPTION, AggregateVoting.YES_OPTION and BlindedAggregateVoting.COMMIT_OPTION
+const NO_OPTION = 0;
+const YES_OPTION = 1;
+const COMMIT_OPTION = 2;
+
+/**
+ * @notice Reads the fields that every vote message of a voting contract shares
+ * @param voting the AggregateVoting contract (an ethers Contract instance connected to a provider)
+ * @return the domain: { chainId, voting, proposalId, nonce }
+ */
+async function readVoteDomain(voting) {
+  const { chainId } = await voting.provider.getNetwork();
+  return {
+    chainId,
+    voting: voting.address,
+    proposalId: await voting.proposalId(),
+    nonce: await voting.nonce(),
+  };
+}
+
+/**
+ * @notice Computes the proposal id of a voting contract, exactly like the contract
+ * @param token the address of the CommitmentToken
+ * @param topic the question that users are voting on
+ * @return keccak256(abi.encode(token, keccak256(topic)))
+ */
+function proposalIdOf(token, topic) {
+  return utils.keccak256(
+    utils.defaultAbiCoder.encode(["address", "bytes32"], [token, utils.id(topic)])
+  );
+}
+
+/**
+ * @notice Returns the option of a vote that supports or opposes the topic
+ * @param support whether the vote supports the topic
+ * @return YES_OPTION or NO_OPTION
+ */
+function supportOption(support) {
+  return support ? YES_OPTION : NO_OPTION;
+}
+
+/**
+ * @notice Returns the option of a MultiChoiceVoting vote (its choice id)
+ * @param option the index of the option
+ * @param rank the rank
+ * @param rankCount the number of ranks of the ballot (see MultiChoiceVoting.rankCount)
+ * @return option * rankCount + rank
+ */
+function choiceOption(option, rank, rankCount) {
+  return option * rankCount + rank;
+}
+
+/**
+ * @notice Encodes a vote message, exactly like AggregateVoting.voteMessage
+ * @param domain the domain returned by readVoteDomain
+ * @param option the option of the vote
+ * @return the ABI encoded message (a hex string)
+ */
+function encodeVoteMessage(domain, option) {
+  return utils.defaultAbiCoder.encode(
+    ["bytes32", "uint256", "address", "bytes32", "uint256", "uint256"],
+    [VOTE_MESSAGE_TYPEHASH, domain.chainId, domain.voting, domain.proposalId, option, domain.nonce]
+  );
+}
+
+/**
+ * @notice Computes the scalar 𝛿 that represents a vote message
+ * @param domain the domain returned by readVoteDomain
+ * @param option the option of the vote
+ * @return keccak256 of the encoded message, reduced modulo the group order
+ */
+function voteMessageDigest(domain, option) {
+  return BigNumber.from(utils.keccak256(encodeVoteMessage(domain, option))).mod(
+    adapter.GROUP_ORDER
+  );
+}
+
+module.exports = {
+  VOTE_MESSAGE_TYPE,
+  VOTE_MESSAGE_TYPEHASH,
+  NO_OPTION,
+  YES_OPTION,
+  COMMIT_OPTION,
+  readVoteDomain,
+  proposalIdOf,
+  supportOption,
+  choiceOption,
+  encodeVoteMessage,
+  voteMessageDigest,
+};
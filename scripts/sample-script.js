@@ -1,32 +1,52 @@
-// We require the Hardhat Runtime Environment explicitly here. This is optional 
-// but useful for running the script in a standalone fashion through `node <script>`.
+// Runs a complete voting round with the deployment tasks (see tasks/deployment.js). For example:
+//   npx hardhat node
+//   npx hardhat run --network localhost scripts/sample-script.js
 //
-// When running the script with `hardhat run <script>` you'll find the Hardhat
-// Runtime Environment's members available in the global scope.
+// We require the Hardhat Runtime Environment explicitly here. This is optional
+// but useful for running the script in a standalone fashion through `node <script>`.
 const hre = require("hardhat");
 
+const VOTING_PERIOD = 10;
+
 async function main() {
-  // Hardhat always runs the compile task when running scripts with its command
-  // line interface.
-  //
-  // If this script is run directly using `node` you may want to call compile 
-  // manually to make sure everything is compiled
-  // await hre.run('compile');
+  const [, bob, charlie] = await hre.ethers.getSigners();
+  const manifest = process.env.MANIFEST;
 
-  // We get the contract to deploy
-  const Greeter = await hre.ethers.getContractFactory("Greeter");
-  const greeter = await Greeter.deploy("Hello, Hardhat!");
+  await hre.run("deploy-setup", { degree: 10, manifest });
+  await hre.run("deploy-token", { manifest });
 
-  await greeter.deployed();
+  // the deployer (Alice) keeps the rest of the supply
+  await hre.run("register-key", { wallet: "alice", manifest });
+  await hre.run("register-key", { wallet: "bob", from: bob.address, amount: "100", manifest });
+  await hre.run("register-key", {
+    wallet: "charlie",
+    from: charlie.address,
+    amount: "200",
+    manifest,
+  });
+
+  const proposal = await hre.run("open-proposal", {
+    topic: "Is Pluto a planet?",
+    period: VOTING_PERIOD,
+    manifest,
+  });
+  await hre.run("vote", { proposal, wallet: "alice", support: false, manifest });
+  await hre.run("vote", { proposal, wallet: "bob", support: true, manifest });
+  await hre.run("vote", { proposal, wallet: "charlie", support: true, manifest });
+  await hre.run("aggregate", { proposal, manifest });
 
-  console.log("Greeter deployed to:", greeter.address);
+  // local nodes only mine a block for each transaction, so mine until the voting period ends
+  for (let i = 0; i < VOTING_PERIOD; i++) {
+    await hre.network.provider.send("evm_mine", []);
+  }
+  await hre.run("submit-tally", { proposal, manifest });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
 // and properly handle errors.
 main()
   .then(() => process.exit(0))
-  .catch(error => {
+  .catch((error) => {
     console.error(error);
     process.exit(1);
   });
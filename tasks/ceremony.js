@@ -0,0 +1,71 @@
+const { task, types } = require("hardhat/config");
+const ceremony = require("../lib/ceremony");
+
+// Hardhat tasks to run a trusted setup ceremony. See lib/ceremony.js for the details. For example:
+//   npx hardhat ceremony-contribute --setup <address> --transcript alice.json
+//   npx hardhat ceremony-submit --transcript alice.json
+//   npx hardhat ceremony-audit --setup <address>
+
+async function signerFor(hre, from) {
+  return from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+}
+
+task(
+  "ceremony-contribute",
+  "Computes a contribution to a TrustedSetup and writes the transcript to disk"
+)
+  .addParam("setup", "The address of the TrustedSetup contract")
+  .addParam("transcript", "The file to write the transcript to")
+  .addOptionalParam(
+    "entropy",
+    "A phrase to derive the secret from (for testing only). A random secret is used by default"
+  )
+  .setAction(async ({ setup, transcript, entropy }, hre) => {
+    const trustedSetup = await hre.ethers.getContractAt("TrustedSetup", setup);
+    const k =
+      entropy === undefined ? ceremony.randomEntropy() : ceremony.entropyFromPhrase(entropy);
+    const contribution = await ceremony.contribute(trustedSetup, k);
+    ceremony.writeTranscript(transcript, contribution);
+    console.log(`Wrote the contribution to ${transcript}`);
+    return contribution;
+  });
+
+task("ceremony-submit", "Submits a transcript to its TrustedSetup, unless it is stale")
+  .addParam("transcript", "The transcript written by ceremony-contribute")
+  .addOptionalParam("from", "The address of the account that submits the transcript")
+  .addOptionalParam(
+    "chunkSize",
+    "The number of powers to upload in each transaction",
+    undefined,
+    types.int
+  )
+  .setAction(async ({ transcript, from, chunkSize }, hre) => {
+    const contribution = ceremony.readTranscript(transcript);
+    const signer = await signerFor(hre, from);
+    const trustedSetup = await hre.ethers.getContractAt("TrustedSetup", contribution.setup, signer);
+    const receipts = await ceremony.submitTranscript(trustedSetup, contribution, chunkSize);
+    console.log(`Submitted ${transcript} in ${receipts.length} transactions`);
+    return receipts;
+  });
+
+task(
+  "ceremony-audit",
+  "Replays the contribution history of a TrustedSetup and confirms the current powers"
+)
+  .addParam("setup", "The address of the TrustedSetup contract")
+  .setAction(async ({ setup }, hre) => {
+    const trustedSetup = await hre.ethers.getContractAt("TrustedSetup", setup);
+    const audit = await ceremony.auditContributions(trustedSetup);
+    for (const { index, contributor, blockNumber, valid } of audit.contributions) {
+      console.log(
+        `#${index} (block ${blockNumber}): ${contributor} ${valid ? "" : "(INVALID)"}`.trim()
+      );
+    }
+    if (!audit.consistent) {
+      throw new Error("The contribution history does not produce the current trusted setup");
+    }
+    console.log(
+      `The ${audit.contributions.length} contributions produce the current trusted setup`
+    );
+    return audit;
+  });
@@ -0,0 +1,286 @@
+const { task, types } = require("hardhat/config");
+const aggregator = require("../lib/aggregator");
+const bn256 = require("../lib/bn256-adapter");
+const ceremony = require("../lib/ceremony");
+const deployment = require("../lib/deployment");
+const { registrationArguments } = require("../lib/registration");
+
+// Hardhat tasks to deploy the contracts and run a voting round. They record everything in a deployment manifest
+// (see lib/deployment.js), which defaults to deployments/<network>.json. For example, against a local node:
+//   npx hardhat node
+//   npx hardhat deploy-setup --network localhost --degree 10
+//   npx hardhat deploy-token --network localhost
+//   npx hardhat register-key --network localhost --wallet alice
+//   npx hardhat register-key --network localhost --wallet bob --from <address> --amount 100
+//   npx hardhat open-proposal --network localhost --topic "Is Pluto a planet?" --period 20
+//   npx hardhat vote --network localhost --proposal 1 --wallet alice --support true
+//   npx hardhat vote --network localhost --proposal 1 --wallet bob --support false
+//   npx hardhat aggregate --network localhost --proposal 1
+//   (wait until the voting period ends)
+//   npx hardhat submit-tally --network localhost --proposal 1
+
+async function signerFor(hre, from) {
+  return from ? hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+}
+
+async function openManifest(hre, manifest) {
+  const file = manifest || deployment.defaultManifestPath(hre.network.name);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  return { file, manifest: deployment.readManifest(file, hre.network.name, chainId) };
+}
+
+async function deploy(hre, manifest, name, args, signer) {
+  const factory = await deployment.linkedFactory(hre.ethers, manifest, name, signer);
+  const contract = await factory.deploy(...args);
+  await contract.deployed();
+  console.log(`Deployed ${name} to ${contract.address}`);
+  return contract;
+}
+
+function requireProposal(manifest, id) {
+  const proposal = manifest.proposals[id];
+  if (proposal === undefined) {
+    throw new Error(`The manifest has no proposal ${id}. Run the open-proposal task first`);
+  }
+  return proposal;
+}
+
+async function votingFor(hre, manifest, id) {
+  return hre.ethers.getContractAt("AggregateVoting", requireProposal(manifest, id).voting);
+}
+
+// the aggregate of the votes that the aggregate task submitted for a side, or null if it has not submitted any
+function submittedAggregate(setup, keys, proposal, support) {
+  const indices = (proposal.aggregated || {})[support ? "yes" : "no"] || [];
+  const votes = deployment.manifestVotes(proposal).filter(({ index }) => indices.includes(index));
+  return votes.length > 0 ? aggregator.buildAggregate(setup, keys, votes, support) : null;
+}
+
+async function trustedSetupFor(hre, manifest) {
+  const { address, version } = deployment.requireDeployed(manifest, "TrustedSetup", "deploy-setup");
+  const setup = await hre.ethers.getContractAt("TrustedSetup", address);
+  return aggregator.readTrustedSetup(setup, version);
+}
+
+task("deploy-setup", "Deploys the BN256Adapter library and a TrustedSetup, and publishes a version")
+  .addOptionalParam("degree", "The highest power of s in the setup", 10, types.int)
+  .addOptionalParam(
+    "entropy",
+    "A phrase to derive the first contribution from (for testing only). A random secret is used by default"
+  )
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ degree, entropy, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    const adapter = await deploy(hre, manifest, "BN256Adapter", []);
+    manifest.BN256Adapter = adapter.address;
+
+    const setup = await deploy(hre, manifest, "TrustedSetup", [degree]);
+    const k =
+      entropy === undefined ? ceremony.randomEntropy() : ceremony.entropyFromPhrase(entropy);
+    await ceremony.submitTranscript(setup, await ceremony.contribute(setup, k));
+    await (await setup.publishVersion()).wait();
+    const version = Number(await setup.latestVersion());
+    manifest.TrustedSetup = { address: setup.address, version };
+    console.log(`Published version ${version} of the trusted setup`);
+
+    deployment.writeManifest(file, manifest);
+    return manifest;
+  });
+
+task("deploy-token", "Deploys a CommitmentToken and its VotingFactory")
+  .addOptionalParam("name", "The token name", "Commitment Token")
+  .addOptionalParam("symbol", "The token symbol", "CMT")
+  .addOptionalParam("shards", "The maximum number of shards", 1, types.int)
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ name, symbol, shards, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    const { address, version } = deployment.requireDeployed(
+      manifest,
+      "TrustedSetup",
+      "deploy-setup"
+    );
+    const token = await deploy(hre, manifest, "CommitmentToken", [
+      name,
+      symbol,
+      address,
+      version,
+      shards,
+    ]);
+    manifest.CommitmentToken = token.address;
+    const factory = await deploy(hre, manifest, "VotingFactory", [token.address]);
+    manifest.VotingFactory = factory.address;
+
+    deployment.writeManifest(file, manifest);
+    return manifest;
+  });
+
+task("register-key", "Deploys a SimulatedBLSWallet and registers its key for a token holder")
+  .addParam("wallet", "The wallet name, which determines its (insecure) private key")
+  .addOptionalParam("from", "The token holder that registers the key. Defaults to the deployer")
+  .addOptionalParam(
+    "amount",
+    "The number of tokens (in whole units) to transfer from the deployer to the holder first"
+  )
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ wallet: name, from, amount, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    if (manifest.wallets[name] !== undefined) {
+      throw new Error(`The manifest already has a wallet named ${name}`);
+    }
+    const address = deployment.requireDeployed(manifest, "CommitmentToken", "deploy-token");
+    const signer = await signerFor(hre, from);
+    const token = await hre.ethers.getContractAt("CommitmentToken", address, signer);
+
+    if (amount !== undefined) {
+      const deployer = await signerFor(hre);
+      const value = hre.ethers.utils.parseEther(amount);
+      await (await token.connect(deployer).transfer(signer.address, value)).wait();
+      console.log(`Transferred ${amount} tokens to ${signer.address}`);
+    }
+
+    const wallet = await deploy(hre, manifest, "SimulatedBLSWallet", [name]);
+    const args = await registrationArguments(token, wallet, signer.address);
+    await (await token.register(...args)).wait();
+    const index = Number(await token.indexOf(signer.address));
+    manifest.wallets[name] = {
+      wallet: wallet.address,
+      owner: signer.address,
+      index,
+      encodedKey: bn256.toPointG2(args[1]),
+    };
+    console.log(`Registered the ${name} key for ${signer.address} at index ${index}`);
+
+    deployment.writeManifest(file, manifest);
+    return manifest.wallets[name];
+  });
+
+task("open-proposal", "Creates a proposal with the VotingFactory")
+  .addParam("topic", "The question that users are voting on")
+  .addOptionalParam(
+    "period",
+    "The number of blocks in which votes can be aggregated",
+    20,
+    types.int
+  )
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ topic, period, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    const address = deployment.requireDeployed(manifest, "VotingFactory", "deploy-token");
+    const factory = await hre.ethers.getContractAt("VotingFactory", address);
+    const receipt = await (await factory.createProposal(topic, period)).wait();
+    const { args } = receipt.events.find(({ event }) => event === "ProposalCreated");
+    const id = Number(args.id);
+    manifest.proposals[id] = { voting: args.voting, topic, votes: [] };
+    console.log(`Opened proposal ${id} at ${args.voting} until block ${args.endBlock}`);
+
+    deployment.writeManifest(file, manifest);
+    return id;
+  });
+
+task("vote", "Signs a vote with a registered SimulatedBLSWallet and records it in the manifest")
+  .addParam("proposal", "The proposal id", undefined, types.int)
+  .addParam("wallet", "The name of the wallet that signs the vote")
+  .addParam("support", "Whether the vote supports the topic", undefined, types.boolean)
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ proposal: id, wallet: name, support, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    const record = manifest.wallets[name];
+    if (record === undefined) {
+      throw new Error(`The manifest has no wallet named ${name}. Run the register-key task first`);
+    }
+    const proposal = requireProposal(manifest, id);
+    if (proposal.votes.some(({ index }) => index === record.index)) {
+      throw new Error(`The ${name} wallet has already voted on proposal ${id}`);
+    }
+    const voting = await votingFor(hre, manifest, id);
+    const wallet = await hre.ethers.getContractAt("SimulatedBLSWallet", record.wallet);
+    const signature = await wallet.signPointG1(await voting.votingArtifact(record.index, support));
+    proposal.votes.push({ index: record.index, support, signature: bn256.toPointG1(signature) });
+    console.log(`Recorded the ${name} vote ${support ? "for" : "against"} proposal ${id}`);
+
+    deployment.writeManifest(file, manifest);
+  });
+
+task("aggregate", "Aggregates the recorded votes of a proposal and submits them")
+  .addParam("proposal", "The proposal id", undefined, types.int)
+  .addOptionalParam("from", "The account that submits the aggregates")
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ proposal: id, from, manifest: manifestPath }, hre) => {
+    const { file, manifest } = await openManifest(hre, manifestPath);
+    const signer = await signerFor(hre, from);
+    const voting = await votingFor(hre, manifest, id);
+    const setup = await trustedSetupFor(hre, manifest);
+    const keys = deployment.manifestKeys(manifest);
+    const proposal = requireProposal(manifest, id);
+    const votes = deployment.manifestVotes(proposal);
+
+    // an aggregate that was already submitted can only be extended with the votes that it does not include,
+    // and a voter can only be aggregated once (on either side)
+    const aggregates = [];
+    for (const support of [true, false]) {
+      const previous = submittedAggregate(setup, keys, proposal, support);
+      const aggregated = Object.values(proposal.aggregated || {}).flat();
+      const pending = votes.filter(({ index }) => !aggregated.includes(index));
+      const added = aggregator.selectVotes(pending, support);
+      if (added.length > 0) {
+        const aggregate = previous
+          ? aggregator.extendAggregate(setup, keys, pending, previous)
+          : aggregator.buildAggregate(setup, keys, pending, support);
+        await (
+          await signer.sendTransaction(aggregator.aggregateTransaction(voting, aggregate))
+        ).wait();
+        console.log(`Submitted ${added.length} ${support ? "supporting" : "opposing"} votes`);
+        proposal.aggregated = {
+          ...proposal.aggregated,
+          [support ? "yes" : "no"]: aggregate.indices,
+        };
+        deployment.writeManifest(file, manifest);
+        aggregates.push(aggregate);
+      }
+    }
+    return aggregates;
+  });
+
+task("submit-tally", "Computes the tally of a proposal and submits it after the voting period")
+  .addParam("proposal", "The proposal id", undefined, types.int)
+  .addOptionalParam("from", "The account that submits the tally")
+  .addOptionalParam("manifest", "The deployment manifest")
+  .setAction(async ({ proposal: id, from, manifest: manifestPath }, hre) => {
+    const { manifest } = await openManifest(hre, manifestPath);
+    const signer = await signerFor(hre, from);
+    const voting = await votingFor(hre, manifest, id);
+    const setup = await trustedSetupFor(hre, manifest);
+    const keys = deployment.manifestKeys(manifest);
+    const proposal = requireProposal(manifest, id);
+    const token = await hre.ethers.getContractAt(
+      "CommitmentToken",
+      deployment.requireDeployed(manifest, "CommitmentToken", "deploy-token")
+    );
+
+    // the voting weights when the proposal was created. Only the holders in the manifest are included
+    const blockTag = Number(await voting.snapshotBlock());
+    const holders = [];
+    for (const { owner } of Object.values(manifest.wallets)) {
+      holders.push({
+        index: await token.indexOf(owner, { blockTag }),
+        delegate: await token.delegateOf(owner, { blockTag }),
+        balance: await token.balanceOf(owner, { blockTag }),
+      });
+    }
+    const weights = aggregator.delegatedWeights(holders);
+
+    const tallies = {};
+    for (const support of [true, false]) {
+      const aggregate = submittedAggregate(setup, keys, proposal, support);
+      if (aggregate) {
+        tallies[support] = aggregator.buildTally(setup, weights, aggregate);
+      }
+    }
+    const transaction = aggregator.tallyTransaction(voting, tallies[true], tallies[false]);
+    await (await signer.sendTransaction(transaction)).wait();
+
+    const result = { yes: await voting.weightOf(true), no: await voting.weightOf(false) };
+    const format = hre.ethers.utils.formatEther;
+    console.log(`Proposal ${id}: ${format(result.yes)} tokens for, ${format(result.no)} against`);
+    return result;
+  });
@@ -0,0 +1,20 @@
+const { task, types } = require("hardhat/config");
+const { createRelay } = require("../lib/relay");
+
+// Hardhat task to run the vote-collection relay. See lib/relay.js for the API. For example, against a local node:
+//   npx hardhat node
+//   npx hardhat relay --network localhost --port 8080
+
+task("relay", "Runs the vote-collection relay until the process is stopped")
+  .addOptionalParam("hostname", "The interface to listen on", "127.0.0.1")
+  .addOptionalParam("port", "The port to listen on", 8080, types.int)
+  .setAction(async ({ hostname, port }, hre) => {
+    const abis = {
+      voting: (await hre.artifacts.readArtifact("AggregateVoting")).abi,
+      token: (await hre.artifacts.readArtifact("CommitmentToken")).abi,
+    };
+    const server = createRelay(hre.ethers.provider, abis);
+    await new Promise((resolve) => server.listen(port, hostname, resolve));
+    console.log(`Relay listening on http://${hostname}:${port}/votings/<address>`);
+    await new Promise((resolve) => server.once("close", resolve));
+  });
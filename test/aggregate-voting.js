@@ -1,17 +1,31 @@
 const { expect } = require("chai");
-const { ethers } = require("ethers");
+const { registrationArguments } = require("../lib/registration");
 
 // WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
 // Running a subset of the tests may produce unexpected results
 
-describe.only("Aggregate Voting", function () {
+describe("Aggregate Voting", function () {
   const TOPIC = "Is Pluto a planet?";
   const TOKEN_NAME = "Commitment Token";
   const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 20;
+  // the q value in EIP-197 (https://eips.ethereum.org/EIPS/eip-197)
+  const GROUP_ORDER = ethers.BigNumber.from(
+    "0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001"
+  );
+  const ZERO_G1 = { x: 0, y: 0 };
 
   let alice, bob, charlie, diane, evelyn;
   let aWallet, bWallet, cWallet, dWallet, eWallet;
-  let s, adapter, setup, token, voting;
+  let s, adapter, setup, helper, token, voting;
+  let MAX_DEGREE, DATA_ARRAY_SIZE;
+
+  // the encoded keys and indices of the registered users, in registration order
+  const encodedKeys = [];
+  const indices = [];
 
   // some tests may exceed the test time limit. Turn it off
   this.timeout(0);
@@ -28,9 +42,18 @@ describe.only("Aggregate Voting", function () {
         BN256Adapter: adapter.address,
       },
     });
-    setup = await TrustedSetup.deploy();
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
     await setup.deployed();
 
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log(
+      "NOTE: initializing the trusted setup takes about 15 seconds..."
+    );
+    s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
     CommitmentToken = await ethers.getContractFactory("CommitmentToken", {
       libraries: {
         BN256Adapter: adapter.address,
@@ -39,11 +62,25 @@ describe.only("Aggregate Voting", function () {
     token = await CommitmentToken.connect(alice).deploy(
       TOKEN_NAME,
       TOKEN_SYMBOL,
-      setup.address
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
     );
     await token.deployed();
 
-    AggregateVoting = await ethers.getContractFactory("AggregateVoting");
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", {
+      libraries: {
+        BN256Adapter: adapter.address,
+      },
+    });
+
+    TestHelper = await ethers.getContractFactory("TestHelper", {
+      libraries: {
+        BN256Adapter: adapter.address,
+      },
+    });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
 
     console.log("NOTE: creating 5 BLS wallets takes about 15 seconds...");
     SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", {
@@ -57,15 +94,70 @@ describe.only("Aggregate Voting", function () {
     dWallet = await SimulatedBLSWallet.deploy("Diane");
     eWallet = await SimulatedBLSWallet.deploy("Evelyn");
 
-    // since we're not testing this here, we could hardcode the initialization for efficiency
-    console.log(
-      "NOTE: initializing the trusted setup takes about 15 seconds..."
-    );
-    s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
-    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
-    await setup.update(updatedS1, updatedS2, proof);
+    MAX_DEGREE = Number(await setup.MAX_DEGREE());
+    DATA_ARRAY_SIZE = Number(await token.DATA_ARRAY_SIZE());
   });
 
+  // computes the polynomial commitment (in group 1) to the data array of coefficients
+  async function commitG1(coefficients) {
+    const terms = [ZERO_G1];
+    for (let i = 0; i < coefficients.length; i++) {
+      if (!coefficients[i].isZero()) {
+        terms.push(await helper.multiplyG1(await setup.S1(i), coefficients[i]));
+      }
+    }
+    return helper.sumG1(terms);
+  }
+
+  // the reversed selection commitment represents the user at position i with s^(n-i),
+  // where n is the last position in the data array
+  async function reversedSelection(selected) {
+    const n = DATA_ARRAY_SIZE - 1;
+    const terms = [];
+    for (const i of selected) {
+      terms.push(await setup.S2(n - i));
+    }
+    return helper.sumG2(terms);
+  }
+
+  // the complement commitment is the sum of the encoded keys of the users that are not selected
+  async function complementCommitment(selected) {
+    const terms = [];
+    for (let i = 0; i < indices.length; i++) {
+      if (!selected.includes(indices[i])) {
+        terms.push(encodedKeys[i]);
+      }
+    }
+    return helper.sumG2(terms);
+  }
+
+  // computes the product of the balances polynomial and the reversed selection polynomial,
+  // and splits it into the components of a PolynomialCommitment.DotProductProof
+  async function tallyProof(balances, selected) {
+    const n = DATA_ARRAY_SIZE - 1;
+    const zero = ethers.BigNumber.from(0);
+    const product = new Array(MAX_DEGREE + 1).fill(zero);
+    for (let i = 0; i < balances.length; i++) {
+      for (const j of selected) {
+        product[i + n - j] = product[i + n - j].add(balances[i]).mod(GROUP_ORDER);
+      }
+    }
+
+    const lower = product.slice(0, n);
+    const upper = new Array(n + 1).fill(zero).concat(product.slice(n + 1));
+    return {
+      weight: product[n],
+      proof: {
+        lower: await commitG1(lower),
+        lowerArtifact: await commitG1(
+          new Array(MAX_DEGREE - n + 1).fill(zero).concat(lower)
+        ),
+        upper: await commitG1(upper),
+        upperArtifact: await commitG1(product.slice(n + 1)),
+      },
+    };
+  }
+
   describe("Situational Context", async function () {
     const INITIAL_SUPPLY = ethers.BigNumber.from(10).pow(18).mul(1000); //1000e18
     const BOB_BAL = ethers.BigNumber.from(10).pow(18).mul(100);
@@ -111,44 +203,26 @@ describe.only("Aggregate Voting", function () {
       });
     });
 
+
     describe("All participants register their keys", async function () {
       this.beforeAll(async function () {
-        let artifacts, encodedKey, encodingArtifact, pk;
-
-        artifacts = await token.registrationArtifacts();
-        encodedKey = await aWallet.signPoint(artifacts[0]);
-        encodingArtifact = await aWallet.signPoint(artifacts[1]);
-        pk = await aWallet.PUBLIC_KEY();
-        await token.connect(alice).register(pk, encodedKey, encodingArtifact);
-
-        artifacts = await token.registrationArtifacts();
-        encodedKey = await bWallet.signPoint(artifacts[0]);
-        encodingArtifact = await bWallet.signPoint(artifacts[1]);
-        pk = await bWallet.PUBLIC_KEY();
-        await token.connect(bob).register(pk, encodedKey, encodingArtifact);
-
-        artifacts = await token.registrationArtifacts();
-        encodedKey = await cWallet.signPoint(artifacts[0]);
-        encodingArtifact = await cWallet.signPoint(artifacts[1]);
-        pk = await cWallet.PUBLIC_KEY();
-        await token.connect(charlie).register(pk, encodedKey, encodingArtifact);
-
-        artifacts = await token.registrationArtifacts();
-        encodedKey = await dWallet.signPoint(artifacts[0]);
-        encodingArtifact = await dWallet.signPoint(artifacts[1]);
-        pk = await dWallet.PUBLIC_KEY();
-        await token.connect(diane).register(pk, encodedKey, encodingArtifact);
-
-        artifacts = await token.registrationArtifacts();
-        encodedKey = await eWallet.signPoint(artifacts[0]);
-        encodingArtifact = await eWallet.signPoint(artifacts[1]);
-        pk = await eWallet.PUBLIC_KEY();
-        await token.connect(evelyn).register(pk, encodedKey, encodingArtifact);
+        const participants = [
+          [alice, aWallet],
+          [bob, bWallet],
+          [charlie, cWallet],
+          [diane, dWallet],
+          [evelyn, eWallet],
+        ];
+
+        for (const [signer, wallet] of participants) {
+          const args = await registrationArguments(token, wallet, signer.address);
+          await token.connect(signer).register(...args);
+
+          encodedKeys.push(args[1]);
+          indices.push(Number(await token.indexOf(signer.address)));
+        }
       });
 
-      // this is not a particularly insightful test. I'd prefer to check the commitments themselves
-      // once they're copied to the AggregateVoting contract and there should be some test in this
-      // block to trigger the `beforeAll` function
       it("should record 5 keys", async function () {
         const next = Number(await token.nextIndex());
         expect(next).to.equal(6);
@@ -157,14 +231,270 @@ describe.only("Aggregate Voting", function () {
 
     describe("Deploy an AggregateVoting contract", async function () {
       this.beforeAll(async function () {
-        voting = AggregateVoting.deploy(token, TOPIC);
+        voting = await AggregateVoting.deploy(
+          token.address,
+          TOPIC,
+          VOTING_PERIOD
+        );
         await voting.deployed();
       });
 
       it("should have a KeysCommitment with all BLS keys", async function () {
-          const keysComm = await voting.KeysCommitment();
-          const P1 = await adapter.P1();
-          const aliceComm = (await aWallet.PUBLIC_KEY())
+        const keysComm = await voting.KeysCommitment(0);
+        const expected = await helper.sumG2(encodedKeys);
+        expect(keysComm.x_imag).to.equal(expected.x_imag);
+        expect(keysComm.x_real).to.equal(expected.x_real);
+        expect(keysComm.y_imag).to.equal(expected.y_imag);
+        expect(keysComm.y_real).to.equal(expected.y_real);
+      });
+
+      it("should have a BalancesCommitment with all balances", async function () {
+        const balancesComm = await voting.BalancesCommitment(0);
+        const expected = await commitG1([
+          ethers.BigNumber.from(0),
+          ALICE_BAL,
+          BOB_BAL,
+          CHARLIE_BAL,
+          DIANE_BAL,
+          EVELYN_BAL,
+        ]);
+        expect(balancesComm.x).to.equal(expected.x);
+        expect(balancesComm.y).to.equal(expected.y);
+      });
+
+      it("should set the voting deadline", async function () {
+        const deployment = await voting.deployTransaction.wait();
+        const deadline = await voting.votingDeadline();
+        expect(deadline).to.equal(deployment.blockNumber + VOTING_PERIOD);
+      });
+
+      describe("Participants vote", async function () {
+        // Alice and Charlie support the topic, Bob and Evelyn oppose it, Diane abstains
+        const BALANCES = [
+          ethers.BigNumber.from(0),
+          ALICE_BAL,
+          BOB_BAL,
+          CHARLIE_BAL,
+          DIANE_BAL,
+          EVELYN_BAL,
+        ];
+        let YES, NO;
+        let aSig, bSig, cSig, eSig;
+
+        this.beforeAll(async function () {
+          YES = [indices[0], indices[2]];
+          NO = [indices[1], indices[4]];
+
+          aSig = await aWallet.signPointG1(await voting.votingArtifact(YES[0], true));
+          cSig = await cWallet.signPointG1(await voting.votingArtifact(YES[1], true));
+          bSig = await bWallet.signPointG1(await voting.votingArtifact(NO[0], false));
+          eSig = await eWallet.signPointG1(await voting.votingArtifact(NO[1], false));
+        });
+
+        it("should scale the voting artifact by the vote digest and s^index", async function () {
+          const digest = await voting.voteDigest(true);
+          const artifact = await voting.votingArtifact(YES[0], true);
+          const expected = await helper.multiplyG1(await setup.S1(YES[0]), digest);
+          expect(artifact).to.deep.equal(expected);
+        });
+
+        it("should use different vote digests for each side", async function () {
+          const yes = await voting.voteDigest(true);
+          const no = await voting.voteDigest(false);
+          expect(yes).to.not.equal(no);
+        });
+
+        describe("An aggregator omits Charlie's signature", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection(YES);
+            const complement = await complementCommitment(YES);
+            await expect(
+              voting.submitAggregate(true, YES, [selection], complement, aSig)
+            ).to.be.revertedWith("Invalid aggregate signature");
+          });
+        });
+
+        describe("An aggregator omits Diane's key from the complement", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection(YES);
+            const complement = await complementCommitment(
+              YES.concat([indices[3]])
+            );
+            const signature = await helper.sumG1([aSig, cSig]);
+            await expect(
+              voting.submitAggregate(true, YES, [selection], complement, signature)
+            ).to.be.revertedWith("Invalid aggregate signature");
+          });
+        });
+
+        describe("An aggregator submits the supporting votes as opposing votes", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection(YES);
+            const complement = await complementCommitment(YES);
+            const signature = await helper.sumG1([aSig, cSig]);
+            await expect(
+              voting.submitAggregate(false, YES, [selection], complement, signature)
+            ).to.be.revertedWith("Invalid aggregate signature");
+          });
+        });
+
+        describe("An aggregator submits the supporting votes", async function () {
+          let selection;
+
+          this.beforeAll(async function () {
+            selection = await reversedSelection(YES);
+            const complement = await complementCommitment(YES);
+            const signature = await helper.sumG1([aSig, cSig]);
+            await voting.submitAggregate(true, YES, [selection], complement, signature);
+          });
+
+          it("should record the supporting aggregate", async function () {
+            expect(await voting.isAggregated(true)).to.equal(true);
+            expect(await voting.isAggregated(false)).to.equal(false);
+          });
+
+          it("should save the selection", async function () {
+            const saved = await voting.selectionOf(true);
+            expect(saved).to.deep.equal([selection]);
+          });
+
+          it("should record the voters", async function () {
+            expect(await voting.isAggregatedVoter(YES[0])).to.equal(true);
+            expect(await voting.isAggregatedVoter(YES[1])).to.equal(true);
+            expect(await voting.isAggregatedVoter(NO[0])).to.equal(false);
+          });
+        });
+
+        describe("An aggregator adds Charlie to the supporting aggregate again", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection([YES[1]]);
+            const complement = await complementCommitment(YES);
+            await expect(
+              voting.submitAggregate(true, [YES[1]], [selection], complement, cSig)
+            ).to.be.revertedWith("Voter already aggregated");
+          });
+        });
+
+        describe("An aggregator adds Alice to the opposing aggregate", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection([YES[0], NO[0]]);
+            const complement = await complementCommitment([YES[0], NO[0]]);
+            const signature = await helper.sumG1([aSig, bSig]);
+            await expect(
+              voting.submitAggregate(false, [YES[0], NO[0]], [selection], complement, signature)
+            ).to.be.revertedWith("Voter already aggregated");
+          });
+        });
+
+        describe("An aggregator lists Bob but omits him from the opposing selection", async function () {
+          it("should fail to submit the aggregate", async function () {
+            const selection = await reversedSelection([NO[1]]);
+            const complement = await complementCommitment(NO);
+            const signature = await helper.sumG1([bSig, eSig]);
+            await expect(
+              voting.submitAggregate(false, NO, [selection], complement, signature)
+            ).to.be.revertedWith("Invalid aggregate signature");
+          });
+        });
+
+        describe("An aggregator submits the opposing votes", async function () {
+          this.beforeAll(async function () {
+            const selection = await reversedSelection(NO);
+            const complement = await complementCommitment(NO);
+            const signature = await helper.sumG1([bSig, eSig]);
+            await voting.submitAggregate(false, NO, [selection], complement, signature);
+          });
+
+          it("should record the opposing aggregate", async function () {
+            expect(await voting.isAggregated(false)).to.equal(true);
+          });
+        });
+
+        describe("An aggregator submits the tally before the voting period ends", async function () {
+          it("should fail to submit the tally", async function () {
+            const yes = await tallyProof(BALANCES, YES);
+            const no = await tallyProof(BALANCES, NO);
+            await expect(
+              voting.submitTally([yes.weight], [yes.proof], [no.weight], [no.proof])
+            ).to.be.revertedWith("Voting period has not ended");
+          });
+        });
+
+        describe("The voting period ends", async function () {
+          let yes, no;
+
+          this.beforeAll(async function () {
+            const deadline = Number(await voting.votingDeadline());
+            while ((await ethers.provider.getBlockNumber()) <= deadline) {
+              await ethers.provider.send("evm_mine", []);
+            }
+            yes = await tallyProof(BALANCES, YES);
+            no = await tallyProof(BALANCES, NO);
+          });
+
+          it("should compute the supporting weight as Alice and Charlie's balances", async function () {
+            expect(yes.weight).to.equal(ALICE_BAL.add(CHARLIE_BAL));
+          });
+
+          it("should compute the opposing weight as Bob and Evelyn's balances", async function () {
+            expect(no.weight).to.equal(BOB_BAL.add(EVELYN_BAL));
+          });
+
+          it("should reject new aggregates", async function () {
+            const selection = await reversedSelection([indices[3]]);
+            const complement = await complementCommitment([indices[3]]);
+            await expect(
+              voting.submitAggregate(true, [indices[3]], [selection], complement, aSig)
+            ).to.be.revertedWith("Voting period has ended");
+          });
+
+          describe("An aggregator inflates the supporting weight", async function () {
+            it("should fail to submit the tally", async function () {
+              await expect(
+                voting.submitTally(
+                  [yes.weight.add(DIANE_BAL)],
+                  [yes.proof],
+                  [no.weight],
+                  [no.proof]
+                )
+              ).to.be.revertedWith("Invalid tally proof");
+            });
+          });
+
+          describe("An aggregator swaps the proofs", async function () {
+            it("should fail to submit the tally", async function () {
+              await expect(
+                voting.submitTally([no.weight], [no.proof], [yes.weight], [yes.proof])
+              ).to.be.revertedWith("Invalid tally proof");
+            });
+          });
+
+          describe("An aggregator submits the tally", async function () {
+            this.beforeAll(async function () {
+              await voting.submitTally([yes.weight], [yes.proof], [no.weight], [no.proof]);
+            });
+
+            it("should record the supporting weight", async function () {
+              const weight = await voting.weightOf(true);
+              expect(weight).to.equal(ALICE_BAL.add(CHARLIE_BAL));
+            });
+
+            it("should record the opposing weight", async function () {
+              const weight = await voting.weightOf(false);
+              expect(weight).to.equal(BOB_BAL.add(EVELYN_BAL));
+            });
+
+            it("should mark the vote as tallied", async function () {
+              expect(await voting.isTallied()).to.equal(true);
+            });
+
+            it("should reject a second tally", async function () {
+              await expect(
+                voting.submitTally([yes.weight], [yes.proof], [no.weight], [no.proof])
+              ).to.be.revertedWith("Tally already submitted");
+            });
+          });
+        });
       });
     });
   });
@@ -0,0 +1,337 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Vote Aggregator", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 20;
+
+  let alice, bob, charlie;
+  let aWallet, bWallet, cWallet;
+  let adapter, setup, helper, token, AggregateVoting;
+  let trustedSetup, n;
+
+  // the registered keys, in the format expected by the aggregator
+  const keys = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    TestHelper = await ethers.getContractFactory("TestHelper", { libraries });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
+
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    aWallet = await SimulatedBLSWallet.deploy("Alice");
+    bWallet = await SimulatedBLSWallet.deploy("Bob");
+    cWallet = await SimulatedBLSWallet.deploy("Charlie");
+
+    await token.connect(alice).transfer(bob.address, ethers.utils.parseEther("100"));
+    await token.connect(alice).transfer(charlie.address, ethers.utils.parseEther("200"));
+
+    for (const [signer, wallet] of [
+      [alice, aWallet],
+      [bob, bWallet],
+      [charlie, cWallet],
+    ]) {
+      const args = await registrationArguments(token, wallet, signer.address);
+      await token.connect(signer).register(...args);
+      const encodedKey = args[1];
+      keys.push({ index: Number(await token.indexOf(signer.address)), encodedKey });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+    n = aggregator.dataArraySize(trustedSetup) - 1;
+  });
+
+  describe("Read the trusted setup", async function () {
+    it("should read every power of s", async function () {
+      const MAX_DEGREE = Number(await setup.MAX_DEGREE());
+      expect(trustedSetup.MAX_DEGREE).to.equal(MAX_DEGREE);
+      expect(trustedSetup.S1.length).to.equal(MAX_DEGREE + 1);
+      expect(trustedSetup.S2.length).to.equal(MAX_DEGREE + 1);
+    });
+
+    it("should read the version that the token pins", async function () {
+      const version = await token.setupVersion();
+      expect(await aggregator.readTrustedSetup(setup, version)).to.deep.equal(trustedSetup);
+    });
+
+    it("should require a version", async function () {
+      let error;
+      try {
+        await aggregator.readTrustedSetup(setup);
+      } catch (err) {
+        error = err;
+      }
+      expect(error, "reading without a version should fail").to.not.be.undefined;
+      expect(error.message).to.equal(
+        "A trusted setup version is required (see CommitmentToken.setupVersion)"
+      );
+    });
+
+    it("should match the token's data array size", async function () {
+      const size = Number(await token.DATA_ARRAY_SIZE());
+      expect(aggregator.dataArraySize(trustedSetup)).to.equal(size);
+    });
+  });
+
+  describe("Alice and Bob support the topic; Charlie opposes it", async function () {
+    let voting, votes;
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      votes = [
+        {
+          index: keys[0].index,
+          support: true,
+          signature: await aWallet.signPointG1(await voting.votingArtifact(keys[0].index, true)),
+        },
+        {
+          index: keys[1].index,
+          support: true,
+          signature: await bWallet.signPointG1(await voting.votingArtifact(keys[1].index, true)),
+        },
+        {
+          index: keys[2].index,
+          support: false,
+          signature: await cWallet.signPointG1(await voting.votingArtifact(keys[2].index, false)),
+        },
+      ];
+    });
+
+    describe("Build the supporting aggregate", async function () {
+      let aggregate;
+
+      this.beforeAll(async function () {
+        // a duplicate vote should be ignored
+        aggregate = aggregator.buildAggregate(
+          trustedSetup,
+          keys,
+          votes.concat([votes[0]]),
+          true
+        );
+      });
+
+      it("should select Alice and Bob", async function () {
+        expect(aggregate.indices).to.deep.equal([keys[0].index, keys[1].index]);
+      });
+
+      it("should match the on-chain selection commitment", async function () {
+        const expected = await helper.sumG2([
+          await setup.S2(n - keys[0].index),
+          await setup.S2(n - keys[1].index),
+        ]);
+        expect(aggregate.selections).to.deep.equal([bn256.toPointG2(expected)]);
+      });
+
+      it("should match the on-chain complement commitment", async function () {
+        const expected = await helper.sumG2([keys[2].encodedKey]);
+        expect(aggregate.complement).to.deep.equal(bn256.toPointG2(expected));
+      });
+
+      it("should match the on-chain aggregate signature", async function () {
+        const expected = await helper.sumG1([votes[0].signature, votes[1].signature]);
+        expect(aggregate.signature).to.deep.equal(bn256.toPointG1(expected));
+      });
+
+      describe("Submit the supporting aggregate", async function () {
+        this.beforeAll(async function () {
+          await bob.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+        });
+
+        it("should record the supporting aggregate", async function () {
+          expect(await voting.isAggregated(true)).to.equal(true);
+        });
+
+        it("should save the selection", async function () {
+          const selections = await voting.selectionOf(true);
+          expect(selections.map(bn256.toPointG2)).to.deep.equal(aggregate.selections);
+        });
+      });
+    });
+
+    describe("Build the opposing aggregate", async function () {
+      let aggregate;
+
+      this.beforeAll(async function () {
+        aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+      });
+
+      it("should match the on-chain complement commitment", async function () {
+        const expected = await helper.sumG2([keys[0].encodedKey, keys[1].encodedKey]);
+        expect(aggregate.complement).to.deep.equal(bn256.toPointG2(expected));
+      });
+
+      it("should be accepted by the contract", async function () {
+        await voting.submitAggregate(
+          aggregate.support,
+          aggregate.added,
+          aggregate.selections,
+          aggregate.complement,
+          aggregate.signature
+        );
+        expect(await voting.isAggregated(false)).to.equal(true);
+      });
+    });
+
+    describe("Build an aggregate with a tampered signature", async function () {
+      it("should be rejected by the contract", async function () {
+        const aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+        aggregate.signature = bn256.sum([aggregate.signature, bn256.P1()]);
+        await expect(
+          alice.sendTransaction(aggregator.aggregateTransaction(voting, aggregate))
+        ).to.be.reverted;
+      });
+    });
+
+    describe("Build an aggregate without any votes", async function () {
+      it("should throw an error", async function () {
+        expect(() => aggregator.buildAggregate(trustedSetup, keys, [], true)).to.throw(
+          "No votes to aggregate"
+        );
+      });
+    });
+  });
+
+  describe("Charlie supports the topic after the aggregate is submitted", async function () {
+    let voting, votes, first;
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      const wallets = [aWallet, bWallet, cWallet];
+      votes = [];
+      for (let i = 0; i < keys.length; i++) {
+        votes.push({
+          index: keys[i].index,
+          support: true,
+          signature: await wallets[i].signPointG1(await voting.votingArtifact(keys[i].index, true)),
+        });
+      }
+      first = aggregator.buildAggregate(trustedSetup, keys, votes.slice(0, 2), true);
+      await alice.sendTransaction(aggregator.aggregateTransaction(voting, first));
+    });
+
+    it("should reject a smaller aggregate", async function () {
+      const smaller = aggregator.buildAggregate(trustedSetup, keys, votes.slice(0, 1), true);
+      await expect(
+        bob.sendTransaction(aggregator.aggregateTransaction(voting, smaller))
+      ).to.be.revertedWith("Voter already aggregated");
+    });
+
+    it("should reject the same aggregate", async function () {
+      await expect(
+        bob.sendTransaction(aggregator.aggregateTransaction(voting, first))
+      ).to.be.revertedWith("Voter already aggregated");
+    });
+
+    it("should reject an extension that adds nobody", async function () {
+      const empty = { ...first, added: [] };
+      await expect(
+        bob.sendTransaction(aggregator.aggregateTransaction(voting, empty))
+      ).to.be.revertedWith("The aggregate does not add any voters");
+    });
+
+    it("should not extend the aggregate without new votes", async function () {
+      expect(() =>
+        aggregator.extendAggregate(trustedSetup, keys, votes.slice(0, 2), first)
+      ).to.throw("No votes to add");
+    });
+
+    describe("Extend the aggregate with Charlie's vote", async function () {
+      let extension;
+
+      this.beforeAll(async function () {
+        extension = aggregator.extendAggregate(trustedSetup, keys, votes, first);
+      });
+
+      it("should only add Charlie", async function () {
+        expect(extension.added).to.deep.equal([keys[2].index]);
+        expect(extension.indices).to.deep.equal(keys.map((key) => key.index));
+        expect(extension.signature).to.deep.equal(bn256.toPointG1(votes[2].signature));
+      });
+
+      it("should be accepted by the contract", async function () {
+        await charlie.sendTransaction(aggregator.aggregateTransaction(voting, extension));
+        const combined = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+        const selections = await voting.selectionOf(true);
+        expect(selections.map(bn256.toPointG2)).to.deep.equal(combined.selections);
+      });
+    });
+  });
+
+  describe("Everyone supports the topic", async function () {
+    let voting, aggregate;
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      const wallets = [aWallet, bWallet, cWallet];
+      const votes = [];
+      for (let i = 0; i < keys.length; i++) {
+        votes.push({
+          index: keys[i].index,
+          support: true,
+          signature: await wallets[i].signPointG1(await voting.votingArtifact(keys[i].index, true)),
+        });
+      }
+      aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+    });
+
+    it("should produce an empty complement", async function () {
+      expect(aggregate.complement.x_real).to.equal(0);
+      expect(aggregate.complement.y_real).to.equal(0);
+    });
+
+    it("should be accepted by the contract", async function () {
+      await alice.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+      expect(await voting.isAggregated(true)).to.equal(true);
+    });
+  });
+});
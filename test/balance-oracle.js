@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const oracle = require("../lib/balance-oracle");
+const { submitStagedUpdate } = require("../lib/powers-of-tau");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Off-chain Balances", function () {
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  // a single shard holds MAX_DEGREE / 2 users, which is enough to pass the break-even point (about 65 users)
+  const SETUP_DEGREE = 160;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 2;
+  const USERS = SETUP_DEGREE / 2;
+  const UNIT = ethers.utils.parseEther("0.1");
+  // the number of registered users at each gas measurement
+  const MEASUREMENTS = [1, 2, 4, 8, 16, 32, 64, 72, 80];
+
+  let alice, helper, setup, token, trustedSetup;
+
+  // the registered users: { account, index }
+  const users = [];
+  // the gas used to sum the balances of every registered user: { count, stored, proven }
+  const gas = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+    };
+  }
+
+  async function registerUser(i) {
+    const account = ethers.Wallet.createRandom().connect(ethers.provider);
+    await alice.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+    await token.connect(alice).transfer(account.address, UNIT.mul(i + 1));
+    await token
+      .connect(account)
+      .register(...(await registrationArguments(token, localWallet(), account.address)));
+    users.push({ account, index: Number(await token.indexOf(account.address)) });
+  }
+
+  async function expectFailure(promise) {
+    let failed = false;
+    try {
+      await promise;
+    } catch (err) {
+      failed = true;
+    }
+    expect(failed).to.equal(true);
+  }
+
+  this.beforeAll(async function () {
+    [alice] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    // the setup is too large for generateUpdateProof, so the update is computed in JavaScript
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await submitStagedUpdate(setup, { S1, S2 }, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    TestHelper = await ethers.getContractFactory("TestHelper", { libraries });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
+  });
+
+  describe("Gas comparison", async function () {
+    this.beforeAll(async function () {
+      // there are not enough signers for every user, so Alice funds some random accounts
+      for (let i = 0; i < USERS; i++) {
+        await registerUser(i);
+        if (!MEASUREMENTS.includes(users.length)) {
+          continue;
+        }
+        const addresses = users.map(({ account }) => account.address);
+        const { balances, proof } = await oracle.openShard(token, trustedSetup, 0);
+        gas.push({
+          count: users.length,
+          stored: Number(await helper.estimateGas.sumStoredBalances(token.address, addresses)),
+          proven: Number(
+            await helper.estimateGas.sumProvenBalances(token.address, 0, balances, proof)
+          ),
+        });
+      }
+
+      console.log("      users | balanceOf gas | opening proof gas");
+      for (const { count, stored, proven } of gas) {
+        console.log(
+          `      ${[count, stored, proven].map((v) => String(v).padStart(5)).join(" | ")}`
+        );
+      }
+    });
+
+    it("should produce the same sums", async function () {
+      const addresses = users.map(({ account }) => account.address);
+      const { balances, proof } = await oracle.openShard(token, trustedSetup, 0);
+      expect(await helper.sumProvenBalances(token.address, 0, balances, proof)).to.equal(
+        await helper.sumStoredBalances(token.address, addresses)
+      );
+    });
+
+    it("should be cheaper to read a few balances from storage", async function () {
+      expect(gas[0].stored).to.be.lessThan(gas[0].proven);
+    });
+
+    it("should be cheaper to verify many balances against the commitment", async function () {
+      const last = gas[gas.length - 1];
+      expect(last.proven).to.be.lessThan(last.stored);
+    });
+
+    it("should have a single break-even point", async function () {
+      // the opening has a larger fixed cost and a smaller cost per balance
+      const first = gas.findIndex(({ stored, proven }) => proven < stored);
+      expect(gas.slice(first).every(({ stored, proven }) => proven < stored)).to.equal(true);
+
+      // estimate the exact point from the measurements on either side of it
+      const [before, after] = [gas[first - 1], gas[first]];
+      const perUser = (a, b, key) => (b[key] - a[key]) / (b.count - a.count);
+      const storedPerUser = perUser(before, after, "stored");
+      const provenPerUser = perUser(before, after, "proven");
+      const breakEven = Math.ceil(
+        before.count + (before.proven - before.stored) / (storedPerUser - provenPerUser)
+      );
+      console.log(
+        `      break-even: ${breakEven} balances ` +
+          `(${Math.round(storedPerUser)} vs ${Math.round(provenPerUser)} gas per balance)`
+      );
+      expect(breakEven).to.be.greaterThan(before.count);
+      expect(breakEven).to.be.at.most(after.count);
+    });
+  });
+
+  describe("Balance oracle", async function () {
+    let vectors, opening;
+
+    this.beforeAll(async function () {
+      vectors = await oracle.readBalanceVectors(token, trustedSetup);
+      opening = oracle.openBalances(trustedSetup, vectors[0]);
+    });
+
+    it("should reconstruct the balance vector", async function () {
+      expect(vectors.length).to.equal(1);
+      expect(vectors[0].length).to.equal(aggregator.dataArraySize(trustedSetup));
+      expect(vectors[0][0]).to.equal(0);
+      for (const { account, index } of users) {
+        expect(vectors[0][aggregator.positionOf(trustedSetup, index)]).to.equal(
+          await token.balanceOf(account.address)
+        );
+      }
+    });
+
+    it("should match the BalancesCommitment", async function () {
+      expect(opening.commitment).to.deep.equal(bn256.toPointG1(await token.BalancesCommitment(0)));
+    });
+
+    it("should produce a valid opening", async function () {
+      expect(await token.verifyBalances(0, opening.balances, opening.proof)).to.equal(true);
+    });
+
+    it("should read a user's balance", async function () {
+      const { account } = users[5];
+      expect(
+        await token.provenBalanceOf(account.address, opening.balances, opening.proof)
+      ).to.equal(await token.balanceOf(account.address));
+    });
+
+    it("should reject a user without a BLS key", async function () {
+      await expect(
+        token.provenBalanceOf(alice.address, opening.balances, opening.proof)
+      ).to.be.revertedWith("User does not have a BLS key");
+    });
+
+    it("should open an empty shard", async function () {
+      const empty = oracle.openBalances(trustedSetup, []);
+      expect(await token.verifyBalances(1, empty.balances, empty.proof)).to.equal(true);
+    });
+
+    it("should reject too many balances", async function () {
+      const balances = [...opening.balances, 1];
+      await expect(token.verifyBalances(0, balances, opening.proof)).to.be.revertedWith(
+        "Data array too large for trusted setup"
+      );
+    });
+
+    describe("Reject invalid claims", async function () {
+      it("should reject an inflated balance", async function () {
+        const balances = [...opening.balances];
+        balances[3] = balances[3].add(1);
+        expect(await token.verifyBalances(0, balances, opening.proof)).to.equal(false);
+      });
+
+      it("should reject an inflated balance with a matching proof", async function () {
+        // the proof is valid for the claimed balances, but they do not match the commitment
+        const vector = [...vectors[0]];
+        vector[3] = vector[3].add(UNIT);
+        const forged = oracle.openBalances(trustedSetup, vector);
+        expect(await token.verifyBalances(0, forged.balances, forged.proof)).to.equal(false);
+        await expect(
+          token.provenBalanceOf(users[2].account.address, forged.balances, forged.proof)
+        ).to.be.revertedWith("Invalid balances proof");
+      });
+
+      it("should reject swapped balances", async function () {
+        const vector = [...vectors[0]];
+        [vector[1], vector[2]] = [vector[2], vector[1]];
+        const forged = oracle.openBalances(trustedSetup, vector);
+        expect(await token.verifyBalances(0, forged.balances, forged.proof)).to.equal(false);
+      });
+
+      it("should reject an omitted balance", async function () {
+        const vector = vectors[0].slice(0, -1);
+        const forged = oracle.openBalances(trustedSetup, vector);
+        expect(await token.verifyBalances(0, forged.balances, forged.proof)).to.equal(false);
+      });
+
+      it("should reject the opening for another shard", async function () {
+        expect(await token.verifyBalances(1, opening.balances, opening.proof)).to.equal(false);
+      });
+    });
+
+    describe("A user transfers tokens", async function () {
+      this.beforeAll(async function () {
+        await token.connect(users[0].account).transfer(users[1].account.address, UNIT);
+      });
+
+      it("should reject the stale opening", async function () {
+        expect(await token.verifyBalances(0, opening.balances, opening.proof)).to.equal(false);
+      });
+
+      it("should accept the updated opening", async function () {
+        const updated = await oracle.openShard(token, trustedSetup, 0);
+        expect(await token.verifyBalances(0, updated.balances, updated.proof)).to.equal(true);
+        expect(
+          await token.provenBalanceOf(users[1].account.address, updated.balances, updated.proof)
+        ).to.equal(UNIT.mul(3));
+      });
+
+      it("should still open the balances at a past block", async function () {
+        const blockNumber = (await ethers.provider.getBlockNumber()) - 1;
+        const past = await oracle.openShard(token, trustedSetup, 0, blockNumber);
+        expect(past.balances).to.deep.equal(opening.balances);
+      });
+
+      it("should not open a shard that is not in use", async function () {
+        await expectFailure(oracle.openShard(token, trustedSetup, 1));
+      });
+    });
+  });
+});
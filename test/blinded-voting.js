@@ -0,0 +1,518 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { registrationArguments } = require("../lib/registration");
+const blinded = require("../lib/blinded-voting");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Blinded Aggregate Voting", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const COMMIT_PERIOD = 20;
+  const REVEAL_PERIOD = 20;
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const CHARLIE_BAL = ethers.utils.parseEther("200");
+  const DIANE_BAL = ethers.utils.parseEther("75");
+
+  let alice, bob, charlie, diane;
+  let wallets;
+  let adapter, token, BlindedAggregateVoting;
+  let trustedSetup;
+
+  // the registered keys and balances, in the format expected by the aggregator
+  const keys = [];
+  const balances = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, diane] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    const setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    BlindedAggregateVoting = await ethers.getContractFactory("BlindedAggregateVoting", {
+      libraries,
+    });
+
+    console.log("NOTE: creating 4 BLS wallets takes about 10 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    wallets = [];
+    for (const name of ["Alice", "Bob", "Charlie", "Diane"]) {
+      wallets.push(await SimulatedBLSWallet.deploy(name));
+    }
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+    await token.connect(alice).transfer(charlie.address, CHARLIE_BAL);
+    await token.connect(alice).transfer(diane.address, DIANE_BAL);
+
+    const signers = [alice, bob, charlie, diane];
+    for (let i = 0; i < signers.length; i++) {
+      const args = await registrationArguments(token, wallets[i], signers[i].address);
+      await token.connect(signers[i]).register(...args);
+      const encodedKey = args[1];
+      const index = Number(await token.indexOf(signers[i].address));
+      keys.push({ index, encodedKey });
+      balances.push({ index, balance: await token.balanceOf(signers[i].address) });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+  });
+
+  async function deploy() {
+    const voting = await BlindedAggregateVoting.deploy(
+      token.address,
+      TOPIC,
+      COMMIT_PERIOD,
+      REVEAL_PERIOD
+    );
+    await voting.deployed();
+    return voting;
+  }
+
+  // the ith user creates a ballot for the specified side
+  async function createBallot(voting, i, support) {
+    const index = keys[i].index;
+    const signature = await wallets[i].signPointG1(await voting.votingArtifact(index, support));
+    const commitSignature = await wallets[i].signPointG1(await voting.commitArtifact(index));
+    return blinded.createBallot(index, support, signature, commitSignature);
+  }
+
+  async function mineUntil(block) {
+    while ((await ethers.provider.getBlockNumber()) < block) {
+      await ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  describe("Alice and Charlie support the topic; Bob opposes it; Diane abstains", async function () {
+    let voting, ballots, commitment, reveal;
+
+    this.beforeAll(async function () {
+      voting = await deploy();
+      ballots = [
+        await createBallot(voting, 0, true),
+        await createBallot(voting, 1, false),
+        await createBallot(voting, 2, true),
+      ];
+      commitment = blinded.buildCommitment(
+        trustedSetup,
+        keys,
+        ballots.map((ballot) => ballot.commit)
+      );
+    });
+
+    it("should set the commit and reveal deadlines", async function () {
+      const commitDeadline = Number(await voting.commitDeadline());
+      const votingDeadline = Number(await voting.votingDeadline());
+      expect(votingDeadline - commitDeadline).to.equal(REVEAL_PERIOD);
+    });
+
+    it("should reject unblinded aggregates", async function () {
+      const aggregate = aggregator.buildAggregate(
+        trustedSetup,
+        keys,
+        ballots.map((ballot) => ballot.reveal),
+        true
+      );
+      await expect(
+        alice.sendTransaction(aggregator.aggregateTransaction(voting, aggregate))
+      ).to.be.revertedWith("Votes must be committed and revealed");
+    });
+
+    it("should hide the votes in the blinded ballots", async function () {
+      // the same vote with a different blinding factor produces an unrelated ballot
+      const again = blinded.createBallot(
+        ballots[0].reveal.index,
+        true,
+        ballots[0].reveal.signature,
+        ballots[0].commit.commitSignature
+      );
+      expect(bn256.equals(again.commit.blindedBallot, ballots[0].commit.blindedBallot)).to.equal(
+        false
+      );
+    });
+
+    describe("An aggregator submits a commitment with a tampered participation signature", async function () {
+      it("should fail to submit the commitment", async function () {
+        const tampered = {
+          ...commitment,
+          signature: bn256.sum([commitment.signature, bn256.P1()]),
+        };
+        await expect(
+          alice.sendTransaction(blinded.commitTransaction(voting, tampered))
+        ).to.be.revertedWith("Invalid participation signature");
+      });
+    });
+
+    describe("A user votes individually", async function () {
+      it("should fail", async function () {
+        await expect(voting.connect(diane).castVote(true)).to.be.revertedWith(
+          "Votes must be committed and revealed"
+        );
+      });
+    });
+
+    describe("An aggregator submits the commitment", async function () {
+      this.beforeAll(async function () {
+        await bob.sendTransaction(blinded.commitTransaction(voting, commitment));
+      });
+
+      it("should record the commitment", async function () {
+        expect(await voting.isCommitted()).to.equal(true);
+        const saved = await voting.BlindedCommitment();
+        expect(bn256.toPointG1(saved)).to.deep.equal(commitment.blindedBallots);
+      });
+
+      it("should record the participants", async function () {
+        const saved = await voting.participants();
+        expect(saved.map(bn256.toPointG2)).to.deep.equal(commitment.selections);
+      });
+
+      it("should not reveal the votes before the commit period ends", async function () {
+        reveal = blinded.buildReveal(
+          trustedSetup,
+          keys,
+          commitment,
+          ballots.map((ballot) => ballot.reveal)
+        );
+        await expect(
+          alice.sendTransaction(blinded.revealTransaction(voting, reveal))
+        ).to.be.revertedWith("Commit period has not ended");
+      });
+    });
+
+    describe("The commit period ends", async function () {
+      this.beforeAll(async function () {
+        await mineUntil(Number(await voting.commitDeadline()) + 1);
+      });
+
+      it("should reject new commitments", async function () {
+        await expect(
+          alice.sendTransaction(blinded.commitTransaction(voting, commitment))
+        ).to.be.revertedWith("Commit period has ended");
+      });
+
+      it("should reveal every vote", async function () {
+        expect(reveal.yes.indices).to.deep.equal([keys[0].index, keys[2].index]);
+        expect(reveal.no.indices).to.deep.equal([keys[1].index]);
+        expect(reveal.unrevealed).to.deep.equal([]);
+      });
+
+      describe("An aggregator reveals the wrong blinding factor", async function () {
+        it("should fail to reveal the votes", async function () {
+          const mismatched = { ...reveal, blinding: reveal.blinding.add(1) };
+          await expect(
+            alice.sendTransaction(blinded.revealTransaction(voting, mismatched))
+          ).to.be.revertedWith("Openings do not match the commitment");
+        });
+      });
+
+      describe("Charlie reveals an opposing vote instead", async function () {
+        let switched;
+
+        this.beforeAll(async function () {
+          const index = keys[2].index;
+          const signature = await wallets[2].signPointG1(await voting.votingArtifact(index, false));
+          switched = { ...ballots[2].reveal, support: false, signature: bn256.toPointG1(signature) };
+        });
+
+        it("should be treated as unrevealed by the aggregator", async function () {
+          const result = blinded.buildReveal(trustedSetup, keys, commitment, [
+            ballots[0].reveal,
+            ballots[1].reveal,
+            switched,
+          ]);
+          expect(result.unrevealed).to.deep.equal([keys[2].index]);
+        });
+
+        it("should fail to reveal the votes", async function () {
+          // construct the reveal as if the switched vote opened the commitment
+          const no = aggregator.buildAggregate(
+            trustedSetup,
+            keys,
+            [ballots[1].reveal, switched],
+            false
+          );
+          const mismatched = {
+            ...reveal,
+            yes: aggregator.buildAggregate(trustedSetup, keys, [ballots[0].reveal], true),
+            no,
+          };
+          await expect(
+            alice.sendTransaction(blinded.revealTransaction(voting, mismatched))
+          ).to.be.revertedWith("Openings do not match the commitment");
+        });
+      });
+
+      describe("An aggregator omits Bob from the reveal", async function () {
+        it("should fail to reveal the votes", async function () {
+          const partial = blinded.buildReveal(trustedSetup, keys, commitment, [
+            ballots[0].reveal,
+            ballots[2].reveal,
+          ]);
+          const omitted = {
+            ...partial,
+            unrevealedSelections: reveal.unrevealedSelections,
+            unrevealedBallots: reveal.unrevealedBallots,
+          };
+          await expect(
+            alice.sendTransaction(blinded.revealTransaction(voting, omitted))
+          ).to.be.revertedWith("Openings do not match the participants");
+        });
+      });
+
+      describe("An aggregator substitutes Charlie's blinded ballot for his signature", async function () {
+        it("should fail to reveal the votes", async function () {
+          // this opens the commitment without knowing Charlie's vote or blinding factor
+          const partial = blinded.buildReveal(trustedSetup, keys, commitment, [
+            ballots[0].reveal,
+            ballots[1].reveal,
+          ]);
+          const hidden = {
+            ...partial,
+            yes: {
+              ...partial.yes,
+              signature: bn256.sum([partial.yes.signature, ballots[2].commit.blindedBallot]),
+              selections: reveal.yes.selections,
+            },
+            unrevealedSelections: reveal.unrevealedSelections,
+            unrevealedBallots: reveal.unrevealedBallots,
+          };
+          await expect(
+            alice.sendTransaction(blinded.revealTransaction(voting, hidden))
+          ).to.be.revertedWith("Invalid aggregate signature");
+        });
+      });
+
+      describe("An aggregator reveals the votes", async function () {
+        this.beforeAll(async function () {
+          await charlie.sendTransaction(blinded.revealTransaction(voting, reveal));
+        });
+
+        it("should record the revealed votes", async function () {
+          expect(await voting.isRevealed()).to.equal(true);
+          expect(await voting.isAggregated(true)).to.equal(true);
+          expect(await voting.isAggregated(false)).to.equal(true);
+          const selections = await voting.selectionOf(true);
+          expect(selections.map(bn256.toPointG2)).to.deep.equal(reveal.yes.selections);
+        });
+
+        it("should reject a second reveal", async function () {
+          await expect(
+            alice.sendTransaction(blinded.revealTransaction(voting, reveal))
+          ).to.be.revertedWith("Votes already revealed");
+        });
+
+        describe("The reveal period ends", async function () {
+          this.beforeAll(async function () {
+            await mineUntil(Number(await voting.votingDeadline()) + 1);
+          });
+
+          it("should accept the tally", async function () {
+            const yes = aggregator.buildTally(trustedSetup, balances, {
+              ...reveal.yes,
+              support: true,
+            });
+            const no = aggregator.buildTally(trustedSetup, balances, {
+              ...reveal.no,
+              support: false,
+            });
+            await alice.sendTransaction(aggregator.tallyTransaction(voting, yes, no));
+            expect(await voting.weightOf(true)).to.equal(
+              balances[0].balance.add(balances[2].balance)
+            );
+            expect(await voting.weightOf(false)).to.equal(BOB_BAL);
+          });
+        });
+      });
+    });
+  });
+
+  describe("Bob commits but never reveals", async function () {
+    let voting, ballots, commitment, reveal;
+
+    this.beforeAll(async function () {
+      voting = await deploy();
+      ballots = [
+        await createBallot(voting, 0, true),
+        await createBallot(voting, 1, false),
+        await createBallot(voting, 3, false),
+      ];
+      commitment = blinded.buildCommitment(
+        trustedSetup,
+        keys,
+        ballots.map((ballot) => ballot.commit)
+      );
+      await alice.sendTransaction(blinded.commitTransaction(voting, commitment));
+      await mineUntil(Number(await voting.commitDeadline()) + 1);
+
+      reveal = blinded.buildReveal(trustedSetup, keys, commitment, [
+        ballots[0].reveal,
+        ballots[2].reveal,
+      ]);
+    });
+
+    it("should list Bob as unrevealed", async function () {
+      expect(reveal.unrevealed).to.deep.equal([keys[1].index]);
+    });
+
+    it("should fail to reveal the votes if Bob is not listed", async function () {
+      const incomplete = {
+        ...reveal,
+        unrevealedSelections: [{ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 }],
+      };
+      await expect(
+        alice.sendTransaction(blinded.revealTransaction(voting, incomplete))
+      ).to.be.revertedWith("Openings do not match the participants");
+    });
+
+    describe("An aggregator reveals the remaining votes", async function () {
+      this.beforeAll(async function () {
+        await alice.sendTransaction(blinded.revealTransaction(voting, reveal));
+      });
+
+      it("should record Bob as unrevealed", async function () {
+        const saved = await voting.unrevealed();
+        expect(bn256.toPointG2(saved[0])).to.deep.equal(trustedSetup.S2[
+          aggregator.dataArraySize(trustedSetup) - 1 - keys[1].index
+        ]);
+      });
+
+      it("should exclude Bob from the tally", async function () {
+        await mineUntil(Number(await voting.votingDeadline()) + 1);
+        const yes = aggregator.buildTally(trustedSetup, balances, { ...reveal.yes, support: true });
+        const no = aggregator.buildTally(trustedSetup, balances, { ...reveal.no, support: false });
+        await alice.sendTransaction(aggregator.tallyTransaction(voting, yes, no));
+        expect(await voting.weightOf(true)).to.equal(balances[0].balance);
+        expect(await voting.weightOf(false)).to.equal(DIANE_BAL);
+      });
+    });
+  });
+
+  describe("Diane commits after the commitment is submitted", async function () {
+    let voting, ballots, first, commitment;
+
+    this.beforeAll(async function () {
+      voting = await deploy();
+      ballots = [
+        await createBallot(voting, 0, true),
+        await createBallot(voting, 1, false),
+        await createBallot(voting, 3, true),
+      ];
+      first = blinded.buildCommitment(trustedSetup, keys, [ballots[0].commit, ballots[1].commit]);
+      await alice.sendTransaction(blinded.commitTransaction(voting, first));
+    });
+
+    it("should reject a smaller commitment", async function () {
+      const smaller = blinded.buildCommitment(trustedSetup, keys, [ballots[0].commit]);
+      await expect(
+        alice.sendTransaction(blinded.commitTransaction(voting, smaller))
+      ).to.be.revertedWith("Voter already aggregated");
+    });
+
+    it("should reject the same commitment", async function () {
+      await expect(
+        alice.sendTransaction(blinded.commitTransaction(voting, first))
+      ).to.be.revertedWith("Voter already aggregated");
+    });
+
+    it("should not extend the commitment without new participants", async function () {
+      expect(() =>
+        blinded.extendCommitment(trustedSetup, keys, [ballots[1].commit], first)
+      ).to.throw("No votes to add");
+    });
+
+    describe("An aggregator extends the commitment", async function () {
+      this.beforeAll(async function () {
+        commitment = blinded.extendCommitment(
+          trustedSetup,
+          keys,
+          ballots.map((ballot) => ballot.commit),
+          first
+        );
+        await bob.sendTransaction(blinded.commitTransaction(voting, commitment));
+      });
+
+      it("should only submit Diane's ballot", async function () {
+        expect(commitment.blindedBallots).to.deep.equal(ballots[2].commit.blindedBallot);
+      });
+
+      it("should add Diane to the participants", async function () {
+        const indices = [keys[0].index, keys[1].index, keys[3].index];
+        expect(commitment.indices).to.deep.equal(indices);
+        const saved = await voting.participants();
+        expect(saved.map(bn256.toPointG2)).to.deep.equal(
+          aggregator.selectionCommitments(trustedSetup, indices, 1)
+        );
+      });
+
+      it("should reveal the combined commitment", async function () {
+        await mineUntil(Number(await voting.commitDeadline()) + 1);
+        const reveal = blinded.buildReveal(
+          trustedSetup,
+          keys,
+          commitment,
+          ballots.map((ballot) => ballot.reveal)
+        );
+        await alice.sendTransaction(blinded.revealTransaction(voting, reveal));
+        expect(reveal.yes.indices).to.deep.equal([keys[0].index, keys[3].index]);
+        expect(await voting.isRevealed()).to.equal(true);
+      });
+    });
+  });
+
+  describe("An aggregator reveals the votes after the reveal period", async function () {
+    let voting, reveal;
+
+    this.beforeAll(async function () {
+      voting = await deploy();
+      const ballot = await createBallot(voting, 2, true);
+      const commitment = blinded.buildCommitment(trustedSetup, keys, [ballot.commit]);
+      await alice.sendTransaction(blinded.commitTransaction(voting, commitment));
+      reveal = blinded.buildReveal(trustedSetup, keys, commitment, [ballot.reveal]);
+      await mineUntil(Number(await voting.votingDeadline()) + 1);
+    });
+
+    it("should fail to reveal the votes", async function () {
+      await expect(
+        alice.sendTransaction(blinded.revealTransaction(voting, reveal))
+      ).to.be.revertedWith("Reveal period has ended");
+    });
+
+    it("should not record any votes", async function () {
+      expect(await voting.isRevealed()).to.equal(false);
+      expect(await voting.isAggregated(true)).to.equal(false);
+    });
+  });
+});
@@ -1,4 +1,8 @@
 const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const blsWallet = require("../lib/bls-wallet");
+const ceremony = require("../lib/ceremony");
+const { registrationArguments } = require("../lib/registration");
 
 describe("BLS Wallet", function () {
   let SimulatedBLSWallet;
@@ -176,4 +180,394 @@ describe("BLS Wallet", function () {
       });
     });
   });
+
+  // local wallets are a drop-in replacement for the SimulatedBLSWallet factory
+  describe("Alice, Bob and Charlie use local wallets", async function () {
+    const msg = ethers.utils.toUtf8Bytes("A sample message");
+    const anotherMsg = ethers.utils.toUtf8Bytes("Another message");
+    let wallets;
+
+    this.beforeAll(async function () {
+      wallets = [];
+      for (const name of ["Alice", "Bob", "Charlie"]) {
+        wallets.push(await blsWallet.localWalletFactory.deploy(name));
+      }
+    });
+
+    it("should verify each signature", async function () {
+      for (const wallet of wallets) {
+        const pk = await wallet.PUBLIC_KEY();
+        const verified = await helper.verify(msg, await wallet.sign(msg), pk);
+        expect(verified).to.equal(true);
+      }
+    });
+
+    it("should fail to verify Bob's signature with Alice's public key", async function () {
+      const [alice, bob] = wallets;
+      const verified = await helper.verify(msg, await bob.sign(msg), await alice.PUBLIC_KEY());
+      expect(verified).to.equal(false);
+    });
+
+    it("should validate the aggregate signature of the same message", async function () {
+      const pks = await Promise.all(wallets.map((wallet) => wallet.PUBLIC_KEY()));
+      const signatures = await Promise.all(wallets.map((wallet) => wallet.sign(msg)));
+      const aggregatePK = await helper.sumG2(pks);
+      const aggregateSignature = await helper.sumG1(signatures);
+      const verified = await helper.verify(msg, aggregateSignature, aggregatePK);
+      expect(verified).to.equal(true);
+    });
+
+    it("should fail to validate the aggregate signature if Charlie signs another message", async function () {
+      const [alice, bob, charlie] = wallets;
+      const pks = await Promise.all(wallets.map((wallet) => wallet.PUBLIC_KEY()));
+      const signatures = [
+        await alice.sign(msg),
+        await bob.sign(msg),
+        await charlie.sign(anotherMsg),
+      ];
+      const aggregatePK = await helper.sumG2(pks);
+      const aggregateSignature = await helper.sumG1(signatures);
+      const verified = await helper.verify(msg, aggregateSignature, aggregatePK);
+      expect(verified).to.equal(false);
+    });
+  });
+
+  describe("Local wallets match SimulatedBLSWallet", async function () {
+    const msg = ethers.utils.toUtf8Bytes("A sample message");
+    let contractWallet, localWallet;
+
+    this.beforeAll(async function () {
+      contractWallet = await SimulatedBLSWallet.deploy("Alice");
+      await contractWallet.deployed();
+      localWallet = blsWallet.walletFromName("Alice");
+    });
+
+    it("should have the same public key", async function () {
+      expect(bn256.toPointG2(await contractWallet.PUBLIC_KEY())).to.deep.equal(
+        await localWallet.PUBLIC_KEY()
+      );
+    });
+
+    it("should produce the same signature", async function () {
+      expect(bn256.toPointG1(await contractWallet.sign(msg))).to.deep.equal(
+        await localWallet.sign(msg)
+      );
+    });
+
+    it("should scale group 2 points the same way", async function () {
+      const point = bn256.multiply(bn256.P2(), 7);
+      expect(bn256.toPointG2(await contractWallet.signPoint(point))).to.deep.equal(
+        await localWallet.signPoint(point)
+      );
+    });
+
+    it("should scale group 1 points the same way", async function () {
+      const point = bn256.multiply(bn256.P1(), 7);
+      expect(bn256.toPointG1(await contractWallet.signPointG1(point))).to.deep.equal(
+        await localWallet.signPointG1(point)
+      );
+    });
+  });
+
+  describe("Key generation", async function () {
+    const SEED = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a seed phrase"));
+
+    // the EIP-2333 test vectors, which use the BLS12-381 group order
+    const VECTORS = [
+      {
+        seed: "0xc55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04",
+        masterSecretKey:
+          "6083874454709270928345386274498605044986640685124978867557563392430687146096",
+        childIndex: 0,
+        childSecretKey:
+          "20397789859736650942317412262472558107875392172444076792671091975210932703118",
+      },
+      {
+        seed: "0x3141592653589793238462643383279502884197169399375105820974944592",
+        masterSecretKey:
+          "29757020647961307431480504535336562678282505419141012933316116377660817309383",
+        childIndex: 3141592653,
+        childSecretKey:
+          "25457201688850691947727629385191704516744796114925897962676248250929345014287",
+      },
+      {
+        seed: "0x0099FF991111002299DD7744EE3355BBDD8844115566CC55663355668888CC00",
+        masterSecretKey:
+          "27580842291869792442942448775674722299803720648445448686099262467207037398656",
+        childIndex: 4294967295,
+        childSecretKey:
+          "29358610794459428860402234341874281240803786294062035874021252734817515685787",
+      },
+      {
+        seed: "0xd4e56740f876aef8c010b86a40d5f56745a118d0906a34e69aec8c0db1cb8fa3",
+        masterSecretKey:
+          "19022158461524446591288038168518313374041767046816487870552872741050760015818",
+        childIndex: 42,
+        childSecretKey:
+          "31372231650479070279774297061823572166496564838472787488249775572789064611981",
+      },
+    ];
+
+    it("should derive the EIP-2333 test vectors with the BLS12-381 group order", async function () {
+      const order = blsWallet.BLS12_381_GROUP_ORDER;
+      for (const { seed, masterSecretKey, childIndex, childSecretKey } of VECTORS) {
+        const master = blsWallet.deriveMasterSecretKey(seed, order);
+        expect(master).to.equal(masterSecretKey);
+        expect(blsWallet.deriveChildSecretKey(master, childIndex, order)).to.equal(childSecretKey);
+        expect(blsWallet.deriveSecretKey(seed, `m/${childIndex}`, order)).to.equal(childSecretKey);
+      }
+    });
+
+    it("should reduce the EIP-2333 derivation by the BN254 group order by default", async function () {
+      const { seed, masterSecretKey } = VECTORS[0];
+      expect(blsWallet.deriveMasterSecretKey(seed)).to.not.equal(masterSecretKey);
+      expect(blsWallet.deriveMasterSecretKey(seed, bn256.GROUP_ORDER)).to.equal(
+        blsWallet.deriveMasterSecretKey(seed)
+      );
+    });
+
+    it("should generate a different key for every wallet", async function () {
+      const msg = ethers.utils.toUtf8Bytes("A sample message");
+      const first = blsWallet.generateWallet();
+      const second = blsWallet.generateWallet();
+      expect(await first.PUBLIC_KEY()).to.not.deep.equal(await second.PUBLIC_KEY());
+      expect(await helper.verify(msg, await first.sign(msg), await first.PUBLIC_KEY())).to.be.true;
+    });
+
+    it("should derive the same key from the same seed and path", async function () {
+      expect(blsWallet.deriveSecretKey(SEED)).to.equal(blsWallet.deriveSecretKey(SEED));
+    });
+
+    it("should derive the default path one child at a time", async function () {
+      let expected = blsWallet.deriveMasterSecretKey(SEED);
+      for (const index of [254, 3600, 0, 0, 0]) {
+        expected = blsWallet.deriveChildSecretKey(expected, index);
+      }
+      expect(blsWallet.DEFAULT_PATH).to.equal("m/254/3600/0/0/0");
+      expect(blsWallet.deriveSecretKey(SEED)).to.equal(expected);
+    });
+
+    it("should derive different keys for different paths", async function () {
+      const keys = ["m", "m/254/3600/0/0/0", "m/254/3600/1/0/0", "m/254/3600/0/0"].map((path) =>
+        blsWallet.deriveSecretKey(SEED, path).toString()
+      );
+      expect(new Set(keys).size).to.equal(keys.length);
+    });
+
+    it("should derive keys below the group order", async function () {
+      const key = blsWallet.deriveSecretKey(SEED);
+      expect(key.gt(0)).to.be.true;
+      expect(key.lt(bn256.GROUP_ORDER)).to.be.true;
+    });
+
+    it("should derive the wallet key from the seed", async function () {
+      const wallet = blsWallet.walletFromSeed(SEED, "m/254/3600/1/0/0");
+      const key = blsWallet.deriveSecretKey(SEED, "m/254/3600/1/0/0");
+      expect(await wallet.PUBLIC_KEY()).to.deep.equal(bn256.multiply(bn256.P2(), key));
+    });
+
+    it("should reject short seeds", async function () {
+      expect(() => blsWallet.deriveMasterSecretKey(ethers.utils.randomBytes(31))).to.throw(
+        "The seed must have at least 32 bytes"
+      );
+    });
+
+    it("should reject invalid paths", async function () {
+      for (const path of ["", "n/1", "m/-1", "m/1/x", "m/4294967296"]) {
+        expect(() => blsWallet.deriveSecretKey(SEED, path)).to.throw("Invalid derivation path");
+      }
+    });
+  });
+
+  describe("Keystores", async function () {
+    const PASSWORD = "correct horse battery staple";
+    // reduced work factors, so the tests run quickly
+    const SCRYPT = { kdf: "scrypt", kdfParams: { n: 1024 } };
+    const PBKDF2 = { kdf: "pbkdf2", kdfParams: { c: 1024 } };
+
+    // the EIP-2335 test vectors. Their pubkey is a BLS12-381 key, so they can only be decrypted with
+    // decryptSecretKey
+    const VECTOR_PASSWORD = "𝔱𝔢𝔰𝔱𝔭𝔞𝔰𝔰𝔴𝔬𝔯𝔡🔑";
+    const VECTOR_SECRET = "0x000000000019d6689c085ae165831e934ff763ae46a2a6c172b3f1b60a8ce26f";
+    const VECTOR_PUBKEY =
+      "9612d7a727c9d0a22e185a1c768478dfe919cada9266988cb32359c11f2b7b27f4ae4040902382ae2910c15e2b420d07";
+    const VECTOR_SALT = "d4e56740f876aef8c010b86a40d5f56745a118d0906a34e69aec8c0db1cb8fa3";
+    const VECTOR_IV = "264daa3f303d7259501c93d997d84fe6";
+    const VECTORS = {
+      scrypt: {
+        crypto: {
+          kdf: {
+            function: "scrypt",
+            params: { dklen: 32, n: 262144, p: 1, r: 8, salt: VECTOR_SALT },
+            message: "",
+          },
+          checksum: {
+            function: "sha256",
+            params: {},
+            message: "d2217fe5f3e9a1e34581ef8a78f7c9928e436d36dacc5e846690a5581e8ea484",
+          },
+          cipher: {
+            function: "aes-128-ctr",
+            params: { iv: VECTOR_IV },
+            message: "06ae90d55fe0a6e9c5c3bc5b170827b2e5cce3929ed3f116c2811e6366dfe20f",
+          },
+        },
+        description: "This is a test keystore that uses scrypt to secure the secret.",
+        pubkey: VECTOR_PUBKEY,
+        path: "m/12381/60/3141592653/589793238",
+        uuid: "1d85ae20-35c5-4611-98e8-aa14a633906f",
+        version: 4,
+      },
+      pbkdf2: {
+        crypto: {
+          kdf: {
+            function: "pbkdf2",
+            params: { dklen: 32, c: 262144, prf: "hmac-sha256", salt: VECTOR_SALT },
+            message: "",
+          },
+          checksum: {
+            function: "sha256",
+            params: {},
+            message: "8a9f5d9912ed7e75ea794bc5a89bca5f193721d30868ade6f73043c6ea6febf1",
+          },
+          cipher: {
+            function: "aes-128-ctr",
+            params: { iv: VECTOR_IV },
+            message: "cee03fde2af33149775b7223e7845e4fb2c8ae1792e5f99fe9ecf474cc8c16ad",
+          },
+        },
+        description: "This is a test keystore that uses PBKDF2 to secure the secret.",
+        pubkey: VECTOR_PUBKEY,
+        path: "m/12381/60/0/0",
+        uuid: "64625def-3331-4eea-ab6f-782f3ed16a83",
+        version: 4,
+      },
+    };
+
+    let wallet, keystore;
+
+    this.beforeAll(async function () {
+      wallet = blsWallet.walletFromSeed(ethers.utils.randomBytes(32));
+      keystore = wallet.toKeystore(PASSWORD, SCRYPT);
+    });
+
+    it("should describe the key", async function () {
+      expect(keystore.version).to.equal(4);
+      expect(keystore.path).to.equal(blsWallet.DEFAULT_PATH);
+      expect(keystore.pubkey).to.equal(blsWallet.encodePublicKey(await wallet.PUBLIC_KEY()));
+      expect(keystore.crypto.kdf.function).to.equal("scrypt");
+      expect(keystore.crypto.cipher.function).to.equal("aes-128-ctr");
+    });
+
+    it("should not contain the secret key", async function () {
+      const key = blsWallet.deriveSecretKey(ethers.utils.randomBytes(32));
+      const secret = ethers.utils.hexZeroPad(key.toHexString(), 32).slice(2);
+      const encrypted = blsWallet.encryptKeystore(key, PASSWORD, SCRYPT);
+      expect(JSON.stringify(encrypted)).to.not.include(secret);
+      expect(blsWallet.decryptKeystore(encrypted, PASSWORD)).to.equal(key);
+    });
+
+    it("should restore the wallet with the password", async function () {
+      const restored = blsWallet.walletFromKeystore(JSON.stringify(keystore), PASSWORD);
+      expect(await restored.PUBLIC_KEY()).to.deep.equal(await wallet.PUBLIC_KEY());
+    });
+
+    it("should support PBKDF2", async function () {
+      const restored = blsWallet.walletFromKeystore(wallet.toKeystore(PASSWORD, PBKDF2), PASSWORD);
+      expect(await restored.PUBLIC_KEY()).to.deep.equal(await wallet.PUBLIC_KEY());
+    });
+
+    it("should reject the wrong password", async function () {
+      expect(() => blsWallet.walletFromKeystore(keystore, "wrong password")).to.throw(
+        "Invalid keystore password"
+      );
+    });
+
+    it("should ignore control codes in the password", async function () {
+      const restored = blsWallet.walletFromKeystore(
+        keystore,
+        "correct horse\u0000 battery\u007f staple"
+      );
+      expect(await restored.PUBLIC_KEY()).to.deep.equal(await wallet.PUBLIC_KEY());
+    });
+
+    it("should reject a keystore for another public key", async function () {
+      const other = blsWallet.encodePublicKey(await blsWallet.generateWallet().PUBLIC_KEY());
+      expect(() => blsWallet.walletFromKeystore({ ...keystore, pubkey: other }, PASSWORD)).to.throw(
+        "The keystore public key does not match its secret key"
+      );
+    });
+
+    it("should reject unsupported versions", async function () {
+      expect(() => blsWallet.walletFromKeystore({ ...keystore, version: 3 }, PASSWORD)).to.throw(
+        "Unsupported keystore version: 3"
+      );
+    });
+
+    it("should decrypt the EIP-2335 scrypt test vector", async function () {
+      const order = blsWallet.BLS12_381_GROUP_ORDER;
+      expect(blsWallet.decryptSecretKey(VECTORS.scrypt, VECTOR_PASSWORD, order)).to.equal(
+        VECTOR_SECRET
+      );
+    });
+
+    it("should decrypt the EIP-2335 PBKDF2 test vector", async function () {
+      const order = blsWallet.BLS12_381_GROUP_ORDER;
+      expect(blsWallet.decryptSecretKey(VECTORS.pbkdf2, VECTOR_PASSWORD, order)).to.equal(
+        VECTOR_SECRET
+      );
+    });
+
+    it("should not accept the BLS12-381 public key of the test vectors", async function () {
+      expect(() => blsWallet.walletFromKeystore(VECTORS.pbkdf2, VECTOR_PASSWORD)).to.throw(
+        "The keystore public key does not match its secret key"
+      );
+    });
+  });
+
+  describe("Registration proofs", async function () {
+    const ALPHA = 12345;
+    let token;
+
+    this.beforeAll(async function () {
+      const libraries = { BN256Adapter: adapter.address };
+      const TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+      const setup = await TrustedSetup.deploy(10);
+      await setup.deployed();
+      const { S1, S2, proof } = await ceremony.contribute(
+        setup,
+        ceremony.entropyFromPhrase("a secret")
+      );
+      await setup.update(S1, S2, proof);
+      await setup.publishVersion();
+
+      const CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+      token = await CommitmentToken.deploy("Commitment Token", "CMT", setup.address, 1, 1);
+      await token.deployed();
+    });
+
+    it("should match the registration arguments of the contract wallet", async function () {
+      const [alice] = await ethers.getSigners();
+      const contractWallet = await SimulatedBLSWallet.deploy("Alice");
+      const expected = await registrationArguments(token, contractWallet, alice.address, ALPHA);
+      const actual = await blsWallet
+        .walletFromName("Alice")
+        .registrationProof(token, alice.address, ALPHA);
+
+      const [toG2, toG1] = [bn256.toPointG2, bn256.toPointG1];
+      const formats = [toG2, toG2, toG1, toG1, toG2, toG1];
+      expect(actual.map((arg, i) => formats[i](arg))).to.deep.equal(
+        expected.map((arg, i) => formats[i](arg))
+      );
+    });
+
+    it("should be accepted by the token", async function () {
+      const [alice] = await ethers.getSigners();
+      const wallet = blsWallet.generateWallet();
+      const args = await wallet.registrationProof(token, alice.address);
+      await token.register(...args);
+      expect(await token.indexOf(alice.address)).to.equal(1);
+      expect(bn256.toPointG2(await token.encodedKeyOf(alice.address))).to.deep.equal(args[1]);
+    });
+  });
 });
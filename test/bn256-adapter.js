@@ -0,0 +1,279 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+
+// Differential tests that compare lib/bn256-adapter.js against the BN256Adapter library
+// The inputs are pseudorandom. To reproduce a failure, rerun the tests with the FUZZ_SEED environment variable
+// set to the seed that is printed when the tests start
+
+describe("BN256Adapter (JavaScript)", function () {
+  const SEED = process.env.FUZZ_SEED || ethers.utils.hexlify(ethers.utils.randomBytes(32));
+  let adapter, helper;
+  let counter = 0;
+
+  // G2 operations are slow in the EVM. Turn off the test time limit
+  this.timeout(0);
+
+  // produces the next pseudorandom 32 byte value
+  function nextRandom() {
+    counter++;
+    return ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(["bytes32", "uint256"], [SEED, counter])
+    );
+  }
+
+  function randomScalar() {
+    return ethers.BigNumber.from(nextRandom());
+  }
+
+  function randomMessage() {
+    const length = ethers.BigNumber.from(nextRandom()).mod(100).toNumber();
+    const bytes = [];
+    while (bytes.length < length) {
+      bytes.push(...ethers.utils.arrayify(nextRandom()));
+    }
+    return ethers.utils.hexlify(bytes.slice(0, length));
+  }
+
+  this.beforeAll(async function () {
+    console.log(`NOTE: fuzzing with FUZZ_SEED=${SEED}`);
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    TestHelper = await ethers.getContractFactory("TestHelper", {
+      libraries: {
+        BN256Adapter: adapter.address,
+      },
+    });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
+  });
+
+  describe("Generators", async function () {
+    it("should match P1", async function () {
+      expect(bn256.P1()).to.deep.equal(bn256.toPointG1(await adapter.P1()));
+    });
+
+    it("should match negP1", async function () {
+      expect(bn256.negP1()).to.deep.equal(bn256.toPointG1(await adapter.negP1()));
+    });
+
+    it("should match P2", async function () {
+      expect(bn256.P2()).to.deep.equal(bn256.toPointG2(await adapter.P2()));
+    });
+
+    it("should match negP2", async function () {
+      expect(bn256.negP2()).to.deep.equal(bn256.toPointG2(await adapter.negP2()));
+    });
+  });
+
+  describe("multiply", async function () {
+    it("should match the G1 multiplication of random points by random scalars", async function () {
+      for (let i = 0; i < 10; i++) {
+        const point = bn256.multiply(bn256.P1(), randomScalar());
+        // the scalars are 256 bit values, so most of them exceed the group order
+        const scalar = randomScalar();
+        const expected = await helper.multiplyG1(point, scalar);
+        expect(bn256.multiply(point, scalar)).to.deep.equal(bn256.toPointG1(expected));
+      }
+    });
+
+    it("should match the G2 multiplication of random points by random scalars", async function () {
+      console.log("NOTE: each G2 multiplication takes a few seconds...");
+      for (let i = 0; i < 3; i++) {
+        const point = bn256.multiply(bn256.P2(), randomScalar());
+        const scalar = randomScalar();
+        const expected = await helper.multiplyG2(point, scalar);
+        expect(bn256.multiply(point, scalar)).to.deep.equal(bn256.toPointG2(expected));
+      }
+    });
+
+    it("should match the multiplication by zero and the group order", async function () {
+      for (const scalar of [0, bn256.GROUP_ORDER]) {
+        const g1 = await helper.multiplyG1(bn256.P1(), scalar);
+        expect(bn256.multiply(bn256.P1(), scalar)).to.deep.equal(bn256.toPointG1(g1));
+        const g2 = await helper.multiplyG2(bn256.P2(), scalar);
+        expect(bn256.multiply(bn256.P2(), scalar)).to.deep.equal(bn256.toPointG2(g2));
+      }
+    });
+  });
+
+  describe("sum", async function () {
+    it("should match the G1 sum of random points", async function () {
+      for (let i = 1; i <= 5; i++) {
+        const points = [];
+        for (let j = 0; j < i; j++) {
+          points.push(bn256.multiply(bn256.P1(), randomScalar()));
+        }
+        const expected = await helper.sumG1(points);
+        expect(bn256.sum(points)).to.deep.equal(bn256.toPointG1(expected));
+      }
+    });
+
+    it("should match the G2 sum of random points", async function () {
+      for (let i = 1; i <= 3; i++) {
+        const points = [];
+        for (let j = 0; j < i; j++) {
+          points.push(bn256.multiply(bn256.P2(), randomScalar()));
+        }
+        const expected = await helper.sumG2(points);
+        expect(bn256.sum(points)).to.deep.equal(bn256.toPointG2(expected));
+      }
+    });
+
+    it("should match the sum of a point and its negative", async function () {
+      const point = bn256.multiply(bn256.P1(), randomScalar());
+      const points = [point, bn256.neg(point)];
+      const expected = await helper.sumG1(points);
+      expect(bn256.sum(points)).to.deep.equal(bn256.toPointG1(expected));
+    });
+
+    it("should reject an empty list", async function () {
+      expect(() => bn256.sum([])).to.throw("Cannot sum empty list");
+      await expect(helper.sumG1([])).to.be.revertedWith("Cannot sum empty list");
+    });
+  });
+
+  describe("neg", async function () {
+    it("should match the negation of random points", async function () {
+      for (let i = 0; i < 5; i++) {
+        const g1 = bn256.multiply(bn256.P1(), randomScalar());
+        expect(bn256.neg(g1)).to.deep.equal(bn256.toPointG1(await helper.negG1(g1)));
+        const g2 = bn256.multiply(bn256.P2(), randomScalar());
+        expect(bn256.neg(g2)).to.deep.equal(bn256.toPointG2(await helper.negG2(g2)));
+      }
+    });
+
+    it("should match the negation of the point at infinity", async function () {
+      const g1 = bn256.multiply(bn256.P1(), 0);
+      expect(bn256.neg(g1)).to.deep.equal(bn256.toPointG1(await helper.negG1(g1)));
+      const g2 = bn256.multiply(bn256.P2(), 0);
+      expect(bn256.neg(g2)).to.deep.equal(bn256.toPointG2(await helper.negG2(g2)));
+    });
+  });
+
+  describe("hashToG1", async function () {
+    it("should match the hash of random messages", async function () {
+      for (let i = 0; i < 10; i++) {
+        const message = randomMessage();
+        const expected = await helper.hashToG1(message);
+        expect(bn256.hashToG1(message)).to.deep.equal(bn256.toPointG1(expected));
+      }
+    });
+
+    it("should match the hash of an empty message", async function () {
+      const expected = await helper.hashToG1("0x");
+      expect(bn256.hashToG1("0x")).to.deep.equal(bn256.toPointG1(expected));
+    });
+  });
+
+  describe("verify", async function () {
+    let message, privateKey, publicKey, signature;
+
+    this.beforeAll(async function () {
+      message = randomMessage();
+      privateKey = randomScalar();
+      publicKey = bn256.multiply(bn256.P2(), privateKey);
+      signature = bn256.multiply(bn256.hashToG1(message), privateKey);
+    });
+
+    it("should accept a valid signature", async function () {
+      expect(bn256.verify(message, signature, publicKey)).to.equal(true);
+      expect(await helper.verify(message, signature, publicKey)).to.equal(true);
+    });
+
+    it("should reject a signature over a different message", async function () {
+      const other = randomMessage();
+      expect(bn256.verify(other, signature, publicKey)).to.equal(false);
+      expect(await helper.verify(other, signature, publicKey)).to.equal(false);
+    });
+
+    it("should reject a signature with a different key", async function () {
+      const other = bn256.multiply(bn256.P2(), randomScalar());
+      expect(bn256.verify(message, signature, other)).to.equal(false);
+      expect(await helper.verify(message, signature, other)).to.equal(false);
+    });
+  });
+
+  describe("verifyPairingEquations", async function () {
+    // constructs the equation e(a⋅[P1], b⋅[P2]) * e(-c⋅[P1], [P2]) = 1, which holds when c = ab
+    function productEquation(a, b, c) {
+      return {
+        A: bn256.multiply(bn256.P1(), a),
+        B: bn256.multiply(bn256.P2(), b),
+        C: bn256.neg(bn256.multiply(bn256.P1(), c)),
+        D: bn256.P2(),
+      };
+    }
+
+    function validEquation() {
+      const a = randomScalar().mod(bn256.GROUP_ORDER);
+      const b = randomScalar().mod(bn256.GROUP_ORDER);
+      return productEquation(a, b, a.mul(b).mod(bn256.GROUP_ORDER));
+    }
+
+    function invalidEquation() {
+      const a = randomScalar().mod(bn256.GROUP_ORDER);
+      const b = randomScalar().mod(bn256.GROUP_ORDER);
+      return productEquation(a, b, a.mul(b).add(1).mod(bn256.GROUP_ORDER));
+    }
+
+    it("should accept random sets of valid equations", async function () {
+      for (let i = 1; i <= 3; i++) {
+        const equations = [];
+        for (let j = 0; j < i; j++) {
+          equations.push(validEquation());
+        }
+        expect(bn256.verifyPairingEquations(equations)).to.equal(true);
+        expect(await helper.verifyPairingEquations(equations)).to.equal(true);
+      }
+    });
+
+    it("should reject sets that contain an invalid equation", async function () {
+      for (let i = 0; i < 3; i++) {
+        const equations = [validEquation(), validEquation(), validEquation()];
+        equations[i] = invalidEquation();
+        expect(bn256.verifyPairingEquations(equations)).to.equal(false);
+        expect(await helper.verifyPairingEquations(equations)).to.equal(false);
+      }
+    });
+
+    it("should reject equations that only cancel out without the pseudorandom multipliers", async function () {
+      // the first equation is off by +1 and the second by -1, so their plain product is 1
+      const a = randomScalar().mod(bn256.GROUP_ORDER);
+      const b = randomScalar().mod(bn256.GROUP_ORDER);
+      const ab = a.mul(b).mod(bn256.GROUP_ORDER);
+      const equations = [
+        productEquation(a, b, ab.add(1)),
+        productEquation(a, b, ab.add(bn256.GROUP_ORDER).sub(1)),
+      ];
+      expect(bn256.verifyPairingEquations(equations)).to.equal(false);
+      expect(await helper.verifyPairingEquations(equations)).to.equal(false);
+    });
+
+    it("should reject an empty list", async function () {
+      expect(() => bn256.verifyPairingEquations([])).to.throw(
+        "Cannot verify empty list of pairing equations"
+      );
+      await expect(helper.verifyPairingEquations([])).to.be.revertedWith(
+        "Cannot verify empty list of pairing equations"
+      );
+    });
+  });
+
+  describe("Invalid points", async function () {
+    const OFF_CURVE_G1 = { x: 1, y: 3 };
+
+    it("should reject G1 points that are not on the curve", async function () {
+      expect(() => bn256.multiply(OFF_CURVE_G1, 2)).to.throw();
+      await expect(helper.multiplyG1(OFF_CURVE_G1, 2)).to.be.reverted;
+    });
+
+    it("should reject G2 points that are not on the curve", async function () {
+      const point = { ...bn256.P2(), y_real: bn256.P2().y_real.add(1) };
+      expect(() => bn256.multiply(point, 2)).to.throw();
+      await expect(helper.multiplyG2(point, 2)).to.be.revertedWith("point not in curve");
+    });
+  });
+});
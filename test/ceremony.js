@@ -0,0 +1,303 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { run } = require("hardhat");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Trusted Setup Ceremony", function () {
+  const SETUP_DEGREE = 10;
+  const CHUNK_SIZE = 4;
+
+  let alice, bob;
+  let setup;
+  let directory;
+  const transcripts = {};
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // runs a task and returns the error message, or null if it succeeds
+  async function failureOf(name, args) {
+    try {
+      await run(name, args);
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", {
+      libraries: { BN256Adapter: adapter.address },
+    });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ceremony-"));
+    for (const name of ["alice", "bob", "bobStale"]) {
+      transcripts[name] = path.join(directory, `${name}.json`);
+    }
+  });
+
+  this.afterAll(async function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("Compute an update locally", async function () {
+    it("should match generateUpdateProof", async function () {
+      const k = ceremony.entropyFromPhrase("Alice's secret");
+      const [S1, S2, proof] = await setup.generateUpdateProof(k);
+      const local = ceremony.computeUpdate(await aggregator.readCurrentPowers(setup), k);
+      expect(local.S1).to.deep.equal(S1.map(bn256.toPointG1));
+      expect(local.S2).to.deep.equal(S2.map(bn256.toPointG2));
+      expect(local.proof).to.deep.equal(bn256.toPointG1(proof));
+    });
+  });
+
+  describe("Alice and Bob both contribute to the initial setup", async function () {
+    this.beforeAll(async function () {
+      await run("ceremony-contribute", {
+        setup: setup.address,
+        transcript: transcripts.alice,
+        entropy: "Alice's secret",
+      });
+      await run("ceremony-contribute", {
+        setup: setup.address,
+        transcript: transcripts.bobStale,
+        entropy: "Bob's secret",
+      });
+    });
+
+    it("should write the transcripts", async function () {
+      const transcript = ceremony.readTranscript(transcripts.alice);
+      expect(transcript.setup).to.equal(setup.address);
+      expect(transcript.S1.length).to.equal(SETUP_DEGREE + 1);
+      expect(transcript.base).to.deep.equal(bn256.P2());
+    });
+
+    it("should not write the secret", async function () {
+      const json = JSON.parse(fs.readFileSync(transcripts.alice, "utf8"));
+      expect(Object.keys(json).sort()).to.deep.equal(["S1", "S2", "base", "proof", "setup"]);
+    });
+
+    it("should not change the setup", async function () {
+      expect(bn256.toPointG2(await setup.S2(1))).to.deep.equal(bn256.P2());
+    });
+
+    describe("Alice submits her transcript", async function () {
+      this.beforeAll(async function () {
+        await run("ceremony-submit", { transcript: transcripts.alice, chunkSize: CHUNK_SIZE });
+      });
+
+      it("should update the setup", async function () {
+        const { S1, S2 } = ceremony.readTranscript(transcripts.alice);
+        for (let i = 0; i <= SETUP_DEGREE; i++) {
+          expect(bn256.toPointG1(await setup.S1(i))).to.deep.equal(S1[i]);
+          expect(bn256.toPointG2(await setup.S2(i))).to.deep.equal(S2[i]);
+        }
+      });
+
+      it("should not accept the same transcript again", async function () {
+        expect(await failureOf("ceremony-submit", { transcript: transcripts.alice })).to.equal(
+          "Stale transcript: the trusted setup has been updated since the contribution was computed"
+        );
+      });
+    });
+
+    describe("Bob submits the transcript that excludes Alice's update", async function () {
+      let message, blockNumber;
+
+      this.beforeAll(async function () {
+        blockNumber = await ethers.provider.getBlockNumber();
+        message = await failureOf("ceremony-submit", {
+          transcript: transcripts.bobStale,
+          from: bob.address,
+        });
+      });
+
+      it("should detect the stale transcript", async function () {
+        expect(message).to.equal(
+          "Stale transcript: the trusted setup has been updated since the contribution was computed"
+        );
+      });
+
+      it("should not send any transactions", async function () {
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      });
+
+      it("should also be rejected by the contract", async function () {
+        const { S1, S2, proof } = ceremony.readTranscript(transcripts.bobStale);
+        await expect(setup.connect(bob).update(S1, S2, proof)).to.be.revertedWith(
+          "Cannot update S. Invalid proofs provided"
+        );
+      });
+    });
+
+    describe("Bob recomputes his contribution", async function () {
+      this.beforeAll(async function () {
+        await run("ceremony-contribute", { setup: setup.address, transcript: transcripts.bob });
+        await run("ceremony-submit", {
+          transcript: transcripts.bob,
+          from: bob.address,
+          chunkSize: CHUNK_SIZE,
+        });
+      });
+
+      it("should build on Alice's update", async function () {
+        const alices = ceremony.readTranscript(transcripts.alice);
+        const bobs = ceremony.readTranscript(transcripts.bob);
+        expect(bobs.base).to.deep.equal(alices.S2[1]);
+        expect(bn256.toPointG2(await setup.S2(1))).to.deep.equal(bobs.S2[1]);
+      });
+    });
+  });
+
+  describe("Reject invalid transcripts", async function () {
+    let transcript;
+
+    this.beforeAll(async function () {
+      transcript = await ceremony.contribute(setup, ceremony.entropyFromPhrase("Charlie's secret"));
+    });
+
+    it("should reject a tampered power", async function () {
+      const S1 = [...transcript.S1];
+      S1[3] = S1[2];
+      let message;
+      try {
+        await ceremony.checkTranscript(setup, { ...transcript, S1 });
+      } catch (err) {
+        message = err.message;
+      }
+      expect(message).to.equal("The transcript is not a valid update");
+    });
+
+    it("should reject a transcript for another setup", async function () {
+      let message;
+      try {
+        await ceremony.checkTranscript(setup, { ...transcript, setup: alice.address });
+      } catch (err) {
+        message = err.message;
+      }
+      expect(message).to.equal("The transcript was computed for another trusted setup");
+    });
+  });
+
+  describe("Record the contribution history", async function () {
+    let contributions;
+
+    this.beforeAll(async function () {
+      contributions = await ceremony.readContributions(setup);
+    });
+
+    it("should record Alice's and Bob's contributions", async function () {
+      expect(contributions.map(({ contributor }) => contributor)).to.deep.equal([
+        alice.address,
+        bob.address,
+      ]);
+    });
+
+    it("should record the proof and the resulting powers", async function () {
+      const alices = ceremony.readTranscript(transcripts.alice);
+      expect(contributions[0].proof).to.deep.equal(alices.proof);
+      expect(contributions[0].S1One).to.deep.equal(alices.S1[1]);
+      expect(contributions[0].S2One).to.deep.equal(alices.S2[1]);
+    });
+
+    it("should emit an event for each contribution", async function () {
+      const events = await setup.queryFilter(setup.filters.Contributed());
+      expect(events.map(({ args }) => args.contributor)).to.deep.equal([
+        alice.address,
+        bob.address,
+      ]);
+      expect(events.map(({ blockNumber }) => blockNumber)).to.deep.equal(
+        contributions.map(({ blockNumber }) => blockNumber)
+      );
+      expect(bn256.toPointG2(events[1].args.S2One)).to.deep.equal(contributions[1].S2One);
+    });
+
+    it("should reject an unknown contribution", async function () {
+      await expect(setup.contributionAt(contributions.length)).to.be.revertedWith(
+        "Unknown contribution"
+      );
+    });
+  });
+
+  describe("Audit the contribution history", async function () {
+    let audit, current;
+
+    this.beforeAll(async function () {
+      audit = await run("ceremony-audit", { setup: setup.address });
+      current = await aggregator.readCurrentPowers(setup);
+    });
+
+    it("should confirm every contribution", async function () {
+      expect(audit.contributions.map(({ index }) => index)).to.deep.equal([0, 1]);
+      expect(audit.contributions.every(({ valid }) => valid)).to.equal(true);
+      expect(audit.consistent).to.equal(true);
+    });
+
+    it("should detect a contribution that does not follow from the previous one", async function () {
+      const contributions = [...audit.contributions];
+      contributions[0] = { ...contributions[0], proof: bn256.multiply(contributions[0].proof, 2) };
+      const { contributions: checked, consistent } = ceremony.verifyContributionHistory(
+        contributions,
+        current
+      );
+      expect(checked.map(({ valid }) => valid)).to.deep.equal([false, true]);
+      expect(consistent).to.equal(false);
+    });
+
+    it("should detect a missing contribution", async function () {
+      const { contributions, consistent } = ceremony.verifyContributionHistory(
+        audit.contributions.slice(1),
+        current
+      );
+      expect(contributions[0].valid).to.equal(false);
+      expect(consistent).to.equal(false);
+    });
+
+    it("should detect a history that does not produce the current powers", async function () {
+      const { consistent } = ceremony.verifyContributionHistory(
+        audit.contributions.slice(0, 1),
+        current
+      );
+      expect(consistent).to.equal(false);
+    });
+
+    it("should accept the empty history of a new setup", async function () {
+      const initial = {
+        S1: new Array(SETUP_DEGREE + 1).fill(bn256.P1()),
+        S2: new Array(SETUP_DEGREE + 1).fill(bn256.P2()),
+      };
+      expect(ceremony.verifyContributionHistory([], initial).consistent).to.equal(true);
+      expect(ceremony.verifyContributionHistory([], current).consistent).to.equal(false);
+    });
+
+    it("should include an update submitted without the coordinator", async function () {
+      const k = ceremony.entropyFromPhrase("Diane's secret");
+      const { S1, S2, proof } = ceremony.computeUpdate(current, k);
+      const [, , , diane] = await ethers.getSigners();
+      const receipt = await (await setup.connect(diane).update(S1, S2, proof)).wait();
+      const [event] = receipt.events.filter(({ event }) => event === "Contributed");
+      expect(event.args.index).to.equal(2);
+      expect(bn256.toPointG1(event.args.proof)).to.deep.equal(proof);
+
+      const { contributions, consistent } = await ceremony.auditContributions(setup);
+      expect(contributions.length).to.equal(3);
+      expect(contributions[2].contributor).to.equal(diane.address);
+      expect(consistent).to.equal(true);
+    });
+  });
+});
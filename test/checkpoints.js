@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const { registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Commitment Checkpoints", function () {
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const INITIAL_SUPPLY = ethers.utils.parseEther("1000");
+  const AMOUNT = ethers.utils.parseEther("100");
+
+  const INFINITY_G1 = bn256.toPointG1({ x: 0, y: 0 });
+  const INFINITY_G2 = bn256.toPointG2({ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 });
+
+  let alice, bob, charlie;
+  let aliceWallet, bobWallet;
+  let token, S1;
+
+  // the block numbers of the interesting transactions
+  const blocks = {};
+  // the encoded keys of the registered users
+  const encodedKeys = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    // the checkpoints do not depend on the secret, so the trusted setup is not updated
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+    blocks.deployed = await ethers.provider.getBlockNumber();
+    await mineBlock();
+
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    aliceWallet = await SimulatedBLSWallet.deploy("Alice");
+    bobWallet = await SimulatedBLSWallet.deploy("Bob");
+
+    S1 = async (i) => bn256.toPointG1(await setup.S1(i));
+  });
+
+  // the commitment to a data array where position i holds balances[i]
+  async function balancesCommitment(balances) {
+    const terms = [INFINITY_G1];
+    for (const [i, balance] of Object.entries(balances)) {
+      terms.push(bn256.multiply(await S1(Number(i)), balance));
+    }
+    return bn256.sum(terms);
+  }
+
+  // the lookups only accept mined blocks, and calls are executed in the context of the latest block.
+  // Mining an empty block makes the block of the previous transaction available
+  async function mineBlock() {
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function register(signer, wallet) {
+    const args = await registrationArguments(token, wallet, signer.address);
+    const tx = await token.connect(signer).register(...args);
+    encodedKeys.push(bn256.toPointG2(args[1]));
+    const { blockNumber } = await tx.wait();
+    await mineBlock();
+    return blockNumber;
+  }
+
+  async function balancesAt(block) {
+    return bn256.toPointG1(await token.balancesCommitmentAt(0, block));
+  }
+
+  async function keysAt(block) {
+    return bn256.toPointG2(await token.keysCommitmentAt(0, block));
+  }
+
+  async function weightsAt(block) {
+    return bn256.toPointG1(await token.delegatedWeightsCommitmentAt(0, block));
+  }
+
+  describe("Before any registrations", async function () {
+    it("should return the zero points", async function () {
+      expect(await balancesAt(blocks.deployed)).to.deep.equal(INFINITY_G1);
+      expect(await keysAt(blocks.deployed)).to.deep.equal(INFINITY_G2);
+    });
+
+    it("should reject the current block", async function () {
+      const current = await ethers.provider.getBlockNumber();
+      await expect(token.balancesCommitmentAt(0, current + 1)).to.be.revertedWith(
+        "Block not yet mined"
+      );
+      await expect(token.keysCommitmentAt(0, current + 1)).to.be.revertedWith("Block not yet mined");
+    });
+  });
+
+  describe("Alice registers", async function () {
+    this.beforeAll(async function () {
+      blocks.alice = await register(alice, aliceWallet);
+    });
+
+    it("should checkpoint her key", async function () {
+      expect(await keysAt(blocks.alice)).to.deep.equal(encodedKeys[0]);
+      expect(await keysAt(blocks.alice - 1)).to.deep.equal(INFINITY_G2);
+    });
+
+    it("should checkpoint her balance", async function () {
+      expect(await balancesAt(blocks.alice)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY })
+      );
+      expect(await balancesAt(blocks.alice - 1)).to.deep.equal(INFINITY_G1);
+    });
+  });
+
+  describe("Alice transfers tokens to Bob before he registers", async function () {
+    this.beforeAll(async function () {
+      const tx = await token.connect(alice).transfer(bob.address, AMOUNT);
+      blocks.transfer = (await tx.wait()).blockNumber;
+      // mine some empty blocks
+      for (let i = 0; i < 3; i++) {
+        await mineBlock();
+      }
+    });
+
+    it("should checkpoint the reduced balance", async function () {
+      expect(await balancesAt(blocks.transfer)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT) })
+      );
+    });
+
+    it("should retain the previous checkpoint", async function () {
+      expect(await balancesAt(blocks.transfer - 1)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY })
+      );
+    });
+
+    it("should return the latest checkpoint for subsequent blocks", async function () {
+      expect(await balancesAt(blocks.transfer + 2)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT) })
+      );
+      expect(await keysAt(blocks.transfer + 2)).to.deep.equal(encodedKeys[0]);
+    });
+
+    it("should checkpoint the balance of each holder", async function () {
+      expect(await token.balanceOfAt(alice.address, blocks.transfer)).to.equal(
+        INITIAL_SUPPLY.sub(AMOUNT)
+      );
+      expect(await token.balanceOfAt(alice.address, blocks.transfer - 1)).to.equal(INITIAL_SUPPLY);
+      expect(await token.balanceOfAt(bob.address, blocks.transfer)).to.equal(AMOUNT);
+      expect(await token.balanceOfAt(bob.address, blocks.transfer - 1)).to.equal(0);
+    });
+  });
+
+  describe("Bob registers", async function () {
+    this.beforeAll(async function () {
+      blocks.bob = await register(bob, bobWallet);
+    });
+
+    it("should checkpoint both keys", async function () {
+      expect(await keysAt(blocks.bob)).to.deep.equal(bn256.sum(encodedKeys));
+      expect(await keysAt(blocks.bob - 1)).to.deep.equal(encodedKeys[0]);
+    });
+
+    it("should checkpoint his balance", async function () {
+      expect(await balancesAt(blocks.bob)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT), 2: AMOUNT })
+      );
+    });
+  });
+
+  describe("Alice and Bob transfer tokens to Charlie in the same block", async function () {
+    this.beforeAll(async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      await token.connect(alice).transfer(charlie.address, AMOUNT);
+      await token.connect(bob).transfer(charlie.address, AMOUNT.div(2));
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+      blocks.same = await ethers.provider.getBlockNumber();
+      await mineBlock();
+    });
+
+    it("should checkpoint the commitment at the end of the block", async function () {
+      expect(await balancesAt(blocks.same)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT.mul(2)), 2: AMOUNT.div(2) })
+      );
+    });
+
+    it("should match the current commitment", async function () {
+      expect(await balancesAt(blocks.same)).to.deep.equal(
+        bn256.toPointG1(await token.BalancesCommitment(0))
+      );
+    });
+
+    it("should retain every earlier checkpoint", async function () {
+      expect(await balancesAt(blocks.same - 1)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT), 2: AMOUNT })
+      );
+      expect(await balancesAt(blocks.transfer)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT) })
+      );
+      expect(await balancesAt(blocks.alice)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY })
+      );
+    });
+
+    it("should checkpoint Charlie's balance at the end of the block", async function () {
+      expect(await token.balanceOfAt(charlie.address, blocks.same)).to.equal(AMOUNT.mul(3).div(2));
+      expect(await token.balanceOfAt(charlie.address, blocks.same - 1)).to.equal(0);
+    });
+  });
+
+  describe("Bob delegates his voting weight to Alice", async function () {
+    this.beforeAll(async function () {
+      const tx = await token.connect(bob).delegate(await token.indexOf(alice.address));
+      blocks.delegated = (await tx.wait()).blockNumber;
+      await mineBlock();
+    });
+
+    it("should checkpoint the weights", async function () {
+      expect(await weightsAt(blocks.delegated)).to.deep.equal(
+        await balancesCommitment({ 1: INITIAL_SUPPLY.sub(AMOUNT.mul(2)).add(AMOUNT.div(2)) })
+      );
+      expect(await weightsAt(blocks.delegated)).to.deep.equal(
+        bn256.toPointG1(await token.DelegatedWeightsCommitment(0))
+      );
+    });
+
+    it("should retain the weights before the delegation", async function () {
+      // without any delegations, the weights are the balances
+      expect(await weightsAt(blocks.delegated - 1)).to.deep.equal(await balancesAt(blocks.same));
+      expect(await weightsAt(blocks.deployed)).to.deep.equal(INFINITY_G1);
+    });
+
+    it("should not change the balances", async function () {
+      expect(await balancesAt(blocks.delegated)).to.deep.equal(await balancesAt(blocks.same));
+    });
+  });
+});
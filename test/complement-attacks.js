@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { registrationArguments } = require("../lib/registration");
+
+// These tests encode the ComplementCommitment attacks described in the "A partial solution" section of the README
+// Each test submits a manipulated complement to AggregateVoting.submitAggregate
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Complement Commitment Attacks", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 50;
+  // an arbitrary scalar known to the aggregator
+  const DELTA = 12345;
+
+  let alice, bob, charlie, diane;
+  let wallets;
+  let token, voting, trustedSetup, n;
+
+  // the registered keys and balances, in the format expected by the aggregator
+  const keys = [];
+  const balances = [];
+
+  // Alice and Charlie support the topic. Bob and Diane do not vote
+  let votes, honest;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, diane] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    console.log("NOTE: creating 4 BLS wallets takes about 10 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    wallets = [];
+    for (const name of ["Alice", "Bob", "Charlie", "Diane"]) {
+      wallets.push(await SimulatedBLSWallet.deploy(name));
+    }
+
+    await token.connect(alice).transfer(bob.address, ethers.utils.parseEther("100"));
+    await token.connect(alice).transfer(charlie.address, ethers.utils.parseEther("200"));
+    await token.connect(alice).transfer(diane.address, ethers.utils.parseEther("75"));
+
+    const signers = [alice, bob, charlie, diane];
+    for (let i = 0; i < signers.length; i++) {
+      const args = await registrationArguments(token, wallets[i], signers[i].address);
+      await token.connect(signers[i]).register(...args);
+      const index = Number(await token.indexOf(signers[i].address));
+      keys.push({ index, encodedKey: args[1] });
+      balances.push({ index, balance: await token.balanceOf(signers[i].address) });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+    n = aggregator.dataArraySize(trustedSetup) - 1;
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+    voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+    await voting.deployed();
+
+    votes = [];
+    for (const i of [0, 2]) {
+      votes.push({
+        index: keys[i].index,
+        support: true,
+        signature: await wallets[i].signPointG1(await voting.votingArtifact(keys[i].index, true)),
+      });
+    }
+    honest = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+  });
+
+  // the reversed selection commitment for the users at the specified positions in keys
+  function selectionOf(...users) {
+    return bn256.sum(users.map((i) => trustedSetup.S2[n - keys[i].index]));
+  }
+
+  // the sum of the encoded keys of the users at the specified positions in keys
+  function keysOf(...users) {
+    return bn256.sum(users.map((i) => bn256.toPointG2(keys[i].encodedKey)));
+  }
+
+  // the point (value)(s^index)⋅[P2], which the aggregator can compute without any private key
+  function knownTerm(value, index) {
+    return bn256.multiply(trustedSetup.S2[index], value);
+  }
+
+  // the point (value)(𝛿)(s^index)⋅[P1], which signs knownTerm(value, index)
+  async function knownSignature(value, index) {
+    return bn256.multiply(await voting.votingArtifact(index, true), value);
+  }
+
+  // submits an aggregate that selects the users at the specified positions in keys
+  function submit(users, complement, signature) {
+    const indices = users.map((i) => keys[i].index);
+    return voting.submitAggregate(true, indices, [selectionOf(...users)], complement, signature);
+  }
+
+  describe("The aggregator submits the honest complement", async function () {
+    it("should accept the aggregate", async function () {
+      await expect(
+        voting.callStatic.submitAggregate(
+          true,
+          honest.added,
+          honest.selections,
+          honest.complement,
+          honest.signature
+        )
+      ).to.not.be.reverted;
+    });
+  });
+
+  describe("The complement eliminates too few terms", async function () {
+    it("should reject the aggregate when Bob's key is left in the SelectedKeysCommitment", async function () {
+      await expect(
+        submit([0, 2], keysOf(3), honest.signature)
+      ).to.be.revertedWith("Invalid aggregate signature");
+    });
+
+    it("should reject the aggregate when Bob is also added to the selection", async function () {
+      await expect(
+        submit([0, 1, 2], keysOf(3), honest.signature)
+      ).to.be.revertedWith("Invalid aggregate signature");
+    });
+  });
+
+  describe("The complement modifies Bob's term without eliminating it", async function () {
+    it("should reject the aggregate", async function () {
+      // the SelectedKeysCommitment contains (b - Δ)(s^2)⋅[P2]
+      const complement = bn256.sum([keysOf(3), knownTerm(DELTA, keys[1].index)]);
+      const signature = bn256.sum([
+        honest.signature,
+        bn256.neg(await knownSignature(DELTA, keys[1].index)),
+      ]);
+      await expect(submit([0, 2], complement, signature)).to.be.revertedWith(
+        "Invalid aggregate signature"
+      );
+    });
+  });
+
+  describe("The complement modifies Alice's term in the selection", async function () {
+    let complement;
+
+    this.beforeAll(async function () {
+      // the SelectedKeysCommitment contains (a - Δ)(s)⋅[P2]
+      complement = bn256.sum([honest.complement, knownTerm(DELTA, keys[0].index)]);
+    });
+
+    it("should reject the unadjusted signature", async function () {
+      await expect(submit([0, 2], complement, honest.signature)).to.be.revertedWith(
+        "Invalid aggregate signature"
+      );
+    });
+
+    it("should reject the adjusted signature without Alice's vote", async function () {
+      const signature = bn256.sum([
+        votes[1].signature,
+        bn256.neg(await knownSignature(DELTA, keys[0].index)),
+      ]);
+      await expect(submit([0, 2], complement, signature)).to.be.revertedWith(
+        "Invalid aggregate signature"
+      );
+    });
+
+    it("should accept the adjusted signature, which still requires Alice's vote", async function () {
+      // this is harmless: Alice is still the only one who can produce the signature
+      const signature = bn256.sum([
+        honest.signature,
+        bn256.neg(await knownSignature(DELTA, keys[0].index)),
+      ]);
+      await expect(
+        voting.callStatic.submitAggregate(
+          true,
+          honest.added,
+          honest.selections,
+          complement,
+          signature
+        )
+      ).to.not.be.reverted;
+    });
+  });
+
+  describe("The complement eliminates every term", async function () {
+    it("should reject the aggregate", async function () {
+      const infinity = { x: 0, y: 0 };
+      await expect(
+        submit([0, 1, 2, 3], await voting.KeysCommitment(0), infinity)
+      ).to.be.revertedWith("Complement eliminates every key");
+    });
+  });
+
+  // The README does not have a mechanism to prevent these attacks. The tests document the known limitation:
+  // if the scheme is extended to prevent them, they should be changed to expect a rejection
+  describe("The complement eliminates too many terms (known limitation)", async function () {
+    describe("Alice votes on Charlie's behalf", async function () {
+      this.beforeAll(async function () {
+        // Charlie's key is eliminated, but he remains in the selection
+        await submit([0, 2], keysOf(1, 2, 3), votes[0].signature);
+      });
+
+      it("should (unfortunately) accept the aggregate", async function () {
+        expect(await voting.isAggregated(true)).to.equal(true);
+        const saved = bn256.toPointG2((await voting.selectionOf(true))[0]);
+        expect(bn256.equals(saved, honest.selections[0])).to.equal(true);
+      });
+
+      it("should (unfortunately) count Charlie's balance in the tally", async function () {
+        const tally = aggregator.buildTally(trustedSetup, balances, honest);
+        expect(tally.weight).to.equal(balances[0].balance.add(balances[2].balance));
+        expect(await voting.isValidTally(true, tally.weights, tally.proofs)).to.equal(true);
+      });
+    });
+
+    describe("The aggregator replaces Bob's key with a known term", async function () {
+      this.beforeAll(async function () {
+        // Bob's key is eliminated and replaced with Δ(s^2)⋅[P2], which the aggregator can sign.
+        // This extends the previous aggregate, which already contains Alice's signature
+        const complement = bn256.sum([keysOf(1, 3), bn256.neg(knownTerm(DELTA, keys[1].index))]);
+        const signature = bn256.sum([
+          votes[1].signature,
+          await knownSignature(DELTA, keys[1].index),
+        ]);
+        await submit([1], complement, signature);
+      });
+
+      it("should (unfortunately) accept the aggregate", async function () {
+        const saved = bn256.toPointG2((await voting.selectionOf(true))[0]);
+        expect(bn256.equals(saved, selectionOf(0, 1, 2))).to.equal(true);
+      });
+
+      it("should (unfortunately) count Bob's balance in the tally", async function () {
+        const tally = aggregator.buildTally(trustedSetup, balances, {
+          support: true,
+          selections: honest.selections,
+          indices: [keys[0].index, keys[1].index, keys[2].index],
+        });
+        expect(tally.weight).to.equal(
+          balances[0].balance.add(balances[1].balance).add(balances[2].balance)
+        );
+        expect(await voting.isValidTally(true, tally.weights, tally.proofs)).to.equal(true);
+      });
+    });
+  });
+});
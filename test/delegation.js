@@ -0,0 +1,401 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Delegation", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 5;
+  const INITIAL_SUPPLY = ethers.utils.parseEther("1000");
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const CHARLIE_BAL = ethers.utils.parseEther("200");
+  const DAVE_BAL = ethers.utils.parseEther("300");
+  const AMOUNT = ethers.utils.parseEther("50");
+
+  const INFINITY_G1 = bn256.toPointG1({ x: 0, y: 0 });
+
+  let alice, bob, charlie, dave;
+  let token, AggregateVoting, trustedSetup;
+
+  // the BLS wallets and encoded keys, by owner
+  const wallets = {};
+  const encodedKeys = {};
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+      signPointG1: async (point) => bn256.multiply(bn256.toPointG1(point), sk),
+    };
+  }
+
+  async function balancesCommitment() {
+    return bn256.toPointG1(await token.BalancesCommitment(0));
+  }
+
+  async function weightsCommitment() {
+    return bn256.toPointG1(await token.DelegatedWeightsCommitment(0));
+  }
+
+  // the commitment to a data array where position i holds values[i]
+  function commitValues(values) {
+    const terms = [INFINITY_G1];
+    for (const [i, value] of Object.entries(values)) {
+      terms.push(bn256.multiply(trustedSetup.S1[Number(i)], value));
+    }
+    return bn256.sum(terms);
+  }
+
+  // the voting weight of every index, read from the token
+  async function readWeights() {
+    const holders = [];
+    for (const signer of [alice, bob, charlie, dave]) {
+      holders.push({
+        index: await token.indexOf(signer.address),
+        delegate: await token.delegateOf(signer.address),
+        balance: await token.balanceOf(signer.address),
+      });
+    }
+    return aggregator.delegatedWeights(holders);
+  }
+
+  // the voting weights as a data array
+  async function weightsByPosition() {
+    const weights = {};
+    for (const { index, balance } of await readWeights()) {
+      weights[index] = balance;
+    }
+    return weights;
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, dave] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+    await token.connect(alice).transfer(charlie.address, CHARLIE_BAL);
+    await token.connect(alice).transfer(dave.address, DAVE_BAL);
+
+    // Dave does not run a BLS wallet
+    for (const [signer, name] of [
+      [alice, "alice"],
+      [bob, "bob"],
+      [charlie, "charlie"],
+    ]) {
+      wallets[name] = localWallet();
+      const args = await registrationArguments(token, wallets[name], signer.address);
+      await token.connect(signer).register(...args);
+      encodedKeys[name] = bn256.toPointG2(args[1]);
+    }
+  });
+
+  describe("Without any delegations", async function () {
+    it("should commit to the registered balances as the weights", async function () {
+      expect(await weightsCommitment()).to.deep.equal(await balancesCommitment());
+    });
+
+    it("should not count Dave's balance", async function () {
+      expect(await token.votingIndexOf(dave.address)).to.equal(0);
+      expect(await weightsCommitment()).to.deep.equal(
+        commitValues({
+          1: INITIAL_SUPPLY.sub(BOB_BAL).sub(CHARLIE_BAL).sub(DAVE_BAL),
+          2: BOB_BAL,
+          3: CHARLIE_BAL,
+        })
+      );
+    });
+
+    it("should reject an unknown delegate", async function () {
+      await expect(token.connect(dave).delegate(0)).to.be.revertedWith("Unknown delegate");
+      await expect(token.connect(dave).delegate(4)).to.be.revertedWith("Unknown delegate");
+    });
+
+    it("should not undelegate", async function () {
+      await expect(token.connect(dave).undelegate()).to.be.revertedWith(
+        "Voting weight is not delegated"
+      );
+    });
+  });
+
+  describe("Dave delegates to Bob", async function () {
+    let receipt, previousBalances;
+
+    this.beforeAll(async function () {
+      previousBalances = await balancesCommitment();
+      receipt = await (await token.connect(dave).delegate(2)).wait();
+    });
+
+    it("should record the delegation", async function () {
+      expect(await token.delegateOf(dave.address)).to.equal(2);
+      expect(await token.votingIndexOf(dave.address)).to.equal(2);
+      const [event] = receipt.events.filter(({ event }) => event === "DelegateChanged");
+      expect(event.args.delegator).to.equal(dave.address);
+      expect(event.args.fromIndex).to.equal(0);
+      expect(event.args.toIndex).to.equal(2);
+    });
+
+    it("should add Dave's balance to Bob's weight", async function () {
+      expect(await weightsCommitment()).to.deep.equal(
+        commitValues({
+          1: INITIAL_SUPPLY.sub(BOB_BAL).sub(CHARLIE_BAL).sub(DAVE_BAL),
+          2: BOB_BAL.add(DAVE_BAL),
+          3: CHARLIE_BAL,
+        })
+      );
+    });
+
+    it("should not change the balances commitment", async function () {
+      expect(await balancesCommitment()).to.deep.equal(previousBalances);
+    });
+
+    describe("Dave receives tokens while delegated", async function () {
+      this.beforeAll(async function () {
+        await token.connect(alice).transfer(dave.address, AMOUNT);
+      });
+
+      it("should add them to Bob's weight", async function () {
+        expect(await weightsCommitment()).to.deep.equal(commitValues(await weightsByPosition()));
+        expect((await weightsByPosition())[2]).to.equal(BOB_BAL.add(DAVE_BAL).add(AMOUNT));
+      });
+
+      it("should only change Alice's balance", async function () {
+        expect(await balancesCommitment()).to.deep.equal(
+          commitValues({
+            1: INITIAL_SUPPLY.sub(BOB_BAL).sub(CHARLIE_BAL).sub(DAVE_BAL).sub(AMOUNT),
+            2: BOB_BAL,
+            3: CHARLIE_BAL,
+          })
+        );
+      });
+    });
+
+    describe("Dave transfers tokens to Charlie while delegated", async function () {
+      this.beforeAll(async function () {
+        await token.connect(dave).transfer(charlie.address, AMOUNT.mul(2));
+      });
+
+      it("should move the weight from Bob to Charlie", async function () {
+        expect(await weightsCommitment()).to.deep.equal(
+          commitValues({
+            1: INITIAL_SUPPLY.sub(BOB_BAL).sub(CHARLIE_BAL).sub(DAVE_BAL).sub(AMOUNT),
+            2: BOB_BAL.add(DAVE_BAL).sub(AMOUNT),
+            3: CHARLIE_BAL.add(AMOUNT.mul(2)),
+          })
+        );
+      });
+    });
+
+    describe("A delegate receives tokens", async function () {
+      this.beforeAll(async function () {
+        await token.connect(alice).transfer(bob.address, AMOUNT);
+      });
+
+      it("should update the delegate's weight", async function () {
+        expect(await weightsCommitment()).to.deep.equal(commitValues(await weightsByPosition()));
+        expect((await weightsByPosition())[2]).to.equal(BOB_BAL.add(DAVE_BAL));
+      });
+    });
+  });
+
+  describe("Charlie delegates to Bob", async function () {
+    this.beforeAll(async function () {
+      await token.connect(charlie).delegate(2);
+    });
+
+    it("should move Charlie's weight to Bob", async function () {
+      const weights = await weightsByPosition();
+      expect(weights[3]).to.equal(undefined);
+      expect(weights[2]).to.equal(
+        BOB_BAL.add(DAVE_BAL).add(await token.balanceOf(charlie.address))
+      );
+      expect(await weightsCommitment()).to.deep.equal(commitValues(weights));
+    });
+
+    it("should keep Charlie's balance in the balances commitment", async function () {
+      expect(await token.indexOf(charlie.address)).to.equal(3);
+      expect(await balancesCommitment()).to.not.deep.equal(await weightsCommitment());
+    });
+
+    describe("A tally uses the delegated weight", async function () {
+      let voting, keys;
+
+      this.beforeAll(async function () {
+        voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+        await voting.deployed();
+        keys = [
+          { index: 1, encodedKey: encodedKeys.alice },
+          { index: 2, encodedKey: encodedKeys.bob },
+          { index: 3, encodedKey: encodedKeys.charlie },
+        ];
+      });
+
+      async function vote(name, index, support) {
+        const signature = await wallets[name].signPointG1(
+          await voting.votingArtifact(index, support)
+        );
+        return { index, support, signature };
+      }
+
+      it("should snapshot the weights", async function () {
+        expect(bn256.toPointG1(await voting.WeightsCommitment(0))).to.deep.equal(
+          await weightsCommitment()
+        );
+        expect(bn256.toPointG1(await voting.BalancesCommitment(0))).to.deep.equal(
+          await balancesCommitment()
+        );
+      });
+
+      describe("Bob and Charlie support the topic and Alice opposes it", async function () {
+        let weights, yesAggregate, yesTally, noTally;
+
+        this.beforeAll(async function () {
+          const votes = [
+            await vote("alice", 1, false),
+            await vote("bob", 2, true),
+            await vote("charlie", 3, true),
+          ];
+          for (const support of [true, false]) {
+            const aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, support);
+            await alice.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+          }
+          for (let i = 0; i < VOTING_PERIOD; i++) {
+            await ethers.provider.send("evm_mine", []);
+          }
+
+          weights = await readWeights();
+          yesAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+          const noAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+          yesTally = aggregator.buildTally(trustedSetup, weights, yesAggregate);
+          noTally = aggregator.buildTally(trustedSetup, weights, noAggregate);
+        });
+
+        it("should count Charlie's vote with zero weight", async function () {
+          const byIndex = Object.fromEntries(weights.map(({ index, balance }) => [index, balance]));
+          expect(yesTally.weight).to.equal(byIndex[2]);
+          expect(noTally.weight).to.equal(byIndex[1]);
+        });
+
+        it("should reject a tally of the raw balances", async function () {
+          const balances = [];
+          for (const signer of [alice, bob, charlie]) {
+            balances.push({
+              index: await token.indexOf(signer.address),
+              balance: await token.balanceOf(signer.address),
+            });
+          }
+          const inflated = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+          await expect(
+            alice.sendTransaction(aggregator.tallyTransaction(voting, inflated, noTally))
+          ).to.be.revertedWith("Invalid tally proof");
+        });
+
+        it("should accept the tally of the delegated weights", async function () {
+          await alice.sendTransaction(aggregator.tallyTransaction(voting, yesTally, noTally));
+          expect(await voting.weightOf(true)).to.equal(yesTally.weight);
+          expect(await voting.weightOf(false)).to.equal(noTally.weight);
+          expect(yesTally.weight.add(noTally.weight)).to.equal(INITIAL_SUPPLY);
+        });
+      });
+    });
+  });
+
+  describe("Dave re-delegates to Charlie", async function () {
+    let receipt;
+
+    this.beforeAll(async function () {
+      receipt = await (await token.connect(dave).delegate(3)).wait();
+    });
+
+    it("should record the previous delegate", async function () {
+      const [event] = receipt.events.filter(({ event }) => event === "DelegateChanged");
+      expect(event.args.fromIndex).to.equal(2);
+      expect(event.args.toIndex).to.equal(3);
+    });
+
+    it("should move Dave's weight to Charlie's position", async function () {
+      // delegations are not transitive, so Charlie's delegation to Bob does not apply
+      const weights = await weightsByPosition();
+      expect(weights[3]).to.equal(await token.balanceOf(dave.address));
+      expect(await weightsCommitment()).to.deep.equal(commitValues(weights));
+    });
+  });
+
+  describe("Charlie and Dave undelegate", async function () {
+    this.beforeAll(async function () {
+      await token.connect(charlie).undelegate();
+      await token.connect(dave).undelegate();
+    });
+
+    it("should clear the delegations", async function () {
+      expect(await token.delegateOf(charlie.address)).to.equal(0);
+      expect(await token.votingIndexOf(charlie.address)).to.equal(3);
+      expect(await token.votingIndexOf(dave.address)).to.equal(0);
+    });
+
+    it("should restore the registered balances as the weights", async function () {
+      expect(await weightsCommitment()).to.deep.equal(await balancesCommitment());
+    });
+  });
+
+  describe("Bob deregisters while Dave delegates to him", async function () {
+    this.beforeAll(async function () {
+      await token.connect(dave).delegate(2);
+      await token.connect(bob).deregister();
+    });
+
+    it("should only remove Bob's own weight", async function () {
+      expect(await weightsCommitment()).to.deep.equal(commitValues(await weightsByPosition()));
+      expect((await weightsByPosition())[2]).to.equal(await token.balanceOf(dave.address));
+    });
+
+    it("should let Dave re-delegate", async function () {
+      await token.connect(dave).delegate(1);
+      const weights = await weightsByPosition();
+      expect(weights[2]).to.equal(undefined);
+      expect(await weightsCommitment()).to.deep.equal(commitValues(weights));
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bn256 = require("../lib/bn256-adapter");
+const deployment = require("../lib/deployment");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Deployment tasks", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const SETUP_DEGREE = 10;
+  const VOTING_PERIOD = 10;
+
+  let bob, charlie;
+  let directory, manifestPath;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  const readManifest = () => JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  const run = (name, args = {}) => hre.run(name, { ...args, manifest: manifestPath });
+
+  async function expectRejection(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (err) {
+      error = err;
+    }
+    expect(error, "the task should fail").to.not.be.undefined;
+    expect(error.message).to.include(message);
+  }
+
+  this.beforeAll(async function () {
+    [, bob, charlie] = await ethers.getSigners();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+    manifestPath = path.join(directory, "manifest.json");
+  });
+
+  this.afterAll(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("Before anything is deployed", async function () {
+    it("should refuse to deploy the token", async function () {
+      await expectRejection(
+        run("deploy-token"),
+        "The manifest has no TrustedSetup. Run the deploy-setup task first"
+      );
+    });
+
+    it("should refuse to register a key", async function () {
+      await expectRejection(
+        run("register-key", { wallet: "alice" }),
+        "The manifest has no CommitmentToken. Run the deploy-token task first"
+      );
+    });
+
+    it("should refuse to open a proposal", async function () {
+      await expectRejection(
+        run("open-proposal", { topic: TOPIC }),
+        "The manifest has no VotingFactory. Run the deploy-token task first"
+      );
+    });
+  });
+
+  describe("Deploy the trusted setup", async function () {
+    this.beforeAll(async function () {
+      await run("deploy-setup", { degree: SETUP_DEGREE, entropy: "deployment tests" });
+    });
+
+    it("should record the network", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const manifest = readManifest();
+      expect(manifest.network).to.equal(hre.network.name);
+      expect(manifest.chainId).to.equal(chainId);
+    });
+
+    it("should record the BN256Adapter library", async function () {
+      const { BN256Adapter } = readManifest();
+      expect(await ethers.provider.getCode(BN256Adapter)).to.not.equal("0x");
+    });
+
+    it("should publish the first version of the trusted setup", async function () {
+      const { TrustedSetup } = readManifest();
+      expect(TrustedSetup.version).to.equal(1);
+      const setup = await ethers.getContractAt("TrustedSetup", TrustedSetup.address);
+      expect(await setup.latestVersion()).to.equal(1);
+    });
+
+    it("should refuse a manifest of another chain", async function () {
+      const manifest = readManifest();
+      fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, chainId: 1 }));
+      try {
+        await expectRejection(run("deploy-token"), "The manifest describes chain 1, not chain");
+      } finally {
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+      }
+    });
+  });
+
+  describe("Deploy the token", async function () {
+    this.beforeAll(async function () {
+      await run("deploy-token");
+    });
+
+    it("should pin the published trusted setup", async function () {
+      const { CommitmentToken, TrustedSetup } = readManifest();
+      const token = await ethers.getContractAt("CommitmentToken", CommitmentToken);
+      expect(await token.trustedSetup()).to.equal(TrustedSetup.address);
+      expect(await token.setupVersion()).to.equal(TrustedSetup.version);
+    });
+
+    it("should deploy the voting factory for the token", async function () {
+      const { CommitmentToken, VotingFactory } = readManifest();
+      const factory = await ethers.getContractAt("VotingFactory", VotingFactory);
+      expect(await factory.token()).to.equal(CommitmentToken);
+    });
+  });
+
+  describe("Register keys", async function () {
+    this.beforeAll(async function () {
+      await run("register-key", { wallet: "alice" });
+      await run("register-key", { wallet: "bob", from: bob.address, amount: "100" });
+      await run("register-key", { wallet: "charlie", from: charlie.address, amount: "200" });
+    });
+
+    it("should assign consecutive indices", async function () {
+      const { wallets } = readManifest();
+      expect(wallets.alice.index).to.equal(1);
+      expect(wallets.bob.index).to.equal(2);
+      expect(wallets.charlie.index).to.equal(3);
+    });
+
+    it("should record the owners", async function () {
+      const [deployer] = await ethers.getSigners();
+      const { wallets } = readManifest();
+      expect(wallets.alice.owner).to.equal(deployer.address);
+      expect(wallets.bob.owner).to.equal(bob.address);
+      expect(wallets.charlie.owner).to.equal(charlie.address);
+    });
+
+    it("should transfer the requested amounts", async function () {
+      const token = await ethers.getContractAt("CommitmentToken", readManifest().CommitmentToken);
+      expect(await token.balanceOf(bob.address)).to.equal(ethers.utils.parseEther("100"));
+      expect(await token.balanceOf(charlie.address)).to.equal(ethers.utils.parseEther("200"));
+    });
+
+    it("should record the registered encoded keys", async function () {
+      const manifest = readManifest();
+      const token = await ethers.getContractAt("CommitmentToken", manifest.CommitmentToken);
+      for (const { owner, encodedKey } of Object.values(manifest.wallets)) {
+        const registered = bn256.toPointG2(await token.encodedKeyOf(owner));
+        expect(bn256.equals(bn256.toPointG2(encodedKey), registered)).to.be.true;
+      }
+    });
+
+    it("should refuse a duplicate wallet name", async function () {
+      await expectRejection(
+        run("register-key", { wallet: "bob" }),
+        "The manifest already has a wallet named bob"
+      );
+    });
+  });
+
+  describe("Run a voting round", async function () {
+    let proposal, result;
+
+    this.beforeAll(async function () {
+      proposal = await run("open-proposal", { topic: TOPIC, period: VOTING_PERIOD });
+      await run("vote", { proposal, wallet: "alice", support: false });
+      await run("vote", { proposal, wallet: "bob", support: true });
+    });
+
+    it("should record the proposal", async function () {
+      const record = readManifest().proposals[proposal];
+      expect(record.topic).to.equal(TOPIC);
+      const voting = await ethers.getContractAt("AggregateVoting", record.voting);
+      expect(await voting.topic()).to.equal(TOPIC);
+    });
+
+    it("should record the votes", async function () {
+      const { votes } = readManifest().proposals[proposal];
+      expect(votes.map(({ index, support }) => ({ index, support }))).to.deep.equal([
+        { index: 1, support: false },
+        { index: 2, support: true },
+      ]);
+    });
+
+    it("should refuse a second vote from the same wallet", async function () {
+      await expectRejection(
+        run("vote", { proposal, wallet: "bob", support: false }),
+        `The bob wallet has already voted on proposal ${proposal}`
+      );
+    });
+
+    it("should refuse a vote from an unknown wallet", async function () {
+      await expectRejection(
+        run("vote", { proposal, wallet: "dave", support: true }),
+        "The manifest has no wallet named dave. Run the register-key task first"
+      );
+    });
+
+    it("should refuse a vote on an unknown proposal", async function () {
+      await expectRejection(
+        run("vote", { proposal: proposal + 1, wallet: "alice", support: true }),
+        `The manifest has no proposal ${proposal + 1}. Run the open-proposal task first`
+      );
+    });
+
+    it("should aggregate both sides", async function () {
+      const aggregates = await run("aggregate", { proposal });
+      expect(aggregates.map(({ indices }) => indices.length)).to.deep.equal([1, 1]);
+
+      const voting = await ethers.getContractAt(
+        "AggregateVoting",
+        readManifest().proposals[proposal].voting
+      );
+      expect(await voting.isAggregated(true)).to.be.true;
+      expect(await voting.isAggregated(false)).to.be.true;
+    });
+
+    it("should extend the supporting aggregate with a later vote", async function () {
+      await run("vote", { proposal, wallet: "charlie", support: true });
+      const aggregates = await run("aggregate", { proposal });
+      expect(aggregates.map(({ added }) => added)).to.deep.equal([[3]]);
+      expect(readManifest().proposals[proposal].aggregated).to.deep.equal({ yes: [2, 3], no: [1] });
+    });
+
+    it("should not resubmit the aggregated votes", async function () {
+      expect(await run("aggregate", { proposal })).to.deep.equal([]);
+    });
+
+    it("should submit the tally after the voting period", async function () {
+      for (let i = 0; i < VOTING_PERIOD; i++) {
+        await network.provider.send("evm_mine", []);
+      }
+      result = await run("submit-tally", { proposal });
+
+      const token = await ethers.getContractAt("CommitmentToken", readManifest().CommitmentToken);
+      const totalSupply = await token.totalSupply();
+      expect(result.yes).to.equal(ethers.utils.parseEther("300"));
+      expect(result.no).to.equal(totalSupply.sub(ethers.utils.parseEther("300")));
+    });
+
+    it("should return the tally recorded by the voting contract", async function () {
+      const voting = await ethers.getContractAt(
+        "AggregateVoting",
+        readManifest().proposals[proposal].voting
+      );
+      expect(await voting.weightOf(true)).to.equal(result.yes);
+      expect(await voting.weightOf(false)).to.equal(result.no);
+    });
+  });
+
+  describe("Manifest encoding", async function () {
+    it("should encode BigNumbers as hex strings", function () {
+      const encoded = deployment.encodePoints({ a: [ethers.BigNumber.from(255)], b: "c" });
+      expect(encoded).to.deep.equal({ a: ["0xff"], b: "c" });
+    });
+
+    it("should default to a manifest per network", function () {
+      expect(deployment.defaultManifestPath("localhost")).to.equal(
+        path.join("deployments", "localhost.json")
+      );
+    });
+  });
+});
@@ -0,0 +1,419 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ballots = require("../lib/ballots");
+const ceremony = require("../lib/ceremony");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Hybrid Voting", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 30;
+  const INITIAL_SUPPLY = ethers.utils.parseEther("1000");
+  const BALANCES = {
+    bob: ethers.utils.parseEther("100"),
+    charlie: ethers.utils.parseEther("150"),
+    dave: ethers.utils.parseEther("200"),
+    erin: ethers.utils.parseEther("50"),
+    frank: ethers.utils.parseEther("75"),
+    helper: ethers.utils.parseEther("25"),
+  };
+
+  let alice, bob, charlie, dave, erin, frank, relayer, greg, heidi;
+  let token, helper, voting, AggregateVoting, trustedSetup;
+
+  // the BLS wallets and encoded keys, by owner
+  const wallets = {};
+  const keys = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+      signPointG1: async (point) => bn256.multiply(bn256.toPointG1(point), sk),
+    };
+  }
+
+  async function register(signer, name) {
+    wallets[name] = localWallet();
+    const args = await registrationArguments(token, wallets[name], signer.address);
+    await token.connect(signer).register(...args);
+    keys.push({
+      index: Number(await token.indexOf(signer.address)),
+      encodedKey: bn256.toPointG2(args[1]),
+    });
+  }
+
+  async function mine(blocks) {
+    for (let i = 0; i < blocks; i++) {
+      await ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, dave, erin, frank, relayer, greg, heidi] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    TestHelper = await ethers.getContractFactory("TestHelper", { libraries });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    const recipients = { bob, charlie, dave, erin, frank, helper };
+    for (const [name, recipient] of Object.entries(recipients)) {
+      await token.transfer(recipient.address, BALANCES[name]);
+    }
+
+    // Charlie, Dave and the helper contract do not have BLS keys
+    await register(alice, "alice");
+    await register(bob, "bob");
+    await register(erin, "erin");
+    await token.connect(frank).delegate(await token.indexOf(bob.address));
+
+    voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+    await voting.deployed();
+
+    // Erin is in the snapshot, but deregisters afterwards
+    await token.connect(erin).deregister();
+  });
+
+  describe("Individual votes", async function () {
+    it("should record the snapshot", async function () {
+      expect(await voting.token()).to.equal(token.address);
+      expect(await voting.snapshotBlock()).to.equal(voting.deployTransaction.blockNumber - 1);
+    });
+
+    describe("Charlie votes directly", async function () {
+      let receipt;
+
+      this.beforeAll(async function () {
+        receipt = await (await voting.connect(charlie).castVote(true)).wait();
+      });
+
+      it("should count Charlie's balance", async function () {
+        expect(await voting.individualWeightOf(true)).to.equal(BALANCES.charlie);
+        expect(await voting.hasVoted(charlie.address)).to.equal(true);
+      });
+
+      it("should emit an event", async function () {
+        const [event] = receipt.events.filter(({ event }) => event === "IndividualVoteCast");
+        expect(event.args.voter).to.equal(charlie.address);
+        expect(event.args.support).to.equal(true);
+        expect(event.args.weight).to.equal(BALANCES.charlie);
+      });
+
+      it("should not accept a second vote", async function () {
+        await expect(voting.connect(charlie).castVote(false)).to.be.revertedWith("Already voted");
+      });
+    });
+
+    describe("Dave signs a ballot that is relayed by someone else", async function () {
+      let ballot;
+
+      this.beforeAll(async function () {
+        ballot = await ballots.signBallot(dave, voting, false);
+        await relayer.sendTransaction(ballots.ballotTransaction(voting, ballot));
+      });
+
+      it("should recover Dave as the signer", async function () {
+        expect(await ballots.ballotSigner(voting, ballot)).to.equal(dave.address);
+      });
+
+      it("should count Dave's balance", async function () {
+        expect(await voting.hasVoted(dave.address)).to.equal(true);
+        expect(await voting.hasVoted(relayer.address)).to.equal(false);
+        expect(await voting.individualWeightOf(false)).to.equal(BALANCES.dave);
+      });
+
+      it("should not accept the same ballot again", async function () {
+        await expect(
+          relayer.sendTransaction(ballots.ballotTransaction(voting, ballot))
+        ).to.be.revertedWith("Already voted");
+      });
+
+      it("should not accept the ballot in another voting contract", async function () {
+        const other = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+        await other.deployed();
+        // the signature recovers an unrelated address in the other domain
+        expect(await ballots.ballotSigner(other, ballot)).to.not.equal(dave.address);
+        await expect(
+          relayer.sendTransaction(ballots.ballotTransaction(other, ballot))
+        ).to.be.revertedWith("No tokens to vote with");
+        expect(await other.hasVoted(dave.address)).to.equal(false);
+      });
+    });
+
+    describe("A contract votes", async function () {
+      this.beforeAll(async function () {
+        await helper.castVote(voting.address, true);
+      });
+
+      it("should count the contract's balance", async function () {
+        expect(await voting.hasVoted(helper.address)).to.equal(true);
+        expect(await voting.individualWeightOf(true)).to.equal(
+          BALANCES.charlie.add(BALANCES.helper)
+        );
+      });
+    });
+
+    describe("Tokens move after the snapshot", async function () {
+      const ALICES_TRANSFER = ethers.utils.parseEther("10");
+
+      this.beforeAll(async function () {
+        // Dave already voted. Greg does not have a BLS key
+        await token.connect(dave).transfer(greg.address, BALANCES.dave);
+        // Alice is counted in the aggregate. Heidi does not have a BLS key
+        await token.connect(alice).transfer(heidi.address, ALICES_TRANSFER);
+      });
+
+      it("should use the balances at the snapshot", async function () {
+        const snapshotBlock = await voting.snapshotBlock();
+        expect(await token.balanceOfAt(dave.address, snapshotBlock)).to.equal(BALANCES.dave);
+        expect(await token.balanceOfAt(greg.address, snapshotBlock)).to.equal(0);
+        expect(await token.balanceOf(greg.address)).to.equal(BALANCES.dave);
+        expect(await token.balanceOfAt(heidi.address, snapshotBlock)).to.equal(0);
+        expect(await token.balanceOf(heidi.address)).to.equal(ALICES_TRANSFER);
+      });
+
+      it("should not count Dave's tokens again when Greg votes", async function () {
+        await expect(voting.connect(greg).castVote(false)).to.be.revertedWith(
+          "No tokens to vote with"
+        );
+        expect(await voting.individualWeightOf(false)).to.equal(BALANCES.dave);
+      });
+
+      it("should not count Alice's tokens again when Heidi votes", async function () {
+        await expect(voting.connect(heidi).castVote(true)).to.be.revertedWith(
+          "No tokens to vote with"
+        );
+        expect(await voting.individualWeightOf(true)).to.equal(
+          BALANCES.charlie.add(BALANCES.helper)
+        );
+      });
+    });
+
+    describe("Reject users that are represented by a BLS key", async function () {
+      it("should reject a registered user", async function () {
+        await expect(voting.connect(alice).castVote(true)).to.be.revertedWith(
+          "Voter is represented by a BLS key"
+        );
+      });
+
+      it("should reject a user that delegated their balance", async function () {
+        await expect(voting.connect(frank).castVote(true)).to.be.revertedWith(
+          "Voter is represented by a BLS key"
+        );
+      });
+
+      it("should reject a user that deregistered after the snapshot", async function () {
+        expect(await token.indexOf(erin.address)).to.equal(0);
+        expect(await token.votingIndexAt(erin.address, await voting.snapshotBlock())).to.equal(3);
+        await expect(voting.connect(erin).castVote(true)).to.be.revertedWith(
+          "Voter is represented by a BLS key"
+        );
+      });
+
+      it("should reject a signed ballot from a registered user", async function () {
+        const ballot = await ballots.signBallot(bob, voting, true);
+        await expect(
+          relayer.sendTransaction(ballots.ballotTransaction(voting, ballot))
+        ).to.be.revertedWith("Voter is represented by a BLS key");
+      });
+    });
+
+    it("should reject an address without tokens", async function () {
+      await expect(voting.connect(relayer).castVote(true)).to.be.revertedWith(
+        "No tokens to vote with"
+      );
+    });
+  });
+
+  describe("Alice and Bob aggregate their votes", async function () {
+    let votes, weights;
+
+    this.beforeAll(async function () {
+      votes = [];
+      for (const [signer, name, support] of [
+        [alice, "alice", true],
+        [bob, "bob", false],
+      ]) {
+        const index = Number(await token.indexOf(signer.address));
+        const signature = await wallets[name].signPointG1(
+          await voting.votingArtifact(index, support)
+        );
+        votes.push({ index, support, signature });
+      }
+      for (const support of [true, false]) {
+        const aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, support);
+        await relayer.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+      }
+
+      // the weights when the commitments were copied: Erin was registered and Frank delegated to Bob
+      weights = aggregator.delegatedWeights([
+        {
+          index: 1,
+          delegate: 0,
+          balance: await token.balanceOfAt(alice.address, await voting.snapshotBlock()),
+        },
+        { index: 2, delegate: 0, balance: BALANCES.bob },
+        { index: 3, delegate: 0, balance: BALANCES.erin },
+        { index: 0, delegate: 2, balance: BALANCES.frank },
+      ]);
+    });
+
+    it("should reject an individual vote after the deadline", async function () {
+      await mine(VOTING_PERIOD);
+      await expect(voting.connect(erin).castVote(true)).to.be.revertedWith(
+        "Voting period has ended"
+      );
+    });
+
+    describe("The tally combines both kinds of votes", async function () {
+      let yes, no, receipt;
+
+      this.beforeAll(async function () {
+        const yesAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+        const noAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+        const yesTally = aggregator.buildTally(trustedSetup, weights, yesAggregate);
+        const noTally = aggregator.buildTally(trustedSetup, weights, noAggregate);
+        yes = yesTally.weight.add(await voting.individualWeightOf(true));
+        no = noTally.weight.add(await voting.individualWeightOf(false));
+        receipt = await (
+          await relayer.sendTransaction(aggregator.tallyTransaction(voting, yesTally, noTally))
+        ).wait();
+      });
+
+      it("should add the individual votes to the aggregate votes", async function () {
+        expect(await voting.weightOf(true)).to.equal(yes);
+        expect(await voting.weightOf(false)).to.equal(no);
+      });
+
+      it("should count every voter exactly once", async function () {
+        const alices = INITIAL_SUPPLY.sub(
+          Object.values(BALANCES).reduce((total, balance) => total.add(balance))
+        );
+        expect(await voting.weightOf(true)).to.equal(
+          alices.add(BALANCES.charlie).add(BALANCES.helper)
+        );
+        expect(await voting.weightOf(false)).to.equal(
+          BALANCES.bob.add(BALANCES.frank).add(BALANCES.dave)
+        );
+      });
+
+      it("should emit the combined weights", async function () {
+        const event = voting.interface.parseLog(receipt.logs[0]);
+        expect(event.args.yesWeight).to.equal(yes);
+        expect(event.args.noWeight).to.equal(no);
+      });
+    });
+  });
+
+  describe("A vote with only individual votes", async function () {
+    let individual;
+
+    this.beforeAll(async function () {
+      individual = await AggregateVoting.deploy(token.address, TOPIC, 2);
+      await individual.deployed();
+      await individual.connect(charlie).castVote(false);
+      // Greg received Dave's tokens before this snapshot
+      await individual.connect(greg).castVote(true);
+      await mine(2);
+    });
+
+    it("should accept a tally without any aggregates", async function () {
+      await relayer.sendTransaction(aggregator.tallyTransaction(individual, null, null));
+      expect(await individual.weightOf(false)).to.equal(BALANCES.charlie);
+      expect(await individual.weightOf(true)).to.equal(BALANCES.dave);
+    });
+  });
+
+  describe("Bob transfers tokens in the block in which a vote is created", async function () {
+    const BOBS_TRANSFER = ethers.utils.parseEther("10");
+    let late, deployment, transfer;
+
+    this.beforeAll(async function () {
+      // Bob is in the commitments. The relayer does not have a BLS key
+      // the gas is estimated in advance, since the estimates of pending transactions fill the block
+      const deployGas = await ethers.provider.estimateGas(
+        AggregateVoting.getDeployTransaction(token.address, TOPIC, VOTING_PERIOD)
+      );
+      const transferGas = await token
+        .connect(bob)
+        .estimateGas.transfer(relayer.address, BOBS_TRANSFER);
+      await ethers.provider.send("evm_setAutomine", [false]);
+      late = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD, {
+        gasLimit: deployGas,
+      });
+      const tx = await token
+        .connect(bob)
+        .transfer(relayer.address, BOBS_TRANSFER, { gasLimit: transferGas });
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+      deployment = await late.deployTransaction.wait();
+      transfer = await tx.wait();
+    });
+
+    it("should transfer the tokens after the commitments are copied", async function () {
+      expect(transfer.blockNumber).to.equal(deployment.blockNumber);
+      expect(transfer.transactionIndex).to.be.greaterThan(deployment.transactionIndex);
+    });
+
+    it("should snapshot the end of the previous block", async function () {
+      const snapshotBlock = deployment.blockNumber - 1;
+      expect(await late.snapshotBlock()).to.equal(snapshotBlock);
+      expect(bn256.toPointG1(await late.BalancesCommitment(0))).to.deep.equal(
+        bn256.toPointG1(await token.balancesCommitmentAt(0, snapshotBlock))
+      );
+      expect(bn256.toPointG1(await late.WeightsCommitment(0))).to.deep.equal(
+        bn256.toPointG1(await token.delegatedWeightsCommitmentAt(0, snapshotBlock))
+      );
+    });
+
+    it("should not count Bob's tokens again when the relayer votes", async function () {
+      expect(await token.balanceOf(relayer.address)).to.equal(BOBS_TRANSFER);
+      await expect(late.connect(relayer).castVote(true)).to.be.revertedWith(
+        "No tokens to vote with"
+      );
+    });
+  });
+});
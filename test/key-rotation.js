@@ -0,0 +1,302 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { registrationArguments, rotationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Key Rotation and Deregistration", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 20;
+  const INITIAL_SUPPLY = ethers.utils.parseEther("1000");
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const AMOUNT = ethers.utils.parseEther("50");
+
+  const INFINITY_G1 = bn256.toPointG1({ x: 0, y: 0 });
+  const INFINITY_G2 = bn256.toPointG2({ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 });
+
+  let alice, bob, charlie;
+  let aliceWallet, bobWallet, bobNewWallet;
+  let token, AggregateVoting, trustedSetup;
+
+  // the encoded keys, by owner
+  const encodedKeys = {};
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // the rotation proofs depend on the position, so the trusted setup needs a non-trivial secret
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    console.log("NOTE: creating 3 BLS wallets takes about 8 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    aliceWallet = await SimulatedBLSWallet.deploy("Alice");
+    bobWallet = await SimulatedBLSWallet.deploy("Bob");
+    bobNewWallet = await SimulatedBLSWallet.deploy("Bob's new wallet");
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+
+    for (const [signer, wallet, name] of [
+      [alice, aliceWallet, "alice"],
+      [bob, bobWallet, "bob"],
+    ]) {
+      const args = await registrationArguments(token, wallet, signer.address);
+      await token.connect(signer).register(...args);
+      encodedKeys[name] = bn256.toPointG2(args[1]);
+    }
+  });
+
+  async function keysCommitment() {
+    return bn256.toPointG2(await token.KeysCommitment(0));
+  }
+
+  async function balancesCommitment() {
+    return bn256.toPointG1(await token.BalancesCommitment(0));
+  }
+
+  // the commitment to a data array where position i holds balances[i]
+  function commitBalances(balances) {
+    const terms = [INFINITY_G1];
+    for (const [i, balance] of Object.entries(balances)) {
+      terms.push(bn256.multiply(trustedSetup.S1[Number(i)], balance));
+    }
+    return bn256.sum(terms);
+  }
+
+  describe("Registration", async function () {
+    it("should record the encoded keys", async function () {
+      expect(bn256.toPointG2(await token.encodedKeyOf(alice.address))).to.deep.equal(
+        encodedKeys.alice
+      );
+      expect(bn256.toPointG2(await token.encodedKeyOf(bob.address))).to.deep.equal(
+        encodedKeys.bob
+      );
+    });
+
+    it("should announce the encoded keys", async function () {
+      const events = await token.queryFilter(token.filters.KeyRegistered());
+      expect(events.map(({ args }) => [args.user, Number(args.index)])).to.deep.equal([
+        [alice.address, 1],
+        [bob.address, 2],
+      ]);
+      expect(bn256.toPointG2(events[1].args.encodedKey)).to.deep.equal(encodedKeys.bob);
+    });
+
+    it("should not record a key for Charlie", async function () {
+      expect(bn256.toPointG2(await token.encodedKeyOf(charlie.address))).to.deep.equal(
+        INFINITY_G2
+      );
+    });
+  });
+
+  describe("Charlie attempts to rotate a key", async function () {
+    it("should not produce rotation artifacts", async function () {
+      await expect(token.rotationArtifacts(charlie.address)).to.be.revertedWith(
+        "User does not have a BLS key"
+      );
+    });
+
+    it("should fail to rotate", async function () {
+      const args = await registrationArguments(token, bobNewWallet, charlie.address);
+      await expect(token.connect(charlie).rotateKey(...args)).to.be.revertedWith(
+        "User does not have a BLS key"
+      );
+    });
+
+    it("should fail to deregister", async function () {
+      await expect(token.connect(charlie).deregister()).to.be.revertedWith(
+        "User does not have a BLS key"
+      );
+    });
+  });
+
+  describe("Bob rotates his key", async function () {
+    let previousBalances, rotationBlock, rotationReceipt;
+
+    describe("Bob (incorrectly) encodes his new key at the next free position", async function () {
+      it("should fail to rotate", async function () {
+        const args = await registrationArguments(token, bobNewWallet, bob.address);
+        await expect(token.connect(bob).rotateKey(...args)).to.be.revertedWith(
+          "Cannot register key. Invalid proof provided"
+        );
+      });
+    });
+
+    describe("Bob encodes his new key at his existing position", async function () {
+      this.beforeAll(async function () {
+        previousBalances = await balancesCommitment();
+        const args = await rotationArguments(token, bobNewWallet, bob.address);
+        const tx = await token.connect(bob).rotateKey(...args);
+        rotationReceipt = await tx.wait();
+        rotationBlock = rotationReceipt.blockNumber;
+        encodedKeys.bobNew = bn256.toPointG2(args[1]);
+        // make the rotation block available to the checkpoint lookups
+        await ethers.provider.send("evm_mine", []);
+      });
+
+      it("should keep his position", async function () {
+        expect(await token.indexOf(bob.address)).to.equal(2);
+        expect(await token.nextIndex()).to.equal(3);
+      });
+
+      it("should replace his key in the keys commitment", async function () {
+        expect(await keysCommitment()).to.deep.equal(
+          bn256.sum([encodedKeys.alice, encodedKeys.bobNew])
+        );
+        expect(bn256.toPointG2(await token.encodedKeyOf(bob.address))).to.deep.equal(
+          encodedKeys.bobNew
+        );
+      });
+
+      it("should announce his new key", async function () {
+        const event = rotationReceipt.events.find(({ event }) => event === "KeyRegistered");
+        expect(event.args.user).to.equal(bob.address);
+        expect(event.args.index).to.equal(2);
+        expect(bn256.toPointG2(event.args.encodedKey)).to.deep.equal(encodedKeys.bobNew);
+      });
+
+      it("should not change the balances commitment", async function () {
+        expect(await balancesCommitment()).to.deep.equal(previousBalances);
+      });
+
+      it("should retain the old key in the previous checkpoint", async function () {
+        expect(bn256.toPointG2(await token.keysCommitmentAt(0, rotationBlock - 1))).to.deep.equal(
+          bn256.sum([encodedKeys.alice, encodedKeys.bob])
+        );
+        expect(bn256.toPointG2(await token.keysCommitmentAt(0, rotationBlock))).to.deep.equal(
+          await keysCommitment()
+        );
+      });
+    });
+
+    describe("Bob votes in a new round", async function () {
+      let voting, keys;
+
+      this.beforeAll(async function () {
+        voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+        await voting.deployed();
+        keys = [
+          { index: 1, encodedKey: encodedKeys.alice },
+          { index: 2, encodedKey: encodedKeys.bobNew },
+        ];
+      });
+
+      async function bobsAggregate(wallet) {
+        const signature = await wallet.signPointG1(await voting.votingArtifact(2, true));
+        const votes = [{ index: 2, support: true, signature }];
+        return aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      }
+
+      it("should reject a vote signed with the old key", async function () {
+        const aggregate = await bobsAggregate(bobWallet);
+        await expect(
+          charlie.sendTransaction(aggregator.aggregateTransaction(voting, aggregate))
+        ).to.be.revertedWith("Invalid aggregate signature");
+      });
+
+      it("should accept a vote signed with the new key", async function () {
+        const aggregate = await bobsAggregate(bobNewWallet);
+        await charlie.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+        expect(await voting.isAggregated(true)).to.equal(true);
+      });
+    });
+  });
+
+  describe("Alice deregisters", async function () {
+    this.beforeAll(async function () {
+      await token.connect(alice).deregister();
+    });
+
+    it("should remove her position", async function () {
+      expect(await token.indexOf(alice.address)).to.equal(0);
+      expect(bn256.toPointG2(await token.encodedKeyOf(alice.address))).to.deep.equal(INFINITY_G2);
+    });
+
+    it("should remove her key from the keys commitment", async function () {
+      expect(await keysCommitment()).to.deep.equal(encodedKeys.bobNew);
+    });
+
+    it("should remove her balance from the balances commitment", async function () {
+      expect(await balancesCommitment()).to.deep.equal(commitBalances({ 2: BOB_BAL }));
+    });
+
+    it("should not be able to deregister again", async function () {
+      await expect(token.connect(alice).deregister()).to.be.revertedWith(
+        "User does not have a BLS key"
+      );
+    });
+
+    describe("Alice transfers tokens to Bob", async function () {
+      this.beforeAll(async function () {
+        await token.connect(alice).transfer(bob.address, AMOUNT);
+      });
+
+      it("should only update Bob's position", async function () {
+        expect(await balancesCommitment()).to.deep.equal(
+          commitBalances({ 2: BOB_BAL.add(AMOUNT) })
+        );
+      });
+    });
+
+    describe("Alice registers again", async function () {
+      this.beforeAll(async function () {
+        const args = await registrationArguments(token, aliceWallet, alice.address);
+        await token.connect(alice).register(...args);
+        encodedKeys.aliceAgain = bn256.toPointG2(args[1]);
+      });
+
+      it("should assign the next free position", async function () {
+        expect(await token.indexOf(alice.address)).to.equal(3);
+      });
+
+      it("should add her key and balance at the new position", async function () {
+        expect(await keysCommitment()).to.deep.equal(
+          bn256.sum([encodedKeys.bobNew, encodedKeys.aliceAgain])
+        );
+        expect(await balancesCommitment()).to.deep.equal(
+          commitBalances({
+            2: BOB_BAL.add(AMOUNT),
+            3: INITIAL_SUPPLY.sub(BOB_BAL).sub(AMOUNT),
+          })
+        );
+      });
+    });
+  });
+});
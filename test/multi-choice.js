@@ -0,0 +1,499 @@
+const { expect } = require("chai");
+const aggregator = require("../lib/aggregator");
+const multiChoice = require("../lib/multi-choice");
+const { registrationArguments } = require("../lib/registration");
+
+const { BALLOT_TYPES } = multiChoice;
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Multi-Choice Voting", function () {
+  const TOPIC = "Which planet should we visit next?";
+  const OPTIONS = ["Mercury", "Venus", "Mars"];
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 30;
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const CHARLIE_BAL = ethers.utils.parseEther("200");
+  const DIANE_BAL = ethers.utils.parseEther("75");
+
+  let alice, bob, charlie, diane;
+  let wallets;
+  let adapter, setup, token, MultiChoiceVoting;
+  let trustedSetup;
+
+  // the registered keys and balances, in the format expected by the aggregator
+  const keys = [];
+  const balances = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, diane] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    MultiChoiceVoting = await ethers.getContractFactory("MultiChoiceVoting", { libraries });
+
+    console.log("NOTE: creating 4 BLS wallets takes about 10 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    wallets = [];
+    for (const name of ["Alice", "Bob", "Charlie", "Diane"]) {
+      wallets.push(await SimulatedBLSWallet.deploy(name));
+    }
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+    await token.connect(alice).transfer(charlie.address, CHARLIE_BAL);
+    await token.connect(alice).transfer(diane.address, DIANE_BAL);
+
+    const signers = [alice, bob, charlie, diane];
+    for (let i = 0; i < signers.length; i++) {
+      const args = await registrationArguments(token, wallets[i], signers[i].address);
+      await token.connect(signers[i]).register(...args);
+      const index = Number(await token.indexOf(signers[i].address));
+      keys.push({ index, encodedKey: args[1] });
+      balances.push({ index, balance: await token.balanceOf(signers[i].address) });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+  });
+
+  async function deployVoting(ballotType) {
+    const voting = await MultiChoiceVoting.deploy(
+      token.address,
+      TOPIC,
+      OPTIONS,
+      ballotType,
+      VOTING_PERIOD
+    );
+    await voting.deployed();
+    return voting;
+  }
+
+  // each voter (by position in keys) signs their ballot. The pool contains every signed choice
+  async function castBallots(voting, metadata, ballots) {
+    const pool = [];
+    for (const [voter, ballot] of ballots) {
+      const votes = await multiChoice.signBallot(
+        voting,
+        metadata,
+        wallets[voter],
+        keys[voter].index,
+        ballot
+      );
+      pool.push(...votes);
+    }
+    return pool;
+  }
+
+  async function endVotingPeriod(voting) {
+    const deadline = Number(await voting.votingDeadline());
+    while ((await ethers.provider.getBlockNumber()) <= deadline) {
+      await ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  describe("Deploy a ballot with a single option", async function () {
+    it("should fail", async function () {
+      await expect(
+        MultiChoiceVoting.deploy(token.address, TOPIC, ["Mercury"], BALLOT_TYPES.SINGLE, 10)
+      ).to.be.revertedWith("At least two options are required");
+    });
+  });
+
+  describe("Single choice: Alice and Charlie choose Mercury; Bob chooses Mars; Diane chooses Venus", async function () {
+    let voting, metadata, aggregates;
+
+    this.beforeAll(async function () {
+      voting = await deployVoting(BALLOT_TYPES.SINGLE);
+      metadata = await multiChoice.readOptions(voting);
+
+      const pool = await castBallots(voting, metadata, [
+        [0, 0],
+        [1, 2],
+        [2, 0],
+        [3, 1],
+      ]);
+      aggregates = multiChoice.buildOptionAggregates(trustedSetup, keys, pool);
+    });
+
+    describe("Read the option metadata", async function () {
+      it("should return the topic", async function () {
+        expect(metadata.topic).to.equal(TOPIC);
+      });
+
+      it("should return the options", async function () {
+        expect(metadata.options).to.deep.equal(OPTIONS);
+        expect(await voting.optionCount()).to.equal(OPTIONS.length);
+        expect(await voting.options(2)).to.equal("Mars");
+      });
+
+      it("should use a single rank", async function () {
+        expect(metadata.ballotType).to.equal(BALLOT_TYPES.SINGLE);
+        expect(metadata.rankCount).to.equal(1);
+      });
+    });
+
+    describe("Generate the ballots", async function () {
+      it("should reject an option that does not exist", async function () {
+        expect(() => multiChoice.ballotChoices(metadata, 3)).to.throw("Invalid option 3");
+      });
+
+      it("should reject multiple options", async function () {
+        expect(() => multiChoice.ballotChoices(metadata, [0, 1])).to.throw("Invalid option 0,1");
+      });
+
+      it("should use a distinct digest for every option", async function () {
+        const digests = await Promise.all([0, 1, 2].map((option) => voting.optionDigest(option, 0)));
+        expect(new Set(digests.map(String)).size).to.equal(3);
+      });
+
+      it("should reject an artifact for an option that does not exist", async function () {
+        await expect(voting.optionArtifact(keys[0].index, 3, 0)).to.be.revertedWith("Invalid option");
+      });
+
+      it("should reject an artifact for a rank that does not exist", async function () {
+        await expect(voting.optionArtifact(keys[0].index, 0, 1)).to.be.revertedWith("Invalid rank");
+      });
+    });
+
+    describe("Aggregate the votes", async function () {
+      it("should produce an aggregate for every option", async function () {
+        expect(aggregates.map((a) => [a.option, a.rank, a.indices])).to.deep.equal([
+          [0, 0, [keys[0].index, keys[2].index]],
+          [1, 0, [keys[3].index]],
+          [2, 0, [keys[1].index]],
+        ]);
+      });
+    });
+
+    describe("An aggregator submits the Mercury votes as Venus votes", async function () {
+      it("should fail", async function () {
+        const misdirected = { ...aggregates[0], option: 1 };
+        await expect(
+          alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, misdirected))
+        ).to.be.revertedWith("Invalid aggregate signature");
+      });
+    });
+
+    describe("An aggregator uses the yes/no interface", async function () {
+      it("should fail", async function () {
+        const { added, selections, complement, signature } = aggregates[0];
+        await expect(
+          voting.submitAggregate(true, added, selections, complement, signature)
+        ).to.be.revertedWith("Votes must choose an option");
+      });
+    });
+
+    describe("A user votes individually", async function () {
+      it("should fail", async function () {
+        await expect(voting.connect(diane).castVote(true)).to.be.revertedWith(
+          "Votes must choose an option"
+        );
+      });
+    });
+
+    describe("An aggregator submits the aggregates", async function () {
+      this.beforeAll(async function () {
+        for (const aggregate of aggregates) {
+          await alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, aggregate));
+        }
+      });
+
+      it("should record every option", async function () {
+        for (const option of [0, 1, 2]) {
+          expect(await voting.isOptionAggregated(option, 0)).to.equal(true);
+        }
+      });
+
+      it("should reject a voter that chooses a second option", async function () {
+        // Diane already chose Venus
+        const pool = await castBallots(voting, metadata, [[3, 0]]);
+        const [mercury] = multiChoice.buildOptionAggregates(trustedSetup, keys, pool);
+        await expect(
+          alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, mercury))
+        ).to.be.revertedWith("Voter already aggregated");
+      });
+
+      it("should validate the tally of each option before the deadline", async function () {
+        const tally = multiChoice.buildOptionTally(trustedSetup, metadata, balances, aggregates, 0);
+        expect(await voting.isValidOptionTally(0, 0, tally.weights[0], tally.proofs[0])).to.equal(true);
+      });
+
+      it("should not accept a tally before the deadline", async function () {
+        const tally = multiChoice.buildOptionTally(trustedSetup, metadata, balances, aggregates, 0);
+        await expect(
+          alice.sendTransaction(multiChoice.optionTallyTransaction(voting, tally))
+        ).to.be.revertedWith("Voting period has not ended");
+      });
+    });
+
+    describe("The voting period ends", async function () {
+      let tallies;
+
+      this.beforeAll(async function () {
+        await endVotingPeriod(voting);
+        tallies = [0, 1, 2].map((option) =>
+          multiChoice.buildOptionTally(trustedSetup, metadata, balances, aggregates, option)
+        );
+      });
+
+      it("should compute the weight of each option", async function () {
+        expect(tallies[0].score).to.equal(balances[0].balance.add(CHARLIE_BAL));
+        expect(tallies[1].score).to.equal(DIANE_BAL);
+        expect(tallies[2].score).to.equal(BOB_BAL);
+      });
+
+      it("should reject an inflated tally", async function () {
+        const inflated = { ...tallies[2], weights: [[BOB_BAL.add(DIANE_BAL)]] };
+        await expect(
+          alice.sendTransaction(multiChoice.optionTallyTransaction(voting, inflated))
+        ).to.be.revertedWith("Invalid tally proof");
+      });
+
+      it("should reject a tally with the wrong number of ranks", async function () {
+        const extra = {
+          ...tallies[2],
+          weights: [[BOB_BAL], aggregator.EMPTY_TALLY.weights],
+          proofs: [tallies[2].proofs[0], aggregator.EMPTY_TALLY.proofs],
+        };
+        await expect(
+          alice.sendTransaction(multiChoice.optionTallyTransaction(voting, extra))
+        ).to.be.revertedWith("A tally is required for every rank");
+      });
+
+      it("should reject the yes/no tally interface", async function () {
+        await expect(
+          alice.sendTransaction(aggregator.tallyTransaction(voting, null, null))
+        ).to.be.revertedWith("Tallies must specify an option");
+      });
+
+      describe("An aggregator submits the tallies", async function () {
+        this.beforeAll(async function () {
+          for (const tally of tallies) {
+            await bob.sendTransaction(multiChoice.optionTallyTransaction(voting, tally));
+          }
+        });
+
+        it("should record the score of each option", async function () {
+          for (const tally of tallies) {
+            expect(await voting.isOptionTallied(tally.option)).to.equal(true);
+            expect(await voting.scoreOf(tally.option)).to.equal(tally.score);
+            expect(await voting.optionWeightOf(tally.option, 0)).to.equal(tally.rankWeights[0]);
+          }
+        });
+
+        it("should not accept a second tally", async function () {
+          await expect(
+            alice.sendTransaction(multiChoice.optionTallyTransaction(voting, tallies[0]))
+          ).to.be.revertedWith("Tally already submitted");
+        });
+      });
+    });
+  });
+
+  describe("Approval: Alice approves Mercury and Venus; Bob approves Venus; Charlie approves Mars and Mercury", async function () {
+    let voting, metadata, aggregates, late;
+
+    this.beforeAll(async function () {
+      voting = await deployVoting(BALLOT_TYPES.APPROVAL);
+      metadata = await multiChoice.readOptions(voting);
+
+      const pool = await castBallots(voting, metadata, [
+        [0, [0, 1]],
+        [1, [1]],
+      ]);
+      late = await castBallots(voting, metadata, [[2, [2, 0]]]);
+      aggregates = multiChoice.buildOptionAggregates(trustedSetup, keys, pool);
+      for (const aggregate of aggregates) {
+        await alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, aggregate));
+      }
+
+      // Charlie's ballot arrives after the first aggregates are submitted. It extends the Mercury aggregate
+      // and starts the Mars aggregate
+      const mercury = multiChoice.extendOptionAggregate(trustedSetup, keys, late, aggregates[0]);
+      const mars = multiChoice
+        .buildOptionAggregates(trustedSetup, keys, late)
+        .find((aggregate) => aggregate.option === 2);
+      aggregates = [mercury, aggregates[1], mars];
+      await alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, mercury));
+      await alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, mars));
+    });
+
+    it("should reject a smaller aggregate", async function () {
+      const smaller = multiChoice
+        .buildOptionAggregates(trustedSetup, keys, late)
+        .find((aggregate) => aggregate.option === 0);
+      await expect(
+        alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, smaller))
+      ).to.be.revertedWith("Voter already aggregated");
+    });
+
+    it("should reject a ballot that approves an option twice", async function () {
+      expect(() => multiChoice.ballotChoices(metadata, [1, 1])).to.throw(
+        "Ballot contains duplicate options"
+      );
+    });
+
+    describe("The voting period ends", async function () {
+      this.beforeAll(async function () {
+        await endVotingPeriod(voting);
+      });
+
+      it("should accept the tally of every option", async function () {
+        const expected = [
+          balances[0].balance.add(CHARLIE_BAL),
+          balances[0].balance.add(BOB_BAL),
+          CHARLIE_BAL,
+        ];
+        for (const option of [0, 1, 2]) {
+          const tally = multiChoice.buildOptionTally(
+            trustedSetup,
+            metadata,
+            balances,
+            aggregates,
+            option
+          );
+          expect(tally.score).to.equal(expected[option]);
+          await alice.sendTransaction(multiChoice.optionTallyTransaction(voting, tally));
+          expect(await voting.scoreOf(option)).to.equal(expected[option]);
+        }
+      });
+    });
+  });
+
+  describe("Ranked: Alice ranks Mars > Mercury > Venus; Bob ranks Mercury; Charlie ranks Venus > Mars", async function () {
+    let voting, metadata, aggregates;
+
+    this.beforeAll(async function () {
+      voting = await deployVoting(BALLOT_TYPES.RANKED);
+      metadata = await multiChoice.readOptions(voting);
+
+      const pool = await castBallots(voting, metadata, [
+        [0, [2, 0, 1]],
+        [1, [0]],
+        [2, [1, 2]],
+      ]);
+      aggregates = multiChoice.buildOptionAggregates(trustedSetup, keys, pool);
+      for (const aggregate of aggregates) {
+        await alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, aggregate));
+      }
+    });
+
+    it("should allow every option to be ranked", async function () {
+      expect(metadata.rankCount).to.equal(OPTIONS.length);
+      expect(await voting.pointsOf(0)).to.equal(3);
+      expect(await voting.pointsOf(2)).to.equal(1);
+    });
+
+    it("should reject a ballot that ranks an option twice", async function () {
+      expect(() => multiChoice.ballotChoices(metadata, [2, 0, 2])).to.throw(
+        "Ballot contains duplicate options"
+      );
+    });
+
+    it("should bind each signature to its rank", async function () {
+      // Diane ranks Mercury first. The aggregate cannot be submitted at the last rank
+      const pool = await castBallots(voting, metadata, [[3, [0]]]);
+      const { added, selections, complement, signature } = multiChoice.buildOptionAggregates(
+        trustedSetup,
+        keys,
+        pool
+      )[0];
+      await expect(
+        voting.submitOptionAggregate(0, 2, added, selections, complement, signature)
+      ).to.be.revertedWith("Invalid aggregate signature");
+      expect(await voting.isOptionAggregated(0, 1)).to.equal(true);
+      expect(await voting.isOptionAggregated(0, 2)).to.equal(false);
+    });
+
+    describe("Bob also signs a ballot that ranks Mars > Mercury", async function () {
+      let extra;
+
+      this.beforeAll(async function () {
+        const pool = await castBallots(voting, metadata, [[1, [2, 0]]]);
+        extra = multiChoice.buildOptionAggregates(trustedSetup, keys, pool);
+      });
+
+      it("should reject Mercury at a second rank", async function () {
+        const mercury = extra.find((a) => a.option === 0 && a.rank === 1);
+        await expect(
+          alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, mercury))
+        ).to.be.revertedWith("Voter already aggregated");
+      });
+
+      it("should reject a second option at the first rank", async function () {
+        const mars = extra.find((a) => a.option === 2 && a.rank === 0);
+        await expect(
+          alice.sendTransaction(multiChoice.optionAggregateTransaction(voting, mars))
+        ).to.be.revertedWith("Voter already aggregated");
+      });
+    });
+
+    describe("The voting period ends", async function () {
+      this.beforeAll(async function () {
+        await endVotingPeriod(voting);
+      });
+
+      it("should reject a weight for a rank without votes", async function () {
+        const tally = multiChoice.buildOptionTally(trustedSetup, metadata, balances, aggregates, 0);
+        const weights = [...tally.weights];
+        weights[2] = [DIANE_BAL];
+        await expect(
+          alice.sendTransaction(multiChoice.optionTallyTransaction(voting, { ...tally, weights }))
+        ).to.be.revertedWith("No votes were submitted for the rank");
+      });
+
+      it("should compute the score of every option as a Borda count", async function () {
+        const aliceBal = balances[0].balance;
+        const expected = [
+          aliceBal.mul(2).add(BOB_BAL.mul(3)),
+          aliceBal.add(CHARLIE_BAL.mul(3)),
+          aliceBal.mul(3).add(CHARLIE_BAL.mul(2)),
+        ];
+        for (const option of [0, 1, 2]) {
+          const tally = multiChoice.buildOptionTally(
+            trustedSetup,
+            metadata,
+            balances,
+            aggregates,
+            option
+          );
+          expect(tally.score).to.equal(expected[option]);
+          await alice.sendTransaction(multiChoice.optionTallyTransaction(voting, tally));
+          expect(await voting.scoreOf(option)).to.equal(expected[option]);
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const oracle = require("../lib/balance-oracle");
+const { multiOpeningProof } = require("../lib/multi-opening");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Multi-opening Proofs", function () {
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 2;
+  // fills the first shard (positions 1 to 5) and one position of the second
+  const USERS = 6;
+  const UNIT = ethers.utils.parseEther("1");
+  const ZERO = ethers.BigNumber.from(0);
+
+  let alice, setup, token, trustedSetup;
+  let vectors;
+
+  // the registered users: { account, index }
+  const users = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+    };
+  }
+
+  async function registerUser(i) {
+    const account = ethers.Wallet.createRandom().connect(ethers.provider);
+    await alice.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+    await token.connect(alice).transfer(account.address, UNIT.mul(i + 1));
+    await token
+      .connect(account)
+      .register(...(await registrationArguments(token, localWallet(), account.address)));
+    users.push({ account, index: Number(await token.indexOf(account.address)) });
+  }
+
+  function verify(shard, { positions, values, proof }) {
+    return token.verifyBalancesAt(shard, positions, values, proof);
+  }
+
+  this.beforeAll(async function () {
+    [alice] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    for (let i = 0; i < USERS; i++) {
+      await registerUser(i);
+    }
+    vectors = await oracle.readBalanceVectors(token, trustedSetup);
+  });
+
+  describe("Open valid positions", async function () {
+    it("should use both shards", async function () {
+      expect(await token.shardCount()).to.equal(2);
+      expect(aggregator.dataArraySize(trustedSetup)).to.equal(6);
+    });
+
+    it("should commit to the same data array", async function () {
+      const opening = multiOpeningProof(trustedSetup, vectors[0], [1]);
+      expect(opening.commitment).to.deep.equal(bn256.toPointG1(await token.BalancesCommitment(0)));
+    });
+
+    it("should open a single position", async function () {
+      const opening = multiOpeningProof(trustedSetup, vectors[0], [3]);
+      expect(opening.values).to.deep.equal([UNIT.mul(3)]);
+      expect(await verify(0, opening)).to.equal(true);
+    });
+
+    it("should open several positions at once", async function () {
+      const opening = multiOpeningProof(trustedSetup, vectors[0], [1, 2, 4]);
+      expect(opening.values).to.deep.equal([UNIT, UNIT.mul(2), UNIT.mul(4)]);
+      expect(await verify(0, opening)).to.equal(true);
+    });
+
+    it("should open every position of a shard", async function () {
+      expect(
+        await verify(0, multiOpeningProof(trustedSetup, vectors[0], [1, 2, 3, 4, 5]))
+      ).to.equal(true);
+    });
+
+    it("should open positions in any order", async function () {
+      expect(await verify(0, multiOpeningProof(trustedSetup, vectors[0], [5, 1, 3]))).to.equal(
+        true
+      );
+    });
+
+    it("should open a repeated position", async function () {
+      expect(await verify(0, multiOpeningProof(trustedSetup, vectors[0], [2, 2]))).to.equal(true);
+    });
+
+    it("should open unused positions as zero", async function () {
+      const opening = multiOpeningProof(trustedSetup, vectors[1], [1, 2, 5]);
+      expect(opening.values).to.deep.equal([UNIT.mul(6), ZERO, ZERO]);
+      expect(await verify(1, opening)).to.equal(true);
+    });
+  });
+
+  describe("Reject invalid claims", async function () {
+    let opening;
+
+    this.beforeAll(async function () {
+      opening = multiOpeningProof(trustedSetup, vectors[0], [1, 2, 4]);
+    });
+
+    it("should reject a tampered value", async function () {
+      const values = [...opening.values];
+      values[1] = values[1].add(1);
+      expect(await verify(0, { ...opening, values })).to.equal(false);
+    });
+
+    it("should reject a tampered value with a matching proof", async function () {
+      // the proof is valid for the tampered data array, but it does not match the commitment
+      const vector = [...vectors[0]];
+      vector[2] = vector[2].add(UNIT);
+      const forged = multiOpeningProof(trustedSetup, vector, [1, 2, 4]);
+      expect(await verify(0, forged)).to.equal(false);
+    });
+
+    it("should reject a tampered value at a position that is not opened", async function () {
+      // the opened values are correct, but the proof describes another data array
+      const vector = [...vectors[0]];
+      vector[3] = vector[3].add(UNIT);
+      const forged = multiOpeningProof(trustedSetup, vector, [1, 2, 4]);
+      expect(forged.values).to.deep.equal(opening.values);
+      expect(await verify(0, forged)).to.equal(false);
+    });
+
+    it("should reject the values at another set of positions", async function () {
+      expect(await verify(0, { ...opening, positions: [1, 2, 5] })).to.equal(false);
+    });
+
+    it("should reject the proof for another set of positions", async function () {
+      const other = multiOpeningProof(trustedSetup, vectors[0], [1, 2, 5]);
+      expect(await verify(0, { ...opening, proof: other.proof })).to.equal(false);
+    });
+
+    it("should reject swapped positions", async function () {
+      expect(await verify(0, { ...opening, positions: [2, 1, 4] })).to.equal(false);
+    });
+
+    it("should reject swapped values", async function () {
+      const values = [opening.values[1], opening.values[0], opening.values[2]];
+      expect(await verify(0, { ...opening, values })).to.equal(false);
+    });
+
+    it("should reject an omitted position", async function () {
+      expect(
+        await verify(0, {
+          ...opening,
+          positions: opening.positions.slice(0, 2),
+          values: opening.values.slice(0, 2),
+        })
+      ).to.equal(false);
+    });
+
+    it("should reject the opening for another shard", async function () {
+      expect(await verify(1, opening)).to.equal(false);
+    });
+
+    it("should reject position 0", async function () {
+      await expect(verify(0, { ...opening, positions: [0, 2, 4] })).to.be.revertedWith(
+        "Invalid position"
+      );
+    });
+
+    it("should reject a position outside the data array", async function () {
+      await expect(verify(0, { ...opening, positions: [1, 2, 6] })).to.be.revertedWith(
+        "Invalid position"
+      );
+    });
+
+    it("should reject a missing value", async function () {
+      await expect(
+        verify(0, { ...opening, values: opening.values.slice(0, 2) })
+      ).to.be.revertedWith("Every position requires a value");
+    });
+
+    it("should reject an empty opening", async function () {
+      await expect(verify(0, { ...opening, positions: [], values: [] })).to.be.revertedWith(
+        "At least one position is required"
+      );
+    });
+
+    it("should reject an invalid shard", async function () {
+      await expect(verify(MAX_SHARDS, opening)).to.be.revertedWith("Invalid shard");
+    });
+  });
+
+  describe("A user transfers tokens", async function () {
+    let opening;
+
+    this.beforeAll(async function () {
+      opening = multiOpeningProof(trustedSetup, vectors[0], [1, 2]);
+      await token.connect(users[0].account).transfer(users[1].account.address, UNIT);
+    });
+
+    it("should reject the stale opening", async function () {
+      expect(await verify(0, opening)).to.equal(false);
+    });
+
+    it("should require a new proof for the unchanged positions", async function () {
+      // the proof depends on the whole data array, not just the opened positions
+      expect(await verify(0, multiOpeningProof(trustedSetup, vectors[0], [3, 4, 5]))).to.equal(
+        false
+      );
+      const [vector] = await oracle.readBalanceVectors(token, trustedSetup);
+      expect(await verify(0, multiOpeningProof(trustedSetup, vector, [3, 4, 5]))).to.equal(true);
+    });
+
+    it("should accept the updated opening", async function () {
+      const [vector] = await oracle.readBalanceVectors(token, trustedSetup);
+      const updated = multiOpeningProof(trustedSetup, vector, [1, 2]);
+      expect(updated.values).to.deep.equal([ZERO, UNIT.mul(3)]);
+      expect(await verify(0, updated)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,507 @@
+const { expect } = require("chai");
+const { bn254 } = require("@noble/curves/bn254");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const { openShard, readBalanceVectors } = require("../lib/balance-oracle");
+const { generateWallet } = require("../lib/bls-wallet");
+const { multiOpeningProof } = require("../lib/multi-opening");
+const { registrationArguments } = require("../lib/registration");
+
+// These tests supply invalid elliptic curve points to the BN256Adapter validation functions and to every contract
+// function that accepts points from users. Points in G1 must be on the curve. Points in G2 must be on the twisted
+// curve and in the subgroup of order GROUP_ORDER, which the BN256G2 library does not check on its own.
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Point validation", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 4;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 10;
+  // the twisted curve has GROUP_ORDER * (2p - GROUP_ORDER) points, and the cofactor is divisible by 10069
+  const SMALL_ORDER = 10069n;
+
+  const G1_REASON = "G1 point is not on the curve";
+  const CURVE_REASON = "G2 point is not on the curve";
+  const SUBGROUP_REASON = "G2 point is not in the subgroup";
+
+  const INFINITY_G1 = bn256.multiply(bn256.P1(), 0);
+  const INFINITY_G2 = bn256.multiply(bn256.P2(), 0);
+  const OFF_CURVE_G1 = bn256.toPointG1({ x: 1, y: 3 });
+  // equivalent to P1 modulo the field modulus
+  const UNREDUCED_G1 = { ...bn256.P1(), x: bn256.P1().x.add(bn256.FIELD_MODULUS) };
+  const OFF_CURVE_G2 = { ...bn256.P2(), y_real: bn256.P2().y_real.add(1) };
+  // equivalent to P2 modulo the field modulus
+  const UNREDUCED_G2 = { ...bn256.P2(), x_real: bn256.P2().x_real.add(bn256.FIELD_MODULUS) };
+  const { twistPoint, smallOrderPoint } = twistPoints();
+
+  let alice;
+  let helper, setup, trustedSetup, token, wallet;
+  let libraries;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // finds a point on the twisted curve outside G2, and a point of order SMALL_ORDER
+  function twistPoints() {
+    const { Fp, Fp2, Fr } = bn254.fields;
+    const cofactor = 2n * Fp.ORDER - Fr.ORDER;
+    const G2 = bn254.G2.ProjectivePoint;
+    const toPointG2 = (p) => {
+      const { x, y } = p.toAffine();
+      return bn256.toPointG2({
+        x_imag: x.c1.toString(),
+        x_real: x.c0.toString(),
+        y_imag: y.c1.toString(),
+        y_real: y.c0.toString(),
+      });
+    };
+
+    for (let i = 1n; ; i++) {
+      const x = Fp2.fromBigTuple([i, 1n]);
+      let y;
+      try {
+        y = Fp2.sqrt(Fp2.add(Fp2.mul(Fp2.sqr(x), x), bn254.G2.CURVE.b));
+      } catch (err) {
+        continue;
+      }
+      const point = G2.fromAffine({ x, y });
+      // GROUP_ORDER⋅point removes the G2 component. The scalar must be below the group order
+      const withoutG2 = point.multiplyUnsafe(Fr.ORDER - 1n).add(point);
+      const smallOrder = withoutG2.multiplyUnsafe(cofactor / SMALL_ORDER);
+      if (!smallOrder.is0()) {
+        return { twistPoint: toPointG2(point), smallOrderPoint: toPointG2(smallOrder) };
+      }
+    }
+  }
+
+  this.beforeAll(async function () {
+    [alice] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    libraries = { BN256Adapter: adapter.address };
+
+    TestHelper = await ethers.getContractFactory("TestHelper", { libraries });
+    helper = await TestHelper.deploy();
+    await helper.deployed();
+
+    wallet = generateWallet();
+  });
+
+  describe("Test vectors", async function () {
+    it("should have a point of order 10069", async function () {
+      expect(bn256.isInfinity(smallOrderPoint)).to.be.false;
+      const point = bn254.G2.ProjectivePoint.fromAffine({
+        x: {
+          c0: BigInt(smallOrderPoint.x_real.toString()),
+          c1: BigInt(smallOrderPoint.x_imag.toString()),
+        },
+        y: {
+          c0: BigInt(smallOrderPoint.y_real.toString()),
+          c1: BigInt(smallOrderPoint.y_imag.toString()),
+        },
+      });
+      expect(point.multiplyUnsafe(SMALL_ORDER).is0()).to.be.true;
+    });
+  });
+
+  describe("G1 points", async function () {
+    it("should accept the generator", async function () {
+      expect(await helper.isValidG1(bn256.P1())).to.be.true;
+      expect(bn256.isValid(bn256.P1())).to.be.true;
+      await helper.requireValidG1(bn256.P1());
+    });
+
+    it("should accept the point at infinity", async function () {
+      expect(await helper.isValidG1(INFINITY_G1)).to.be.true;
+      expect(bn256.isValid(INFINITY_G1)).to.be.true;
+    });
+
+    it("should reject a point that is not on the curve", async function () {
+      expect(await helper.isValidG1(OFF_CURVE_G1)).to.be.false;
+      expect(bn256.isValid(OFF_CURVE_G1)).to.be.false;
+      await expect(helper.requireValidG1(OFF_CURVE_G1)).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject coordinates above the field modulus", async function () {
+      expect(await helper.isValidG1(UNREDUCED_G1)).to.be.false;
+      expect(bn256.isValid(UNREDUCED_G1)).to.be.false;
+      await expect(helper.requireValidG1(UNREDUCED_G1)).to.be.revertedWith(G1_REASON);
+    });
+  });
+
+  describe("G2 points", async function () {
+    it("should accept the generator", async function () {
+      expect(await helper.isOnCurveG2(bn256.P2())).to.be.true;
+      expect(await helper.isInSubgroup(bn256.P2())).to.be.true;
+      expect(bn256.isValid(bn256.P2())).to.be.true;
+      await helper.requireValidG2(bn256.P2());
+    });
+
+    it("should accept the point at infinity", async function () {
+      expect(await helper.isOnCurveG2(INFINITY_G2)).to.be.true;
+      expect(await helper.isInSubgroup(INFINITY_G2)).to.be.true;
+      expect(bn256.isValid(INFINITY_G2)).to.be.true;
+    });
+
+    it("should reject a point that is not on the curve", async function () {
+      expect(await helper.isOnCurveG2(OFF_CURVE_G2)).to.be.false;
+      expect(bn256.isValid(OFF_CURVE_G2)).to.be.false;
+      await expect(helper.requireValidG2(OFF_CURVE_G2)).to.be.revertedWith(CURVE_REASON);
+    });
+
+    it("should reject coordinates above the field modulus", async function () {
+      expect(await helper.isOnCurveG2(UNREDUCED_G2)).to.be.false;
+      expect(bn256.isValid(UNREDUCED_G2)).to.be.false;
+      await expect(helper.requireValidG2(UNREDUCED_G2)).to.be.revertedWith(CURVE_REASON);
+    });
+
+    it("should reject a point on the twisted curve outside G2", async function () {
+      expect(await helper.isOnCurveG2(twistPoint)).to.be.true;
+      expect(await helper.isInSubgroup(twistPoint)).to.be.false;
+      expect(bn256.isValid(twistPoint)).to.be.false;
+      await expect(helper.requireValidG2(twistPoint)).to.be.revertedWith(SUBGROUP_REASON);
+    });
+
+    it("should reject a point in a small subgroup", async function () {
+      expect(await helper.isOnCurveG2(smallOrderPoint)).to.be.true;
+      expect(await helper.isInSubgroup(smallOrderPoint)).to.be.false;
+      expect(bn256.isValid(smallOrderPoint)).to.be.false;
+      await expect(helper.requireValidG2(smallOrderPoint)).to.be.revertedWith(SUBGROUP_REASON);
+    });
+
+    it("should reject the sum of a valid point and a small order point", async function () {
+      // BN256G2 accepts both points, so the sum is on the curve
+      const point = bn256.toPointG2(await helper.sumG2([bn256.P2(), smallOrderPoint]));
+      await expect(helper.requireValidG2(point)).to.be.revertedWith(SUBGROUP_REASON);
+    });
+  });
+
+  describe("TrustedSetup updates", async function () {
+    let contribution;
+
+    this.beforeAll(async function () {
+      TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+      setup = await TrustedSetup.deploy(SETUP_DEGREE);
+      await setup.deployed();
+      contribution = await ceremony.contribute(setup);
+    });
+
+    // the contribution with one value replaced
+    function replace(list, index, point) {
+      return list.map((value, i) => (i === index ? point : value));
+    }
+
+    it("should reject an S1 value that is not on the curve", async function () {
+      const { S1, S2, proof } = contribution;
+      await expect(setup.update(replace(S1, 2, OFF_CURVE_G1), S2, proof)).to.be.revertedWith(
+        G1_REASON
+      );
+    });
+
+    it("should reject an S2 value that is not on the curve", async function () {
+      const { S1, S2, proof } = contribution;
+      await expect(setup.update(S1, replace(S2, 3, OFF_CURVE_G2), proof)).to.be.revertedWith(
+        CURVE_REASON
+      );
+    });
+
+    it("should reject an S2 value outside G2", async function () {
+      const { S1, S2, proof } = contribution;
+      await expect(setup.update(S1, replace(S2, 1, twistPoint), proof)).to.be.revertedWith(
+        SUBGROUP_REASON
+      );
+    });
+
+    it("should reject an S2 value in a small subgroup", async function () {
+      const { S1, S2, proof } = contribution;
+      await expect(setup.update(S1, replace(S2, 2, smallOrderPoint), proof)).to.be.revertedWith(
+        SUBGROUP_REASON
+      );
+    });
+
+    it("should reject a proof that is not on the curve", async function () {
+      const { S1, S2 } = contribution;
+      await expect(setup.update(S1, S2, UNREDUCED_G1)).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject an update to the point at infinity", async function () {
+      // this is the update for k = 0. Every equation holds, but the secret would become zero
+      const S1 = contribution.S1.map((value, i) => (i === 0 ? value : INFINITY_G1));
+      const S2 = contribution.S2.map((value, i) => (i === 0 ? value : INFINITY_G2));
+      await expect(setup.update(S1, S2, INFINITY_G1)).to.be.revertedWith(
+        "The update proof cannot be the point at infinity"
+      );
+    });
+
+    it("should reject a staged S2 value in a small subgroup", async function () {
+      const { S1, S2 } = contribution;
+      await setup.beginStagedUpdate();
+      await expect(setup.stageUpdate(S1, replace(S2, 4, smallOrderPoint))).to.be.revertedWith(
+        SUBGROUP_REASON
+      );
+    });
+
+    it("should reject a staged update proof at infinity", async function () {
+      const { S1, S2 } = contribution;
+      await setup.stageUpdate(S1, S2);
+      await expect(setup.completeStagedUpdate(INFINITY_G1)).to.be.revertedWith(
+        "The update proof cannot be the point at infinity"
+      );
+    });
+
+    it("should accept the valid update", async function () {
+      await setup.completeStagedUpdate(contribution.proof);
+      expect(await setup.contributionCount()).to.equal(1);
+      await setup.publishVersion();
+      trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+    });
+  });
+
+  describe("Key registration", async function () {
+    let args;
+
+    this.beforeAll(async function () {
+      CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+      token = await CommitmentToken.connect(alice).deploy(
+        TOKEN_NAME,
+        TOKEN_SYMBOL,
+        setup.address,
+        SETUP_VERSION,
+        MAX_SHARDS
+      );
+      await token.deployed();
+      args = await registrationArguments(token, wallet, alice.address);
+    });
+
+    // the registration arguments with one value replaced
+    function replace(index, point) {
+      return args.map((value, i) => (i === index ? point : value));
+    }
+
+    it("should reject a key in a small subgroup", async function () {
+      await expect(token.register(...replace(0, smallOrderPoint))).to.be.revertedWith(
+        SUBGROUP_REASON
+      );
+    });
+
+    it("should reject an encoded key outside G2", async function () {
+      await expect(token.register(...replace(1, twistPoint))).to.be.revertedWith(SUBGROUP_REASON);
+    });
+
+    it("should reject a blinding point that is not on the curve", async function () {
+      await expect(token.register(...replace(2, OFF_CURVE_G1))).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject a blinded boundary that is not on the curve", async function () {
+      await expect(token.register(...replace(3, UNREDUCED_G1))).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject an encoding artifact that is not on the curve", async function () {
+      await expect(token.register(...replace(4, OFF_CURVE_G2))).to.be.revertedWith(CURVE_REASON);
+    });
+
+    it("should reject a proof of possession that is not on the curve", async function () {
+      await expect(token.register(...replace(5, OFF_CURVE_G1))).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject a key at infinity", async function () {
+      const infinite = [
+        INFINITY_G2,
+        INFINITY_G2,
+        INFINITY_G1,
+        INFINITY_G1,
+        INFINITY_G2,
+        INFINITY_G1,
+      ];
+      await expect(token.register(...infinite)).to.be.revertedWith("Invalid proof of possession");
+    });
+
+    it("should accept the valid key", async function () {
+      await token.register(...args);
+      expect(await token.indexOf(alice.address)).to.equal(1);
+    });
+
+    it("should reject a rotation to a key outside G2", async function () {
+      const rotation = await registrationArguments(token, generateWallet(), alice.address);
+      rotation[0] = twistPoint;
+      await expect(token.rotateKey(...rotation)).to.be.revertedWith(SUBGROUP_REASON);
+    });
+  });
+
+  describe("Balance proofs", async function () {
+    let opening, multiOpening;
+
+    this.beforeAll(async function () {
+      opening = await openShard(token, trustedSetup, 0);
+      const vectors = await readBalanceVectors(token, trustedSetup);
+      multiOpening = multiOpeningProof(trustedSetup, vectors[0], [1]);
+    });
+
+    it("should accept the valid proofs", async function () {
+      expect(await token.verifyBalances(0, opening.balances, opening.proof)).to.be.true;
+      const { positions, values, proof } = multiOpening;
+      expect(await token.verifyBalancesAt(0, positions, values, proof)).to.be.true;
+    });
+
+    it("should reject an opening proof that is not on the curve", async function () {
+      await expect(token.verifyBalances(0, opening.balances, OFF_CURVE_G1)).to.be.revertedWith(
+        G1_REASON
+      );
+      await expect(
+        token.provenBalanceOf(alice.address, opening.balances, UNREDUCED_G1)
+      ).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should reject multi-opening proof components that are not on the curve", async function () {
+      const { positions, values, proof } = multiOpening;
+      const components = [
+        "quotient",
+        "quotientArtifact",
+        "remainder",
+        "shiftedRemainder",
+        "remainderArtifact",
+      ];
+      for (const component of components) {
+        await expect(
+          token.verifyBalancesAt(0, positions, values, { ...proof, [component]: OFF_CURVE_G1 })
+        ).to.be.revertedWith(G1_REASON);
+      }
+    });
+
+    it("should reject a multi-opening selection outside G2", async function () {
+      const { positions, values, proof } = multiOpening;
+      await expect(
+        token.verifyBalancesAt(0, positions, values, { ...proof, selection: OFF_CURVE_G2 })
+      ).to.be.revertedWith(CURVE_REASON);
+      for (const selection of [twistPoint, smallOrderPoint]) {
+        await expect(
+          token.verifyBalancesAt(0, positions, values, { ...proof, selection })
+        ).to.be.revertedWith(SUBGROUP_REASON);
+      }
+    });
+  });
+
+  describe("Aggregate votes", async function () {
+    let voting, aggregate;
+
+    this.beforeAll(async function () {
+      AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      const index = Number(await token.indexOf(alice.address));
+      const keys = [
+        { index, encodedKey: bn256.toPointG2(await token.encodedKeyOf(alice.address)) },
+      ];
+      const signature = await wallet.signPointG1(await voting.votingArtifact(index, true));
+      aggregate = aggregator.buildAggregate(
+        trustedSetup,
+        keys,
+        [{ index, support: true, signature }],
+        true
+      );
+    });
+
+    it("should reject a selection in a small subgroup", async function () {
+      await expect(
+        voting.submitAggregate(
+          true,
+          aggregate.added,
+          [smallOrderPoint],
+          aggregate.complement,
+          aggregate.signature
+        )
+      ).to.be.revertedWith(SUBGROUP_REASON);
+    });
+
+    it("should reject a complement outside G2", async function () {
+      await expect(
+        voting.submitAggregate(
+          true,
+          aggregate.added,
+          aggregate.selections,
+          twistPoint,
+          aggregate.signature
+        )
+      ).to.be.revertedWith(SUBGROUP_REASON);
+    });
+
+    it("should reject a signature that is not on the curve", async function () {
+      await expect(
+        voting.submitAggregate(
+          true,
+          aggregate.added,
+          aggregate.selections,
+          aggregate.complement,
+          OFF_CURVE_G1
+        )
+      ).to.be.revertedWith(G1_REASON);
+    });
+
+    it("should accept the valid aggregate", async function () {
+      await voting.submitAggregate(
+        true,
+        aggregate.added,
+        aggregate.selections,
+        aggregate.complement,
+        aggregate.signature
+      );
+      expect(await voting.isAggregated(true)).to.be.true;
+    });
+
+    describe("Tally", async function () {
+      let tally;
+
+      this.beforeAll(async function () {
+        for (let i = 0; i < VOTING_PERIOD; i++) {
+          await network.provider.send("evm_mine", []);
+        }
+        const balances = [{ index: 1, balance: await token.balanceOf(alice.address) }];
+        tally = aggregator.buildTally(trustedSetup, balances, aggregate);
+      });
+
+      it("should reject a proof that is not on the curve", async function () {
+        const proofs = [{ ...tally.proofs[0], upperArtifact: OFF_CURVE_G1 }];
+        await expect(voting.submitTally(tally.weights, proofs, [], [])).to.be.revertedWith(
+          G1_REASON
+        );
+      });
+
+      it("should accept the valid tally", async function () {
+        await voting.submitTally(tally.weights, tally.proofs, [], []);
+        expect(await voting.weightOf(true)).to.equal(await token.totalSupply());
+      });
+    });
+  });
+
+  describe("Blinded votes", async function () {
+    it("should reject a commitment with a selection in a small subgroup", async function () {
+      const Factory = await ethers.getContractFactory("BlindedAggregateVoting", { libraries });
+      const voting = await Factory.deploy(token.address, TOPIC, VOTING_PERIOD, VOTING_PERIOD);
+      await voting.deployed();
+      await expect(
+        voting.submitCommitment([1], [smallOrderPoint], INFINITY_G2, bn256.P1(), bn256.P1())
+      ).to.be.revertedWith(SUBGROUP_REASON);
+    });
+  });
+
+  describe("Multiple choice votes", async function () {
+    it("should reject an option aggregate with a complement outside G2", async function () {
+      const Factory = await ethers.getContractFactory("MultiChoiceVoting", { libraries });
+      const voting = await Factory.deploy(token.address, TOPIC, ["Yes", "No"], 0, VOTING_PERIOD);
+      await voting.deployed();
+      await expect(
+        voting.submitOptionAggregate(0, 0, [1], [bn256.P2()], twistPoint, bn256.P1())
+      ).to.be.revertedWith(SUBGROUP_REASON);
+    });
+  });
+});
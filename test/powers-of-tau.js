@@ -0,0 +1,320 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const ptau = require("../lib/powers-of-tau");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Powers of Tau Import", function () {
+  const SETUP_DEGREE = 10;
+  const CHUNK_SIZE = 4;
+  // the ceremony has 2^CEREMONY_POWER powers, which is more than the setup requires
+  const CEREMONY_POWER = 4;
+
+  let TrustedSetup;
+  let tau, powers;
+  let directory;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // scales the powers of a setup with secret s to the powers of the secret ks
+  function scalePowers(base, k) {
+    const S1 = [];
+    const S2 = [];
+    let power = ethers.BigNumber.from(1);
+    for (let i = 0; i < base.S1.length; i++) {
+      S1.push(bn256.multiply(base.S1[i], power));
+      S2.push(bn256.multiply(base.S2[i], power));
+      power = power.mul(k).mod(bn256.GROUP_ORDER);
+    }
+    return { S1, S2 };
+  }
+
+  // the powers (k^i)⋅[P1] and (k^i)⋅[P2] of a secret k, for i from 0 to count - 1
+  function powersOf(k, count) {
+    const base = { S1: new Array(count).fill(bn256.P1()), S2: new Array(count).fill(bn256.P2()) };
+    return scalePowers(base, k);
+  }
+
+  // encodes a field element the way snarkjs does: little-endian, in Montgomery form
+  function montgomery(value) {
+    const q = BigInt(bn256.FIELD_MODULUS.toString());
+    let v = (BigInt(value.toString()) << 256n) % q;
+    const bytes = Buffer.alloc(32);
+    for (let i = 0; i < 32; i++) {
+      bytes[i] = Number(v & 0xffn);
+      v >>= 8n;
+    }
+    return bytes;
+  }
+
+  // writes a minimal .ptau file with the header, tauG1 and tauG2 sections
+  function encodePtau(secret, power) {
+    const g1 = powersOf(secret, 2 ** (power + 1) - 1).S1;
+    const g2 = powersOf(secret, 2 ** power).S2;
+    const section = (type, data) => {
+      const header = Buffer.alloc(12);
+      header.writeUInt32LE(type, 0);
+      header.writeBigUInt64LE(BigInt(data.length), 4);
+      return Buffer.concat([header, data]);
+    };
+    const n8 = Buffer.alloc(4);
+    n8.writeUInt32LE(32);
+    const q = Buffer.alloc(32);
+    let modulus = BigInt(bn256.FIELD_MODULUS.toString());
+    for (let i = 0; i < 32; i++) {
+      q[i] = Number(modulus & 0xffn);
+      modulus >>= 8n;
+    }
+    const powers = Buffer.alloc(8);
+    powers.writeUInt32LE(power, 0);
+    powers.writeUInt32LE(power, 4);
+
+    const preamble = Buffer.alloc(12);
+    preamble.write("ptau", 0, "ascii");
+    preamble.writeUInt32LE(1, 4);
+    preamble.writeUInt32LE(3, 8);
+    return Buffer.concat([
+      preamble,
+      section(1, Buffer.concat([n8, q, powers])),
+      section(2, Buffer.concat(g1.flatMap((p) => [montgomery(p.x), montgomery(p.y)]))),
+      section(
+        3,
+        Buffer.concat(
+          g2.flatMap((p) => [
+            montgomery(p.x_real),
+            montgomery(p.x_imag),
+            montgomery(p.y_real),
+            montgomery(p.y_imag),
+          ])
+        )
+      ),
+    ]);
+  }
+
+  async function deploySetup() {
+    const setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    return setup;
+  }
+
+  this.beforeAll(async function () {
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", {
+      libraries: { BN256Adapter: adapter.address },
+    });
+
+    tau = ethers.BigNumber.from(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("tau"))).mod(
+      bn256.GROUP_ORDER
+    );
+    powers = powersOf(tau, SETUP_DEGREE + 1);
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ptau-"));
+  });
+
+  this.afterAll(async function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("Read a ceremony file", async function () {
+    it("should read the powers from a .ptau file", async function () {
+      const file = path.join(directory, "ceremony.ptau");
+      fs.writeFileSync(file, encodePtau(tau, CEREMONY_POWER));
+      expect(ptau.readPowersOfTau(file, SETUP_DEGREE)).to.deep.equal(powers);
+    });
+
+    it("should read every G2 power by default", async function () {
+      const parsed = ptau.parsePtau(encodePtau(tau, CEREMONY_POWER));
+      expect(parsed.S1.length).to.equal(2 ** CEREMONY_POWER);
+      expect(parsed.S2.length).to.equal(2 ** CEREMONY_POWER);
+    });
+
+    it("should reject a ceremony with too few powers", async function () {
+      expect(() => ptau.parsePtau(encodePtau(tau, 2), SETUP_DEGREE)).to.throw(
+        "The ceremony only has 4 powers"
+      );
+    });
+
+    it("should reject a ceremony over another curve", async function () {
+      const buffer = encodePtau(tau, CEREMONY_POWER);
+      // the field modulus starts after the preamble, the section header and n8
+      buffer[12 + 12 + 4] ^= 1;
+      expect(() => ptau.parsePtau(buffer)).to.throw("The ceremony does not use the bn128 curve");
+    });
+
+    it("should read the powers from a JSON file", async function () {
+      const file = path.join(directory, "ceremony.json");
+      fs.writeFileSync(file, JSON.stringify(powers));
+      expect(ptau.readPowersOfTau(file)).to.deep.equal(powers);
+    });
+  });
+
+  describe("Verify the ceremony offline", async function () {
+    it("should accept consistent powers", async function () {
+      expect(ptau.verifyPowersOfTau(powers)).to.equal(true);
+    });
+
+    it("should reject a tampered S1 power", async function () {
+      const S1 = [...powers.S1];
+      S1[5] = bn256.multiply(S1[5], 2);
+      expect(ptau.verifyPowersOfTau({ ...powers, S1 })).to.equal(false);
+    });
+
+    it("should reject a tampered S2 power", async function () {
+      const S2 = [...powers.S2];
+      S2[SETUP_DEGREE] = S2[SETUP_DEGREE - 1];
+      expect(ptau.verifyPowersOfTau({ ...powers, S2 })).to.equal(false);
+    });
+
+    it("should reject powers of different secrets", async function () {
+      const other = powersOf(tau.add(1), SETUP_DEGREE + 1);
+      expect(ptau.verifyPowersOfTau({ S1: powers.S1, S2: other.S2 })).to.equal(false);
+    });
+  });
+
+  describe("Import the ceremony into a new trusted setup", async function () {
+    let setup, receipts;
+
+    this.beforeAll(async function () {
+      setup = await deploySetup();
+      receipts = await ptau.importPowersOfTau(
+        setup,
+        powersOf(tau, 2 ** CEREMONY_POWER),
+        CHUNK_SIZE
+      );
+    });
+
+    it("should upload the powers in chunks", async function () {
+      // begin, ceil(11 / 4) = 3 chunks, complete
+      expect(receipts.length).to.equal(5);
+    });
+
+    it("should replace the S1 and S2 powers", async function () {
+      for (let i = 0; i <= SETUP_DEGREE; i++) {
+        expect(bn256.toPointG1(await setup.S1(i))).to.deep.equal(powers.S1[i]);
+        expect(bn256.toPointG2(await setup.S2(i))).to.deep.equal(powers.S2[i]);
+      }
+    });
+
+    it("should clear the staging area", async function () {
+      const [signer] = await ethers.getSigners();
+      expect(await setup.stagedPowers(signer.address)).to.equal(0);
+    });
+
+    it("should not import into an updated setup", async function () {
+      let error;
+      try {
+        await ptau.importPowersOfTau(setup, powers, CHUNK_SIZE);
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal(
+        "An external ceremony can only be imported into a new trusted setup"
+      );
+    });
+
+    describe("Bob adds entropy with a staged update", async function () {
+      let k, updated;
+
+      this.beforeAll(async function () {
+        k = ethers.BigNumber.from(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("Bob's secret")));
+        updated = scalePowers(powers, k);
+        const [, bob] = await ethers.getSigners();
+        setup = setup.connect(bob);
+        await setup.beginStagedUpdate();
+        for (let offset = 0; offset <= SETUP_DEGREE; offset += CHUNK_SIZE) {
+          const end = offset + CHUNK_SIZE;
+          await setup.stageUpdate(updated.S1.slice(offset, end), updated.S2.slice(offset, end));
+        }
+      });
+
+      it("should reject the wrong update proof", async function () {
+        await expect(setup.completeStagedUpdate(bn256.P1())).to.be.revertedWith(
+          "Cannot update S. Invalid proofs provided"
+        );
+      });
+
+      it("should accept k⋅[P1]", async function () {
+        await setup.completeStagedUpdate(bn256.multiply(bn256.P1(), k));
+        expect(bn256.toPointG2(await setup.S2(SETUP_DEGREE))).to.deep.equal(
+          updated.S2[SETUP_DEGREE]
+        );
+      });
+    });
+  });
+
+  describe("Stage invalid chunks", async function () {
+    let setup;
+
+    this.beforeAll(async function () {
+      setup = await deploySetup();
+      await setup.beginStagedUpdate();
+    });
+
+    it("should reject a first chunk without the degree one term", async function () {
+      await expect(
+        setup.stageUpdate(powers.S1.slice(0, 1), powers.S2.slice(0, 1))
+      ).to.be.revertedWith("The first chunk must include the degree one term");
+    });
+
+    it("should reject a chunk with mismatched lengths", async function () {
+      await expect(
+        setup.stageUpdate(powers.S1.slice(0, 3), powers.S2.slice(0, 2))
+      ).to.be.revertedWith("The chunk must contain matching S1 and S2 values");
+    });
+
+    it("should reject a first chunk that does not start with the generators", async function () {
+      await expect(
+        setup.stageUpdate(powers.S1.slice(1, 4), powers.S2.slice(0, 3))
+      ).to.be.revertedWith("Invalid degree zero term for updatedS1. It should be P1");
+    });
+
+    it("should reject a chunk that skips a power", async function () {
+      await setup.stageUpdate(powers.S1.slice(0, CHUNK_SIZE), powers.S2.slice(0, CHUNK_SIZE));
+      const skipped = [CHUNK_SIZE + 1, CHUNK_SIZE + 2];
+      await expect(
+        setup.stageUpdate(
+          skipped.map((i) => powers.S1[i]),
+          skipped.map((i) => powers.S2[i])
+        )
+      ).to.be.revertedWith("Cannot update S. Invalid proofs provided");
+    });
+
+    it("should reject a chunk with a mismatched S2 power", async function () {
+      const S2 = powers.S2.slice(CHUNK_SIZE, 2 * CHUNK_SIZE);
+      S2[1] = S2[0];
+      await expect(
+        setup.stageUpdate(powers.S1.slice(CHUNK_SIZE, 2 * CHUNK_SIZE), S2)
+      ).to.be.revertedWith("Cannot update S. Invalid proofs provided");
+    });
+
+    it("should not complete an incomplete update", async function () {
+      await expect(setup.completeStagedUpdate(powers.S1[1])).to.be.revertedWith(
+        "The staged update is incomplete"
+      );
+    });
+
+    it("should reject powers beyond MAX_DEGREE", async function () {
+      const rest = powersOf(tau, SETUP_DEGREE + 2);
+      await expect(
+        setup.stageUpdate(rest.S1.slice(CHUNK_SIZE), rest.S2.slice(CHUNK_SIZE))
+      ).to.be.revertedWith("Update does not match the trusted setup size");
+    });
+
+    it("should keep each contributor's staging area separate", async function () {
+      const [alice, bob] = await ethers.getSigners();
+      expect(await setup.stagedPowers(alice.address)).to.equal(CHUNK_SIZE);
+      expect(await setup.stagedPowers(bob.address)).to.equal(0);
+    });
+
+    it("should not change the setup", async function () {
+      expect(bn256.toPointG2(await setup.S2(1))).to.deep.equal(bn256.P2());
+    });
+  });
+});
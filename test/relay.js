@@ -0,0 +1,377 @@
+const { expect } = require("chai");
+const http = require("http");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const { createRelay } = require("../lib/relay");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Vote Relay", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 30;
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const CHARLIE_BAL = ethers.utils.parseEther("200");
+
+  let alice, bob, charlie, dave, erin, frank;
+  let token, voting, trustedSetup;
+  let node, relay, relayUrl;
+
+  // the BLS wallets, by name
+  const wallets = {};
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+      signPointG1: async (point) => bn256.multiply(bn256.toPointG1(point), sk),
+    };
+  }
+
+  async function register(signer, name) {
+    wallets[name] = localWallet();
+    await token
+      .connect(signer)
+      .register(...(await registrationArguments(token, wallets[name], signer.address)));
+  }
+
+  // sends a request to the relay and resolves to { status, body }
+  function request(method, path, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${relayUrl}${path}`, { method }, (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on("error", reject);
+      if (body !== undefined) {
+        req.write(typeof body === "string" ? body : JSON.stringify(body));
+      }
+      req.end();
+    });
+  }
+
+  // the vote of a registered user, signed by the specified wallet (their own by default)
+  async function signedVote(signer, name, support, target = voting, wallet = wallets[name]) {
+    const index = await token.indexOf(signer.address);
+    const signature = await wallet.signPointG1(await target.votingArtifact(index, support));
+    return { voter: signer.address, support, signature };
+  }
+
+  function submit(vote, target = voting) {
+    return request("POST", `/votings/${target.address}/votes`, vote);
+  }
+
+  async function mine(blocks) {
+    for (let i = 0; i < blocks; i++) {
+      await ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, dave, erin, frank] = await ethers.getSigners();
+
+    // the relay reads the chain through a local Hardhat node (a JSON-RPC server) rather than the in-process network
+    node = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 0,
+      provider: network.provider,
+    });
+    const { port: nodePort } = await node.listen();
+    const nodeProvider = new ethers.providers.JsonRpcProvider(`http://127.0.0.1:${nodePort}`);
+
+    const abis = {
+      voting: (await artifacts.readArtifact("AggregateVoting")).abi,
+      token: (await artifacts.readArtifact("CommitmentToken")).abi,
+    };
+    relay = createRelay(nodeProvider, abis);
+    await new Promise((resolve) => relay.listen(0, "127.0.0.1", resolve));
+    relayUrl = `http://127.0.0.1:${relay.address().port}`;
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+    await token.transfer(bob.address, BOB_BAL);
+    await token.transfer(charlie.address, CHARLIE_BAL);
+
+    // Dave does not run a BLS wallet
+    await register(alice, "alice");
+    await register(bob, "bob");
+    await register(charlie, "charlie");
+    // Frank registers without any tokens, so he never appears in a Transfer event
+    await register(frank, "frank");
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+    voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+    await voting.deployed();
+
+    // Erin registers after the snapshot
+    await register(erin, "erin");
+  });
+
+  this.afterAll(async function () {
+    if (relay) {
+      await new Promise((resolve) => relay.close(resolve));
+    }
+    if (node) {
+      await node.close();
+    }
+  });
+
+  describe("Read a voting contract", async function () {
+    it("should return the metadata", async function () {
+      const { status, body } = await request("GET", `/votings/${voting.address}`);
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal({
+        voting: voting.address,
+        token: token.address,
+        topic: TOPIC,
+        snapshotBlock: voting.deployTransaction.blockNumber - 1,
+        votingDeadline: Number(await voting.votingDeadline()),
+        shardCount: 1,
+        voteCount: 0,
+      });
+    });
+
+    it("should reject an invalid address", async function () {
+      const { status, body } = await request("GET", "/votings/0x1234");
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Invalid voting address");
+    });
+
+    it("should reject an address that is not a voting contract", async function () {
+      for (const address of [token.address, dave.address]) {
+        const { status, body } = await request("GET", `/votings/${address}`);
+        expect(status).to.equal(404);
+        expect(body.error).to.equal("Unknown voting contract");
+      }
+    });
+
+    it("should reject an unknown endpoint", async function () {
+      expect((await request("GET", "/proposals")).status).to.equal(404);
+      expect((await request("DELETE", `/votings/${voting.address}/votes`)).status).to.equal(405);
+    });
+  });
+
+  describe("Reject invalid votes", async function () {
+    it("should reject an unregistered voter", async function () {
+      const vote = await signedVote(alice, "alice", true);
+      const { status, body } = await submit({ ...vote, voter: dave.address });
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Voter was not registered at the snapshot");
+    });
+
+    it("should reject a voter that registered after the snapshot", async function () {
+      const { status, body } = await submit(await signedVote(erin, "erin", true));
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Voter was not registered at the snapshot");
+    });
+
+    it("should reject a signature from another key", async function () {
+      const vote = await signedVote(charlie, "charlie", true, voting, wallets.alice);
+      const { status, body } = await submit(vote);
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Invalid vote signature");
+    });
+
+    it("should reject a signature for the other side", async function () {
+      const vote = await signedVote(charlie, "charlie", true);
+      const { status, body } = await submit({ ...vote, support: false });
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Invalid vote signature");
+    });
+
+    it("should reject a signature for another voting contract", async function () {
+      const other = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await other.deployed();
+      const { status, body } = await submit(await signedVote(charlie, "charlie", true, other));
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Invalid vote signature");
+    });
+
+    it("should reject a signature that is not on the curve", async function () {
+      const vote = await signedVote(charlie, "charlie", true);
+      const { status, body } = await submit({ ...vote, signature: { x: 1, y: 1 } });
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("Invalid vote signature");
+    });
+
+    it("should reject malformed votes", async function () {
+      const vote = await signedVote(charlie, "charlie", true);
+      const cases = [
+        ["not json", "Invalid JSON"],
+        [null, "Invalid vote"],
+        [{ ...vote, voter: "charlie" }, "Invalid voter address"],
+        [{ ...vote, support: "yes" }, "Support must be a boolean"],
+        [{ ...vote, signature: undefined }, "Invalid signature encoding"],
+      ];
+      for (const [payload, error] of cases) {
+        const { status, body } = await submit(payload);
+        expect(status).to.equal(400);
+        expect(body.error).to.equal(error);
+      }
+    });
+
+    it("should not add any vote to the pool", async function () {
+      const { body } = await request("GET", `/votings/${voting.address}/votes`);
+      expect(body.votes).to.deep.equal([]);
+    });
+  });
+
+  describe("Alice and Charlie support the topic; Bob opposes it", async function () {
+    let responses;
+
+    this.beforeAll(async function () {
+      responses = [];
+      for (const [signer, name, support] of [
+        [charlie, "charlie", true],
+        [alice, "alice", true],
+        [bob, "bob", false],
+      ]) {
+        responses.push(await submit(await signedVote(signer, name, support)));
+      }
+    });
+
+    it("should accept the votes", async function () {
+      expect(responses.map(({ status }) => status)).to.deep.equal([201, 201, 201]);
+      expect(responses.map(({ body }) => body.index)).to.deep.equal([3, 1, 2]);
+    });
+
+    it("should reject a second vote from the same index", async function () {
+      for (const support of [true, false]) {
+        const { status, body } = await submit(await signedVote(alice, "alice", support));
+        expect(status).to.equal(409);
+        expect(body.error).to.equal("Already voted");
+      }
+    });
+
+    it("should list the votes by index", async function () {
+      const { status, body } = await request("GET", `/votings/${voting.address}/votes`);
+      expect(status).to.equal(200);
+      expect(body.votes.map(({ index, voter, support }) => [index, voter, support])).to.deep.equal([
+        [1, alice.address, true],
+        [2, bob.address, false],
+        [3, charlie.address, true],
+      ]);
+    });
+
+    it("should count the votes in the metadata", async function () {
+      const { body } = await request("GET", `/votings/${voting.address}`);
+      expect(body.voteCount).to.equal(3);
+    });
+
+    describe("An aggregator downloads the bundle", async function () {
+      let bundle, keys, votes;
+
+      this.beforeAll(async function () {
+        ({ body: bundle } = await request("GET", `/votings/${voting.address}/bundle`));
+        keys = bundle.keys.map(({ index, encodedKey }) => ({
+          index,
+          encodedKey: bn256.toPointG2(encodedKey),
+        }));
+        votes = bundle.votes.map(({ index, support, signature }) => ({
+          index,
+          support,
+          signature: bn256.toPointG1(signature),
+        }));
+      });
+
+      it("should include the keys of the snapshot", async function () {
+        expect(keys.map(({ index }) => index)).to.deep.equal([1, 2, 3, 4]);
+        const signers = [alice, bob, charlie, frank];
+        for (const [signer, { encodedKey }] of signers.map((s, i) => [s, keys[i]])) {
+          expect(encodedKey).to.deep.equal(
+            bn256.toPointG2(await token.encodedKeyOf(signer.address))
+          );
+        }
+        expect(bundle.complete).to.equal(true);
+      });
+
+      it("should include a registered user without tokens or votes", async function () {
+        expect(await token.balanceOf(frank.address)).to.equal(0);
+        expect(bundle.votes.map(({ voter }) => voter)).to.not.include(frank.address);
+        expect(keys[3].index).to.equal(Number(await token.indexOf(frank.address)));
+      });
+
+      it("should include the votes", async function () {
+        expect(bundle.votes).to.have.lengthOf(3);
+        expect(bundle.voting).to.equal(voting.address);
+        expect(bundle.snapshotBlock).to.equal(voting.deployTransaction.blockNumber - 1);
+      });
+
+      describe("The aggregator submits the aggregates and the tally", async function () {
+        this.beforeAll(async function () {
+          const tallies = {};
+          const balances = [];
+          for (const signer of [alice, bob, charlie]) {
+            balances.push({
+              index: Number(await token.indexOf(signer.address)),
+              balance: await token.balanceOf(signer.address),
+            });
+          }
+          for (const support of [true, false]) {
+            const aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, support);
+            await dave.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+            tallies[support] = aggregator.buildTally(trustedSetup, balances, aggregate);
+          }
+          await mine(VOTING_PERIOD);
+          await dave.sendTransaction(
+            aggregator.tallyTransaction(voting, tallies[true], tallies[false])
+          );
+        });
+
+        it("should count the relayed votes", async function () {
+          expect(await voting.isTallied()).to.equal(true);
+          expect(await voting.weightOf(true)).to.equal(
+            (await token.balanceOf(alice.address)).add(CHARLIE_BAL)
+          );
+          expect(await voting.weightOf(false)).to.equal(BOB_BAL);
+        });
+
+        it("should reject votes after the voting period", async function () {
+          const { status, body } = await submit(await signedVote(erin, "erin", true));
+          expect(status).to.equal(400);
+          expect(body.error).to.equal("Voting period has ended");
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const { generateWallet } = require("../lib/bls-wallet");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// These tests encode the rogue key attack that the proof of possession in CommitmentToken.register prevents.
+// Mallory registers a key chosen so that the sum of her encoded key and Alice's encoded key is y⋅[P2] for a secret y
+// that she knows. She can then sign an aggregate vote on behalf of both of them without Alice's participation.
+// Computing a rogue key that also passes the registration proofs requires s^(-position), so the registration proofs
+// alone already prevent it while the secret s of the trusted setup remains unknown. The proof of possession is
+// defence in depth: it still rejects the rogue key if the secret leaks. Here the secret is known to the test, which
+// stands in for that leak.
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Rogue Key Attacks", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 20;
+  const INITIAL_SUPPLY = ethers.utils.parseEther("1000");
+  const MALLORY_BAL = ethers.utils.parseEther("100");
+  const SECRET = ceremony.entropyFromPhrase("a secret");
+  const GROUP_ORDER = BigInt(bn256.GROUP_ORDER.toString());
+
+  const INFINITY_G1 = bn256.toPointG1({ x: 0, y: 0 });
+
+  let alice, mallory;
+  let aliceWallet, malloryWallet;
+  let libraries, setup, trustedSetup;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // (base)^(exponent) modulo the group order
+  function powMod(base, exponent) {
+    let result = 1n;
+    let b = BigInt(base.toString()) % GROUP_ORDER;
+    for (let e = BigInt(exponent.toString()); e > 0n; e >>= 1n) {
+      if (e & 1n) {
+        result = (result * b) % GROUP_ORDER;
+      }
+      b = (b * b) % GROUP_ORDER;
+    }
+    return ethers.BigNumber.from(result.toString());
+  }
+
+  this.beforeAll(async function () {
+    [alice, mallory] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    // the initial secret is 1, so the contribution becomes the secret of the setup
+    const { S1, S2, proof } = await ceremony.contribute(setup, SECRET);
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    aliceWallet = generateWallet();
+    malloryWallet = generateWallet();
+  });
+
+  // deploys a token where Alice registers her key and gives Mallory some tokens
+  async function deployToken(contractName) {
+    const Factory = await ethers.getContractFactory(contractName, { libraries });
+    const token = await Factory.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+    await token.register(...(await registrationArguments(token, aliceWallet, alice.address)));
+    await token.transfer(mallory.address, MALLORY_BAL);
+    return token;
+  }
+
+  // the register arguments for a key, encoded with the setup secret instead of the key's secret
+  function encodeWithSecret(key, position, possessionProof) {
+    const alpha = randomAlpha();
+    const boundary = powMod(SECRET, trustedSetup.MAX_DEGREE).mul(alpha).mod(bn256.GROUP_ORDER);
+    return [
+      key,
+      bn256.multiply(key, powMod(SECRET, position)),
+      bn256.multiply(bn256.P1(), alpha),
+      bn256.multiply(trustedSetup.S1[trustedSetup.MAX_DEGREE], alpha),
+      bn256.multiply(key, boundary),
+      possessionProof,
+    ];
+  }
+
+  // Mallory's rogue registration: her encoded key is y⋅[P2] - (Alice's encoded key)
+  async function rogueRegistration(token) {
+    const y = randomAlpha();
+    const position = aggregator.positionOf(trustedSetup, Number(await token.nextIndex()));
+    const aliceKey = bn256.toPointG2(await token.encodedKeyOf(alice.address));
+    const target = bn256.sum([bn256.multiply(bn256.P2(), y), bn256.neg(aliceKey)]);
+    const key = bn256.multiply(target, powMod(SECRET, GROUP_ORDER - 1n - BigInt(position)));
+
+    // Mallory does not know the secret key, so the best she can do is sign with y
+    const message = await token.possessionMessage(mallory.address, key);
+    const possessionProof = bn256.multiply(bn256.hashToG1(message), y);
+    return { y, args: encodeWithSecret(key, position, possessionProof) };
+  }
+
+  describe("Without a proof of possession check", async function () {
+    let token, rogue;
+
+    this.beforeAll(async function () {
+      token = await deployToken("UncheckedCommitmentToken");
+      rogue = await rogueRegistration(token);
+    });
+
+    it("should accept the rogue key", async function () {
+      await token.connect(mallory).register(...rogue.args);
+      expect(await token.indexOf(mallory.address)).to.equal(2);
+    });
+
+    it("should combine the encoded keys into y⋅[P2]", async function () {
+      expect(bn256.toPointG2(await token.KeysCommitment(0))).to.deep.equal(
+        bn256.multiply(bn256.P2(), rogue.y)
+      );
+    });
+
+    describe("Mallory forges a supporting vote from Alice and herself", async function () {
+      let voting, aggregate;
+
+      this.beforeAll(async function () {
+        const AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+        voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+        await voting.deployed();
+
+        const keys = [];
+        for (const user of [alice, mallory]) {
+          keys.push({
+            index: Number(await token.indexOf(user.address)),
+            encodedKey: bn256.toPointG2(await token.encodedKeyOf(user.address)),
+          });
+        }
+        // the aggregate signature is y⋅𝛿⋅[P1], which Mallory can compute on her own
+        const signature = bn256.multiply(bn256.P1(), (await voting.voteDigest(true)).mul(rogue.y));
+        const votes = [
+          { index: keys[0].index, support: true, signature },
+          { index: keys[1].index, support: true, signature: INFINITY_G1 },
+        ];
+        aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      });
+
+      it("should accept the forged aggregate", async function () {
+        await mallory.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+        expect(await voting.isAggregated(true)).to.be.true;
+      });
+
+      it("should count Alice's tokens in favour of the topic", async function () {
+        for (let i = 0; i < VOTING_PERIOD; i++) {
+          await network.provider.send("evm_mine", []);
+        }
+        const balances = [
+          { index: 1, balance: INITIAL_SUPPLY.sub(MALLORY_BAL) },
+          { index: 2, balance: MALLORY_BAL },
+        ];
+        const tally = aggregator.buildTally(trustedSetup, balances, aggregate);
+        await mallory.sendTransaction(aggregator.tallyTransaction(voting, tally, null));
+        expect(await voting.weightOf(true)).to.equal(INITIAL_SUPPLY);
+      });
+    });
+  });
+
+  describe("With the proof of possession check", async function () {
+    let token;
+
+    this.beforeAll(async function () {
+      token = await deployToken("CommitmentToken");
+    });
+
+    it("should reject the rogue key", async function () {
+      const { args } = await rogueRegistration(token);
+      await expect(token.connect(mallory).register(...args)).to.be.revertedWith(
+        "Invalid proof of possession"
+      );
+    });
+
+    it("should reject a proof of possession for another user", async function () {
+      // Mallory registers Alice's key, with the proof that Alice signed for her own address
+      const key = await aliceWallet.PUBLIC_KEY();
+      const proof = await aliceWallet.sign(await token.possessionMessage(alice.address, key));
+      const position = aggregator.positionOf(trustedSetup, Number(await token.nextIndex()));
+      await expect(
+        token.connect(mallory).register(...encodeWithSecret(key, position, proof))
+      ).to.be.revertedWith("Invalid proof of possession");
+    });
+
+    it("should reject the point at infinity", async function () {
+      const key = bn256.multiply(bn256.P2(), 0);
+      const position = aggregator.positionOf(trustedSetup, Number(await token.nextIndex()));
+      await expect(
+        token.connect(mallory).register(...encodeWithSecret(key, position, INFINITY_G1))
+      ).to.be.revertedWith("Invalid proof of possession");
+    });
+
+    it("should accept Mallory's own key", async function () {
+      const args = await registrationArguments(token, malloryWallet, mallory.address);
+      await token.connect(mallory).register(...args);
+      expect(await token.indexOf(mallory.address)).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const registration = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Trusted Setup Versions", function () {
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const MAX_SHARDS = 1;
+
+  let alice, bob, charlie;
+  let setup, token, CommitmentToken;
+  let aliceWallet, bobWallet;
+  let version1;
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // applies a contribution computed in JavaScript, which is much faster than generateUpdateProof
+  async function contribute(phrase, signer = alice) {
+    const { S1, S2, proof } = await ceremony.contribute(setup, ceremony.entropyFromPhrase(phrase));
+    return setup.connect(signer).update(S1, S2, proof);
+  }
+
+  async function deployToken(version) {
+    const deployed = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      version,
+      MAX_SHARDS
+    );
+    await deployed.deployed();
+    return deployed;
+  }
+
+  // the balances commitment that the token should hold, computed with the powers of a specific version
+  async function expectedBalancesCommitment(powers, users) {
+    const terms = [];
+    for (const user of users) {
+      const index = Number(await token.indexOf(user.address));
+      terms.push(bn256.multiply(powers.S1[index], await token.balanceOf(user.address)));
+    }
+    return bn256.sum(terms);
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    aliceWallet = await SimulatedBLSWallet.deploy("Alice");
+    bobWallet = await SimulatedBLSWallet.deploy("Bob");
+  });
+
+  describe("Before any version is published", async function () {
+    it("should not have any versions", async function () {
+      expect(await setup.latestVersion()).to.equal(0);
+      await expect(setup.versionS1(1, 0)).to.be.revertedWith("Unknown trusted setup version");
+    });
+
+    it("should not deploy a token", async function () {
+      await expect(deployToken(1)).to.be.revertedWith("Unknown trusted setup version");
+    });
+  });
+
+  describe("Alice contributes and publishes version 1", async function () {
+    this.beforeAll(async function () {
+      await contribute("Alice's secret");
+      await setup.publishVersion();
+      version1 = await aggregator.readTrustedSetup(setup, 1);
+    });
+
+    it("should copy the current powers", async function () {
+      expect(version1).to.deep.equal(await aggregator.readCurrentPowers(setup));
+    });
+
+    it("should record the contributions that the version includes", async function () {
+      expect(await setup.versionContributions(1)).to.equal(1);
+    });
+
+    it("should not deploy a token with version 0", async function () {
+      await expect(deployToken(0)).to.be.revertedWith("Unknown trusted setup version");
+    });
+
+    it("should reject an index beyond MAX_DEGREE", async function () {
+      await expect(setup.versionS2(1, SETUP_DEGREE + 1)).to.be.revertedWith(
+        "Index exceeds trusted setup size"
+      );
+    });
+
+    describe("A token pins version 1", async function () {
+      this.beforeAll(async function () {
+        token = await deployToken(1);
+        await token.register(
+          ...(await registration.registrationArguments(token, aliceWallet, alice.address))
+        );
+        await token.transfer(bob.address, ethers.utils.parseEther("100"));
+      });
+
+      it("should pin the version", async function () {
+        expect(await token.setupVersion()).to.equal(1);
+      });
+
+      it("should commit to Alice's balance", async function () {
+        expect(bn256.toPointG1(await token.BalancesCommitment(0))).to.deep.equal(
+          await expectedBalancesCommitment(version1, [alice])
+        );
+      });
+    });
+  });
+
+  describe("Bob contributes and publishes version 2", async function () {
+    this.beforeAll(async function () {
+      await contribute("Bob's secret", bob);
+      await setup.connect(bob).publishVersion();
+    });
+
+    it("should change the current powers", async function () {
+      expect(bn256.toPointG1(await setup.S1(1))).to.not.deep.equal(version1.S1[1]);
+    });
+
+    it("should not change version 1", async function () {
+      expect(await aggregator.readTrustedSetup(setup, 1)).to.deep.equal(version1);
+    });
+
+    it("should publish version 2", async function () {
+      expect(await setup.latestVersion()).to.equal(2);
+      expect(await setup.versionContributions(2)).to.equal(2);
+    });
+
+    describe("The token keeps working", async function () {
+      this.beforeAll(async function () {
+        await token
+          .connect(bob)
+          .register(...(await registration.registrationArguments(token, bobWallet, bob.address)));
+        await token.transfer(bob.address, ethers.utils.parseEther("50"));
+      });
+
+      it("should build registration artifacts with version 1", async function () {
+        const [positionArtifact] = await token.registrationArtifacts();
+        expect(bn256.toPointG2(positionArtifact)).to.deep.equal(version1.S2[3]);
+      });
+
+      it("should commit to both balances with version 1", async function () {
+        expect(bn256.toPointG1(await token.BalancesCommitment(0))).to.deep.equal(
+          await expectedBalancesCommitment(version1, [alice, bob])
+        );
+      });
+    });
+
+    describe("A new token pins version 2", async function () {
+      let version2;
+
+      this.beforeAll(async function () {
+        version2 = await aggregator.readTrustedSetup(setup, 2);
+        token = await deployToken(2);
+        await token.register(
+          ...(await registration.registrationArguments(token, aliceWallet, alice.address))
+        );
+      });
+
+      it("should commit to Alice's balance with version 2", async function () {
+        expect(bn256.toPointG1(await token.BalancesCommitment(0))).to.deep.equal(
+          await expectedBalancesCommitment(version2, [alice])
+        );
+      });
+    });
+  });
+
+  describe("Finalize the trusted setup", async function () {
+    let receipt;
+
+    it("should only allow the coordinator to finalize", async function () {
+      expect(await setup.coordinator()).to.equal(alice.address);
+      await expect(setup.connect(bob).finalize()).to.be.revertedWith(
+        "Only the coordinator can finalize the trusted setup"
+      );
+    });
+
+    describe("The coordinator finalizes the setup", async function () {
+      this.beforeAll(async function () {
+        receipt = await (await setup.finalize()).wait();
+      });
+
+      it("should publish the final version", async function () {
+        const [event] = receipt.events.filter(({ event }) => event === "VersionPublished");
+        expect(event.args.version).to.equal(3);
+        expect(event.args.isFinal).to.equal(true);
+        expect(await setup.isFinalized()).to.equal(true);
+      });
+
+      it("should reject an update", async function () {
+        await expect(contribute("Charlie's secret", charlie)).to.be.revertedWith(
+          "The trusted setup has been finalized"
+        );
+      });
+
+      it("should reject a staged update", async function () {
+        await expect(setup.connect(charlie).beginStagedUpdate()).to.be.revertedWith(
+          "The trusted setup has been finalized"
+        );
+      });
+
+      it("should not publish another version", async function () {
+        await expect(setup.publishVersion()).to.be.revertedWith(
+          "The trusted setup has been finalized"
+        );
+        await expect(setup.finalize()).to.be.revertedWith("The trusted setup has been finalized");
+      });
+
+      it("should reject a transcript before sending any transactions", async function () {
+        const transcript = await ceremony.contribute(setup);
+        let message;
+        try {
+          await ceremony.checkTranscript(setup, transcript);
+        } catch (err) {
+          message = err.message;
+        }
+        expect(message).to.equal("The trusted setup has been finalized");
+      });
+
+      it("should still support the existing tokens", async function () {
+        await token.transfer(charlie.address, ethers.utils.parseEther("10"));
+        expect(bn256.toPointG1(await token.BalancesCommitment(0))).to.deep.equal(
+          await expectedBalancesCommitment(await aggregator.readTrustedSetup(setup, 2), [alice])
+        );
+      });
+    });
+  });
+});
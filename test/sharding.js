@@ -0,0 +1,314 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Sharded Commitments", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  // each shard holds MAX_DEGREE / 2 positions
+  const SETUP_DEGREE = 8;
+  const SETUP_VERSION = 1;
+  const POSITIONS = SETUP_DEGREE / 2;
+  const MAX_SHARDS = 6;
+  const CAPACITY = POSITIONS * MAX_SHARDS;
+  const VOTING_PERIOD = 20;
+  const UNIT = ethers.utils.parseEther("1");
+
+  const INFINITY_G1 = bn256.toPointG1({ x: 0, y: 0 });
+  const INFINITY_G2 = bn256.toPointG2({ x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 });
+
+  let alice, accounts, setup, token, trustedSetup, AggregateVoting;
+
+  // the registered users: { account, wallet, index, encodedKey, balance }
+  const users = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+      signPointG1: async (point) => bn256.multiply(bn256.toPointG1(point), sk),
+    };
+  }
+
+  this.beforeAll(async function () {
+    [alice] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    // there are not enough signers for every user, so Alice funds some random accounts.
+    // Each one receives a distinct balance, so the tallies identify the voters
+    accounts = [];
+    for (let i = 0; i <= CAPACITY; i++) {
+      const account = ethers.Wallet.createRandom().connect(ethers.provider);
+      await alice.sendTransaction({ to: account.address, value: ethers.utils.parseEther("1") });
+      await token.connect(alice).transfer(account.address, UNIT.mul(i + 1));
+      accounts.push(account);
+    }
+  });
+
+  // the commitments that the token should hold for the registered users, by shard
+  function expectedCommitments() {
+    const keys = new Array(MAX_SHARDS).fill(null).map(() => [INFINITY_G2]);
+    const balances = new Array(MAX_SHARDS).fill(null).map(() => [INFINITY_G1]);
+    for (const { index, encodedKey, balance } of users) {
+      const shard = aggregator.shardOf(trustedSetup, index);
+      const position = aggregator.positionOf(trustedSetup, index);
+      keys[shard].push(encodedKey);
+      balances[shard].push(bn256.multiply(trustedSetup.S1[position], balance));
+    }
+    return { keys: keys.map(bn256.sum), balances: balances.map(bn256.sum) };
+  }
+
+  describe("Initialization", async function () {
+    it("should split the indices into shards", async function () {
+      expect(await token.shardOf(1)).to.equal(0);
+      expect(await token.positionOf(1)).to.equal(1);
+      expect(await token.shardOf(POSITIONS)).to.equal(0);
+      expect(await token.positionOf(POSITIONS)).to.equal(POSITIONS);
+      expect(await token.shardOf(POSITIONS + 1)).to.equal(1);
+      expect(await token.positionOf(POSITIONS + 1)).to.equal(1);
+      expect(await token.shardOf(CAPACITY)).to.equal(MAX_SHARDS - 1);
+      expect(await token.positionOf(CAPACITY)).to.equal(POSITIONS);
+    });
+
+    it("should match the JavaScript shard calculation", async function () {
+      for (let index = 1; index <= CAPACITY; index++) {
+        expect(await token.shardOf(index)).to.equal(aggregator.shardOf(trustedSetup, index));
+        expect(await token.positionOf(index)).to.equal(aggregator.positionOf(trustedSetup, index));
+      }
+    });
+
+    it("should reject index 0", async function () {
+      await expect(token.shardOf(0)).to.be.revertedWith("Index 0 is not a valid position");
+    });
+
+    it("should start with a single shard", async function () {
+      expect(await token.shardCount()).to.equal(1);
+    });
+  });
+
+  describe("Users register in every shard", async function () {
+    this.beforeAll(async function () {
+      console.log(`NOTE: registering ${CAPACITY} users takes about a minute...`);
+      for (const account of accounts.slice(0, CAPACITY)) {
+        const wallet = localWallet();
+        const args = await registrationArguments(token, wallet, account.address);
+        await token.connect(account).register(...args);
+        users.push({
+          account,
+          wallet,
+          index: Number(await token.indexOf(account.address)),
+          encodedKey: bn256.toPointG2(args[1]),
+          balance: await token.balanceOf(account.address),
+        });
+      }
+    });
+
+    it("should use every shard", async function () {
+      expect(await token.shardCount()).to.equal(MAX_SHARDS);
+    });
+
+    it("should commit to the keys of each shard separately", async function () {
+      const expected = expectedCommitments();
+      for (let shard = 0; shard < MAX_SHARDS; shard++) {
+        expect(bn256.toPointG2(await token.KeysCommitment(shard))).to.deep.equal(
+          expected.keys[shard]
+        );
+      }
+    });
+
+    it("should commit to the balances of each shard separately", async function () {
+      const expected = expectedCommitments();
+      for (let shard = 0; shard < MAX_SHARDS; shard++) {
+        expect(bn256.toPointG1(await token.BalancesCommitment(shard))).to.deep.equal(
+          expected.balances[shard]
+        );
+      }
+    });
+
+    it("should reject a shard above the limit", async function () {
+      await expect(token.KeysCommitment(MAX_SHARDS)).to.be.revertedWith("Invalid shard");
+      await expect(token.BalancesCommitment(MAX_SHARDS)).to.be.revertedWith("Invalid shard");
+    });
+
+    it("should reject another registration", async function () {
+      const args = await registrationArguments(token, localWallet(), accounts[CAPACITY].address);
+      await expect(token.connect(accounts[CAPACITY]).register(...args)).to.be.revertedWith(
+        "Too many registered users"
+      );
+    });
+
+    describe("A user transfers tokens across shards", async function () {
+      this.beforeAll(async function () {
+        // the first user (in the first shard) sends tokens to the last user (in the last shard)
+        await token.connect(users[0].account).transfer(users[CAPACITY - 1].account.address, UNIT);
+        users[0].balance = users[0].balance.sub(UNIT);
+        users[CAPACITY - 1].balance = users[CAPACITY - 1].balance.add(UNIT);
+      });
+
+      it("should update the balances commitment of both shards", async function () {
+        const expected = expectedCommitments();
+        for (let shard = 0; shard < MAX_SHARDS; shard++) {
+          expect(bn256.toPointG1(await token.BalancesCommitment(shard))).to.deep.equal(
+            expected.balances[shard]
+          );
+        }
+      });
+    });
+  });
+
+  describe("The users vote", async function () {
+    let voting, keys, balances, yesAggregate, noAggregate;
+
+    // the first user of every shard supports the proposal,
+    // and the second user of the first two shards opposes it
+    const SUPPORTERS = new Array(MAX_SHARDS).fill(null).map((_, shard) => shard * POSITIONS);
+    const OPPONENTS = [1, POSITIONS + 1];
+
+    function totalBalance(selected) {
+      return selected.reduce((total, i) => total.add(users[i].balance), ethers.BigNumber.from(0));
+    }
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      keys = users.map(({ index, encodedKey }) => ({ index, encodedKey }));
+      balances = users.map(({ index, balance }) => ({ index, balance }));
+
+      const votes = [];
+      for (const [selected, support] of [
+        [SUPPORTERS, true],
+        [OPPONENTS, false],
+      ]) {
+        for (const i of selected) {
+          const { index, wallet } = users[i];
+          const signature = await wallet.signPointG1(await voting.votingArtifact(index, support));
+          votes.push({ index, support, signature });
+        }
+      }
+      yesAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      noAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+    });
+
+    it("should snapshot every shard", async function () {
+      expect(await voting.shardCount()).to.equal(MAX_SHARDS);
+      for (let shard = 0; shard < MAX_SHARDS; shard++) {
+        expect(bn256.toPointG2(await voting.KeysCommitment(shard))).to.deep.equal(
+          bn256.toPointG2(await token.KeysCommitment(shard))
+        );
+      }
+    });
+
+    it("should build a selection for every shard", async function () {
+      expect(yesAggregate.selections.length).to.equal(MAX_SHARDS);
+      // the opposing voters are all in the first two shards
+      expect(noAggregate.selections[MAX_SHARDS - 1]).to.deep.equal(INFINITY_G2);
+    });
+
+    it("should reject an aggregate without a selection for every shard", async function () {
+      const { support, added, selections, complement, signature } = yesAggregate;
+      await expect(
+        voting.submitAggregate(support, added, selections.slice(0, -1), complement, signature)
+      ).to.be.revertedWith("A selection is required for every shard");
+    });
+
+    describe("An aggregator submits both aggregates", async function () {
+      this.beforeAll(async function () {
+        await alice.sendTransaction(aggregator.aggregateTransaction(voting, yesAggregate));
+        await alice.sendTransaction(aggregator.aggregateTransaction(voting, noAggregate));
+
+        const deadline = Number(await voting.votingDeadline());
+        while ((await ethers.provider.getBlockNumber()) <= deadline) {
+          await ethers.provider.send("evm_mine", []);
+        }
+      });
+
+      it("should save the selection of each shard", async function () {
+        const saved = await voting.selectionOf(true);
+        expect(saved.map(bn256.toPointG2)).to.deep.equal(yesAggregate.selections);
+      });
+
+      it("should compute the weight of each shard", async function () {
+        const tally = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+        expect(tally.weights.length).to.equal(MAX_SHARDS);
+        for (let shard = 0; shard < MAX_SHARDS; shard++) {
+          expect(tally.weights[shard]).to.equal(users[SUPPORTERS[shard]].balance);
+        }
+        expect(await voting.isValidTally(true, tally.weights, tally.proofs)).to.equal(true);
+      });
+
+      it("should reject a weight moved between shards", async function () {
+        const tally = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+        const weights = [...tally.weights];
+        weights[0] = weights[0].add(UNIT);
+        weights[1] = weights[1].sub(UNIT);
+        expect(await voting.isValidTally(true, weights, tally.proofs)).to.equal(false);
+      });
+
+      it("should reject a tally without a proof for every shard", async function () {
+        const yesTally = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+        const noTally = aggregator.buildTally(trustedSetup, balances, noAggregate);
+        // the opposing voters are all in the first two shards, so the omitted weight is 0
+        const partial = {
+          ...noTally,
+          weights: noTally.weights.slice(0, -1),
+          proofs: noTally.proofs.slice(0, -1),
+        };
+        await expect(
+          voting.submitTally(yesTally.weights, yesTally.proofs, partial.weights, partial.proofs)
+        ).to.be.revertedWith("A tally is required for every shard");
+      });
+
+      describe("An aggregator submits the tally", async function () {
+        this.beforeAll(async function () {
+          const yesTally = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+          const noTally = aggregator.buildTally(trustedSetup, balances, noAggregate);
+          await alice.sendTransaction(aggregator.tallyTransaction(voting, yesTally, noTally));
+        });
+
+        it("should record the total weight of each side", async function () {
+          expect(await voting.weightOf(true)).to.equal(totalBalance(SUPPORTERS));
+          expect(await voting.weightOf(false)).to.equal(totalBalance(OPPONENTS));
+        });
+      });
+    });
+  });
+});
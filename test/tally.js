@@ -0,0 +1,283 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const { registrationArguments } = require("../lib/registration");
+const { commitG1, dotProductProof } = require("../lib/dot-product");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Vote Tally", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 20;
+  const BOB_BAL = ethers.utils.parseEther("100");
+  const CHARLIE_BAL = ethers.utils.parseEther("200");
+  const DIANE_BAL = ethers.utils.parseEther("75");
+
+  let alice, bob, charlie, diane;
+  let wallets;
+  let adapter, setup, token, AggregateVoting;
+  let trustedSetup;
+
+  // the registered keys and balances, in the format expected by the aggregator
+  const keys = [];
+  const balances = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie, diane] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+
+    console.log("NOTE: creating 4 BLS wallets takes about 10 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    wallets = [];
+    for (const name of ["Alice", "Bob", "Charlie", "Diane"]) {
+      wallets.push(await SimulatedBLSWallet.deploy(name));
+    }
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+    await token.connect(alice).transfer(charlie.address, CHARLIE_BAL);
+    await token.connect(alice).transfer(diane.address, DIANE_BAL);
+
+    const signers = [alice, bob, charlie, diane];
+    for (let i = 0; i < signers.length; i++) {
+      const args = await registrationArguments(token, wallets[i], signers[i].address);
+      await token.connect(signers[i]).register(...args);
+      const encodedKey = args[1];
+      const index = Number(await token.indexOf(signers[i].address));
+      keys.push({ index, encodedKey });
+      balances.push({ index, balance: await token.balanceOf(signers[i].address) });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+  });
+
+  // the balances as a data array, where position i holds the balance of the user at index i
+  function balanceArray() {
+    const values = new Array(aggregator.dataArraySize(trustedSetup)).fill(0);
+    for (const { index, balance } of balances) {
+      values[index] = balance;
+    }
+    return values;
+  }
+
+  describe("Commit to the balances", async function () {
+    it("should match the token's balances commitment", async function () {
+      const expected = await token.BalancesCommitment(0);
+      expect(commitG1(trustedSetup, balanceArray())).to.deep.equal(bn256.toPointG1(expected));
+    });
+  });
+
+  describe("Generate a dot product proof", async function () {
+    it("should sum the selected values", async function () {
+      const { product } = dotProductProof(trustedSetup, [0, 5, 7, 11], [1, 3]);
+      expect(product).to.equal(16);
+    });
+
+    it("should ignore repeated positions", async function () {
+      const { product } = dotProductProof(trustedSetup, [0, 5, 7, 11], [3, 3]);
+      expect(product).to.equal(11);
+    });
+
+    it("should reject positions outside the data array", async function () {
+      const n = aggregator.dataArraySize(trustedSetup) - 1;
+      expect(() => dotProductProof(trustedSetup, [0, 5], [n + 1])).to.throw(
+        `Position ${n + 1} is outside the data array`
+      );
+    });
+  });
+
+  describe("Alice and Charlie support the topic; Bob opposes it; Diane abstains", async function () {
+    let voting, yesAggregate, noAggregate, yesTally, noTally;
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      const sides = [true, false, true];
+      const votes = [];
+      for (let i = 0; i < sides.length; i++) {
+        votes.push({
+          index: keys[i].index,
+          support: sides[i],
+          signature: await wallets[i].signPointG1(
+            await voting.votingArtifact(keys[i].index, sides[i])
+          ),
+        });
+      }
+
+      yesAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      noAggregate = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+      await alice.sendTransaction(aggregator.aggregateTransaction(voting, yesAggregate));
+      await alice.sendTransaction(aggregator.aggregateTransaction(voting, noAggregate));
+
+      yesTally = aggregator.buildTally(trustedSetup, balances, yesAggregate);
+      noTally = aggregator.buildTally(trustedSetup, balances, noAggregate);
+    });
+
+    it("should compute the supporting weight as Alice and Charlie's balances", async function () {
+      expect(yesTally.weight).to.equal(balances[0].balance.add(balances[2].balance));
+    });
+
+    it("should compute the opposing weight as Bob's balance", async function () {
+      expect(noTally.weight).to.equal(BOB_BAL);
+    });
+
+    it("should produce valid proofs", async function () {
+      expect(await voting.isValidTally(true, yesTally.weights, yesTally.proofs)).to.equal(true);
+      expect(await voting.isValidTally(false, noTally.weights, noTally.proofs)).to.equal(true);
+    });
+
+    describe("An aggregator inflates the supporting weight", async function () {
+      it("should reject the proof", async function () {
+        const weight = yesTally.weight.add(DIANE_BAL);
+        expect(await voting.isValidTally(true, [weight], yesTally.proofs)).to.equal(false);
+      });
+    });
+
+    describe("An aggregator drops Charlie from the supporting weight", async function () {
+      it("should reject the proof", async function () {
+        const { product, proof } = dotProductProof(trustedSetup, balanceArray(), [keys[0].index]);
+        expect(product).to.equal(balances[0].balance);
+        expect(await voting.isValidTally(true, [product], [proof])).to.equal(false);
+      });
+
+      it("should reject the weight with the honest proof", async function () {
+        const weight = yesTally.weight.sub(balances[2].balance);
+        expect(await voting.isValidTally(true, [weight], yesTally.proofs)).to.equal(false);
+      });
+    });
+
+    describe("An aggregator adds Diane to the supporting weight", async function () {
+      it("should reject the proof", async function () {
+        const selected = yesAggregate.indices.concat([keys[3].index]);
+        const { product, proof } = dotProductProof(trustedSetup, balanceArray(), selected);
+        expect(await voting.isValidTally(true, [product], [proof])).to.equal(false);
+      });
+    });
+
+    describe("An aggregator misreports Charlie's balance", async function () {
+      it("should reject the proof", async function () {
+        const values = balanceArray();
+        values[keys[2].index] = CHARLIE_BAL.mul(2);
+        const { product, proof } = dotProductProof(trustedSetup, values, yesAggregate.indices);
+        expect(await voting.isValidTally(true, [product], [proof])).to.equal(false);
+      });
+    });
+
+    describe("An aggregator moves part of the product into the proof", async function () {
+      it("should reject the proof", async function () {
+        // shifting one token of weight into the lower commitment keeps the product equation balanced,
+        // but lower then has a term of degree n
+        const n = aggregator.dataArraySize(trustedSetup) - 1;
+        const extra = bn256.multiply(trustedSetup.S1[n], 1);
+        const proof = {
+          ...yesTally.proofs[0],
+          lower: bn256.sum([yesTally.proofs[0].lower, extra]),
+        };
+        const weight = yesTally.weight.sub(1);
+        expect(await voting.isValidTally(true, [weight], [proof])).to.equal(false);
+      });
+    });
+
+    describe("The voting period ends", async function () {
+      this.beforeAll(async function () {
+        const deadline = Number(await voting.votingDeadline());
+        while ((await ethers.provider.getBlockNumber()) <= deadline) {
+          await ethers.provider.send("evm_mine", []);
+        }
+      });
+
+      it("should reject an inflated tally", async function () {
+        const inflated = { ...yesTally, weights: [yesTally.weights[0].add(DIANE_BAL)] };
+        await expect(
+          alice.sendTransaction(aggregator.tallyTransaction(voting, inflated, noTally))
+        ).to.be.reverted;
+      });
+
+      describe("An aggregator submits the tally", async function () {
+        this.beforeAll(async function () {
+          await bob.sendTransaction(aggregator.tallyTransaction(voting, yesTally, noTally));
+        });
+
+        it("should record the supporting weight", async function () {
+          expect(await voting.weightOf(true)).to.equal(yesTally.weight);
+        });
+
+        it("should record the opposing weight", async function () {
+          expect(await voting.weightOf(false)).to.equal(BOB_BAL);
+        });
+      });
+    });
+  });
+
+  describe("Only Diane votes", async function () {
+    let voting, yesTally;
+
+    this.beforeAll(async function () {
+      voting = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+      await voting.deployed();
+
+      const votes = [
+        {
+          index: keys[3].index,
+          support: true,
+          signature: await wallets[3].signPointG1(await voting.votingArtifact(keys[3].index, true)),
+        },
+      ];
+      const aggregate = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      await alice.sendTransaction(aggregator.aggregateTransaction(voting, aggregate));
+      yesTally = aggregator.buildTally(trustedSetup, balances, aggregate);
+
+      const deadline = Number(await voting.votingDeadline());
+      while ((await ethers.provider.getBlockNumber()) <= deadline) {
+        await ethers.provider.send("evm_mine", []);
+      }
+    });
+
+    it("should not accept a proof for the missing opposing aggregate", async function () {
+      expect(await voting.isValidTally(false, [0], yesTally.proofs)).to.equal(false);
+    });
+
+    it("should accept the tally without an opposing side", async function () {
+      await alice.sendTransaction(aggregator.tallyTransaction(voting, yesTally, null));
+      expect(await voting.weightOf(true)).to.equal(DIANE_BAL);
+      expect(await voting.weightOf(false)).to.equal(0);
+    });
+  });
+});
@@ -6,12 +6,19 @@ const { expect } = require("chai");
 describe("Commitment Token", function () {
   const TOKEN_NAME = "Commitment Token";
   const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
   const INITIAL_SUPPLY = ethers.BigNumber.from(10).pow(18).mul(1000); //1000e18
   // the q value in EIP-197 (https://eips.ethereum.org/EIPS/eip-197)
   const GROUP_ORDER = ethers.BigNumber.from(
     "0x30644e72e131a029b85045b68181585d2833e84879b9709143e1f593f0000001"
   );
 
+  // the registration secrets (α) chosen by Alice and Bob
+  const ALICE_ALPHA = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("Alice's alpha"));
+  const BOB_ALPHA = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("Bob's alpha"));
+
   let alice, aliceWallet, bob, bobWallet, token, setup, helper, s;
 
   this.beforeAll(async function () {
@@ -26,9 +33,20 @@ describe("Commitment Token", function () {
         BN256Adapter: adapter.address,
       },
     });
-    setup = await TrustedSetup.deploy();
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
     await setup.deployed();
 
+    // the update proof may exceed the test time limit. Turn it off
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    this.timeout(0);
+    console.log(
+      "NOTE: initializing the trusted setup takes about 15 seconds..."
+    );
+    s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
     CommitmentToken = await ethers.getContractFactory("CommitmentToken", {
       libraries: {
         BN256Adapter: adapter.address,
@@ -37,7 +55,9 @@ describe("Commitment Token", function () {
     token = await CommitmentToken.connect(alice).deploy(
       TOKEN_NAME,
       TOKEN_SYMBOL,
-      setup.address
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
     );
     await token.deployed();
 
@@ -56,16 +76,6 @@ describe("Commitment Token", function () {
     });
     helper = await TestHelper.deploy();
     await helper.deployed();
-
-    // the update proof may exceed the test time limit. Turn it off
-    // since we're not testing this here, we could hardcode the initialization for efficiency
-    this.timeout(0);
-    console.log(
-      "NOTE: initializing the trusted setup takes about 15 seconds..."
-    );
-    s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
-    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
-    await setup.update(updatedS1, updatedS2, proof);
   });
 
   describe("Initialization", async function () {
@@ -78,13 +88,28 @@ describe("Commitment Token", function () {
       const idx = await token.nextIndex();
       expect(idx).to.equal(1);
     });
+
+    it("should use a single shard", async function () {
+      expect(await token.maxShards()).to.equal(MAX_SHARDS);
+      expect(await token.shardCount()).to.equal(1);
+      await expect(token.KeysCommitment(MAX_SHARDS)).to.be.revertedWith("Invalid shard");
+    });
+
+    it("should require at least one shard", async function () {
+      await expect(
+        CommitmentToken.deploy(TOKEN_NAME, TOKEN_SYMBOL, setup.address, SETUP_VERSION, 0)
+      ).to.be.revertedWith("At least one shard is required");
+    });
   });
 
   describe("Register Alice", async function () {
     let artifacts;
     let encodedKey;
+    let blinding;
+    let blindedBoundary;
     let encodingArtifact;
     let pk;
+    let possessionProof;
 
     describe("Alice generates registration artifacts", async function () {
       this.beforeAll(async function () {
@@ -101,13 +126,26 @@ describe("Commitment Token", function () {
         const s_max = await setup.S2(MAX_DEGREE);
         expect(artifacts[1]).to.deep.equal(s_max);
       });
+
+      it("should produce the point (s^MAX_DEGREE)⋅[P1]", async function () {
+        let MAX_DEGREE = Number(await setup.MAX_DEGREE());
+        const s_max = await setup.S1(MAX_DEGREE);
+        expect(artifacts[2]).to.deep.equal(s_max);
+      });
     });
 
     describe("Alice signs the registration artifacts", async function () {
       this.beforeAll(async function () {
         encodedKey = await aliceWallet.signPoint(artifacts[0]);
-        encodingArtifact = await aliceWallet.signPoint(artifacts[1]);
+        blinding = await helper.multiplyG1(await adapter.P1(), ALICE_ALPHA);
+        blindedBoundary = await helper.multiplyG1(artifacts[2], ALICE_ALPHA);
+        encodingArtifact = await aliceWallet.signPoint(
+          await helper.multiplyG2(artifacts[1], ALICE_ALPHA)
+        );
         pk = await aliceWallet.PUBLIC_KEY();
+        possessionProof = await aliceWallet.sign(
+          await token.possessionMessage(alice.address, pk)
+        );
       });
 
       it("should produce her public key scaled by s", async function () {
@@ -115,18 +153,33 @@ describe("Commitment Token", function () {
         expect(encodedKey).to.deep.equal(scaled);
       });
 
-      it("should produce her public key scaled by s^MAX_DEGREE", async function () {
+      it("should produce her public key scaled by (α)(s^MAX_DEGREE)", async function () {
         let MAX_DEGREE = Number(await setup.MAX_DEGREE());
         // there doesn't appear to be a powMod operator, which would be much more efficient
         const s_max = ethers.BigNumber.from(s).pow(MAX_DEGREE).mod(GROUP_ORDER);
-        const scaled = await helper.multiplyG2(pk, s_max);
+        const blinded_s_max = s_max.mul(ALICE_ALPHA).mod(GROUP_ORDER);
+        const scaled = await helper.multiplyG2(pk, blinded_s_max);
         expect(encodingArtifact).to.deep.equal(scaled);
       });
+
+      it("should not reveal her public key scaled by s^MAX_DEGREE", async function () {
+        let MAX_DEGREE = Number(await setup.MAX_DEGREE());
+        const s_max = ethers.BigNumber.from(s).pow(MAX_DEGREE).mod(GROUP_ORDER);
+        const scaled = await helper.multiplyG2(pk, s_max);
+        expect(encodingArtifact).to.not.deep.equal(scaled);
+      });
     });
 
     describe("Alice registers her key", async function () {
       this.beforeAll(async function () {
-        await token.register(pk, encodedKey, encodingArtifact);
+        await token.register(
+          pk,
+          encodedKey,
+          blinding,
+          blindedBoundary,
+          encodingArtifact,
+          possessionProof
+        );
       });
 
       describe("indexOf[Alice]", async function () {
@@ -144,12 +197,12 @@ describe("Commitment Token", function () {
       });
 
       it("should set the keys commitment to the encoded key", async function () {
-        const keysComm = await token.KeysCommitment();
+        const keysComm = await token.KeysCommitment(0);
         expect(keysComm).to.deep.equal(encodedKey);
       });
 
       it("should set the balances commitment to match array [0, 1000e18, 0, 0, ... ]", async function () {
-        const balancesComm = await token.BalancesCommitment();
+        const balancesComm = await token.BalancesCommitment(0);
         const P1 = await adapter.P1();
         const coefficient = ethers.BigNumber.from(s)
           .mul(INITIAL_SUPPLY)
@@ -161,7 +214,14 @@ describe("Commitment Token", function () {
 
     describe("Alice attempts to register her key again", async function () {
       it("should fail to update", async function () {
-        const registrationTx = token.register(pk, encodedKey, encodingArtifact);
+        const registrationTx = token.register(
+          pk,
+          encodedKey,
+          blinding,
+          blindedBoundary,
+          encodingArtifact,
+          possessionProof
+        );
         expect(registrationTx).to.be.revertedWith("User already has a BLS key");
       });
     });
@@ -185,7 +245,7 @@ describe("Commitment Token", function () {
     });
 
     it("should set the balances commitment to match array [0, 900e18, 0, 0, ... ]", async function () {
-      const balancesComm = await token.BalancesCommitment();
+      const balancesComm = await token.BalancesCommitment(0);
       const P1 = await adapter.P1();
       const coefficient = ethers.BigNumber.from(s)
         .mul(INITIAL_SUPPLY.sub(AMOUNT))
@@ -198,8 +258,11 @@ describe("Commitment Token", function () {
   describe("Register Bob", async function () {
     let artifacts;
     let encodedKey;
+    let blinding;
+    let blindedBoundary;
     let encodingArtifact;
     let pk;
+    let possessionProof;
 
     describe("Bob generates registration artifacts", async function () {
       this.beforeAll(async function () {
@@ -216,13 +279,26 @@ describe("Commitment Token", function () {
         const s_max = await setup.S2(MAX_DEGREE);
         expect(artifacts[1]).to.deep.equal(s_max);
       });
+
+      it("should produce the point (s^MAX_DEGREE)⋅[P1]", async function () {
+        let MAX_DEGREE = Number(await setup.MAX_DEGREE());
+        const s_max = await setup.S1(MAX_DEGREE);
+        expect(artifacts[2]).to.deep.equal(s_max);
+      });
     });
 
     describe("Bob signs the registration artificats", async function () {
       this.beforeAll(async function () {
         encodedKey = await bobWallet.signPoint(artifacts[0]);
-        encodingArtifact = await bobWallet.signPoint(artifacts[1]);
+        blinding = await helper.multiplyG1(await adapter.P1(), BOB_ALPHA);
+        blindedBoundary = await helper.multiplyG1(artifacts[2], BOB_ALPHA);
+        encodingArtifact = await bobWallet.signPoint(
+          await helper.multiplyG2(artifacts[1], BOB_ALPHA)
+        );
         pk = await bobWallet.PUBLIC_KEY();
+        possessionProof = await bobWallet.sign(
+          await token.possessionMessage(bob.address, pk)
+        );
       });
 
       it("should produce his public key scaled by s^2", async function () {
@@ -231,13 +307,21 @@ describe("Commitment Token", function () {
         expect(encodedKey).to.deep.equal(scaled);
       });
 
-      it("should produce his public key scaled by s^MAX_DEGREE", async function () {
+      it("should produce his public key scaled by (α)(s^MAX_DEGREE)", async function () {
         let MAX_DEGREE = Number(await setup.MAX_DEGREE());
         // there doesn't appear to be a powMod operator, which would be much more efficient
         const s_max = ethers.BigNumber.from(s).pow(MAX_DEGREE).mod(GROUP_ORDER);
-        const scaled = await helper.multiplyG2(pk, s_max);
+        const blinded_s_max = s_max.mul(BOB_ALPHA).mod(GROUP_ORDER);
+        const scaled = await helper.multiplyG2(pk, blinded_s_max);
         expect(encodingArtifact).to.deep.equal(scaled);
       });
+
+      it("should not reveal his public key scaled by s^MAX_DEGREE", async function () {
+        let MAX_DEGREE = Number(await setup.MAX_DEGREE());
+        const s_max = ethers.BigNumber.from(s).pow(MAX_DEGREE).mod(GROUP_ORDER);
+        const scaled = await helper.multiplyG2(pk, s_max);
+        expect(encodingArtifact).to.not.deep.equal(scaled);
+      });
     });
 
     describe("Bob (incorrectly) registers his key in position 1", async function () {
@@ -251,19 +335,65 @@ describe("Commitment Token", function () {
       it("should fail to register", async function () {
         const registrationTx = token
           .connect(bob)
-          .register(pk, shifted, encodingArtifact);
+          .register(pk, shifted, blinding, blindedBoundary, encodingArtifact, possessionProof);
         expect(registrationTx).to.be.revertedWith(
           "Cannot register key. Invalid proof provided"
         );
       });
     });
 
+    describe("Bob registers with α = 0", async function () {
+      it("should fail to register", async function () {
+        // the boundary equations are trivially satisfied by the zero point, so they would not constrain the key
+        const zeroG1 = { x: 0, y: 0 };
+        const zeroG2 = { x_imag: 0, x_real: 0, y_imag: 0, y_real: 0 };
+        await expect(
+          token.connect(bob).register(pk, encodedKey, zeroG1, zeroG1, zeroG2, possessionProof)
+        ).to.be.revertedWith("Cannot register key. Invalid proof provided");
+      });
+    });
+
+    describe("Bob uses an unblinded encoding artifact", async function () {
+      it("should fail to register", async function () {
+        const unblinded = await bobWallet.signPoint(artifacts[1]);
+        await expect(
+          token
+            .connect(bob)
+            .register(pk, encodedKey, blinding, blindedBoundary, unblinded, possessionProof)
+        ).to.be.revertedWith("Cannot register key. Invalid proof provided");
+      });
+    });
+
+    describe("Bob registers without a proof of possession", async function () {
+      it("should fail to register", async function () {
+        const zeroG1 = { x: 0, y: 0 };
+        await expect(
+          token
+            .connect(bob)
+            .register(pk, encodedKey, blinding, blindedBoundary, encodingArtifact, zeroG1)
+        ).to.be.revertedWith("Invalid proof of possession");
+      });
+    });
+
+    describe("Bob signs the proof of possession for another address", async function () {
+      it("should fail to register", async function () {
+        const otherProof = await bobWallet.sign(await token.possessionMessage(alice.address, pk));
+        await expect(
+          token
+            .connect(bob)
+            .register(pk, encodedKey, blinding, blindedBoundary, encodingArtifact, otherProof)
+        ).to.be.revertedWith("Invalid proof of possession");
+      });
+    });
+
     describe("Bob registers his key", async function () {
       let previousKeysComm;
 
       this.beforeAll(async function () {
-        previousKeysComm = await token.KeysCommitment();
-        await token.connect(bob).register(pk, encodedKey, encodingArtifact);
+        previousKeysComm = await token.KeysCommitment(0);
+        await token
+          .connect(bob)
+          .register(pk, encodedKey, blinding, blindedBoundary, encodingArtifact, possessionProof);
       });
 
       describe("indexOf[Bob]", async function () {
@@ -280,7 +410,7 @@ describe("Commitment Token", function () {
       });
 
       it("should add Bob's encoded key to the keys commitment", async function () {
-        const keysComm = await token.KeysCommitment();
+        const keysComm = await token.KeysCommitment(0);
         const combinedComms = await helper.sumG2([
           previousKeysComm,
           encodedKey,
@@ -289,7 +419,7 @@ describe("Commitment Token", function () {
       });
 
       it("should set the balances commitment to match array [0, 900e18, 100e18, 0, ... ]", async function () {
-        const balancesComm = await token.BalancesCommitment();
+        const balancesComm = await token.BalancesCommitment(0);
         const P1 = await adapter.P1();
         // 900e18 * s
         const aliceCoefficient = ethers.BigNumber.from(s)
@@ -327,7 +457,7 @@ describe("Commitment Token", function () {
     });
 
     it("should set the balances commitment to match array [0, 950e18, 50e18, 0, ... ]", async function () {
-      const balancesComm = await token.BalancesCommitment();
+      const balancesComm = await token.BalancesCommitment(0);
         const P1 = await adapter.P1();
         // 950e18 * s
         const aliceCoefficient = ethers.BigNumber.from(s)
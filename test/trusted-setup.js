@@ -4,6 +4,8 @@ const { expect } = require("chai");
 // Running a subset of the tests may produce unexpected results
 
 describe("Trusted Setup", function () {
+  const SETUP_DEGREE = 10;
+
   let adapter;
   let setup;
   let helper;
@@ -25,7 +27,7 @@ describe("Trusted Setup", function () {
         BN256Adapter: adapter.address,
       },
     });
-    setup = await TrustedSetup.deploy();
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
     await setup.deployed();
 
     TestHelper = await ethers.getContractFactory("TestHelper", {
@@ -59,6 +61,25 @@ describe("Trusted Setup", function () {
         expect(power).to.deep.equal(P2);
       }
     });
+
+    it("should not have components above MAX_DEGREE", async function () {
+      await expect(setup.S1(MAX_DEGREE + 1)).to.be.revertedWith("Index exceeds trusted setup size");
+      await expect(setup.S2(MAX_DEGREE + 1)).to.be.revertedWith("Index exceeds trusted setup size");
+    });
+  });
+
+  describe("Configurable size", async function () {
+    it("should deploy a larger setup", async function () {
+      const larger = await TrustedSetup.deploy(16);
+      await larger.deployed();
+      expect(await larger.MAX_DEGREE()).to.equal(16);
+      expect(await larger.S1(16)).to.deep.equal(P1);
+      expect(await larger.S2(16)).to.deep.equal(P2);
+    });
+
+    it("should reject a setup without room for a single position", async function () {
+      await expect(TrustedSetup.deploy(1)).to.be.revertedWith("Trusted setup is too small");
+    });
   });
 
   describe("Alice generates an update proof", async function () {
@@ -122,6 +143,14 @@ describe("Trusted Setup", function () {
       expect(aliceProof).to.deep.equal(kP1);
     });
 
+    describe("Alice omits the last powers", async function () {
+      it("should fail to update S", async function () {
+        await expect(
+          setup.update(aliceUpdatedS1.slice(0, -1), aliceUpdatedS2.slice(0, -1), aliceProof)
+        ).to.be.revertedWith("Update does not match the trusted setup size");
+      });
+    });
+
     describe("Alice tampers with the first S1 value", async function () {
       let tampered;
 
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const bn256 = require("../lib/bn256-adapter");
+const aggregator = require("../lib/aggregator");
+const ceremony = require("../lib/ceremony");
+const messages = require("../lib/vote-messages");
+const { BALLOT_TYPES } = require("../lib/multi-choice");
+const { randomAlpha, registrationArguments } = require("../lib/registration");
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Vote Messages", function () {
+  const TOPIC = "Is Pluto a planet?";
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const VOTING_PERIOD = 10;
+  const BOB_BAL = ethers.utils.parseEther("100");
+
+  let alice, bob, token, trustedSetup;
+  let AggregateVoting, first, second;
+
+  // the BLS wallets and encoded keys of Alice and Bob
+  const wallets = [];
+  const keys = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  // a minimal BLS wallet that holds its private key in JavaScript. It is much faster than SimulatedBLSWallet
+  function localWallet() {
+    const sk = randomAlpha();
+    return {
+      PUBLIC_KEY: async () => bn256.multiply(bn256.P2(), sk),
+      sign: async (message) => bn256.multiply(bn256.hashToG1(message), sk),
+      signPoint: async (point) => bn256.multiply(bn256.toPointG2(point), sk),
+      signPointG1: async (point) => bn256.multiply(bn256.toPointG1(point), sk),
+    };
+  }
+
+  // Alice and Bob support the topic in the specified voting contract
+  async function supportingAggregate(voting) {
+    const votes = [];
+    for (let i = 0; i < keys.length; i++) {
+      const { index } = keys[i];
+      const signature = await wallets[i].signPointG1(await voting.votingArtifact(index, true));
+      votes.push({ index, support: true, signature });
+    }
+    return aggregator.buildAggregate(trustedSetup, keys, votes, true);
+  }
+
+  this.beforeAll(async function () {
+    [alice, bob] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+    const { S1, S2, proof } = await ceremony.contribute(
+      setup,
+      ceremony.entropyFromPhrase("a secret")
+    );
+    await setup.update(S1, S2, proof);
+    await setup.publishVersion();
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+    await token.transfer(bob.address, BOB_BAL);
+
+    for (const signer of [alice, bob]) {
+      const wallet = localWallet();
+      const args = await registrationArguments(token, wallet, signer.address);
+      await token.connect(signer).register(...args);
+      wallets.push(wallet);
+      keys.push({
+        index: Number(await token.indexOf(signer.address)),
+        encodedKey: bn256.toPointG2(args[1]),
+      });
+    }
+
+    // two voting contracts for the same proposal on the same token
+    AggregateVoting = await ethers.getContractFactory("AggregateVoting", { libraries });
+    first = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+    await first.deployed();
+    second = await AggregateVoting.deploy(token.address, TOPIC, VOTING_PERIOD);
+    await second.deployed();
+  });
+
+  describe("Encode the vote messages", async function () {
+    let domain;
+
+    this.beforeAll(async function () {
+      domain = await messages.readVoteDomain(first);
+    });
+
+    it("should use the type hash of the contract", async function () {
+      expect(await first.VOTE_MESSAGE_TYPEHASH()).to.equal(messages.VOTE_MESSAGE_TYPEHASH);
+    });
+
+    it("should derive the proposal id from the token and the topic", async function () {
+      expect(domain.proposalId).to.equal(messages.proposalIdOf(token.address, TOPIC));
+    });
+
+    it("should use the hash of the previous block as the nonce", async function () {
+      const { parentHash } = await ethers.provider.getBlock(first.deployTransaction.blockNumber);
+      expect(domain.nonce).to.equal(ethers.BigNumber.from(parentHash));
+    });
+
+    it("should encode the same message as the contract", async function () {
+      for (const option of [messages.NO_OPTION, messages.YES_OPTION]) {
+        expect(messages.encodeVoteMessage(domain, option)).to.equal(
+          await first.voteMessage(option)
+        );
+      }
+    });
+
+    it("should compute the same vote digests as the contract", async function () {
+      for (const support of [true, false]) {
+        expect(messages.voteMessageDigest(domain, messages.supportOption(support))).to.equal(
+          await first.voteDigest(support)
+        );
+      }
+    });
+
+    it("should use a different message for every field", async function () {
+      const digest = messages.voteMessageDigest(domain, messages.YES_OPTION).toString();
+      const variants = [
+        { ...domain, chainId: domain.chainId + 1 },
+        { ...domain, voting: second.address },
+        { ...domain, proposalId: messages.proposalIdOf(token.address, "Is Ceres a planet?") },
+        { ...domain, nonce: ethers.BigNumber.from(domain.nonce).add(1) },
+      ];
+      const digests = variants.map((variant) =>
+        messages.voteMessageDigest(variant, messages.YES_OPTION).toString()
+      );
+      digests.push(messages.voteMessageDigest(domain, messages.NO_OPTION).toString());
+      expect(new Set([digest, ...digests]).size).to.equal(digests.length + 1);
+    });
+  });
+
+  describe("Deploy the same proposal twice", async function () {
+    it("should share the proposal id", async function () {
+      expect(await second.proposalId()).to.equal(await first.proposalId());
+    });
+
+    it("should use different vote messages", async function () {
+      expect(await second.voteMessage(messages.YES_OPTION)).to.not.equal(
+        await first.voteMessage(messages.YES_OPTION)
+      );
+      expect(await second.voteDigest(true)).to.not.equal(await first.voteDigest(true));
+    });
+
+    it("should use different voting artifacts", async function () {
+      const { index } = keys[0];
+      expect(await second.votingArtifact(index, true)).to.not.deep.equal(
+        await first.votingArtifact(index, true)
+      );
+    });
+  });
+
+  describe("Alice and Bob sign their votes for the first voting contract", async function () {
+    let aggregate;
+
+    this.beforeAll(async function () {
+      aggregate = await supportingAggregate(first);
+    });
+
+    it("should accept the aggregate in the first voting contract", async function () {
+      await alice.sendTransaction(aggregator.aggregateTransaction(first, aggregate));
+      expect(await first.isAggregated(true)).to.equal(true);
+    });
+
+    it("should reject the aggregate in the second voting contract", async function () {
+      await expect(
+        alice.sendTransaction(aggregator.aggregateTransaction(second, aggregate))
+      ).to.be.revertedWith("Invalid aggregate signature");
+      expect(await second.isAggregated(true)).to.equal(false);
+    });
+
+    it("should accept the aggregate that is signed for the second voting contract", async function () {
+      const replacement = await supportingAggregate(second);
+      await alice.sendTransaction(aggregator.aggregateTransaction(second, replacement));
+      expect(await second.isAggregated(true)).to.equal(true);
+    });
+  });
+
+  describe("Derived voting contracts", async function () {
+    let libraries;
+
+    this.beforeAll(async function () {
+      libraries = { BN256Adapter: adapter.address };
+    });
+
+    it("should encode the multi-choice options as choice ids", async function () {
+      const MultiChoiceVoting = await ethers.getContractFactory("MultiChoiceVoting", { libraries });
+      const voting = await MultiChoiceVoting.deploy(
+        token.address,
+        TOPIC,
+        ["Yes", "No", "Maybe"],
+        BALLOT_TYPES.RANKED,
+        VOTING_PERIOD
+      );
+      await voting.deployed();
+      const domain = await messages.readVoteDomain(voting);
+      const rankCount = Number(await voting.rankCount());
+      for (const [option, rank] of [
+        [0, 0],
+        [1, 2],
+        [2, 1],
+      ]) {
+        expect(
+          messages.voteMessageDigest(domain, messages.choiceOption(option, rank, rankCount))
+        ).to.equal(await voting.optionDigest(option, rank));
+      }
+    });
+
+    it("should encode the participation in the commit phase", async function () {
+      const BlindedAggregateVoting = await ethers.getContractFactory("BlindedAggregateVoting", {
+        libraries,
+      });
+      const voting = await BlindedAggregateVoting.deploy(token.address, TOPIC, 5, 5);
+      await voting.deployed();
+      const domain = await messages.readVoteDomain(voting);
+      expect(await voting.COMMIT_OPTION()).to.equal(messages.COMMIT_OPTION);
+      expect(messages.voteMessageDigest(domain, messages.COMMIT_OPTION)).to.equal(
+        await voting.commitDigest()
+      );
+    });
+  });
+});
@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const aggregator = require("../lib/aggregator");
+const proposals = require("../lib/proposals");
+const { registrationArguments } = require("../lib/registration");
+
+const { STATUS } = proposals;
+
+// WARNING: To avoid excess repetition, some tests have side-effects that are used to initialize subsequent tests
+// Running a subset of the tests may produce unexpected results
+
+describe("Voting Factory", function () {
+  const TOKEN_NAME = "Commitment Token";
+  const TOKEN_SYMBOL = "CMT";
+  const SETUP_DEGREE = 10;
+  const SETUP_VERSION = 1;
+  const MAX_SHARDS = 1;
+  const PLUTO = "Is Pluto a planet?";
+  const CERES = "Is Ceres a planet?";
+  const SHORT_PERIOD = 20;
+  const LONG_PERIOD = 200;
+  const BOB_BAL = ethers.utils.parseEther("100");
+
+  let alice, bob, charlie;
+  let wallets;
+  let token, factory, votingAbi, trustedSetup;
+
+  // the registered keys and balances, in the format expected by the aggregator
+  const keys = [];
+  const balances = [];
+
+  // some tests may exceed the test time limit. Turn it off
+  this.timeout(0);
+
+  this.beforeAll(async function () {
+    [alice, bob, charlie] = await ethers.getSigners();
+
+    BN256Adapter = await ethers.getContractFactory("BN256Adapter");
+    adapter = await BN256Adapter.deploy();
+    await adapter.deployed();
+
+    const libraries = { BN256Adapter: adapter.address };
+
+    TrustedSetup = await ethers.getContractFactory("TrustedSetup", { libraries });
+    setup = await TrustedSetup.deploy(SETUP_DEGREE);
+    await setup.deployed();
+
+    // since we're not testing this here, we could hardcode the initialization for efficiency
+    console.log("NOTE: initializing the trusted setup takes about 15 seconds...");
+    const s = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("a secret"));
+    let [updatedS1, updatedS2, proof] = await setup.generateUpdateProof(s);
+    await setup.update(updatedS1, updatedS2, proof);
+    await setup.publishVersion();
+
+    CommitmentToken = await ethers.getContractFactory("CommitmentToken", { libraries });
+    token = await CommitmentToken.connect(alice).deploy(
+      TOKEN_NAME,
+      TOKEN_SYMBOL,
+      setup.address,
+      SETUP_VERSION,
+      MAX_SHARDS
+    );
+    await token.deployed();
+
+    // the factory deploys AggregateVoting contracts, so it must be linked to the same library
+    VotingFactory = await ethers.getContractFactory("VotingFactory", { libraries });
+    factory = await VotingFactory.deploy(token.address);
+    await factory.deployed();
+
+    votingAbi = (await artifacts.readArtifact("AggregateVoting")).abi;
+
+    console.log("NOTE: creating 2 BLS wallets takes about 5 seconds...");
+    SimulatedBLSWallet = await ethers.getContractFactory("SimulatedBLSWallet", { libraries });
+    wallets = [];
+    for (const name of ["Alice", "Bob"]) {
+      wallets.push(await SimulatedBLSWallet.deploy(name));
+    }
+
+    await token.connect(alice).transfer(bob.address, BOB_BAL);
+
+    const signers = [alice, bob];
+    for (let i = 0; i < signers.length; i++) {
+      const args = await registrationArguments(token, wallets[i], signers[i].address);
+      await token.connect(signers[i]).register(...args);
+      const index = Number(await token.indexOf(signers[i].address));
+      keys.push({ index, encodedKey: args[1] });
+      balances.push({ index, balance: await token.balanceOf(signers[i].address) });
+    }
+
+    trustedSetup = await aggregator.readTrustedSetup(setup, SETUP_VERSION);
+  });
+
+  describe("Initialization", async function () {
+    it("should record the token", async function () {
+      expect(await factory.token()).to.equal(token.address);
+    });
+
+    it("should not have any proposals", async function () {
+      expect(await factory.proposalCount()).to.equal(0);
+      expect(await proposals.listProposals(factory)).to.deep.equal([]);
+    });
+  });
+
+  describe("Alice creates a proposal", async function () {
+    let tx, receipt, proposal, voting;
+
+    this.beforeAll(async function () {
+      tx = await factory.connect(alice).createProposal(PLUTO, SHORT_PERIOD);
+      receipt = await tx.wait();
+      proposal = await factory.proposalOf(1);
+      voting = new ethers.Contract(proposal.voting, votingAbi, alice);
+    });
+
+    it("should assign id 1", async function () {
+      expect(await factory.proposalCount()).to.equal(1);
+      expect(await factory.idOf(proposal.voting)).to.equal(1);
+    });
+
+    it("should record the creator and voting window", async function () {
+      expect(proposal.creator).to.equal(alice.address);
+      expect(proposal.startBlock).to.equal(receipt.blockNumber);
+      expect(proposal.endBlock).to.equal(receipt.blockNumber + SHORT_PERIOD);
+    });
+
+    it("should emit a ProposalCreated event", async function () {
+      await expect(tx)
+        .to.emit(factory, "ProposalCreated")
+        .withArgs(
+          1,
+          proposal.voting,
+          alice.address,
+          PLUTO,
+          receipt.blockNumber,
+          receipt.blockNumber + SHORT_PERIOD
+        );
+    });
+
+    it("should deploy a round that snapshots the token commitments", async function () {
+      expect(await voting.topic()).to.equal(PLUTO);
+      expect(await voting.KeysCommitment(0)).to.deep.equal(await token.KeysCommitment(0));
+      expect(await voting.BalancesCommitment(0)).to.deep.equal(await token.BalancesCommitment(0));
+    });
+
+    it("should be open", async function () {
+      expect(await factory.statusOf(1)).to.equal(STATUS.OPEN);
+    });
+  });
+
+  describe("Bob creates a proposal", async function () {
+    this.beforeAll(async function () {
+      await factory.connect(bob).createProposal(CERES, LONG_PERIOD);
+    });
+
+    it("should assign id 2", async function () {
+      expect(await factory.proposalCount()).to.equal(2);
+      expect((await factory.proposalOf(2)).creator).to.equal(bob.address);
+    });
+
+    it("should list both proposals", async function () {
+      const listed = await proposals.listProposals(factory);
+      expect(listed.map((p) => [p.id, p.topic, p.creator])).to.deep.equal([
+        [1, PLUTO, alice.address],
+        [2, CERES, bob.address],
+      ]);
+    });
+
+    it("should list both proposals as open", async function () {
+      const open = await proposals.openProposals(factory);
+      expect(open.map((p) => p.id)).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe("An unknown proposal", async function () {
+    it("should not have a status", async function () {
+      expect(await factory.statusOf(3)).to.equal(STATUS.NONE);
+      expect(await factory.statusOf(0)).to.equal(STATUS.NONE);
+    });
+
+    it("should not have a record", async function () {
+      expect((await factory.proposalOf(3)).voting).to.equal(ethers.constants.AddressZero);
+    });
+  });
+
+  describe("Alice and Bob vote on the first proposal", async function () {
+    let voting, yesTally, noTally;
+
+    this.beforeAll(async function () {
+      voting = new ethers.Contract((await factory.proposalOf(1)).voting, votingAbi, charlie);
+
+      const sides = [true, false];
+      const votes = [];
+      for (let i = 0; i < sides.length; i++) {
+        votes.push({
+          index: keys[i].index,
+          support: sides[i],
+          signature: await wallets[i].signPointG1(
+            await voting.votingArtifact(keys[i].index, sides[i])
+          ),
+        });
+      }
+      const yes = aggregator.buildAggregate(trustedSetup, keys, votes, true);
+      const no = aggregator.buildAggregate(trustedSetup, keys, votes, false);
+      await charlie.sendTransaction(aggregator.aggregateTransaction(voting, yes));
+      await charlie.sendTransaction(aggregator.aggregateTransaction(voting, no));
+      yesTally = aggregator.buildTally(trustedSetup, balances, yes);
+      noTally = aggregator.buildTally(trustedSetup, balances, no);
+
+      const deadline = Number(await voting.votingDeadline());
+      while ((await ethers.provider.getBlockNumber()) <= deadline) {
+        await ethers.provider.send("evm_mine", []);
+      }
+    });
+
+    describe("The voting period ends", async function () {
+      it("should close the proposal", async function () {
+        expect(await factory.statusOf(1)).to.equal(STATUS.CLOSED);
+      });
+
+      it("should only list the second proposal as open", async function () {
+        const open = await proposals.openProposals(factory);
+        expect(open.map((p) => p.id)).to.deep.equal([2]);
+      });
+
+      it("should not report a result", async function () {
+        const [first] = await proposals.proposalResults(factory, votingAbi);
+        expect(first.status).to.equal(STATUS.CLOSED);
+        expect(first.yesWeight).to.equal(null);
+      });
+    });
+
+    describe("Charlie submits the tally", async function () {
+      this.beforeAll(async function () {
+        await charlie.sendTransaction(aggregator.tallyTransaction(voting, yesTally, noTally));
+      });
+
+      it("should mark the proposal as tallied", async function () {
+        expect(await factory.statusOf(1)).to.equal(STATUS.TALLIED);
+      });
+
+      it("should report the results", async function () {
+        const results = await proposals.proposalResults(factory, votingAbi);
+        expect(results.map((p) => p.status)).to.deep.equal([STATUS.TALLIED, STATUS.OPEN]);
+        expect(results[0].yesWeight).to.equal(balances[0].balance);
+        expect(results[0].noWeight).to.equal(BOB_BAL);
+        expect(results[1].yesWeight).to.equal(null);
+      });
+    });
+  });
+});